@@ -86,7 +86,17 @@ export default async function handler(req, res) {
     }
 
     const RAILWAY_URL = process.env.RAILWAY_RELAYER_URL || 'https://relayer.lexiecrypto.com';
-    const backendUrl = `${RAILWAY_URL}${targetPath}`;
+    // Relayer pool: the client picks a backend, but only allowlisted ones get signed requests
+    const allowedRelayers = [
+      RAILWAY_URL,
+      ...(process.env.RAILWAY_RELAYER_URLS || '').split(',').map((u) => u.trim()).filter(Boolean),
+    ].map((u) => u.replace(/\/+$/, ''));
+    const requestedRelayer = url.searchParams.get('relayer');
+    if (requestedRelayer && !allowedRelayers.includes(requestedRelayer.replace(/\/+$/, ''))) {
+      return res.status(400).json({ error: 'Relayer not allowed', requestId });
+    }
+    const relayerBase = requestedRelayer ? requestedRelayer.replace(/\/+$/, '') : allowedRelayers[0];
+    const backendUrl = `${relayerBase}${targetPath}`;
 
     console.log(`🎯 [PROXY-${requestId}] Target`, { targetPath, backendUrl });
 
@@ -4,6 +4,8 @@
  * Bypasses CORS issues for The Graph API calls
  */
 
+import { getGraphEndpoint, CHAIN_LIST } from '../src/config/chains.js';
+
 // Configure body parser for proper request handling
 export const config = {
   api: {
@@ -11,14 +13,6 @@ export const config = {
   },
 };
 
-// RAILGUN Graph endpoints per chain - UPDATED TO NEW SQUID ENDPOINTS
-const GRAPH_ENDPOINTS = {
-  1: 'https://rail-squid.squids.live/squid-railgun-ethereum-v2/graphql',
-  42161: 'https://rail-squid.squids.live/squid-railgun-arbitrum-v2/graphql',  
-  137: 'https://rail-squid.squids.live/squid-railgun-polygon-v2/graphql',
-  56: 'https://rail-squid.squids.live/squid-railgun-bsc-v2/graphql',
-};
-
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -85,10 +79,10 @@ export default async function handler(req, res) {
     const targetChainId = chainId || 42161;
 
     // Get the appropriate Graph endpoint for the chain
-    const endpoint = GRAPH_ENDPOINTS[targetChainId];
+    const endpoint = getGraphEndpoint(targetChainId);
     if (!endpoint) {
       return res.status(400).json({ 
-        error: `Unsupported chain ID: ${targetChainId}. Supported chains: ${Object.keys(GRAPH_ENDPOINTS).join(', ')}` 
+        error: `Unsupported chain ID: ${targetChainId}. Supported chains: ${CHAIN_LIST.filter(c => c.graphEndpoint).map(c => c.id).join(', ')}` 
       });
     }
 
@@ -6,36 +6,24 @@
  *  - provider is optional; defaults to "alchemy" with automatic fallback to ankr on failure
  */
 
+import { getRpcUpstream } from '../src/config/chains.js';
+
 export const config = {
   api: {
     bodyParser: true,
   },
 };
 
-const ALCHEMY_HOSTS = {
-  1: 'https://eth-mainnet.g.alchemy.com/v2/',
-  42161: 'https://arb-mainnet.g.alchemy.com/v2/',
-  137: 'https://polygon-mainnet.g.alchemy.com/v2/',
-  56: 'https://bnb-mainnet.g.alchemy.com/v2/',
-};
-
-const ANKR_HOSTS = {
-  1: 'https://rpc.ankr.com/eth/',
-  42161: 'https://rpc.ankr.com/arbitrum/',
-  137: 'https://rpc.ankr.com/polygon/',
-  56: 'https://rpc.ankr.com/bsc/',
-};
-
 function buildUpstreamUrl(provider, chainId) {
   const cid = Number(chainId);
   if (provider === 'ankr') {
-    const base = ANKR_HOSTS[cid];
+    const base = getRpcUpstream(cid, 'ankr');
     if (!base) return null;
     const key = process.env.ANKR_API_KEY || '';
     return key ? base + key : base; // Ankr supports no-key and key auth
   }
   // default to alchemy
-  const base = ALCHEMY_HOSTS[cid];
+  const base = getRpcUpstream(cid, 'alchemy');
   if (!base) return null;
   const key = process.env.ALCHEMY_API_KEY || process.env.NEXT_PUBLIC_ALCHEMY_API_KEY || process.env.VITE_ALCHEMY_API_KEY; // server-only preferred
   if (!key) return null;
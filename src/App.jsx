@@ -8,6 +8,7 @@ import LandingPage from './pages/LandingPage';
 import WalletPage from './pages/WalletPage';
 import PaymentPage from './pages/PaymentPage';
 import AdminHistoryPage from './pages/AdminHistoryPage';
+import ViewOnlyVaultPage from './pages/ViewOnlyVaultPage';
 import ChatPage from './pages/ChatPage';
 import TermsAndConditions from './pages/TermsAndConditions';
 import PrivacyPolicy from './pages/PrivacyPolicy';
@@ -144,6 +145,7 @@ function App() {
             <Route path="/chat" element={<ChatPage />} />
             <Route path="/pay" element={<PaymentRedirect />} />
             <Route path="/admin-history" element={<AdminHistoryPage />} />
+            <Route path="/view" element={<ViewOnlyVaultPage />} />
             <Route path="/t&cs" element={<TermsAndConditions />} />
             <Route path="/privacy" element={<PrivacyPolicy />} />
           </Routes>
@@ -0,0 +1,196 @@
+/**
+ * Add Custom Token
+ * Import an ERC20 by contract address: reads symbol/decimals/name on-chain,
+ * shows a preview with Railgun support, and persists it for the wallet + chain.
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { toast } from "react-hot-toast";
+import { isAddress } from "ethers";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import {
+  fetchTokenMetadata,
+  addCustomToken,
+  removeCustomToken,
+  getCustomTokens,
+  CUSTOM_TOKENS_CHANGED_EVENT,
+} from "../utils/customTokens.js";
+import { isTokenSupportedByRailgun } from "../utils/railgun/actions.js";
+import { getDefaultTokenList } from "../hooks/useBalances.js";
+import { getChainDisplayName } from "../config/chains.js";
+
+const AddCustomTokenForm = ({ chainId, walletAddress, onAdded, onClose }) => {
+  const [tokenAddress, setTokenAddress] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [importedTokens, setImportedTokens] = useState(() =>
+    getCustomTokens(walletAddress, chainId)
+  );
+
+  useEffect(() => {
+    setImportedTokens(getCustomTokens(walletAddress, chainId));
+    const onChanged = () =>
+      setImportedTokens(getCustomTokens(walletAddress, chainId));
+    window.addEventListener(CUSTOM_TOKENS_CHANGED_EVENT, onChanged);
+    return () =>
+      window.removeEventListener(CUSTOM_TOKENS_CHANGED_EVENT, onChanged);
+  }, [walletAddress, chainId]);
+
+  // Reset the preview whenever the address or network changes
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+  }, [tokenAddress, chainId]);
+
+  const handleLookup = useCallback(async () => {
+    const trimmed = tokenAddress.trim();
+    if (!isAddress(trimmed)) {
+      setError("Enter a valid token contract address (0x...)");
+      return;
+    }
+    setIsLookingUp(true);
+    setError(null);
+    try {
+      const metadata = await fetchTokenMetadata(chainId, trimmed.toLowerCase());
+      setPreview({
+        ...metadata,
+        isSupported: isTokenSupportedByRailgun(trimmed, chainId),
+      });
+    } catch (lookupError) {
+      setError(lookupError.message);
+    } finally {
+      setIsLookingUp(false);
+    }
+  }, [tokenAddress, chainId]);
+
+  const handleAdd = useCallback(async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const token = await addCustomToken({
+        walletAddress,
+        chainId,
+        tokenAddress: tokenAddress.trim(),
+        knownTokens: getDefaultTokenList(chainId),
+      });
+      toast.success(`${token.symbol} added`);
+      setTokenAddress("");
+      onAdded?.(token);
+    } catch (addError) {
+      setError(addError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }, [walletAddress, chainId, tokenAddress, onAdded]);
+
+  const handleKeyDown = (e) => {
+    // Rendered inside the transaction <form>; keep Enter from submitting it
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (!isLookingUp && !preview) handleLookup();
+    }
+  };
+
+  return (
+    <div className="p-3 space-y-3 border rounded border-green-500/30 bg-black/60">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium text-green-300">
+          Add token by address ({getChainDisplayName(chainId)})
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-green-400/70 hover:text-green-300"
+          aria-label="Close"
+        >
+          <XMarkIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={tokenAddress}
+          onChange={(e) => setTokenAddress(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="0x..."
+          spellCheck={false}
+          className="flex-1 px-3 py-2 font-mono text-xs text-green-200 bg-black border rounded border-green-500/40"
+        />
+        <button
+          type="button"
+          onClick={handleLookup}
+          disabled={isLookingUp || !tokenAddress.trim()}
+          className="px-3 py-2 text-xs text-green-200 border rounded border-green-500/40 hover:bg-green-900/20 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLookingUp ? "Reading..." : "Look up"}
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {preview && (
+        <div className="p-2 space-y-1 text-xs border rounded border-green-500/20">
+          <div className="text-green-200">
+            {preview.symbol}{" "}
+            <span className="text-green-400/70">· {preview.name}</span>
+          </div>
+          <div className="text-green-400/70">Decimals: {preview.decimals}</div>
+          <div
+            className={
+              preview.isSupported ? "text-emerald-300" : "text-red-400"
+            }
+          >
+            {preview.isSupported
+              ? "Supported by Railgun on this network"
+              : "Not supported by Railgun on this network"}
+          </div>
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={isSaving || !preview.isSupported}
+            className="w-full px-3 py-1.5 mt-1 text-xs text-black bg-emerald-400 rounded hover:bg-emerald-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving ? "Adding..." : `Add ${preview.symbol}`}
+          </button>
+        </div>
+      )}
+
+      {importedTokens.length > 0 && (
+        <div className="space-y-1">
+          <div className="text-xs text-green-400/70">Imported tokens</div>
+          {importedTokens.map((token) => (
+            <div
+              key={token.address}
+              className="flex items-center justify-between text-xs text-green-200"
+            >
+              <span>
+                {token.symbol}{" "}
+                <span className="font-mono text-green-400/60">
+                  {token.address.slice(0, 6)}...{token.address.slice(-4)}
+                </span>
+              </span>
+              <button
+                type="button"
+                onClick={() =>
+                  removeCustomToken({
+                    walletAddress,
+                    chainId,
+                    tokenAddress: token.address,
+                  })
+                }
+                className="px-2 py-0.5 text-red-400 border rounded hover:text-red-300 border-red-500/40 hover:bg-red-900/20"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddCustomTokenForm;
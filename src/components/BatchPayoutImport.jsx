@@ -0,0 +1,448 @@
+/**
+ * Batch Payout Import
+ * Upload a CSV of payouts (recipient, token, amount, memo), review a validated
+ * preview, then execute the rows one by one. Progress survives a closed tab.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { formatUnits } from "ethers";
+import { toast } from "react-hot-toast";
+import { XMarkIcon } from "@heroicons/react/24/outline";
+import {
+  parsePayoutCsv,
+  buildPayoutPreview,
+  createPayoutRun,
+  loadPayoutRun,
+  clearPayoutRun,
+  retryPayoutRows,
+  checkInterruptedPayoutRow,
+  retryInterruptedPayoutRow,
+  executePayoutRun,
+  getPayoutRunProgress,
+  PayoutRowStatus,
+  PayoutKind,
+} from "../utils/railgun/batch-payout.js";
+import { syncBalancesAfterTransaction } from "../utils/railgun/syncBalances.js";
+import { getTransactionHistory } from "../utils/railgun/transactionHistory.js";
+import { getExplorerTxUrl } from "../config/chains.js";
+
+const STATUS_STYLES = {
+  [PayoutRowStatus.PENDING]: "text-green-400/70",
+  [PayoutRowStatus.SUBMITTING]: "text-yellow-300",
+  [PayoutRowStatus.SUBMITTED]: "text-emerald-300",
+  [PayoutRowStatus.CONFIRMED]: "text-emerald-300",
+  [PayoutRowStatus.FAILED]: "text-red-400",
+  [PayoutRowStatus.INTERRUPTED]: "text-orange-300",
+  [PayoutRowStatus.SKIPPED]: "text-red-400/70",
+};
+
+const TOAST_DOT_STYLES = {
+  green: "bg-green-400",
+  yellow: "bg-yellow-400",
+  red: "bg-red-400",
+};
+
+const showTerminalToast = (message, color = "green", duration = 3000) =>
+  toast.custom(
+    (t) => (
+      <div
+        className={`font-mono pointer-events-auto ${
+          t.visible ? "animate-enter" : "animate-leave"
+        }`}
+      >
+        <div className="text-green-200 border rounded-lg shadow-2xl border-green-500/30 bg-black/90">
+          <div className="flex items-center gap-3 px-4 py-3">
+            <div className={`w-3 h-3 rounded-full ${TOAST_DOT_STYLES[color]}`} />
+            <div className="text-sm">{message}</div>
+          </div>
+        </div>
+      </div>
+    ),
+    { duration }
+  );
+
+const formatAmount = (value, decimals) => {
+  try {
+    return formatUnits(BigInt(value || "0"), decimals ?? 18);
+  } catch {
+    return "0";
+  }
+};
+
+const BatchPayoutImport = ({
+  chainId,
+  railgunWalletId,
+  railgunAddress,
+  address,
+  walletProvider,
+  getEncryptionKey,
+  availableTokens = [],
+  onRunningChange,
+  onClose,
+}) => {
+  const [parseErrors, setParseErrors] = useState([]);
+  const [fileName, setFileName] = useState("");
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [run, setRun] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [checkingLine, setCheckingLine] = useState(null);
+  const stopRequestedRef = useRef(false);
+  const fileInputRef = useRef(null);
+
+  // Restore an unfinished run for this vault/chain
+  useEffect(() => {
+    if (!railgunWalletId || !chainId) return;
+    const stored = loadPayoutRun(railgunWalletId, chainId);
+    setRun(stored);
+  }, [railgunWalletId, chainId]);
+
+  // Report run state transitions only, so mounting doesn't clear another lock
+  const wasRunningRef = useRef(false);
+  useEffect(() => {
+    if (wasRunningRef.current === isRunning) return;
+    wasRunningRef.current = isRunning;
+    onRunningChange?.(isRunning);
+  }, [isRunning, onRunningChange]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setIsPreparing(true);
+    setParseErrors([]);
+
+    try {
+      const text = await file.text();
+      const { rows, errors } = parsePayoutCsv(text);
+      setParseErrors(errors);
+      if (rows.length === 0) {
+        setRun(null);
+        return;
+      }
+
+      const preview = await buildPayoutPreview({
+        rows,
+        chainId,
+        walletId: railgunWalletId,
+        tokens: availableTokens,
+      });
+      setRun(
+        createPayoutRun(preview, { walletId: railgunWalletId, chainId })
+      );
+    } catch (error) {
+      console.error("[BatchPayoutImport] Failed to prepare preview:", error);
+      setParseErrors([error.message || "Failed to read CSV file"]);
+    } finally {
+      setIsPreparing(false);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+    }
+  };
+
+  const handleExecute = useCallback(async () => {
+    if (!run || isRunning) return;
+    stopRequestedRef.current = false;
+    setIsRunning(true);
+
+    try {
+      const encryptionKey = await getEncryptionKey();
+      const finalRun = await executePayoutRun({
+        run,
+        context: {
+          chainId,
+          railgunWalletID: railgunWalletId,
+          encryptionKey,
+          walletProvider,
+          walletAddress: address,
+          railgunAddress,
+        },
+        onProgress: setRun,
+        shouldStop: () => stopRequestedRef.current,
+      });
+
+      const progress = getPayoutRunProgress(finalRun);
+      if (progress.isComplete) {
+        showTerminalToast(
+          `Payout batch finished: ${progress.done}/${progress.executable} sent`,
+          progress.done === progress.executable ? "green" : "yellow",
+          5000
+        );
+      }
+
+      await syncBalancesAfterTransaction({
+        walletAddress: address,
+        walletId: railgunWalletId,
+        chainId,
+      }).catch((error) =>
+        console.warn("[BatchPayoutImport] Balance sync failed:", error)
+      );
+      window.dispatchEvent(new CustomEvent("transaction-history-refresh"));
+    } catch (error) {
+      console.error("[BatchPayoutImport] Run failed:", error);
+      showTerminalToast(error.message || "Payout batch failed", "red", 5000);
+    } finally {
+      setIsRunning(false);
+    }
+  }, [
+    run,
+    isRunning,
+    getEncryptionKey,
+    chainId,
+    railgunWalletId,
+    walletProvider,
+    address,
+    railgunAddress,
+  ]);
+
+  // Interrupted rows may already have paid the recipient: look for them in history first,
+  // and only retry one the user confirms was not sent
+  const handleCheckInterrupted = async (index) => {
+    const row = run.rows[index];
+    setCheckingLine(row.line);
+    try {
+      const history = await getTransactionHistory(
+        railgunWalletId,
+        chainId,
+        null,
+        address
+      );
+      const checked = checkInterruptedPayoutRow(run, index, history);
+      if (checked.match) {
+        setRun(checked.run);
+        showTerminalToast(`Row ${row.line} was already sent - not retrying it`);
+        return;
+      }
+
+      const confirmed = window.confirm(
+        `Row ${row.line} was not found in your vault history. ` +
+          "If it was broadcast but not indexed yet, retrying pays the recipient twice. Retry it anyway?"
+      );
+      if (confirmed) {
+        setRun(retryInterruptedPayoutRow(run, index));
+      }
+    } catch (error) {
+      console.error("[BatchPayoutImport] History check failed:", error);
+      showTerminalToast(
+        "Could not check history - try again before retrying this row",
+        "red",
+        5000
+      );
+    } finally {
+      setCheckingLine(null);
+    }
+  };
+
+  const handleDiscard = () => {
+    clearPayoutRun(railgunWalletId, chainId);
+    setRun(null);
+    setFileName("");
+    setParseErrors([]);
+  };
+
+  const progress = getPayoutRunProgress(run);
+  const hasStarted = run?.rows?.some(
+    (row) =>
+      row.status !== PayoutRowStatus.PENDING &&
+      row.status !== PayoutRowStatus.SKIPPED
+  );
+  const failedCount = progress.counts[PayoutRowStatus.FAILED];
+  const canExecute =
+    !!run &&
+    !isRunning &&
+    run.summary?.canExecute &&
+    progress.counts[PayoutRowStatus.PENDING] > 0;
+
+  return (
+    <div className="p-4 space-y-4 border rounded bg-black/40 border-green-500/30">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm font-medium text-green-300">
+            CSV batch payout
+          </div>
+          <div className="text-xs text-green-400/70">
+            Columns: recipient (0zk, LexieID or 0x), token, amount, memo
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={isRunning}
+          className="p-1 rounded text-green-400/70 hover:text-green-300 hover:bg-green-900/20 disabled:opacity-50"
+          aria-label="Close CSV payout"
+        >
+          <XMarkIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!run && (
+        <label className="block">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            disabled={isPreparing}
+            className="block w-full text-xs text-green-300 file:mr-3 file:px-2 file:py-1 file:text-xs file:text-green-300 file:bg-black file:border file:border-green-500/40 file:rounded"
+          />
+        </label>
+      )}
+
+      {isPreparing && (
+        <div className="text-xs text-green-400/80">
+          Validating {fileName}: resolving recipients, screening addresses and
+          estimating fees...
+        </div>
+      )}
+
+      {parseErrors.map((error) => (
+        <p key={error} className="text-xs text-red-400">
+          ❌ {error}
+        </p>
+      ))}
+
+      {run && (
+        <>
+          {hasStarted && !isRunning && (
+            <div className="px-3 py-2 text-xs border rounded text-yellow-200 border-yellow-500/40 bg-yellow-900/10">
+              Resuming payout batch from{" "}
+              {new Date(run.createdAt).toLocaleString()}: {progress.done}/
+              {progress.executable} sent.
+              {progress.counts[PayoutRowStatus.INTERRUPTED] > 0 &&
+                " Interrupted rows may already be on-chain - check each one against your history before retrying it."}
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs text-left">
+              <thead className="text-green-400/70">
+                <tr>
+                  <th className="py-1 pr-2">#</th>
+                  <th className="py-1 pr-2">Recipient</th>
+                  <th className="py-1 pr-2">Amount</th>
+                  <th className="py-1 pr-2">Fee</th>
+                  <th className="py-1 pr-2">Status</th>
+                </tr>
+              </thead>
+              <tbody className="text-green-200">
+                {run.rows.map((row, index) => (
+                  <tr key={row.line} className="align-top border-t border-green-500/10">
+                    <td className="py-1 pr-2 text-green-400/60">{row.line}</td>
+                    <td className="py-1 pr-2 break-all">
+                      <div>{row.lexieId ? `@${row.lexieId}` : row.recipient}</div>
+                      <div className="text-green-400/60">
+                        {row.kind === PayoutKind.UNSHIELD
+                          ? "Unshield to public address"
+                          : row.kind === PayoutKind.TRANSFER
+                          ? "Private transfer"
+                          : ""}
+                        {row.memo ? ` · ${row.memo}` : ""}
+                      </div>
+                    </td>
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      {row.amount
+                        ? `${formatAmount(row.amount, row.decimals)} ${row.tokenSymbol}`
+                        : `${row.amountInput} ${row.tokenInput}`}
+                    </td>
+                    <td className="py-1 pr-2 whitespace-nowrap text-green-400/80">
+                      {row.fee
+                        ? `${formatAmount(row.fee, row.decimals)}${
+                            row.feeSource === "estimate" ? " (est.)" : ""
+                          }`
+                        : "-"}
+                    </td>
+                    <td className={`py-1 pr-2 ${STATUS_STYLES[row.status] || ""}`}>
+                      <div>{row.status}</div>
+                      {row.error && <div className="break-words">{row.error}</div>}
+                      {row.txHash && (
+                        <a
+                          href={getExplorerTxUrl(chainId, row.txHash)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="underline text-green-400/80 hover:text-green-300"
+                        >
+                          {row.txHash.slice(0, 10)}...
+                        </a>
+                      )}
+                      {row.status === PayoutRowStatus.INTERRUPTED && !isRunning && (
+                        <button
+                          type="button"
+                          onClick={() => handleCheckInterrupted(index)}
+                          disabled={checkingLine !== null}
+                          className="block mt-1 underline text-orange-300 hover:text-orange-200 disabled:opacity-50"
+                        >
+                          {checkingLine === row.line ? "Checking history..." : "Check history & retry"}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="space-y-1 text-xs">
+            {run.summary?.byToken?.map((entry) => (
+              <div
+                key={entry.tokenAddress}
+                className={entry.sufficient ? "text-green-300" : "text-red-400"}
+              >
+                {entry.tokenSymbol}: {formatAmount(entry.amount, entry.decimals)}{" "}
+                + {formatAmount(entry.fees, entry.decimals)} fees ={" "}
+                {formatAmount(entry.total, entry.decimals)} ({entry.rows} rows)
+                {entry.sufficient ? " ✓" : " - insufficient private balance"}
+              </div>
+            ))}
+            {run.summary?.skippedCount > 0 && (
+              <div className="text-red-400/80">
+                {run.summary.skippedCount} row(s) with errors will be skipped
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {isRunning ? (
+              <button
+                type="button"
+                onClick={() => {
+                  stopRequestedRef.current = true;
+                }}
+                className="px-3 py-2 text-xs border rounded text-yellow-300 border-yellow-500/40 hover:bg-yellow-900/20"
+              >
+                Pause after current row
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleExecute}
+                disabled={!canExecute}
+                className="px-3 py-2 text-xs border rounded bg-emerald-600/30 text-emerald-200 border-emerald-400/40 hover:bg-emerald-600/40 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {hasStarted
+                  ? `Resume (${progress.counts[PayoutRowStatus.PENDING]} remaining)`
+                  : `Execute ${run.summary?.readyCount || 0} payouts`}
+              </button>
+            )}
+            {failedCount > 0 && !isRunning && (
+              <button
+                type="button"
+                onClick={() => setRun(retryPayoutRows(run))}
+                className="px-3 py-2 text-xs border rounded text-orange-300 border-orange-500/40 hover:bg-orange-900/20"
+              >
+                Retry {failedCount} failed
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={handleDiscard}
+              disabled={isRunning}
+              className="px-3 py-2 text-xs text-green-400 border rounded border-green-500/40 hover:bg-green-900/20 disabled:opacity-50"
+            >
+              {progress.isComplete ? "Done" : "Discard"}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPayoutImport;
@@ -0,0 +1,113 @@
+/**
+ * Batch Recipients Editor
+ * Editable list of private transfer recipients (Railgun address or LexieID),
+ * each with its own amount and memo. Used by PrivacyActions in batch send mode.
+ */
+
+import React from "react";
+import { XMarkIcon, PlusIcon } from "@heroicons/react/24/outline";
+
+let nextRowId = 1;
+
+export const createBatchRow = (values = {}) => ({
+  id: `batch-row-${nextRowId++}`,
+  recipient: "",
+  amount: "",
+  memo: "",
+  ...values,
+});
+
+const BatchRecipientsEditor = ({
+  rows,
+  onChange,
+  rowErrors = [],
+  tokenSymbol,
+  maxRows,
+  disabled = false,
+}) => {
+  const updateRow = (id, field, value) => {
+    onChange(
+      rows.map((row) => (row.id === id ? { ...row, [field]: value } : row))
+    );
+  };
+
+  const removeRow = (id) => {
+    const remaining = rows.filter((row) => row.id !== id);
+    onChange(remaining.length > 0 ? remaining : [createBatchRow()]);
+  };
+
+  const addRow = () => {
+    if (rows.length >= maxRows) return;
+    onChange([...rows, createBatchRow()]);
+  };
+
+  return (
+    <div className="space-y-3">
+      {rows.map((row, index) => (
+        <div
+          key={row.id}
+          className="p-3 border rounded bg-black/40 border-green-500/20"
+        >
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs text-green-400/80">
+              Recipient {index + 1}
+            </span>
+            <button
+              type="button"
+              onClick={() => removeRow(row.id)}
+              disabled={disabled}
+              className="p-1 rounded text-green-400/70 hover:text-red-300 hover:bg-red-900/20"
+              aria-label={`Remove recipient ${index + 1}`}
+            >
+              <XMarkIcon className="w-4 h-4" />
+            </button>
+          </div>
+          <input
+            type="text"
+            value={row.recipient}
+            onChange={(e) => updateRow(row.id, "recipient", e.target.value.trim())}
+            placeholder="0zk... or LexieID"
+            disabled={disabled}
+            className="w-full px-3 py-2 mb-2 text-green-200 bg-black border rounded border-green-500/40"
+          />
+          <div className="flex gap-2">
+            <input
+              type="number"
+              value={row.amount}
+              onChange={(e) => updateRow(row.id, "amount", e.target.value)}
+              onWheel={(e) => e.target.blur()}
+              placeholder={`0.0 ${tokenSymbol || ""}`}
+              step="any"
+              min="0"
+              disabled={disabled}
+              className="w-1/3 px-3 py-2 text-green-200 bg-black border rounded border-green-500/40"
+            />
+            <input
+              type="text"
+              value={row.memo}
+              onChange={(e) => updateRow(row.id, "memo", e.target.value)}
+              placeholder="Memo for history (optional)"
+              disabled={disabled}
+              className="flex-1 px-3 py-2 text-green-200 bg-black border rounded border-green-500/40"
+            />
+          </div>
+          {rowErrors[index] && (row.recipient || row.amount) && (
+            <p className="mt-1 text-xs text-red-400">❌ {rowErrors[index]}</p>
+          )}
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addRow}
+        disabled={disabled || rows.length >= maxRows}
+        className="flex items-center gap-1 px-2 py-1 text-xs text-green-400 transition-colors border rounded hover:text-green-300 border-green-500/40 hover:bg-green-900/20 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <PlusIcon className="w-3 h-3" />
+        Add recipient ({rows.length}/{maxRows})
+      </button>
+    </div>
+  );
+};
+
+export default BatchRecipientsEditor;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { ChevronDownIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { CHAIN_LIST } from '../config/chains.js';
 
 /**
  * Chain Selector Component
@@ -11,37 +12,20 @@ import { ChevronDownIcon, CheckIcon } from '@heroicons/react/24/outline';
 const ChainSelector = ({ selectedChainId, onChainSelect, disabled = false }) => {
   const [isOpen, setIsOpen] = useState(false);
 
-  // Supported networks configuration
-  const supportedNetworks = [
-    {
-      id: 1,
-      name: 'Ethereum',
-      symbol: 'ETH',
-      color: 'bg-blue-500',
-    },
-    {
-      id: 137,
-      name: 'Polygon',
-      symbol: 'MATIC',
-      color: 'bg-purple-500',
-    },
-    {
-      id: 42161,
-      name: 'Arbitrum',
-      symbol: 'ETH',
-      color: 'bg-cyan-500',
-    },
-    {
-      id: 56,
-      name: 'BNB Chain',
-      symbol: 'BNB',
-      color: 'bg-yellow-500',
-    },
-  ];
+  // Networks from the chain registry. Public-wallet-only chains (no Railgun deployment in the
+  // SDK, see chains.js) are listed but not selectable, since a vault cannot be created there.
+  const allNetworks = CHAIN_LIST.map((chain) => ({
+    id: chain.id,
+    name: chain.name,
+    symbol: chain.nativeToken.symbol,
+    vaultAvailable: !!chain.railgunNetworkName,
+  }));
+  const supportedNetworks = allNetworks.filter((net) => net.vaultAvailable);
 
   const selectedNetwork = selectedChainId ? supportedNetworks.find(net => net.id === selectedChainId) : null;
 
   const handleSelect = (chainId) => {
+    if (!supportedNetworks.some(net => net.id === chainId)) return;
     onChainSelect(chainId);
     setIsOpen(false);
   };
@@ -100,14 +84,17 @@ const ChainSelector = ({ selectedChainId, onChainSelect, disabled = false }) =>
 
             {/* Dropdown */}
             <div className="absolute top-full left-1/2 transform -translate-x-1/2 z-20 mt-1 bg-black/95 border border-emerald-500/40 rounded-md shadow-2xl min-w-48">
-              {supportedNetworks.map((network) => (
+              {allNetworks.map((network) => (
                 <button
                   key={network.id}
                   type="button"
                   onClick={() => handleSelect(network.id)}
+                  disabled={!network.vaultAvailable}
+                  title={network.vaultAvailable ? undefined : 'Public wallet only - private vaults are not supported on this network'}
                   className={`
                     w-full px-3 py-2 text-left flex items-center justify-between
                     hover:bg-emerald-900/20 transition-colors duration-150
+                    disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent
                     ${network.id === selectedChainId ? 'bg-emerald-900/30' : ''}
                   `}
                 >
@@ -115,6 +102,9 @@ const ChainSelector = ({ selectedChainId, onChainSelect, disabled = false }) =>
                     <span className="text-base">{network.logo}</span>
                     <div>
                       <div className="font-medium text-emerald-200 text-sm">{network.name}</div>
+                      {!network.vaultAvailable && (
+                        <div className="text-[10px] text-emerald-400/60">Public wallet only</div>
+                      )}
                     </div>
                   </div>
                   {selectedChainId === network.id && (
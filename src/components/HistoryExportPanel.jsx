@@ -0,0 +1,159 @@
+/**
+ * History Export Panel
+ * Date range / chain filters and CSV or JSON download of the full wallet timeline
+ * Pass `loadTimeline` to export from another source (view-only vaults have no backend timeline)
+ */
+
+import React, { useState } from 'react';
+import { CHAIN_LIST } from '../config/chains.js';
+import {
+  ExportFormat,
+  fetchFullWalletTimeline,
+  buildExportRecords,
+  serializeExportRecords,
+  downloadExport,
+} from '../utils/railgun/history-export.js';
+
+const HistoryExportPanel = ({ walletId, loadTimeline = null, onClose }) => {
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [chainFilter, setChainFilter] = useState('all');
+  const [includePrices, setIncludePrices] = useState(true);
+  const [exporting, setExporting] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = async (format) => {
+    if (!walletId || exporting) return;
+    setExporting(format);
+    setMessage(null);
+    setProgress(null);
+
+    try {
+      const timeline = loadTimeline ? await loadTimeline() : await fetchFullWalletTimeline(walletId);
+      const chainIds = chainFilter === 'all' ? [] : [Number(chainFilter)];
+
+      const records = await buildExportRecords(timeline, {
+        fromDate: fromDate || null,
+        toDate: toDate || null,
+        chainIds,
+        includePrices,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+
+      if (records.length === 0) {
+        setMessage({ type: 'error', text: 'No transactions match the selected filters' });
+        return;
+      }
+
+      const content = serializeExportRecords(records, format, {
+        walletId: `${walletId.slice(0, 8)}...`,
+        filters: { fromDate: fromDate || null, toDate: toDate || null, chainIds },
+      });
+      const range = [fromDate, toDate].filter(Boolean).join('_to_') || new Date().toISOString().split('T')[0];
+      downloadExport(content, `lexie-history-${walletId.slice(0, 8)}-${range}.${format}`, format);
+
+      const unpriced = includePrices ? records.filter(record => record.usdPrice === null).length : 0;
+      setMessage({
+        type: 'success',
+        text: `Exported ${records.length} transactions${unpriced > 0 ? ` (${unpriced} without a USD price)` : ''}`,
+      });
+    } catch (error) {
+      console.error('[HistoryExportPanel] Export failed:', error);
+      setMessage({ type: 'error', text: error.message || 'Export failed' });
+    } finally {
+      setExporting(null);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="bg-black/60 border border-green-500/20 rounded p-4 mb-6 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-green-300 font-medium">Export history</div>
+        <button
+          onClick={onClose}
+          className="text-green-400/70 hover:text-green-300 text-sm"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <label className="flex flex-col text-xs text-green-400/80 gap-1">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate || undefined}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-green-400/80 gap-1">
+          To
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate || undefined}
+            onChange={(e) => setToDate(e.target.value)}
+            className="bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none"
+          />
+        </label>
+        <label className="flex flex-col text-xs text-green-400/80 gap-1">
+          Chain
+          <select
+            value={chainFilter}
+            onChange={(e) => setChainFilter(e.target.value)}
+            className="bg-black text-green-300 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none"
+          >
+            <option value="all">All chains</option>
+            {CHAIN_LIST.map(chain => (
+              <option key={chain.id} value={chain.id}>{chain.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-green-400/80">
+        <input
+          type="checkbox"
+          checked={includePrices}
+          onChange={(e) => setIncludePrices(e.target.checked)}
+        />
+        Include USD value at time of transaction
+      </label>
+
+      <p className="text-green-400/60 text-xs">
+        Fees are reported in the transaction token. Older transactions recorded without chain
+        information are only included when exporting all chains.
+      </p>
+
+      <div className="flex gap-2">
+        {[ExportFormat.CSV, ExportFormat.JSON].map(format => (
+          <button
+            key={format}
+            onClick={() => handleExport(format)}
+            disabled={!!exporting}
+            className="px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50"
+          >
+            {exporting === format ? 'Exporting...' : `Download ${format.toUpperCase()}`}
+          </button>
+        ))}
+      </div>
+
+      {progress && (
+        <div className="text-green-400/70 text-xs">
+          Preparing {progress.done}/{progress.total} transactions...
+        </div>
+      )}
+      {message && (
+        <div className={`text-sm ${message.type === 'error' ? 'text-red-300' : 'text-green-300'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryExportPanel;
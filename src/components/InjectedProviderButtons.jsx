@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
 import useInjectedProviders from '../hooks/useInjectedProviders';
 import { useWallet } from '../contexts/WalletContext';
+import { getAddEthereumChainParams, getChainDisplayName } from '../config/chains.js';
 
 /**
  * Renders detected injected wallets as connect buttons.
@@ -78,38 +79,7 @@ const InjectedProviderButtons = ({ disabled, selectedChainId }) => {
             console.log(`[InjectedProviderButtons] 🔗 Chain ${selectedChainId} not added to wallet, attempting to add...`);
 
             const origin = typeof window !== 'undefined' ? window.location.origin : '';
-            const networkConfigs = {
-              1: { // Ethereum
-                chainId: '0x1',
-                chainName: 'Ethereum Mainnet',
-                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
-                rpcUrls: [`${origin}/api/rpc?chainId=1&provider=auto`],
-                blockExplorerUrls: ['https://etherscan.io/']
-              },
-              137: { // Polygon
-                chainId: '0x89',
-                chainName: 'Polygon Mainnet',
-                nativeCurrency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 },
-                rpcUrls: [`${origin}/api/rpc?chainId=137&provider=auto`],
-                blockExplorerUrls: ['https://polygonscan.com/']
-              },
-              42161: { // Arbitrum
-                chainId: '0xa4b1',
-                chainName: 'Arbitrum One',
-                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
-                rpcUrls: [`${origin}/api/rpc?chainId=42161&provider=auto`],
-                blockExplorerUrls: ['https://arbiscan.io/']
-              },
-              56: { // BNB Chain
-                chainId: '0x38',
-                chainName: 'BNB Smart Chain',
-                nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
-                rpcUrls: [`${origin}/api/rpc?chainId=56&provider=auto`],
-                blockExplorerUrls: ['https://bscscan.com/']
-              }
-            };
-
-            const networkConfig = networkConfigs[selectedChainId];
+            const networkConfig = getAddEthereumChainParams(selectedChainId, origin);
             if (networkConfig) {
               try {
                 await provider.request({
@@ -194,14 +164,7 @@ const InjectedProviderButtons = ({ disabled, selectedChainId }) => {
       setBusyKey('walletconnect');
 
       // Show user guidance about the selected network
-      const networkNames = {
-        1: 'Ethereum',
-        137: 'Polygon',
-        42161: 'Arbitrum',
-        56: 'BNB Chain'
-      };
-
-      const selectedNetworkName = networkNames[selectedChainId] || 'Ethereum';
+      const selectedNetworkName = selectedChainId ? getChainDisplayName(selectedChainId) : 'Ethereum';
 
       console.log(`[WalletConnect] Starting WalletConnect connection...`);
       console.log(`[WalletConnect] User selected network: ${selectedNetworkName} (chain ID: ${selectedChainId})`);
@@ -256,14 +219,8 @@ const InjectedProviderButtons = ({ disabled, selectedChainId }) => {
             console.log(`[WalletConnect] Connected to chain ${connectedChainId}, selected chain ${selectedChainId}`);
 
             if (connectedChainId !== selectedChainId) {
-              const networkNames = {
-                1: 'Ethereum',
-                137: 'Polygon',
-                42161: 'Arbitrum',
-                56: 'BNB Chain'
-              };
-              const connectedNetworkName = networkNames[connectedChainId] || `Chain ${connectedChainId}`;
-              const selectedNetworkName = networkNames[selectedChainId] || `Chain ${selectedChainId}`;
+              const connectedNetworkName = getChainDisplayName(connectedChainId);
+              const selectedNetworkName = getChainDisplayName(selectedChainId);
 
               toast.custom((t) => (
                 <div className={`font-mono pointer-events-auto ${t.visible ? 'animate-enter' : 'animate-leave'}`}>
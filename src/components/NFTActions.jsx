@@ -0,0 +1,355 @@
+/**
+ * NFT Actions
+ * Shield, private transfer and unshield for ERC721 / ERC1155 tokens.
+ * Rendered by PrivacyActions when the asset toggle is set to NFTs.
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { toast } from "react-hot-toast";
+import { isAddress } from "ethers";
+import { useWallet } from "../contexts/WalletContext";
+import useNFTs from "../hooks/useNFTs";
+import { NFTCard } from "./NFTGallery";
+import {
+  shieldNFTs,
+  unshieldNFTs,
+  privateNFTTransfer,
+} from "../utils/railgun/actions";
+import {
+  addManualNFT,
+  getNFTKey,
+  NFT_TOKEN_TYPE,
+} from "../utils/nfts.js";
+import { validateNFTAmountRecipients } from "../utils/railgun/validation-service";
+
+// How long to wait for the NFT transaction to mine before refreshing holdings
+const RECEIPT_TIMEOUT_MS = 120000;
+
+const MODE_COPY = {
+  shield: {
+    button: "Add NFTs to vault",
+    busy: "Adding NFTs...",
+    empty: "No NFTs found in your connected wallet. Add one by contract and token ID below.",
+  },
+  transfer: {
+    button: "Send NFTs privately",
+    busy: "Sending NFTs...",
+    empty: "No NFTs in this vault yet.",
+  },
+  unshield: {
+    button: "Remove NFTs from vault",
+    busy: "Removing NFTs...",
+    empty: "No NFTs in this vault yet.",
+  },
+};
+
+const NFTActions = ({ mode, getEncryptionKey, disabled = false }) => {
+  const { address, chainId, railgunAddress, railgunWalletId, walletProvider } =
+    useWallet();
+  const isShield = mode === "shield";
+  const {
+    privateNFTs,
+    publicNFTs,
+    isLoadingPrivate,
+    isLoadingPublic,
+    refreshPrivateNFTs,
+    refreshPublicNFTs,
+  } = useNFTs({ loadPublic: isShield });
+
+  // key -> amount string (ERC1155 only; ERC721 is always 1)
+  const [selected, setSelected] = useState({});
+  const [recipient, setRecipient] = useState("");
+  const [memoText, setMemoText] = useState("");
+  const [manualAddress, setManualAddress] = useState("");
+  const [manualTokenId, setManualTokenId] = useState("");
+  const [isAddingManual, setIsAddingManual] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const sourceNFTs = isShield ? publicNFTs : privateNFTs;
+  const isLoading = isShield ? isLoadingPublic : isLoadingPrivate;
+  const copy = MODE_COPY[mode];
+
+  useEffect(() => {
+    setSelected({});
+    setRecipient(mode === "unshield" ? address || "" : "");
+    setMemoText("");
+    setProgress(null);
+  }, [mode, chainId, railgunWalletId, address]);
+
+  const toggle = (nft) => {
+    const key = getNFTKey(nft.nftAddress, nft.tokenSubID);
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (key in next) delete next[key];
+      else next[key] = "1";
+      return next;
+    });
+  };
+
+  const selectedNFTs = useMemo(
+    () =>
+      sourceNFTs
+        .filter((nft) => getNFTKey(nft.nftAddress, nft.tokenSubID) in selected)
+        .map((nft) => ({
+          nftAddress: nft.nftAddress,
+          nftTokenType: Number(nft.nftTokenType),
+          tokenSubID: nft.tokenSubID,
+          available: BigInt(nft.amount ?? nft.balance ?? 1),
+          amountInput: selected[getNFTKey(nft.nftAddress, nft.tokenSubID)],
+        })),
+    [sourceNFTs, selected]
+  );
+
+  // Recipient is checked at submit time (Lexie IDs resolve async); here only amounts and tokens
+  const validationError = useMemo(() => {
+    if (selectedNFTs.length === 0) return null;
+    for (const nft of selectedNFTs) {
+      if (!/^\d+$/.test(nft.amountInput || "")) return "Enter a whole-number amount";
+      if (BigInt(nft.amountInput) > nft.available) {
+        return `Only ${nft.available.toString()} of #${BigInt(nft.tokenSubID).toString()} available`;
+      }
+    }
+    const result = validateNFTAmountRecipients(
+      selectedNFTs.map((nft) => ({
+        ...nft,
+        amount: BigInt(nft.amountInput),
+        recipientAddress: isShield || mode === "transfer" ? railgunAddress : address,
+      })),
+      { recipientType: mode === "unshield" ? "ethereum" : "railgun" }
+    );
+    return result.isValid ? null : result.error;
+  }, [selectedNFTs, isShield, mode, railgunAddress, address]);
+
+  const handleAddManual = async (e) => {
+    e.preventDefault();
+    setIsAddingManual(true);
+    try {
+      const nft = await addManualNFT({
+        walletAddress: address,
+        chainId,
+        nftAddress: manualAddress,
+        tokenSubID: manualTokenId,
+      });
+      toast.success("NFT added");
+      setManualAddress("");
+      setManualTokenId("");
+      setSelected((prev) => ({ ...prev, [getNFTKey(nft.nftAddress, nft.tokenSubID)]: "1" }));
+    } catch (error) {
+      toast.error(error.message || "Failed to add NFT");
+    } finally {
+      setIsAddingManual(false);
+    }
+  };
+
+  const waitAndRefresh = async (txHash, signer) => {
+    try {
+      await signer?.provider?.waitForTransaction(txHash, 1, RECEIPT_TIMEOUT_MS);
+    } catch (error) {
+      console.warn("[NFTActions] Waiting for receipt failed:", error.message);
+    }
+    refreshPrivateNFTs();
+    if (isShield) refreshPublicNFTs();
+    window.dispatchEvent(new CustomEvent("transaction-history-refresh"));
+  };
+
+  const handleSubmit = async () => {
+    if (!selectedNFTs.length || validationError) return;
+    const nfts = selectedNFTs.map(({ nftAddress, nftTokenType, tokenSubID, amountInput }) => ({
+      nftAddress,
+      nftTokenType,
+      tokenSubID,
+      amount: BigInt(amountInput),
+    }));
+
+    setIsWorking(true);
+    setProgress(null);
+    try {
+      const signer = await walletProvider();
+      let txHash;
+
+      if (isShield) {
+        const result = await shieldNFTs({
+          nfts,
+          chain: { id: chainId },
+          fromAddress: address,
+          railgunAddress,
+          walletProvider: signer,
+          railgunWalletID: railgunWalletId,
+        });
+        const txResponse = await signer.sendTransaction({
+          ...result.transaction,
+          gasLimit: "0x" + BigInt(result.paddedGasEstimate).toString(16),
+        });
+        txHash = txResponse.hash;
+      } else {
+        const encryptionKey = await getEncryptionKey();
+        if (mode === "transfer") {
+          const result = await privateNFTTransfer({
+            chainId,
+            railgunWalletID: railgunWalletId,
+            encryptionKey,
+            nfts,
+            recipientRailgunAddress: recipient.trim(),
+            memoText: memoText.trim() || undefined,
+            walletProvider,
+            onProgress: setProgress,
+          });
+          txHash = result.txHash;
+        } else {
+          if (!isAddress(recipient.trim())) {
+            throw new Error("Enter a valid 0x recipient address");
+          }
+          const result = await unshieldNFTs({
+            railgunWalletID: railgunWalletId,
+            encryptionKey,
+            nfts,
+            chainId,
+            recipientAddress: recipient.trim(),
+            walletProvider,
+            onProgress: setProgress,
+          });
+          txHash = result.transactionHash;
+        }
+      }
+
+      toast.success(`NFT transaction sent: ${txHash.slice(0, 10)}...`);
+      setSelected({});
+      setMemoText("");
+      waitAndRefresh(txHash, signer);
+    } catch (error) {
+      console.error(`[NFTActions] ${mode} failed:`, error);
+      toast.error(/reject/i.test(error?.message || "") ? "Rejected by User" : error.message);
+    } finally {
+      setIsWorking(false);
+      setProgress(null);
+    }
+  };
+
+  const isBusy = disabled || isWorking;
+  const needsRecipient = !isShield;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-green-400/70">
+          {isShield ? "NFTs in your connected wallet" : "NFTs in your vault"}
+        </span>
+        <button
+          type="button"
+          onClick={isShield ? refreshPublicNFTs : refreshPrivateNFTs}
+          disabled={isLoading}
+          className="px-2 py-1 rounded border border-green-500/40 bg-black hover:bg-green-900/20 disabled:opacity-50"
+        >
+          {isLoading ? "scanning..." : "refresh"}
+        </button>
+      </div>
+
+      {sourceNFTs.length === 0 && !isLoading ? (
+        <div className="text-center py-4 text-green-400/70 text-xs">{copy.empty}</div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 max-h-80 overflow-y-auto scrollbar-none">
+          {sourceNFTs.map((nft) => {
+            const key = getNFTKey(nft.nftAddress, nft.tokenSubID);
+            const isSelected = key in selected;
+            const isERC1155 = Number(nft.nftTokenType) === NFT_TOKEN_TYPE.ERC1155;
+            return (
+              <NFTCard
+                key={key}
+                nft={nft}
+                chainId={chainId}
+                selected={isSelected}
+                onClick={() => toggle(nft)}
+                footer={
+                  isSelected && isERC1155 ? (
+                    <input
+                      value={selected[key]}
+                      onClick={(e) => e.stopPropagation()}
+                      onChange={(e) =>
+                        setSelected((prev) => ({ ...prev, [key]: e.target.value.trim() }))
+                      }
+                      inputMode="numeric"
+                      className="w-full mt-1 bg-black text-green-200 rounded px-2 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none"
+                      placeholder="amount"
+                    />
+                  ) : null
+                }
+              />
+            );
+          })}
+        </div>
+      )}
+
+      {isShield && (
+        <form onSubmit={handleAddManual} className="flex gap-2">
+          <input
+            value={manualAddress}
+            onChange={(e) => setManualAddress(e.target.value)}
+            placeholder="NFT contract 0x..."
+            className="flex-1 min-w-0 bg-black text-green-200 rounded px-2 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-xs"
+          />
+          <input
+            value={manualTokenId}
+            onChange={(e) => setManualTokenId(e.target.value)}
+            placeholder="token ID"
+            className="w-24 bg-black text-green-200 rounded px-2 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-xs"
+          />
+          <button
+            type="submit"
+            disabled={isAddingManual || !manualAddress || !manualTokenId}
+            className="px-2 py-1 text-xs rounded border border-emerald-400/40 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isAddingManual ? "..." : "add"}
+          </button>
+        </form>
+      )}
+
+      {needsRecipient && (
+        <div className="space-y-2">
+          <input
+            value={recipient}
+            onChange={(e) => setRecipient(e.target.value)}
+            placeholder={mode === "transfer" ? "0zk... or LexieID" : "0x..."}
+            className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm font-mono"
+          />
+          {mode === "transfer" && (
+            <input
+              value={memoText}
+              onChange={(e) => setMemoText(e.target.value)}
+              placeholder="Memo (optional, encrypted)"
+              className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm"
+            />
+          )}
+        </div>
+      )}
+
+      <div className="text-yellow-200/80 text-xs">
+        {isShield
+          ? "Your wallet approves the collection for the Railgun contract, then signs the shield."
+          : "NFT transactions are sent from your connected wallet, which pays gas and is visible on-chain as the sender."}
+      </div>
+
+      {validationError && <div className="text-red-300 text-xs">{validationError}</div>}
+
+      <button
+        type="button"
+        onClick={handleSubmit}
+        disabled={
+          isBusy ||
+          selectedNFTs.length === 0 ||
+          !!validationError ||
+          (needsRecipient && !recipient.trim())
+        }
+        className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isWorking
+          ? progress !== null
+            ? `Generating proof... ${Math.round(progress)}%`
+            : copy.busy
+          : `${copy.button}${selectedNFTs.length ? ` (${selectedNFTs.length})` : ""}`}
+      </button>
+    </div>
+  );
+};
+
+export default NFTActions;
@@ -0,0 +1,110 @@
+/**
+ * NFTGallery Component
+ * Grid of NFTs held privately in the active vault
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useWallet } from '../contexts/WalletContext';
+import useNFTs from '../hooks/useNFTs';
+import { fetchNFTMetadata, getNFTKey, NFT_TOKEN_TYPE } from '../utils/nfts.js';
+
+const formatTokenId = (tokenSubID) => {
+  const id = BigInt(tokenSubID).toString();
+  return id.length > 12 ? `${id.slice(0, 6)}...${id.slice(-4)}` : id;
+};
+
+/**
+ * Single NFT tile with lazily resolved metadata
+ */
+export const NFTCard = ({ nft, chainId, selected = false, onClick, footer = null }) => {
+  const [metadata, setMetadata] = useState(null);
+  const [imageFailed, setImageFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMetadata(null);
+    setImageFailed(false);
+    fetchNFTMetadata(chainId, nft).then((result) => {
+      if (!cancelled) setMetadata(result);
+    });
+    return () => { cancelled = true; };
+  }, [chainId, nft.nftAddress, nft.tokenSubID, nft.nftTokenType]);
+
+  const isERC1155 = Number(nft.nftTokenType) === NFT_TOKEN_TYPE.ERC1155;
+  const amount = nft.amount ?? nft.balance;
+  const Wrapper = onClick ? 'button' : 'div';
+
+  return (
+    <Wrapper
+      type={onClick ? 'button' : undefined}
+      onClick={onClick}
+      className={`text-left bg-black border rounded overflow-hidden ${selected ? 'border-emerald-400' : 'border-green-500/30'} ${onClick ? 'hover:border-emerald-400/70' : ''}`}
+    >
+      <div className="aspect-square bg-gray-900 flex items-center justify-center">
+        {metadata?.image && !imageFailed ? (
+          <img
+            src={metadata.image}
+            alt={metadata.name}
+            loading="lazy"
+            referrerPolicy="no-referrer"
+            onError={() => setImageFailed(true)}
+            className="w-full h-full object-cover"
+          />
+        ) : (
+          <span className="text-green-400/50 text-xs">{metadata ? 'no image' : 'loading...'}</span>
+        )}
+      </div>
+      <div className="p-2 text-xs space-y-0.5">
+        <div className="text-green-200 truncate" title={metadata?.name}>
+          {metadata?.name || `#${formatTokenId(nft.tokenSubID)}`}
+        </div>
+        <div className="text-green-400/60 truncate" title={nft.nftAddress}>
+          {metadata?.collection || `${nft.nftAddress.slice(0, 6)}...${nft.nftAddress.slice(-4)}`}
+        </div>
+        <div className="flex justify-between text-green-400/60">
+          <span>#{formatTokenId(nft.tokenSubID)}</span>
+          <span>{isERC1155 ? `ERC1155 × ${BigInt(amount ?? 0).toString()}` : 'ERC721'}</span>
+        </div>
+        {footer}
+      </div>
+    </Wrapper>
+  );
+};
+
+const NFTGallery = () => {
+  const { chainId } = useWallet();
+  const { privateNFTs, isLoadingPrivate, error, refreshPrivateNFTs } = useNFTs();
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-green-400/70">
+          {privateNFTs.length} private NFT{privateNFTs.length === 1 ? '' : 's'}
+        </span>
+        <button
+          onClick={refreshPrivateNFTs}
+          disabled={isLoadingPrivate}
+          className="px-2 py-1 rounded border border-green-500/40 bg-black hover:bg-green-900/20 disabled:opacity-50"
+        >
+          {isLoadingPrivate ? 'loading...' : 'refresh'}
+        </button>
+      </div>
+
+      {error && <div className="text-red-300 text-xs">{error}</div>}
+
+      {privateNFTs.length === 0 && !isLoadingPrivate ? (
+        <div className="text-center py-6 text-green-400/70 text-xs">
+          No NFTs in this vault yet. Use add → NFTs to shield one from your connected wallet.
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+          {privateNFTs.map((nft) => (
+            <NFTCard key={getNFTKey(nft.nftAddress, nft.tokenSubID)} nft={nft} chainId={chainId} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NFTGallery;
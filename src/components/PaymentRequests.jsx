@@ -0,0 +1,303 @@
+/**
+ * PaymentRequests Component
+ * Payment requests created from the receive tab, reconciled against the shields and transfers
+ * this vault has decrypted, with CSV export of the reconciled invoices
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import useTransactionHistory from '../hooks/useTransactionHistory';
+import { useWallet } from '../contexts/WalletContext';
+import { getExplorerTxUrl, getChainDisplayName } from '../config/chains.js';
+import { ExportFormat, fetchFullWalletTimeline, downloadExport } from '../utils/railgun/history-export.js';
+import { getTransactionHistory } from '../utils/railgun/transactionHistory.js';
+import {
+  PAYMENT_REQUESTS_UPDATED_EVENT,
+  PAYMENT_RECONCILIATION_STATUS,
+  PAYMENT_MATCH_TYPE,
+  getPaymentRequests,
+  removePaymentRequest,
+  reconcilePaymentRequests,
+  serializeReconciliationCsv,
+} from '../utils/railgun/payment-reconciliation.js';
+import { PAYMENT_AMOUNT_MODES } from '../utils/railgun/payment-request.js';
+
+const STATUS_LABELS = {
+  [PAYMENT_RECONCILIATION_STATUS.PENDING]: 'Pending',
+  [PAYMENT_RECONCILIATION_STATUS.PAID]: 'Paid',
+  [PAYMENT_RECONCILIATION_STATUS.PARTIALLY_PAID]: 'Partially paid',
+  [PAYMENT_RECONCILIATION_STATUS.EXPIRED]: 'Expired',
+};
+
+const STATUS_STYLES = {
+  [PAYMENT_RECONCILIATION_STATUS.PENDING]: 'bg-yellow-900/20 text-yellow-300 border-yellow-400/40',
+  [PAYMENT_RECONCILIATION_STATUS.PAID]: 'bg-emerald-600/30 text-emerald-200 border-emerald-400/40',
+  [PAYMENT_RECONCILIATION_STATUS.PARTIALLY_PAID]: 'bg-cyan-900/20 text-cyan-300 border-cyan-400/40',
+  [PAYMENT_RECONCILIATION_STATUS.EXPIRED]: 'bg-gray-600/20 text-gray-300 border-gray-400/40',
+};
+
+const isReconciled = (request) =>
+  request.status === PAYMENT_RECONCILIATION_STATUS.PAID ||
+  request.status === PAYMENT_RECONCILIATION_STATUS.PARTIALLY_PAID;
+
+const PaymentRequests = () => {
+  const { railgunWalletId, address, chainId } = useWallet();
+  const [requests, setRequests] = useState(() => getPaymentRequests(railgunWalletId));
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const { transactions, loading, error, cachedAt, refreshHistory } = useTransactionHistory({
+    autoLoad: true,
+    limit: 100,
+  });
+
+  // Payments only count once this vault's own scan has decrypted the note
+  const {
+    transactions: decryptedHistory,
+    loading: decryptedLoading,
+    refreshHistory: refreshDecryptedHistory,
+  } = useTransactionHistory({ autoLoad: true, limit: 100, source: 'sdk' });
+
+  // Reload when requests are saved from the receive tab (or another vault is selected)
+  useEffect(() => {
+    setRequests(getPaymentRequests(railgunWalletId));
+    const handleUpdate = () => setRequests(getPaymentRequests(railgunWalletId));
+    window.addEventListener(PAYMENT_REQUESTS_UPDATED_EVENT, handleUpdate);
+    return () => window.removeEventListener(PAYMENT_REQUESTS_UPDATED_EVENT, handleUpdate);
+  }, [railgunWalletId]);
+
+  const reconciled = useMemo(
+    () => reconcilePaymentRequests(requests, transactions, { decryptedHistory, ownerAddress: address }),
+    [requests, transactions, decryptedHistory, address]
+  );
+
+  const displayRequests = statusFilter === 'all'
+    ? reconciled
+    : reconciled.filter(request => request.status === statusFilter);
+
+  const countByStatus = (status) => reconciled.filter(request => request.status === status).length;
+
+  const handleExport = async () => {
+    if (!railgunWalletId || exporting) return;
+    setExporting(true);
+    setMessage(null);
+
+    try {
+      // Older invoices can be paid by items beyond the first timeline page
+      let timeline = transactions;
+      try {
+        timeline = await fetchFullWalletTimeline(railgunWalletId);
+      } catch (fetchError) {
+        console.warn('[PaymentRequests] Full timeline unavailable, exporting from loaded history:', fetchError.message);
+      }
+
+      // Full decrypted history of every chain with requests, not just the loaded page
+      const requestChainIds = [...new Set(requests.map(request => request.chainId))];
+      const chainHistories = await Promise.all(requestChainIds.map(requestChainId =>
+        getTransactionHistory(railgunWalletId, requestChainId).catch(historyError => {
+          console.warn(`[PaymentRequests] No decrypted history for chain ${requestChainId}:`, historyError.message);
+          return requestChainId === Number(chainId) ? decryptedHistory : [];
+        })
+      ));
+
+      const invoices = reconcilePaymentRequests(requests, timeline, {
+        decryptedHistory: chainHistories.flat(),
+        ownerAddress: address,
+      }).filter(isReconciled);
+      if (invoices.length === 0) {
+        setMessage({ type: 'error', text: 'No paid or partially paid invoices to export' });
+        return;
+      }
+
+      downloadExport(
+        serializeReconciliationCsv(invoices),
+        `lexie-invoices-${railgunWalletId.slice(0, 8)}-${new Date().toISOString().split('T')[0]}.csv`,
+        ExportFormat.CSV
+      );
+      setMessage({ type: 'success', text: `Exported ${invoices.length} reconciled invoice${invoices.length !== 1 ? 's' : ''}` });
+    } catch (exportError) {
+      console.error('[PaymentRequests] Export failed:', exportError);
+      setMessage({ type: 'error', text: exportError.message || 'Export failed' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    refreshHistory();
+    refreshDecryptedHistory();
+  };
+
+  const handleCopyLink = (link) => {
+    navigator.clipboard.writeText(link);
+    setMessage({ type: 'success', text: 'Payment link copied' });
+  };
+
+  return (
+    <div className="bg-black/40 border border-green-500/20 rounded p-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6 gap-3">
+        <div>
+          <h3 className="text-xl font-semibold text-emerald-300 flex items-center">
+            Payment Requests
+          </h3>
+          <p className="text-green-400/80 text-sm mt-1">
+            {reconciled.length} request{reconciled.length !== 1 ? 's' : ''}
+            {cachedAt && ` • Offline, matched against history cached ${cachedAt.toLocaleString()}`}
+          </p>
+        </div>
+        <div className="flex gap-2 self-start sm:self-auto">
+          <button
+            onClick={handleExport}
+            disabled={!railgunWalletId || exporting || !reconciled.some(isReconciled)}
+            className="px-4 py-2 bg-black hover:bg-green-900/20 text-green-200 rounded border border-green-500/40 transition-colors disabled:opacity-50"
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+          <button
+            onClick={handleRefresh}
+            disabled={loading || decryptedLoading}
+            className="px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50"
+          >
+            {loading || decryptedLoading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`mb-4 text-sm ${message.type === 'error' ? 'text-red-300' : 'text-emerald-300'}`}>
+          {message.text}
+        </div>
+      )}
+      {error && (
+        <div className="mb-4 text-sm text-red-300">
+          Could not load transaction history, payment status may be out of date: {error}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="mb-6">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="bg-black text-green-300 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none w-full sm:w-auto"
+        >
+          <option value="all">All Requests ({reconciled.length})</option>
+          {Object.values(PAYMENT_RECONCILIATION_STATUS).map(status => (
+            <option key={status} value={status}>
+              {STATUS_LABELS[status]} ({countByStatus(status)})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Request List */}
+      {reconciled.length === 0 ? (
+        <div className="text-center py-8">
+          <div className="text-green-400/70 mb-4">No payment requests yet</div>
+          <p className="text-green-400/60">
+            Create a payment link from the receive tab and copy it to start tracking it here.
+          </p>
+        </div>
+      ) : displayRequests.length === 0 ? (
+        <div className="text-center py-8">
+          <div className="text-green-400/70">No requests with this status</div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {displayRequests.map((request) => (
+            <div
+              key={request.invoiceId}
+              className="bg-black/60 border border-green-500/20 rounded p-4 hover:bg-black/80 transition-colors"
+            >
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-3 gap-2">
+                <div>
+                  <div className="font-medium text-green-200">{request.invoiceId}</div>
+                  <div className="text-green-400/70 text-xs">
+                    {getChainDisplayName(request.chainId)} • Created {new Date(request.createdAt).toLocaleString()}
+                  </div>
+                </div>
+                <span className={`self-start sm:self-auto px-2 py-0.5 rounded text-xs border ${STATUS_STYLES[request.status]}`}>
+                  {STATUS_LABELS[request.status]}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm">
+                <div className="text-green-300">
+                  Requested:{' '}
+                  {request.amount
+                    ? `${request.amountMode === PAYMENT_AMOUNT_MODES.MIN ? 'min ' : ''}${request.amount} ${request.tokenSymbol}`
+                    : `Any amount of ${request.tokenSymbol}`}
+                </div>
+                <div className="text-green-300">
+                  Received: {request.paidAmount} {request.tokenSymbol}
+                </div>
+                {request.expiresAt && (
+                  <div className="text-green-400/70 text-xs">
+                    Expires {new Date(request.expiresAt * 1000).toLocaleString()}
+                  </div>
+                )}
+                {request.paidAt && (
+                  <div className="text-green-400/70 text-xs">
+                    Last payment {new Date(request.paidAt).toLocaleString()}
+                  </div>
+                )}
+              </div>
+
+              {request.memo && (
+                <div className="text-green-300/80 text-sm mt-2 break-words">Memo: {request.memo}</div>
+              )}
+
+              {request.payments.length > 0 && (
+                <div className="mt-3 space-y-1">
+                  {request.payments.map(payment => {
+                    const explorerUrl = getExplorerTxUrl(request.chainId, payment.txHash);
+                    return (
+                      <div key={payment.txHash} className="flex items-center justify-between gap-2 text-xs text-green-400/80">
+                        {explorerUrl ? (
+                          <a
+                            href={explorerUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-mono text-emerald-300 hover:text-emerald-200 truncate"
+                          >
+                            {payment.txHash.slice(0, 10)}...{payment.txHash.slice(-8)}
+                          </a>
+                        ) : (
+                          <span className="font-mono truncate">{payment.txHash.slice(0, 10)}...</span>
+                        )}
+                        <span className="whitespace-nowrap">
+                          {payment.amount} {request.tokenSymbol}
+                          {payment.matchedBy === PAYMENT_MATCH_TYPE.AMOUNT && ' • matched by amount'}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              <div className="flex gap-2 mt-3">
+                {request.link && (
+                  <button
+                    onClick={() => handleCopyLink(request.link)}
+                    className="px-3 py-1 text-xs text-green-300 bg-black border rounded border-green-500/40 hover:bg-green-900/20"
+                  >
+                    Copy link
+                  </button>
+                )}
+                <button
+                  onClick={() => removePaymentRequest(railgunWalletId, request.invoiceId)}
+                  className="px-3 py-1 text-xs text-red-300 bg-black border rounded border-red-500/40 hover:bg-red-900/20"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentRequests;
@@ -23,6 +23,8 @@ import {
   ArrowRightIcon,
   ClipboardDocumentIcon,
   UsersIcon,
+  ArrowsRightLeftIcon,
+  BeakerIcon,
 } from "@heroicons/react/24/outline";
 
 import { useWallet } from "../contexts/WalletContext";
@@ -36,8 +38,17 @@ import {
   isTokenSupportedByRailgun,
   getSupportedChainIds,
   privateTransfer,
+  privateBatchTransfer,
 } from "../utils/railgun/actions";
 import QRCodeGenerator from "./QRCodeGenerator";
+import BatchRecipientsEditor, { createBatchRow } from "./BatchRecipientsEditor";
+import BatchPayoutImport from "./BatchPayoutImport";
+import AddCustomTokenForm from "./AddCustomTokenForm";
+import NFTActions from "./NFTActions";
+import PrivateSwap from "./PrivateSwap";
+import RecipeActions from "./RecipeActions";
+import ProofProgress from "./ProofProgress";
+import TokenLogo from "./ui/TokenLogo";
 import {
   getPrivateBalances,
   parseTokenAmount,
@@ -53,6 +64,62 @@ import {
 import { getTokenAddress, areTokensEqual } from "../utils/tokens";
 import { estimateGasForTransaction } from "../utils/railgun/tx-gas-details";
 import { getRailgunNetworkName } from "../utils/railgun/tx-unshield";
+import {
+  PROOF_INTERRUPTIONS,
+  takeProofInterruption,
+} from "../utils/railgun/proof-worker-client.js";
+import {
+  validateBatchTransferEntries,
+  MAX_BATCH_TRANSFER_RECIPIENTS,
+} from "../utils/railgun/validation-service";
+import {
+  PAYMENT_AMOUNT_MODES,
+  MAX_PAYMENT_MEMO_LENGTH,
+  buildPaymentRequestLink,
+  generateInvoiceId,
+} from "../utils/railgun/payment-request.js";
+import { trackPaymentRequest } from "../utils/railgun/payment-reconciliation.js";
+import { getTokenListTokens } from "../utils/tokenlists/registry.js";
+import { getChain } from "../config/chains.js";
+
+const showProofInterruptedToast = (reason) =>
+  toast.custom(
+    (t) => (
+      <div
+        className={`font-mono pointer-events-auto ${
+          t.visible ? "animate-enter" : "animate-leave"
+        }`}
+      >
+        <div className="text-green-200 border rounded-lg shadow-2xl border-green-500/30 bg-black/90">
+          <div className="flex items-center gap-3 px-4 py-3">
+            <div className="w-3 h-3 bg-red-400 rounded-full" />
+            <div>
+              <div className="text-sm">
+                {reason === PROOF_INTERRUPTIONS.timeout
+                  ? "Proof generation timed out"
+                  : "Proof generation cancelled"}
+              </div>
+              <div className="text-xs text-green-400/80">
+                Nothing was sent. Your funds are still in your vault.
+              </div>
+            </div>
+            <button
+              type="button"
+              aria-label="Dismiss"
+              onClick={(e) => {
+                e.stopPropagation();
+                toast.dismiss(t.id);
+              }}
+              className="flex items-center justify-center w-5 h-5 ml-2 rounded hover:bg-red-900/30 text-red-300/80"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      </div>
+    ),
+    { duration: 5000 }
+  );
 
 const PrivacyActions = ({
   activeAction = "shield",
@@ -67,6 +134,7 @@ const PrivacyActions = ({
     canUseRailgun,
     getCurrentNetwork,
     walletProvider,
+    vaults,
   } = useWallet();
 
   const {
@@ -98,6 +166,13 @@ const PrivacyActions = ({
   const [amount, setAmount] = useState("");
   const [recipientAddress, setRecipientAddress] = useState("");
   const [memoText, setMemoText] = useState("");
+  // Batch send mode: several recipients paid in a single proof
+  const [isBatchMode, setIsBatchMode] = useState(false);
+  const [batchRows, setBatchRows] = useState(() => [createBatchRow()]);
+  const [showPayoutImport, setShowPayoutImport] = useState(false);
+  const [showAddToken, setShowAddToken] = useState(false);
+  // "tokens" (ERC20 form) or "nfts" (NFTActions panel) on shield/transfer/unshield
+  const [assetKind, setAssetKind] = useState("tokens");
   const [isProcessing, setIsProcessing] = useState(false);
   const [isTokenMenuOpen, setIsTokenMenuOpen] = useState(false);
   const [isTransactionLocked, setIsTransactionLocked] = useState(false);
@@ -105,6 +180,14 @@ const PrivacyActions = ({
   const tokenMenuRef = useRef(null);
   // Receive tab state
   const [paymentLink, setPaymentLink] = useState("");
+  const [paymentLinkError, setPaymentLinkError] = useState(null);
+  const [signedPaymentRequest, setSignedPaymentRequest] = useState(null);
+  const [isPaymentRequestTracked, setIsPaymentRequestTracked] = useState(false);
+  const [requestAmount, setRequestAmount] = useState("");
+  const [requestAmountMode, setRequestAmountMode] = useState(PAYMENT_AMOUNT_MODES.FIXED);
+  const [requestMemo, setRequestMemo] = useState("");
+  const [requestExpiryHours, setRequestExpiryHours] = useState(""); // "" = never expires
+  const [requestInvoiceId, setRequestInvoiceId] = useState(() => generateInvoiceId());
   // Current user's Lexie ID (if linked)
   const [myLexieId, setMyLexieId] = useState(null);
   // Contacts state
@@ -166,6 +249,18 @@ const PrivacyActions = ({
       icon: ArrowRightIcon,
       description: "Send to any address (EOA or LexieID)",
     },
+    {
+      id: "swap",
+      name: "Swap",
+      icon: ArrowsRightLeftIcon,
+      description: "Swap tokens privately without leaving your vault",
+    },
+    {
+      id: "recipes",
+      name: "DeFi",
+      icon: BeakerIcon,
+      description: "Wrap, stake or lend vault tokens without leaving your vault",
+    },
     {
       id: "receive",
       name: "Receive",
@@ -197,19 +292,10 @@ const PrivacyActions = ({
       return privateBalances.filter((token) => token.hasBalance);
     } else if (activeTab === "receive") {
       // For receive tab, show all supported tokens for this chain (for link generation)
+      const nativeToken = getChain(chainId)?.nativeToken;
       return [
-        { symbol: "ETH", address: null, name: "Ethereum" },
-        {
-          symbol: "USDC",
-          address: "0xA0b86a33E6441c0086ec7a4dC2c7c37C1A5e01b4",
-          name: "USD Coin",
-        },
-        {
-          symbol: "USDT",
-          address: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
-          name: "Tether USD",
-        },
-        // Add more supported tokens as needed
+        ...(nativeToken ? [{ ...nativeToken, address: null }] : []),
+        ...getTokenListTokens(chainId),
       ].filter((token) => isTokenSupportedByRailgun(token.address, chainId));
     }
 
@@ -260,6 +346,7 @@ const PrivacyActions = ({
     setAmount("");
     setRecipientAddress("");
     setMemoText("");
+    setBatchRows([createBatchRow()]);
     // Keep isProcessing = true until transactionMonitor completes
     // Keep isTransactionLocked = true until transactionMonitor completes
 
@@ -496,25 +583,81 @@ const PrivacyActions = ({
     };
   }, [handleShieldTransactionDropped]);
 
-  // Generate payment link when receive tab parameters change (uses active network)
+  // Generate the signed payment link when receive tab parameters change (uses active network)
   useEffect(() => {
-    if (activeTab === "receive" && railgunAddress && chainId) {
-      const baseUrl = "https://pay.lexiecrypto.com";
+    if (activeTab !== "receive" || !railgunAddress || !railgunWalletId || !chainId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    buildPaymentRequestLink({
       // Prefer Lexie ID if available; fallback to Railgun address
-      const toValue = myLexieId || railgunAddress;
-      const params = new URLSearchParams({
-        to: toValue,
-        chainId: chainId.toString(),
+      to: myLexieId || railgunAddress,
+      chainId,
+      token: selectedToken?.address || null,
+      amount: requestAmount.trim(),
+      amountMode: requestAmountMode,
+      memo: requestMemo.trim(),
+      expiresAt: requestExpiryHours
+        ? Math.floor(Date.now() / 1000) + Number(requestExpiryHours) * 3600
+        : null,
+      invoiceId: requestInvoiceId.trim(),
+      railgunWalletID: railgunWalletId,
+    })
+      .then(({ link, request }) => {
+        if (cancelled) return;
+        setPaymentLink(link);
+        setSignedPaymentRequest(request);
+        setIsPaymentRequestTracked(false);
+        setPaymentLinkError(null);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setPaymentLink("");
+        setSignedPaymentRequest(null);
+        setPaymentLinkError(error.message);
       });
 
-      if (selectedToken?.address) {
-        params.set("token", selectedToken.address);
-      }
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    activeTab,
+    railgunAddress,
+    railgunWalletId,
+    chainId,
+    selectedToken,
+    myLexieId,
+    requestAmount,
+    requestAmountMode,
+    requestMemo,
+    requestExpiryHours,
+    requestInvoiceId,
+  ]);
 
-      const link = `${baseUrl}/pay?${params.toString()}`;
-      setPaymentLink(link);
+  // Save the current link to the vault's Requests view (upserts by invoice ID)
+  const handleTrackPaymentRequest = useCallback(() => {
+    if (!signedPaymentRequest?.invoiceId || !railgunWalletId) return false;
+    try {
+      trackPaymentRequest(railgunWalletId, {
+        invoiceId: signedPaymentRequest.invoiceId,
+        chainId: signedPaymentRequest.chainId,
+        token: signedPaymentRequest.token,
+        tokenSymbol: selectedToken?.symbol,
+        decimals: selectedToken?.decimals,
+        amount: signedPaymentRequest.amount,
+        amountMode: signedPaymentRequest.amountMode,
+        memo: signedPaymentRequest.memo,
+        expiresAt: signedPaymentRequest.expiresAt,
+        link: paymentLink,
+      });
+      setIsPaymentRequestTracked(true);
+      return true;
+    } catch (error) {
+      console.warn("[PrivacyActions] Failed to track payment request:", error.message);
+      return false;
     }
-  }, [activeTab, railgunAddress, chainId, selectedToken, myLexieId]);
+  }, [signedPaymentRequest, railgunWalletId, selectedToken, paymentLink]);
 
   // Auto-select first available token
   useEffect(() => {
@@ -861,6 +1004,31 @@ const PrivacyActions = ({
     return "invalid";
   }, [recipientAddress]);
 
+  // Batch mode validation (per-row errors are shown inline)
+  const batchValidation = useMemo(
+    () => validateBatchTransferEntries(batchRows),
+    [batchRows]
+  );
+
+  // In batch mode the amount field mirrors the sum of all rows so the
+  // balance check and fee preview keep working unchanged
+  useEffect(() => {
+    if (!isBatchMode || activeTab !== "transfer" || !selectedToken) return;
+    try {
+      const total = batchRows.reduce((sum, row) => {
+        const value = parseFloat(row.amount);
+        if (!row.amount || isNaN(value) || value <= 0) return sum;
+        return sum + BigInt(parseTokenAmount(row.amount, selectedToken.decimals));
+      }, 0n);
+      setAmount(
+        total > 0n ? ethers.formatUnits(total, selectedToken.decimals) : ""
+      );
+    } catch (error) {
+      console.warn("[PrivacyActions] Failed to total batch amounts:", error);
+      setAmount("");
+    }
+  }, [isBatchMode, activeTab, batchRows, selectedToken]);
+
   // Show memo field only for railgun/lexie recipients
   const shouldShowMemo = useMemo(() => {
     return (
@@ -1033,6 +1201,7 @@ const PrivacyActions = ({
         fromAddress: address,
         railgunAddress: railgunAddress,
         walletProvider: walletSigner, // Pass signer directly
+        railgunWalletID: railgunWalletId,
       });
 
       // Send the transaction to the blockchain
@@ -1197,6 +1366,7 @@ const PrivacyActions = ({
             tokenAddress: tokenAddr,
             decimals: selectedToken.decimals,
             amount: amount,
+            screening: result.screening, // Sanctions screening result for the timeline
           },
         })
           .then(async (result) => {
@@ -1785,6 +1955,7 @@ const PrivacyActions = ({
             recipientAddress: toAddress, // Add recipient address for unshield
             senderAddress: address, // Add sender address for unshield
             changeCommitment: result.changeCommitment, // For change notes
+            screening: result.screening, // Sanctions screening result for the timeline
           },
           listener: async (event) => {
             console.log(
@@ -2133,6 +2304,7 @@ const PrivacyActions = ({
     } catch (error) {
       console.error("[PrivacyActions] Unshield operation failed:", error);
       toast.dismiss(toastId);
+      const proofInterruption = takeProofInterruption(error);
 
       // Check for specific gas reclamation pricing error
       if (
@@ -2222,6 +2394,11 @@ const PrivacyActions = ({
         return;
       }
 
+      // Proof generation cancelled from the UI or timed out
+      else if (proofInterruption) {
+        showProofInterruptedToast(proofInterruption);
+      }
+
       // Check for specific SnarkJS proof generation failure
       else if (
         error.message &&
@@ -2617,6 +2794,7 @@ const PrivacyActions = ({
             gasFee: tx.gasFee,
             feeToken: tx.feeToken,
             memoText: memoText, // Add memo text
+            screening: tx.screening, // Sanctions screening result for the timeline
           },
         })
           .then(async (result) => {
@@ -2965,6 +3143,12 @@ const PrivacyActions = ({
         );
       }
 
+      const proofInterruption = takeProofInterruption(error);
+      if (proofInterruption) {
+        showProofInterruptedToast(proofInterruption);
+        return;
+      }
+
       const msg = (error?.message || "").toLowerCase();
       if (
         msg.includes("rejected") ||
@@ -3059,6 +3243,246 @@ const PrivacyActions = ({
     resetFormState,
   ]);
 
+  // Batch private transfer: many recipients, one proof, one relayed transaction
+  const handleBatchTransfer = useCallback(async () => {
+    if (!selectedToken || !isValidRailgunAddress(railgunAddress)) {
+      return;
+    }
+    if (!batchValidation.isValid) {
+      toast.error(batchValidation.error);
+      return;
+    }
+
+    setIsProcessing(true);
+    setIsTransactionLocked(true);
+
+    if (typeof window !== "undefined") {
+      window.dispatchEvent(new CustomEvent("privacy-transaction-start"));
+    }
+
+    setActiveTransactionMonitors((prev) => prev + 1);
+
+    const dispatchMonitorComplete = (detail) => {
+      if (typeof window !== "undefined") {
+        window.dispatchEvent(
+          new CustomEvent("transaction-monitor-complete", {
+            detail: { transactionType: "transfer", ...detail },
+          })
+        );
+      }
+    };
+
+    let toastId;
+
+    try {
+      toastId = toast.custom((t) => (
+        <div
+          className={`font-mono ${
+            t.visible ? "animate-enter" : "animate-leave"
+          }`}
+        >
+          <div className="text-green-200 border rounded-lg shadow-2xl border-green-500/30 bg-black/90">
+            <div className="flex items-center gap-3 px-4 py-3">
+              <div className="w-3 h-3 rounded-full bg-emerald-400" />
+              <div>
+                <div className="text-sm">Preparing batch transaction…</div>
+                <div className="text-xs text-green-400/80">
+                  {batchRows.length} recipients in a single proof
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      ));
+
+      const encryptionKey = await getEncryptionKey();
+      const tokenAddr = getTokenAddress(selectedToken);
+
+      const tx = await privateBatchTransfer({
+        chainId,
+        railgunWalletID: railgunWalletId,
+        encryptionKey,
+        tokenAddress: tokenAddr,
+        recipients: batchRows.map((row) => ({
+          recipient: row.recipient,
+          amount: parseTokenAmount(row.amount, selectedToken.decimals),
+          memo: row.memo,
+        })),
+        memoText,
+      });
+
+      toast.dismiss(toastId);
+      toast.custom(
+        (t) => (
+          <div
+            className={`font-mono ${
+              t.visible ? "animate-enter" : "animate-leave"
+            }`}
+          >
+            <div className="text-green-200 border rounded-lg shadow-2xl border-green-500/30 bg-black/90">
+              <div className="flex items-center gap-3 px-4 py-3">
+                <div className="w-3 h-3 rounded-full bg-emerald-400" />
+                <div>
+                  <div className="text-sm">
+                    Batch sent to {tx.recipients.length} recipients
+                  </div>
+                  <div className="text-xs text-green-400/80">
+                    TX: {tx.txHash}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        ),
+        { duration: 3000 }
+      );
+
+      setTimeout(() => {
+        window.dispatchEvent(new CustomEvent("transaction-history-refresh"));
+      }, 3000);
+
+      try {
+        const { monitorTransactionInGraph } = await import(
+          "../utils/railgun/transactionMonitor.js"
+        );
+
+        monitorTransactionInGraph({
+          txHash: tx.txHash,
+          chainId,
+          transactionType: "transfer",
+          maxWaitTime: 60000,
+          transactionDetails: {
+            walletId: railgunWalletId,
+            walletAddress: address,
+            railgunAddress: railgunAddress,
+            tokenSymbol: selectedToken.symbol,
+            tokenAddress: tokenAddr,
+            decimals: selectedToken.decimals,
+            amount: tx.totalAmount,
+            displayAmount: amount,
+            recipientAddress: tx.recipients[0]?.recipientAddress,
+            combinedRelayerFee: tx.combinedRelayerFee,
+            relayerFee: tx.relayerFee,
+            gasFee: tx.gasFee,
+            feeToken: tx.feeToken,
+            memoText: memoText,
+            screening: tx.screening,
+            // Per-recipient breakdown shown in history
+            recipients: tx.recipients.map((recipient) => ({
+              ...recipient,
+              displayAmount: ethers.formatUnits(
+                recipient.amount,
+                selectedToken.decimals
+              ),
+            })),
+          },
+        })
+          .then(async (result) => {
+            if (!result.found) {
+              console.warn(
+                "[PrivacyActions] Batch transfer monitoring timed out - assuming success"
+              );
+              try {
+                const { syncBalancesAfterTransaction } = await import(
+                  "../utils/railgun/syncBalances.js"
+                );
+                await syncBalancesAfterTransaction({
+                  walletAddress: address,
+                  walletId: railgunWalletId,
+                  chainId,
+                });
+              } catch (balanceError) {
+                console.warn(
+                  "[PrivacyActions] ⚠️ Balance refresh failed after batch transfer:",
+                  balanceError?.message
+                );
+              }
+            }
+            dispatchMonitorComplete({
+              found: result.found,
+              elapsedTime: result.elapsedTime,
+            });
+          })
+          .catch((error) => {
+            console.error(
+              "[PrivacyActions] Batch transfer monitoring failed:",
+              error
+            );
+            dispatchMonitorComplete({ found: false, error: error.message });
+          });
+      } catch (error) {
+        console.error(
+          "[PrivacyActions] Failed to start batch transfer monitoring:",
+          error
+        );
+        dispatchMonitorComplete({ found: false, error: error.message });
+      }
+    } catch (error) {
+      console.error("[PrivacyActions] Batch transfer failed:", error);
+      toast.dismiss(toastId);
+      dispatchMonitorComplete({
+        found: false,
+        elapsedTime: 0,
+        error: error.message,
+      });
+
+      const proofInterruption = takeProofInterruption(error);
+      if (proofInterruption) {
+        showProofInterruptedToast(proofInterruption);
+        return;
+      }
+
+      toast.custom(
+        (t) => (
+          <div
+            className={`font-mono ${
+              t.visible ? "animate-enter" : "animate-leave"
+            }`}
+          >
+            <div className="text-green-200 border rounded-lg shadow-2xl border-green-500/30 bg-black/90">
+              <div className="flex items-center gap-3 px-4 py-3">
+                <div className="w-3 h-3 bg-red-400 rounded-full" />
+                <div>
+                  <div className="text-sm">Failed to send batch</div>
+                  <div className="text-xs text-green-400/80">
+                    {error.message}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  aria-label="Dismiss"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    toast.dismiss(t.id);
+                  }}
+                  className="flex items-center justify-center w-5 h-5 ml-2 rounded cursor-pointer hover:bg-green-900/30 text-green-300/80"
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+          </div>
+        ),
+        { duration: 4000 }
+      );
+    } finally {
+      resetFormState();
+    }
+  }, [
+    selectedToken,
+    amount,
+    batchRows,
+    batchValidation,
+    memoText,
+    address,
+    railgunAddress,
+    railgunWalletId,
+    chainId,
+    getEncryptionKey,
+    resetFormState,
+  ]);
+
   // Handle form submission with smart routing
   const handleSubmit = useCallback(
     (e) => {
@@ -3070,7 +3494,12 @@ const PrivacyActions = ({
         // Remove tab: always unshield to connected wallet
         handleUnshield();
       } else if (activeTab === "transfer") {
-        // Send tab: smart routing based on recipient type
+        // Send tab: batch mode always sends privately to many recipients
+        if (isBatchMode) {
+          handleBatchTransfer();
+          return;
+        }
+        // Smart routing based on recipient type
         if (recipientType === "eoa") {
           // EOA address: unshield to that address
           handleUnshield();
@@ -3080,7 +3509,15 @@ const PrivacyActions = ({
         }
       }
     },
-    [activeTab, recipientType, handleShield, handleUnshield, handleTransfer]
+    [
+      activeTab,
+      recipientType,
+      isBatchMode,
+      handleShield,
+      handleUnshield,
+      handleTransfer,
+      handleBatchTransfer,
+    ]
   );
 
   // Show loading state
@@ -3243,11 +3680,154 @@ const PrivacyActions = ({
 
       {/* Content */}
       <div className="p-6 text-green-300">
+        {/* Tokens / NFTs toggle - asset-moving tabs only */}
+        {["shield", "transfer", "unshield"].includes(activeTab) &&
+          !showPayoutImport && (
+            <div className="flex gap-2 mb-4 text-xs">
+              {[
+                { id: "tokens", label: "Tokens" },
+                { id: "nfts", label: "NFTs" },
+              ].map((kind) => (
+                <button
+                  key={kind.id}
+                  type="button"
+                  onClick={() => setAssetKind(kind.id)}
+                  disabled={isTransactionLocked}
+                  className={`px-2 py-1 border rounded disabled:opacity-50 disabled:cursor-not-allowed ${
+                    assetKind === kind.id
+                      ? "bg-emerald-600/30 text-emerald-200 border-emerald-400/40"
+                      : "text-green-400 border-green-500/40 hover:bg-green-900/20"
+                  }`}
+                >
+                  {kind.label}
+                </button>
+              ))}
+            </div>
+          )}
         {activeTab === "receive" ? (
           // Receive tab content - Payment link generator
           <div className="space-y-6">
             {/* Network selection removed – link uses active network automatically */}
 
+            {/* Request details - all optional, signed into the link by this vault */}
+            <div className="space-y-3">
+              <div>
+                <label className="block mb-1 text-sm font-medium text-green-300">
+                  Token
+                </label>
+                <select
+                  value={selectedToken?.address || ""}
+                  onChange={(e) =>
+                    setSelectedToken(
+                      availableTokens.find(
+                        (token) => (token.address || "") === e.target.value
+                      ) || null
+                    )
+                  }
+                  className="w-full px-3 py-2 text-sm text-green-200 bg-black border rounded border-green-500/40"
+                >
+                  {availableTokens.map((token) => (
+                    <option key={token.address || "native"} value={token.address || ""}>
+                      {token.symbol}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block mb-1 text-sm font-medium text-green-300">
+                  Amount <span className="text-green-400/60">(optional)</span>
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={requestAmount}
+                    onChange={(e) => setRequestAmount(e.target.value)}
+                    placeholder="Any amount"
+                    className="flex-1 w-full min-w-0 px-3 py-2 text-sm text-green-200 bg-black border rounded border-green-500/40"
+                  />
+                  {[
+                    { mode: PAYMENT_AMOUNT_MODES.FIXED, label: "Exact" },
+                    { mode: PAYMENT_AMOUNT_MODES.MIN, label: "Minimum" },
+                  ].map(({ mode, label }) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setRequestAmountMode(mode)}
+                      disabled={!requestAmount}
+                      className={`px-3 py-2 text-xs border rounded disabled:opacity-50 ${
+                        requestAmountMode === mode
+                          ? "bg-emerald-600/30 text-emerald-200 border-emerald-400/40"
+                          : "bg-black text-green-300 border-green-500/40 hover:bg-green-900/20"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className="block mb-1 text-sm font-medium text-green-300">
+                  Memo <span className="text-green-400/60">(optional)</span>
+                </label>
+                <input
+                  type="text"
+                  value={requestMemo}
+                  onChange={(e) => setRequestMemo(e.target.value)}
+                  maxLength={MAX_PAYMENT_MEMO_LENGTH}
+                  placeholder="What is this payment for?"
+                  className="w-full px-3 py-2 text-sm text-green-200 bg-black border rounded border-green-500/40"
+                />
+              </div>
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                <div>
+                  <label className="block mb-1 text-sm font-medium text-green-300">
+                    Expires
+                  </label>
+                  <select
+                    value={requestExpiryHours}
+                    onChange={(e) => setRequestExpiryHours(e.target.value)}
+                    className="w-full px-3 py-2 text-sm text-green-200 bg-black border rounded border-green-500/40"
+                  >
+                    <option value="">Never</option>
+                    <option value="1">In 1 hour</option>
+                    <option value="24">In 24 hours</option>
+                    <option value="168">In 7 days</option>
+                    <option value="720">In 30 days</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block mb-1 text-sm font-medium text-green-300">
+                    Invoice ID
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={requestInvoiceId}
+                      onChange={(e) => setRequestInvoiceId(e.target.value)}
+                      className="flex-1 w-full min-w-0 px-3 py-2 text-sm text-green-200 bg-black border rounded border-green-500/40"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setRequestInvoiceId(generateInvoiceId())}
+                      className="px-3 py-2 text-xs text-green-300 bg-black border rounded border-green-500/40 hover:bg-green-900/20"
+                      title="Generate a new invoice ID"
+                    >
+                      New
+                    </button>
+                  </div>
+                </div>
+              </div>
+              {paymentLinkError && (
+                <p className="text-xs text-red-300">{paymentLinkError}</p>
+              )}
+              {!railgunWalletId && (
+                <p className="text-xs text-green-400/70">
+                  Waiting for your vault to sign the payment link...
+                </p>
+              )}
+            </div>
+
             {/* QR Code */}
             {paymentLink && (
               <div className="space-y-4">
@@ -3280,6 +3860,7 @@ const PrivacyActions = ({
                     type="button"
                     onClick={() => {
                       navigator.clipboard.writeText(paymentLink);
+                      handleTrackPaymentRequest();
                       toast.custom(
                         (t) => (
                           <div
@@ -3320,6 +3901,24 @@ const PrivacyActions = ({
                     Copy
                   </button>
                 </div>
+                {signedPaymentRequest?.invoiceId && (
+                  <div className="flex items-center justify-between gap-2 text-xs">
+                    <span className="text-green-400/70">
+                      {isPaymentRequestTracked
+                        ? `Tracking ${signedPaymentRequest.invoiceId} in Requests`
+                        : "Copied links are tracked in Requests automatically"}
+                    </span>
+                    {!isPaymentRequestTracked && (
+                      <button
+                        type="button"
+                        onClick={handleTrackPaymentRequest}
+                        className="px-3 py-1 text-green-300 bg-black border rounded border-green-500/40 hover:bg-green-900/20"
+                      >
+                        Save to Requests
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             )}
 
@@ -3332,6 +3931,7 @@ const PrivacyActions = ({
                 <li>• Share the payment link or QR code with others</li>
                 <li>• They can click the link to fund your vault directly</li>
                 <li>• Funds are deposited into your vault automatically</li>
+                <li>• Links are signed by your vault, so edited or expired links are refused</li>
               </ul>
             </div>
           </div>
@@ -3449,9 +4049,56 @@ const PrivacyActions = ({
               </div>
             )}
           </div>
+        ) : activeTab === "swap" ? (
+          <PrivateSwap
+            privateBalances={privateBalances}
+            getEncryptionKey={getEncryptionKey}
+            onSwapSent={() => refreshAllBalances()}
+            disabled={isTransactionLocked || isProcessing}
+          />
+        ) : activeTab === "recipes" ? (
+          <RecipeActions
+            privateBalances={privateBalances}
+            getEncryptionKey={getEncryptionKey}
+            onRecipeSent={() => refreshAllBalances()}
+            disabled={isTransactionLocked || isProcessing}
+          />
+        ) : assetKind === "nfts" &&
+          ["shield", "transfer", "unshield"].includes(activeTab) ? (
+          <NFTActions
+            mode={activeTab}
+            getEncryptionKey={getEncryptionKey}
+            disabled={isTransactionLocked || isProcessing}
+          />
+        ) : showPayoutImport &&
+          (activeTab === "transfer" || activeTab === "unshield") ? (
+          <BatchPayoutImport
+            chainId={chainId}
+            railgunWalletId={railgunWalletId}
+            railgunAddress={railgunAddress}
+            address={address}
+            walletProvider={walletProvider}
+            getEncryptionKey={getEncryptionKey}
+            availableTokens={availableTokens}
+            onRunningChange={setIsTransactionLocked}
+            onClose={() => setShowPayoutImport(false)}
+          />
         ) : (
           // Original form content for other tabs
           <form onSubmit={handleSubmit} className="space-y-6">
+            {(activeTab === "transfer" || activeTab === "unshield") && (
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => setShowPayoutImport(true)}
+                  disabled={isTransactionLocked}
+                  className="px-2 py-1 text-xs text-green-400 border rounded hover:text-green-300 border-green-500/40 hover:bg-green-900/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Import CSV payout
+                </button>
+              </div>
+            )}
+
             {/* Token Selection */}
             <div>
               <label className="block mb-2 text-sm font-medium text-green-300">
@@ -3471,7 +4118,8 @@ const PrivacyActions = ({
                       : "hover:bg-green-900/20"
                   }`}
                 >
-                  <span>
+                  <span className="flex items-center gap-2">
+                    {selectedToken && <TokenLogo token={selectedToken} />}
                     {selectedToken
                       ? `${selectedToken.symbol} - ${formatBalance(
                           selectedToken.numericBalance
@@ -3501,8 +4149,9 @@ const PrivacyActions = ({
                           setSelectedToken(token);
                           setIsTokenMenuOpen(false);
                         }}
-                        className="w-full px-3 py-2 text-left hover:bg-emerald-900/30 focus:bg-emerald-900/30 focus:outline-none"
+                        className="flex items-center w-full gap-2 px-3 py-2 text-left hover:bg-emerald-900/30 focus:bg-emerald-900/30 focus:outline-none"
                       >
+                        <TokenLogo token={token} />
                         {token.symbol} - {formatBalance(token.numericBalance)}{" "}
                         available
                         {token.balanceUSD !== undefined && (
@@ -3521,12 +4170,33 @@ const PrivacyActions = ({
                   </div>
                 )}
               </div>
+              {activeTab === "shield" &&
+                (showAddToken ? (
+                  <div className="mt-2">
+                    <AddCustomTokenForm
+                      chainId={chainId}
+                      walletAddress={address}
+                      onAdded={() => setShowAddToken(false)}
+                      onClose={() => setShowAddToken(false)}
+                    />
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setShowAddToken(true)}
+                    className="mt-1 text-xs text-green-400/80 hover:text-green-300 hover:underline"
+                  >
+                    + Add token by address
+                  </button>
+                ))}
             </div>
 
             {/* Amount Input */}
             <div>
               <label className="block mb-2 text-sm font-medium text-green-300">
-                Amount
+                {activeTab === "transfer" && isBatchMode
+                  ? "Total Amount"
+                  : "Amount"}
               </label>
               <div className="relative">
                 <input
@@ -3539,8 +4209,9 @@ const PrivacyActions = ({
                   min="0"
                   className="w-full px-3 py-2 text-green-200 bg-black border rounded border-green-500/40"
                   disabled={!selectedToken}
+                  readOnly={activeTab === "transfer" && isBatchMode}
                 />
-                {selectedToken && (
+                {selectedToken && !(activeTab === "transfer" && isBatchMode) && (
                   <button
                     type="button"
                     onClick={() => {
@@ -3629,8 +4300,64 @@ const PrivacyActions = ({
               )}
             </div>
 
-            {/* Recipient Address - only for send tab */}
+            {/* Single / Batch toggle - only for send tab */}
             {activeTab === "transfer" && (
+              <div className="flex gap-2 text-xs">
+                {[
+                  { id: false, label: "Single recipient" },
+                  { id: true, label: "Batch (one proof)" },
+                ].map((mode) => (
+                  <button
+                    key={mode.label}
+                    type="button"
+                    onClick={() => {
+                      setIsBatchMode(mode.id);
+                      setAmount("");
+                    }}
+                    className={`px-2 py-1 border rounded ${
+                      isBatchMode === mode.id
+                        ? "bg-emerald-600/30 text-emerald-200 border-emerald-400/40"
+                        : "text-green-400 border-green-500/40 hover:bg-green-900/20"
+                    }`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Batch recipients - send tab in batch mode */}
+            {activeTab === "transfer" && isBatchMode && (
+              <div className="space-y-4">
+                <BatchRecipientsEditor
+                  rows={batchRows}
+                  onChange={setBatchRows}
+                  rowErrors={batchValidation.details?.rowErrors || []}
+                  tokenSymbol={selectedToken?.symbol}
+                  maxRows={MAX_BATCH_TRANSFER_RECIPIENTS}
+                  disabled={isProcessing || isTransactionLocked}
+                />
+                <div>
+                  <label className="block mb-2 text-sm font-medium text-green-300">
+                    Shared Memo (optional)
+                  </label>
+                  <input
+                    type="text"
+                    value={memoText}
+                    onChange={(e) => setMemoText(e.target.value)}
+                    placeholder="March contributor payouts"
+                    className="w-full px-3 py-2 text-green-200 bg-black border rounded border-green-500/40"
+                  />
+                  <p className="mt-1 text-sm text-green-400/70">
+                    The shared memo is encrypted for every recipient. Per-recipient
+                    memos are saved to your history only.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Recipient Address - only for send tab */}
+            {activeTab === "transfer" && !isBatchMode && (
               <div className="space-y-4">
                 <div>
                   <div className="flex items-center justify-between mb-2">
@@ -3696,6 +4423,32 @@ const PrivacyActions = ({
                     placeholder="0x...or LexieID"
                     className="w-full px-3 py-2 text-green-200 bg-black border rounded border-green-500/40"
                   />
+                  {/* Own sub-vaults as one-click private transfer targets */}
+                  {vaults?.length > 1 && (
+                    <div className="flex flex-wrap items-center gap-1 mt-2 text-xs">
+                      <span className="text-green-400/70">My vaults:</span>
+                      {vaults
+                        .filter((vault) => vault.walletId !== railgunWalletId)
+                        .map((vault) => (
+                          <button
+                            key={vault.walletId}
+                            type="button"
+                            onClick={() => {
+                              setRecipientAddress(vault.railgunAddress);
+                              setShowSuggestions(false);
+                            }}
+                            className={`px-2 py-0.5 rounded border transition-colors ${
+                              recipientAddress === vault.railgunAddress
+                                ? "border-emerald-400 text-emerald-200 bg-emerald-900/30"
+                                : "border-green-500/40 text-green-300 hover:bg-green-900/20"
+                            }`}
+                            title={vault.railgunAddress}
+                          >
+                            {vault.name}
+                          </button>
+                        ))}
+                    </div>
+                  )}
                   <div className="mt-1 text-xs text-green-400/70">
                     {recipientType === "eoa" && "Will send to public address"}
                     {recipientType === "railgun" &&
@@ -3803,7 +4556,9 @@ const PrivacyActions = ({
                 !selectedToken ||
                 (!gasFeeData && activeTab !== "shield") ||
                 (activeTab === "transfer" &&
-                  (!recipientAddress || recipientType === "invalid"))
+                  (isBatchMode
+                    ? !batchValidation.isValid
+                    : !recipientAddress || recipientType === "invalid"))
               }
               className={`w-full py-3 px-4 rounded font-medium transition-colors ${
                 isValidAmount &&
@@ -3813,7 +4568,9 @@ const PrivacyActions = ({
                 selectedToken &&
                 (gasFeeData || activeTab === "shield") &&
                 (activeTab !== "transfer" ||
-                  (recipientAddress && recipientType !== "invalid"))
+                  (isBatchMode
+                    ? batchValidation.isValid
+                    : recipientAddress && recipientType !== "invalid"))
                   ? "bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 border border-emerald-400/40"
                   : "bg-black/40 text-green-400/50 border border-green-500/20 cursor-not-allowed"
               }`}
@@ -3835,12 +4592,19 @@ const PrivacyActions = ({
                     : activeTab === "unshield"
                     ? "Remove"
                     : "Send"
-                } ${selectedToken?.symbol || "Token"}`
+                } ${selectedToken?.symbol || "Token"}${
+                  activeTab === "transfer" && isBatchMode
+                    ? ` to ${batchRows.length} recipients`
+                    : ""
+                }`
               )}
             </button>
           </form>
         )}
 
+        {/* Proof generation progress (any tab) */}
+        <ProofProgress />
+
         {/* Info */}
         <div className="p-4 mt-6 border rounded bg-black/60 border-green-500/20">
           <div className="flex">
@@ -0,0 +1,437 @@
+/**
+ * Private Swap
+ * Swap vault tokens without leaving the vault: unshield into Relay Adapt, swap on a DEX,
+ * reshield the output. Shows the quote (rate, slippage, min-out, price impact, fees)
+ * and the gas estimate before any proof is generated.
+ * Rendered by PrivacyActions on the Swap tab.
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { toast } from "react-hot-toast";
+import { parseUnits, formatUnits } from "ethers";
+import { useWallet } from "../contexts/WalletContext";
+import { getTokenListTokens } from "../utils/tokenlists/registry.js";
+import { getSwapQuote, isSwapQuoteExpired } from "../utils/swap/swap-service.js";
+import { preparePrivateSwap, executePrivateSwap } from "../utils/railgun/actions";
+import { getNativeTokenSymbol } from "../config/chains.js";
+import { SWAP_CONFIG } from "../config/environment.js";
+
+// How long to wait for the swap to mine before refreshing balances
+const RECEIPT_TIMEOUT_MS = 120000;
+const SLIPPAGE_PRESETS_BPS = [10, 50, 100];
+const HIGH_IMPACT_BPS = 300;
+const BLOCKING_IMPACT_BPS = 1500;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const NATIVE_PLACEHOLDER = "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+const formatAmount = (amount, decimals, maxFraction = 6) => {
+  const value = Number(formatUnits(amount, decimals));
+  return value.toLocaleString(undefined, { maximumFractionDigits: maxFraction });
+};
+
+const formatBps = (bps) => (bps === null || bps === undefined ? "—" : `${(bps / 100).toFixed(2)}%`);
+
+// Relay Adapt can only reshield ERC20s, so native-token placeholders are excluded
+const isSwappableAddress = (address) => {
+  const normalized = String(address || "").toLowerCase();
+  return /^0x[0-9a-f]{40}$/.test(normalized) && normalized !== ZERO_ADDRESS && normalized !== NATIVE_PLACEHOLDER;
+};
+
+// Private balances carry a wei string, but optimistic updates may leave a decimal one behind
+const getBalanceUnits = (token) => {
+  try {
+    return BigInt(token.balance || 0);
+  } catch {
+    return parseUnits(Number(token.numericBalance || 0).toFixed(Number(token.decimals)), Number(token.decimals));
+  }
+};
+
+const toSwapToken = (token) => ({
+  address: token.tokenAddress || token.address,
+  symbol: token.symbol,
+  decimals: Number(token.decimals),
+});
+
+const PrivateSwap = ({ privateBalances = [], getEncryptionKey, onSwapSent, disabled = false }) => {
+  const { chainId, railgunAddress, railgunWalletId, walletProvider } = useWallet();
+
+  const [sellAddress, setSellAddress] = useState("");
+  const [buyAddress, setBuyAddress] = useState("");
+  const [amount, setAmount] = useState("");
+  const [slippageBps, setSlippageBps] = useState(SWAP_CONFIG.defaultSlippageBps);
+  const [customSlippage, setCustomSlippage] = useState("");
+  const [quote, setQuote] = useState(null);
+  const [prepared, setPrepared] = useState(null);
+  const [isQuoting, setIsQuoting] = useState(false);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [isSwapping, setIsSwapping] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const sellOptions = useMemo(
+    () => privateBalances.filter((token) => token.hasBalance && isSwappableAddress(token.tokenAddress || token.address)),
+    [privateBalances]
+  );
+
+  // Vault tokens first, then the token lists for the chain
+  const buyOptions = useMemo(() => {
+    const seen = new Set();
+    return [...privateBalances, ...getTokenListTokens(chainId)]
+      .filter((token) => {
+        const address = String(token.tokenAddress || token.address || "").toLowerCase();
+        if (!isSwappableAddress(address) || address === sellAddress || seen.has(address)) return false;
+        seen.add(address);
+        return token.decimals !== undefined && token.decimals !== null;
+      });
+  }, [privateBalances, chainId, sellAddress]);
+
+  const sellToken = sellOptions.find((token) => (token.tokenAddress || token.address).toLowerCase() === sellAddress);
+  const buyToken = buyOptions.find((token) => (token.tokenAddress || token.address).toLowerCase() === buyAddress);
+
+  const sellAmount = useMemo(() => {
+    if (!sellToken || !amount) return null;
+    try {
+      const parsed = parseUnits(amount, Number(sellToken.decimals));
+      return parsed > 0n ? parsed : null;
+    } catch {
+      return null;
+    }
+  }, [amount, sellToken]);
+
+  const exceedsBalance = sellToken && sellAmount !== null && sellAmount > getBalanceUnits(sellToken);
+
+  // Any input change invalidates the quote and its prepared calls
+  useEffect(() => {
+    setQuote(null);
+    setPrepared(null);
+    setError(null);
+  }, [sellAddress, buyAddress, amount, slippageBps, chainId]);
+
+  useEffect(() => {
+    if (!quote) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [quote]);
+
+  const quoteExpired = quote && isSwapQuoteExpired(quote, now);
+  const impactBps = quote?.priceImpactBps ?? 0;
+  const isBusy = disabled || isQuoting || isPreparing || isSwapping;
+
+  const handleSlippageInput = (value) => {
+    setCustomSlippage(value);
+    const percent = Number(value);
+    if (value !== "" && Number.isFinite(percent) && percent >= 0) {
+      setSlippageBps(Math.round(percent * 100));
+    }
+  };
+
+  const handleQuote = async () => {
+    if (!sellToken || !buyToken || !sellAmount) return;
+    setIsQuoting(true);
+    setError(null);
+    setPrepared(null);
+    try {
+      const result = await getSwapQuote({
+        chainId,
+        sellToken: toSwapToken(sellToken),
+        buyToken: toSwapToken(buyToken),
+        sellAmount,
+        slippageBps,
+      });
+      setQuote(result);
+      setNow(Date.now());
+    } catch (quoteError) {
+      console.error("[PrivateSwap] Quote failed:", quoteError);
+      setError(quoteError.message);
+    } finally {
+      setIsQuoting(false);
+    }
+  };
+
+  // Builds the Relay Adapt calls and dry-runs them for a gas estimate; no proof yet
+  const handlePrepare = async () => {
+    if (!quote || quoteExpired) return;
+    setIsPreparing(true);
+    setError(null);
+    try {
+      const encryptionKey = await getEncryptionKey();
+      const result = await preparePrivateSwap({
+        railgunWalletID: railgunWalletId,
+        encryptionKey,
+        railgunAddress,
+        quote,
+        walletProvider,
+      });
+      setPrepared(result);
+    } catch (prepareError) {
+      console.error("[PrivateSwap] Prepare failed:", prepareError);
+      setError(/reject/i.test(prepareError?.message || "") ? "Rejected by User" : prepareError.message);
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  const handleSwap = async () => {
+    if (!prepared || quoteExpired) return;
+    setIsSwapping(true);
+    setProgress(null);
+    try {
+      const encryptionKey = await getEncryptionKey();
+      const { transactionHash } = await executePrivateSwap({
+        railgunWalletID: railgunWalletId,
+        encryptionKey,
+        prepared,
+        walletProvider,
+        onProgress: setProgress,
+      });
+      toast.success(`Swap sent: ${transactionHash.slice(0, 10)}...`);
+      setAmount("");
+      setQuote(null);
+      setPrepared(null);
+
+      const signer = await walletProvider();
+      signer?.provider
+        ?.waitForTransaction(transactionHash, 1, RECEIPT_TIMEOUT_MS)
+        .catch((waitError) => console.warn("[PrivateSwap] Waiting for receipt failed:", waitError.message))
+        .finally(() => {
+          onSwapSent?.(transactionHash);
+          window.dispatchEvent(new CustomEvent("transaction-history-refresh"));
+        });
+    } catch (swapError) {
+      console.error("[PrivateSwap] Swap failed:", swapError);
+      toast.error(/reject/i.test(swapError?.message || "") ? "Rejected by User" : swapError.message);
+    } finally {
+      setIsSwapping(false);
+      setProgress(null);
+    }
+  };
+
+  const selectClass =
+    "w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm";
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <label className="text-xs text-green-400/70">Sell (from vault)</label>
+          <select
+            value={sellAddress}
+            onChange={(e) => setSellAddress(e.target.value)}
+            disabled={isBusy}
+            className={selectClass}
+          >
+            <option value="">Select token</option>
+            {sellOptions.map((token) => (
+              <option key={token.tokenAddress || token.address} value={(token.tokenAddress || token.address).toLowerCase()}>
+                {token.symbol} ({Number(token.numericBalance).toFixed(4)})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <label className="text-xs text-green-400/70">Buy (reshielded to vault)</label>
+          <select
+            value={buyAddress}
+            onChange={(e) => setBuyAddress(e.target.value)}
+            disabled={isBusy}
+            className={selectClass}
+          >
+            <option value="">Select token</option>
+            {buyOptions.map((token) => (
+              <option key={token.tokenAddress || token.address} value={(token.tokenAddress || token.address).toLowerCase()}>
+                {token.symbol}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs text-green-400/70">
+          <label>Amount</label>
+          {sellToken && (
+            <button
+              type="button"
+              onClick={() => setAmount(formatUnits(getBalanceUnits(sellToken), Number(sellToken.decimals)))}
+              disabled={isBusy}
+              className="underline hover:text-emerald-300 disabled:opacity-50"
+            >
+              max {Number(sellToken.numericBalance).toFixed(6)}
+            </button>
+          )}
+        </div>
+        <input
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          disabled={isBusy}
+          placeholder="0.0"
+          inputMode="decimal"
+          className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm"
+        />
+        {exceedsBalance && <div className="text-red-300 text-xs">Amount exceeds vault balance</div>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="text-green-400/70">Slippage</span>
+        {SLIPPAGE_PRESETS_BPS.map((bps) => (
+          <button
+            key={bps}
+            type="button"
+            onClick={() => {
+              setSlippageBps(bps);
+              setCustomSlippage("");
+            }}
+            disabled={isBusy}
+            className={`px-2 py-1 border rounded disabled:opacity-50 ${
+              slippageBps === bps && !customSlippage
+                ? "bg-emerald-600/30 text-emerald-200 border-emerald-400/40"
+                : "text-green-400 border-green-500/40 hover:bg-green-900/20"
+            }`}
+          >
+            {bps / 100}%
+          </button>
+        ))}
+        <input
+          value={customSlippage}
+          onChange={(e) => handleSlippageInput(e.target.value)}
+          disabled={isBusy}
+          placeholder="custom %"
+          inputMode="decimal"
+          className="w-20 bg-black text-green-200 rounded px-2 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none"
+        />
+        {slippageBps > SWAP_CONFIG.maxSlippageBps && (
+          <span className="text-red-300">max {SWAP_CONFIG.maxSlippageBps / 100}%</span>
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={handleQuote}
+        disabled={isBusy || !sellToken || !buyToken || !sellAmount || exceedsBalance}
+        className="w-full px-4 py-2 rounded border border-green-500/40 bg-black hover:bg-green-900/20 text-green-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isQuoting ? "Fetching quote..." : quote ? "Refresh quote" : "Get quote"}
+      </button>
+
+      {error && <div className="text-red-300 text-xs">{error}</div>}
+
+      {quote && (
+        <div className="border border-green-500/30 rounded p-3 space-y-1 text-xs">
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Rate</span>
+            <span className="text-green-200">
+              1 {quote.sellToken.symbol} ≈{" "}
+              {(
+                Number(formatUnits(quote.buyAmount, quote.buyToken.decimals)) /
+                Number(formatUnits(quote.swapAmount, quote.sellToken.decimals))
+              ).toLocaleString(undefined, { maximumSignificantDigits: 6 })}{" "}
+              {quote.buyToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">You receive (est.)</span>
+            <span className="text-green-200">
+              {formatAmount(quote.expectedReceived, quote.buyToken.decimals)} {quote.buyToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Minimum received ({formatBps(quote.slippageBps)} slippage)</span>
+            <span className="text-green-200">
+              {formatAmount(quote.minReceived, quote.buyToken.decimals)} {quote.buyToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Price impact</span>
+            <span
+              className={
+                impactBps >= BLOCKING_IMPACT_BPS
+                  ? "text-red-300"
+                  : impactBps >= HIGH_IMPACT_BPS
+                  ? "text-yellow-300"
+                  : "text-green-200"
+              }
+            >
+              {formatBps(quote.priceImpactBps)}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Railgun unshield fee ({formatBps(quote.railgunFeeBps)})</span>
+            <span className="text-green-200">
+              {formatAmount(quote.unshieldFee, quote.sellToken.decimals)} {quote.sellToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">DEX pool fee</span>
+            <span className="text-green-200">{formatBps(quote.dexFeeBps)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Railgun shield fee ({formatBps(quote.railgunFeeBps)})</span>
+            <span className="text-green-200">
+              {formatAmount(quote.shieldFee, quote.buyToken.decimals)} {quote.buyToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Network gas (paid by connected wallet)</span>
+            <span className="text-green-200">
+              {prepared
+                ? `${formatAmount(prepared.gasCostWei, 18)} ${getNativeTokenSymbol(chainId)}`
+                : "estimated on review"}
+            </span>
+          </div>
+          <div className="flex justify-between text-green-400/50">
+            <span>
+              via {quote.providerName}
+              {quote.route ? ` (${quote.route})` : ""}
+            </span>
+            <span>
+              {quoteExpired ? "quote expired" : `expires in ${Math.max(0, Math.ceil((quote.expiresAt - now) / 1000))}s`}
+            </span>
+          </div>
+          {impactBps >= HIGH_IMPACT_BPS && (
+            <div className={impactBps >= BLOCKING_IMPACT_BPS ? "text-red-300" : "text-yellow-300"}>
+              {impactBps >= BLOCKING_IMPACT_BPS
+                ? "Price impact is too high to swap. Try a smaller amount."
+                : "High price impact: you will receive noticeably less than the spot rate."}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="text-yellow-200/80 text-xs">
+        Swaps are sent from your connected wallet, which pays gas and is visible on-chain as the sender.
+        The swapped tokens go straight back into your vault.
+      </div>
+
+      {quote && !prepared && (
+        <button
+          type="button"
+          onClick={handlePrepare}
+          disabled={isBusy || quoteExpired || impactBps >= BLOCKING_IMPACT_BPS}
+          className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isPreparing ? "Estimating gas..." : "Review swap"}
+        </button>
+      )}
+
+      {prepared && (
+        <button
+          type="button"
+          onClick={handleSwap}
+          disabled={isBusy || quoteExpired}
+          className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSwapping
+            ? progress !== null
+              ? `Generating proof... ${Math.round(progress)}%`
+              : "Swapping..."
+            : quoteExpired
+            ? "Quote expired, refresh"
+            : `Confirm swap ${quote.sellToken.symbol} → ${quote.buyToken.symbol}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PrivateSwap;
@@ -0,0 +1,75 @@
+/**
+ * Proof Progress
+ * Live progress of the zero-knowledge proof being generated in the proof worker,
+ * with a Cancel button. Renders nothing while no proof is running.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  PROOF_PROGRESS_EVENT,
+  cancelProofGeneration,
+} from "../utils/railgun/proof-worker-client.js";
+
+const ProofProgress = () => {
+  const [proof, setProof] = useState(null);
+  const [elapsedSec, setElapsedSec] = useState(0);
+
+  useEffect(() => {
+    const onProgress = (e) => {
+      const detail = e.detail;
+      if (detail.status === "running") {
+        setProof((current) =>
+          current?.id === detail.id
+            ? { ...current, ...detail }
+            : { ...detail, startedAt: Date.now() - (detail.elapsedMs || 0) }
+        );
+      } else {
+        setProof(null);
+      }
+    };
+    window.addEventListener(PROOF_PROGRESS_EVENT, onProgress);
+    return () => window.removeEventListener(PROOF_PROGRESS_EVENT, onProgress);
+  }, []);
+
+  // Tick the elapsed time between worker progress messages (proving stages can take a while)
+  useEffect(() => {
+    if (!proof) return undefined;
+    const tick = () => setElapsedSec(Math.floor((Date.now() - proof.startedAt) / 1000));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [proof?.id, proof?.startedAt]);
+
+  if (!proof) return null;
+
+  const percent = Math.round((proof.progress || 0) * 100);
+
+  return (
+    <div className="p-3 mt-3 border rounded bg-black/40 border-emerald-500/30">
+      <div className="flex items-center justify-between gap-3 text-xs">
+        <div className="text-green-300">
+          Generating proof… {percent}%
+          <span className="text-green-400/60">
+            {" "}
+            ({proof.stage}, {elapsedSec}s)
+          </span>
+        </div>
+        <button
+          type="button"
+          onClick={() => cancelProofGeneration()}
+          className="px-2 py-0.5 text-red-300 border rounded bg-black hover:bg-red-900/30 border-red-500/40"
+        >
+          Cancel
+        </button>
+      </div>
+      <div className="h-1 mt-2 overflow-hidden rounded bg-green-900/40">
+        <div
+          className="h-full transition-all duration-500 bg-emerald-400"
+          style={{ width: `${Math.max(percent, 2)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ProofProgress;
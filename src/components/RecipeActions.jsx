@@ -0,0 +1,331 @@
+/**
+ * Recipe Actions
+ * Private DeFi recipes (wrap, staking, lending) run from the vault through Relay Adapt.
+ * Lists whatever the recipe registry offers on the current chain, so new integrations
+ * appear here without UI changes. Rendered by PrivacyActions on the DeFi tab.
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import { toast } from "react-hot-toast";
+import { parseUnits, formatUnits } from "ethers";
+import { useWallet } from "../contexts/WalletContext";
+import {
+  getRecipes,
+  RECIPE_CATEGORIES,
+  RECIPES_CHANGED_EVENT,
+} from "../utils/recipes/recipe-registry.js";
+import {
+  planRecipe,
+  prepareRecipe,
+  executeRecipe,
+  verifyRecipeResult,
+} from "../utils/railgun/actions";
+import { getNativeTokenSymbol } from "../config/chains.js";
+
+const formatAmount = (amount, decimals, maxFraction = 6) => {
+  const value = Number(formatUnits(amount, decimals));
+  return value.toLocaleString(undefined, { maximumFractionDigits: maxFraction });
+};
+
+const findBalance = (privateBalances, token) =>
+  privateBalances.find(
+    (balance) => String(balance.tokenAddress || balance.address || "").toLowerCase() === token.address.toLowerCase()
+  );
+
+// Private balances carry a wei string, but optimistic updates may leave a decimal one behind
+const getBalanceUnits = (balance, decimals) => {
+  if (!balance) return 0n;
+  try {
+    return BigInt(balance.balance || 0);
+  } catch {
+    return parseUnits(Number(balance.numericBalance || 0).toFixed(decimals), decimals);
+  }
+};
+
+const RecipeActions = ({ privateBalances = [], getEncryptionKey, onRecipeSent, disabled = false }) => {
+  const { chainId, railgunAddress, railgunWalletId, walletProvider } = useWallet();
+
+  const [registryVersion, setRegistryVersion] = useState(0);
+  const [recipeId, setRecipeId] = useState("");
+  const [amount, setAmount] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [prepared, setPrepared] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Plugins can register recipes at any time
+  useEffect(() => {
+    const onChanged = () => setRegistryVersion((version) => version + 1);
+    window.addEventListener(RECIPES_CHANGED_EVENT, onChanged);
+    return () => window.removeEventListener(RECIPES_CHANGED_EVENT, onChanged);
+  }, []);
+
+  const recipes = useMemo(() => (chainId ? getRecipes(chainId) : []), [chainId, registryVersion]);
+
+  const groupedRecipes = useMemo(() => {
+    const groups = {};
+    recipes.forEach((recipe) => {
+      (groups[recipe.category] = groups[recipe.category] || []).push(recipe);
+    });
+    return Object.entries(groups);
+  }, [recipes]);
+
+  const recipe = recipes.find((r) => r.id === recipeId) || null;
+  const tokens = recipe ? recipe.getTokens(chainId) : null;
+  const inputBalance = tokens ? findBalance(privateBalances, tokens.input) : null;
+  const inputBalanceUnits = tokens ? getBalanceUnits(inputBalance, tokens.input.decimals) : 0n;
+
+  const parsedAmount = useMemo(() => {
+    if (!tokens || !amount) return null;
+    try {
+      const parsed = parseUnits(amount, tokens.input.decimals);
+      return parsed > 0n ? parsed : null;
+    } catch {
+      return null;
+    }
+  }, [amount, tokens?.input.address, tokens?.input.decimals]);
+
+  const exceedsBalance = parsedAmount !== null && parsedAmount > inputBalanceUnits;
+  const isBusy = disabled || isPlanning || isPreparing || isRunning;
+
+  useEffect(() => {
+    setPlan(null);
+    setPrepared(null);
+    setError(null);
+  }, [recipeId, amount, chainId]);
+
+  const handlePlan = async () => {
+    if (!recipe || !parsedAmount) return;
+    setIsPlanning(true);
+    setError(null);
+    setPrepared(null);
+    try {
+      setPlan(await planRecipe({ recipeId: recipe.id, chainId, amount: parsedAmount }));
+    } catch (planError) {
+      console.error("[RecipeActions] Plan failed:", planError);
+      setError(planError.message);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handlePrepare = async () => {
+    if (!plan) return;
+    setIsPreparing(true);
+    setError(null);
+    try {
+      const encryptionKey = await getEncryptionKey();
+      setPrepared(
+        await prepareRecipe({
+          railgunWalletID: railgunWalletId,
+          encryptionKey,
+          railgunAddress,
+          plan,
+          walletProvider,
+        })
+      );
+    } catch (prepareError) {
+      console.error("[RecipeActions] Prepare failed:", prepareError);
+      setError(/reject/i.test(prepareError?.message || "") ? "Rejected by User" : prepareError.message);
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  const handleRun = async () => {
+    if (!prepared) return;
+    setIsRunning(true);
+    setProgress(null);
+    const runPrepared = prepared;
+    try {
+      const encryptionKey = await getEncryptionKey();
+      const { transactionHash } = await executeRecipe({
+        railgunWalletID: railgunWalletId,
+        encryptionKey,
+        prepared: runPrepared,
+        walletProvider,
+        onProgress: setProgress,
+      });
+      toast.success(`${runPrepared.plan.recipeName} sent: ${transactionHash.slice(0, 10)}...`);
+      setAmount("");
+      setPlan(null);
+      setPrepared(null);
+
+      verifyRecipeResult({ prepared: runPrepared, transactionHash, walletProvider })
+        .then((result) => {
+          if (result.isValid) {
+            toast.success(
+              `${formatAmount(result.shieldedAmount, runPrepared.plan.outputToken.decimals)} ${runPrepared.plan.outputToken.symbol} shielded to your vault`
+            );
+          } else {
+            toast.error(`${runPrepared.plan.recipeName}: ${result.error}`);
+          }
+        })
+        .catch((verifyError) => console.warn("[RecipeActions] Result check failed:", verifyError.message))
+        .finally(() => {
+          onRecipeSent?.(transactionHash);
+          window.dispatchEvent(new CustomEvent("transaction-history-refresh"));
+        });
+    } catch (runError) {
+      console.error("[RecipeActions] Recipe failed:", runError);
+      toast.error(/reject/i.test(runError?.message || "") ? "Rejected by User" : runError.message);
+    } finally {
+      setIsRunning(false);
+      setProgress(null);
+    }
+  };
+
+  if (recipes.length === 0) {
+    return (
+      <div className="text-center py-6 text-green-400/70 text-xs">
+        No DeFi recipes are available on this network yet.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-3">
+        {groupedRecipes.map(([category, categoryRecipes]) => (
+          <div key={category} className="space-y-1">
+            <div className="text-xs text-green-400/70">{RECIPE_CATEGORIES[category] || category}</div>
+            {categoryRecipes.map((item) => (
+              <button
+                key={item.id}
+                type="button"
+                onClick={() => setRecipeId(item.id)}
+                disabled={isBusy}
+                className={`w-full text-left px-3 py-2 border rounded text-xs disabled:opacity-50 ${
+                  recipeId === item.id
+                    ? "bg-emerald-600/20 border-emerald-400/60 text-emerald-200"
+                    : "border-green-500/30 text-green-300 hover:bg-green-900/20"
+                }`}
+              >
+                <div className="font-medium">{item.name}</div>
+                <div className="text-green-400/60">{item.description}</div>
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {recipe && tokens && (
+        <div className="space-y-1">
+          <div className="flex justify-between text-xs text-green-400/70">
+            <label>
+              Amount ({tokens.input.symbol} → {tokens.output.symbol})
+            </label>
+            <button
+              type="button"
+              onClick={() => setAmount(formatUnits(inputBalanceUnits, tokens.input.decimals))}
+              disabled={isBusy || inputBalanceUnits === 0n}
+              className="underline hover:text-emerald-300 disabled:opacity-50"
+            >
+              vault balance {formatAmount(inputBalanceUnits, tokens.input.decimals)}
+            </button>
+          </div>
+          <input
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            disabled={isBusy}
+            placeholder="0.0"
+            inputMode="decimal"
+            className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm"
+          />
+          {exceedsBalance && <div className="text-red-300 text-xs">Amount exceeds vault balance</div>}
+        </div>
+      )}
+
+      {recipe && (
+        <button
+          type="button"
+          onClick={handlePlan}
+          disabled={isBusy || !parsedAmount || exceedsBalance}
+          className="w-full px-4 py-2 rounded border border-green-500/40 bg-black hover:bg-green-900/20 text-green-200 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isPlanning ? "Quoting..." : plan ? "Refresh quote" : "Preview"}
+        </button>
+      )}
+
+      {error && <div className="text-red-300 text-xs">{error}</div>}
+
+      {plan && (
+        <div className="border border-green-500/30 rounded p-3 space-y-1 text-xs">
+          <div className="flex justify-between">
+            <span className="text-green-400/70">You receive (est.)</span>
+            <span className="text-green-200">
+              {formatAmount(plan.expectedReceived, plan.outputToken.decimals)} {plan.outputToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Minimum output</span>
+            <span className="text-green-200">
+              {formatAmount(plan.minOutput, plan.outputToken.decimals)} {plan.outputToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Railgun unshield fee ({plan.railgunFeeBps / 100}%)</span>
+            <span className="text-green-200">
+              {formatAmount(plan.unshieldFee, plan.inputToken.decimals)} {plan.inputToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Railgun shield fee ({plan.railgunFeeBps / 100}%)</span>
+            <span className="text-green-200">
+              {formatAmount(plan.shieldFee, plan.outputToken.decimals)} {plan.outputToken.symbol}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-green-400/70">Network gas (paid by connected wallet)</span>
+            <span className="text-green-200">
+              {prepared
+                ? `${formatAmount(prepared.gasCostWei, 18)} ${getNativeTokenSymbol(chainId)}`
+                : "estimated on review"}
+            </span>
+          </div>
+          {plan.notes.map((note) => (
+            <div key={note} className="text-yellow-300">
+              {note}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="text-yellow-200/80 text-xs">
+        Recipes are sent from your connected wallet, which pays gas and is visible on-chain as the sender.
+        The output goes straight back into your vault.
+      </div>
+
+      {plan && !prepared && (
+        <button
+          type="button"
+          onClick={handlePrepare}
+          disabled={isBusy}
+          className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isPreparing ? "Estimating gas..." : "Review"}
+        </button>
+      )}
+
+      {prepared && (
+        <button
+          type="button"
+          onClick={handleRun}
+          disabled={isBusy}
+          className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isRunning
+            ? progress !== null
+              ? `Generating proof... ${Math.round(progress)}%`
+              : "Running..."
+            : `Confirm: ${prepared.plan.recipeName}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RecipeActions;
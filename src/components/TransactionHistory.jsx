@@ -5,9 +5,11 @@
 
 import React, { useState } from 'react';
 import useTransactionHistory from '../hooks/useTransactionHistory';
-import { TransactionCategory, formatTokenAmount, getTokenDecimals, lookupLexieId } from '../utils/railgun/transactionHistory';
+import { TransactionCategory, formatTokenAmount, getTokenDecimals, lookupLexieId, getTransactionHistory } from '../utils/railgun/transactionHistory';
 import { useWallet } from '../contexts/WalletContext';
 import { useContacts } from '../hooks/useContacts';
+import { getExplorerTxUrl } from '../config/chains.js';
+import HistoryExportPanel from './HistoryExportPanel';
 
 // Component to display Lexie ID or Railgun address
 const LexieIdOrAddress = ({ railgunAddress, fallbackDisplay }) => {
@@ -82,12 +84,22 @@ const LexieIdOrAddress = ({ railgunAddress, fallbackDisplay }) => {
   );
 };
 
-const TransactionHistory = () => {
+/**
+ * @param {Object} props
+ * @param {string} [props.walletId] - Wallet to show instead of the connected vault (view-only mode)
+ * @param {number} [props.chainId] - Chain to show instead of the connected chain
+ * @param {string} [props.source] - 'backend' timeline or 'sdk' history of a loaded wallet
+ */
+const TransactionHistory = ({ walletId: walletIdOverride = null, chainId: chainIdOverride = null, source = 'backend' } = {}) => {
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [showExport, setShowExport] = useState(false);
 
   // Debug wallet context values
-  const { chainId, railgunWalletId, isRailgunInitialized, canUseRailgun, address } = useWallet();
+  const wallet = useWallet();
+  const { isRailgunInitialized, canUseRailgun, address } = wallet;
+  const chainId = chainIdOverride || wallet.chainId;
+  const railgunWalletId = walletIdOverride || wallet.railgunWalletId;
 
   // Contacts for address resolution
   const { contacts, searchContacts } = useContacts();
@@ -109,13 +121,20 @@ const TransactionHistory = () => {
     loading,
     error,
     lastUpdated,
+    cachedAt,
     refreshHistory,
     getTransactionsByType,
     searchTransactions,
     statistics,
     hasTransactions,
     isEmpty
-  } = useTransactionHistory({ autoLoad: true, limit: 100 });
+  } = useTransactionHistory({
+    autoLoad: true,
+    limit: 100,
+    walletId: walletIdOverride,
+    chainId: chainIdOverride,
+    source
+  });
 
 
   // Find contact name for an address
@@ -149,13 +168,7 @@ const TransactionHistory = () => {
 
   // Get block explorer URL for transaction
   const getBlockExplorerUrl = (chainId, txid) => {
-    const explorers = {
-      1: 'https://etherscan.io/tx/', // Ethereum
-      42161: 'https://arbiscan.io/tx/', // Arbitrum
-      137: 'https://polygonscan.com/tx/', // Polygon
-      56: 'https://bscscan.com/tx/' // BNB Chain
-    };
-    return explorers[chainId] ? `${explorers[chainId]}${txid}` : null;
+    return getExplorerTxUrl(chainId, txid);
   };
 
   // Format transaction type for display
@@ -228,18 +241,37 @@ const TransactionHistory = () => {
           </h3>
           <p className="text-green-400/80 text-sm mt-1">
             {statistics.total} total transactions
-            {lastUpdated && ` • Updated ${lastUpdated.toLocaleTimeString()}`}
+            {cachedAt
+              ? ` • Offline, cached ${cachedAt.toLocaleString()}`
+              : lastUpdated && ` • Updated ${lastUpdated.toLocaleTimeString()}`}
           </p>
         </div>
-        <button
-          onClick={refreshHistory}
-          disabled={loading}
-          className="px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 self-start sm:self-auto"
-        >
-          {loading ? 'Refreshing...' : 'Refresh'}
-        </button>
+        <div className="flex gap-2 self-start sm:self-auto">
+          <button
+            onClick={() => setShowExport(v => !v)}
+            disabled={!railgunWalletId || isEmpty}
+            className="px-4 py-2 bg-black hover:bg-green-900/20 text-green-200 rounded border border-green-500/40 transition-colors disabled:opacity-50"
+          >
+            Export
+          </button>
+          <button
+            onClick={refreshHistory}
+            disabled={loading}
+            className="px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
       </div>
 
+      {showExport && (
+        <HistoryExportPanel
+          walletId={railgunWalletId}
+          loadTimeline={source === 'sdk' ? () => getTransactionHistory(railgunWalletId, chainId) : null}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
       {/* Filters */}
       <div className="mb-6">
         <div className="flex flex-col sm:flex-row gap-3 mb-4">
@@ -364,6 +396,31 @@ const TransactionHistory = () => {
                   </div>
                 )}
 
+                {/* Per-recipient breakdown for batch transfers */}
+                {Array.isArray(tx.recipients) && tx.recipients.length > 1 && (
+                  <div className="mt-2 text-blue-300 break-words">
+                    <div className="text-blue-400/80">
+                      Batch recipients ({tx.recipients.length}):
+                    </div>
+                    {tx.recipients.map((recipient, index) => (
+                      <div key={`${recipient.recipientAddress}-${index}`} className="pl-2 mt-1">
+                        <div className="flex flex-col sm:flex-row sm:justify-between gap-1">
+                          <LexieIdOrAddress
+                            railgunAddress={recipient.recipientAddress}
+                            fallbackDisplay={`${recipient.recipientAddress?.slice(0, 8)}...${recipient.recipientAddress?.slice(-6)}`}
+                          />
+                          <span className="text-green-200">
+                            {recipient.displayAmount ?? recipient.amount}
+                          </span>
+                        </div>
+                        {recipient.memo && (
+                          <div className="text-purple-300">Memo: {recipient.memo}</div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* To/From Display for All Transaction Types */}
                 {(() => {
                   // Calculate toFrom field exactly like AdminHistoryPage
@@ -407,7 +464,7 @@ const TransactionHistory = () => {
                 })()}
 
                 {/* Recipient/Sender Address for Private Transfers */}
-                {tx.isPrivateTransfer && (tx.recipientAddress || tx.senderAddress) && (
+                {tx.isPrivateTransfer && !(tx.recipients?.length > 1) && (tx.recipientAddress || tx.senderAddress) && (
                   <div className="mt-1 text-blue-300 break-words">
                     {tx.transactionType === 'Receive Transaction' && tx.senderAddress ? (
                       <div>
@@ -0,0 +1,28 @@
+import React, { useState } from 'react';
+
+// Token logo from the token list's logoURI, falling back to the symbol's first letter
+export default function TokenLogo({ token, size = 'w-5 h-5', className = '' }) {
+  const [failed, setFailed] = useState(false);
+  const logoURI = token?.logoURI;
+
+  if (logoURI && !failed) {
+    return (
+      <img
+        src={logoURI}
+        alt={token?.symbol || ''}
+        loading="lazy"
+        onError={() => setFailed(true)}
+        className={`${size} rounded-full flex-shrink-0 ${className}`}
+      />
+    );
+  }
+
+  return (
+    <span
+      aria-hidden="true"
+      className={`${size} rounded-full flex-shrink-0 inline-flex items-center justify-center border border-green-500/40 text-[10px] text-green-300 ${className}`}
+    >
+      {(token?.symbol || '?').charAt(0).toUpperCase()}
+    </span>
+  );
+}
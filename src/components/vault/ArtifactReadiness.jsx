@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ARTIFACT_READINESS_EVENT,
+  getArtifactReadiness,
+  preloadArtifacts,
+} from '../../utils/railgun/artifactPreloader.js';
+
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+
+/**
+ * Boot-log line for proof circuit artifacts: starts the background preload for the
+ * wallet and shows which circuits are cached on expand
+ */
+const ArtifactReadiness = ({ railgunWalletId, chainId }) => {
+  const [readiness, setReadiness] = useState(getArtifactReadiness);
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    const onReadiness = (e) => setReadiness(e.detail);
+    window.addEventListener(ARTIFACT_READINESS_EVENT, onReadiness);
+    return () => window.removeEventListener(ARTIFACT_READINESS_EVENT, onReadiness);
+  }, []);
+
+  useEffect(() => {
+    if (!railgunWalletId || !chainId) return;
+    preloadArtifacts({ railgunWalletID: railgunWalletId, chainId }).catch((error) => {
+      console.warn('[ArtifactReadiness] Artifact preload failed:', error.message);
+    });
+  }, [railgunWalletId, chainId]);
+
+  const { targets, downloading, failed, cachedBytes } = readiness;
+  if (targets.length === 0) return null;
+
+  const readyCount = targets.filter((target) => target.ready).length;
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+        className="text-left hover:text-emerald-300"
+        title="Show proof circuit cache"
+      >
+        {readyCount === targets.length
+          ? `✓ Proof circuits ready (${readyCount}/${targets.length} cached)`
+          : downloading
+            ? `… Downloading proof circuits (${readyCount}/${targets.length})`
+            : `! Proof circuits ${readyCount}/${targets.length} cached, rest download on first use`}
+      </button>
+      {isExpanded && (
+        <div className="pl-4 space-y-0.5">
+          {targets.map((target) => (
+            <div
+              key={target.variant}
+              className={target.ready ? 'text-green-300' : failed.includes(target.variant) ? 'text-red-300' : 'text-yellow-300'}
+            >
+              {target.variant}: {target.ready ? 'cached' : downloading === target.variant ? 'downloading...' : failed.includes(target.variant) ? 'download failed' : 'queued'}
+            </div>
+          ))}
+          <div className="text-green-400/70">Cache size: {formatMB(cachedBytes)}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArtifactReadiness;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  isPasskeySupported,
+  hasPasskey,
+  enablePasskeyUnlock,
+  removePasskey,
+  isPasskeyCancelled,
+} from '../../utils/railgun/passkey.js';
+
+const PasskeyModal = ({ isOpen, onClose, address, walletId }) => {
+  const [isRegistered, setIsRegistered] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setIsRegistered(hasPasskey(address, walletId));
+    } else {
+      setError(null);
+    }
+  }, [isOpen, address, walletId]);
+
+  if (!isOpen) return null;
+
+  const supported = isPasskeySupported();
+
+  const handleEnable = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await enablePasskeyUnlock({ address, walletId });
+      setIsRegistered(true);
+      toast.success('Passkey unlock enabled');
+    } catch (enableError) {
+      console.error('[PasskeyModal] Passkey registration failed:', enableError);
+      setError(isPasskeyCancelled(enableError)
+        ? 'Passkey prompt was cancelled'
+        : enableError?.message || 'Failed to add passkey');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRemove = () => {
+    if (!removePasskey(address, walletId)) {
+      setError('Failed to remove passkey unlock');
+      return;
+    }
+    setError(null);
+    setIsRegistered(false);
+    toast('Passkey unlock removed');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-[1px] flex items-center justify-center z-50 p-4 font-mono">
+      <div className="bg-gray-900 border border-gray-700 rounded-lg shadow-2xl max-w-md w-full overflow-hidden scrollbar-none max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700 bg-gray-800">
+          <div className="flex items-center gap-3">
+            <span className="text-sm tracking-wide text-gray-400">vault-passkey</span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-green-400/70 hover:text-green-300 transition-colors text-lg"
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+        <div className="p-6 text-green-300 space-y-4 text-left">
+          <div>
+            <h3 className="text-lg font-bold text-emerald-300 mb-2">Passkey Unlock</h3>
+            <p className="text-green-400/80 text-sm">
+              Require Face ID, Touch ID, Windows Hello or a security key to unlock this vault in
+              this browser, instead of your wallet's stored signature.
+            </p>
+          </div>
+
+          <div className="bg-black/40 border border-green-500/20 rounded p-3 text-xs space-y-1">
+            <div>• The passkey only works in this browser.</div>
+            <div>• If the passkey is lost or fails, your wallet must sign again to unlock the vault.</div>
+            <div>• Cancelling the passkey prompt cancels the unlock.</div>
+            <div>• The authenticator must support the WebAuthn PRF extension.</div>
+          </div>
+
+          {!supported ? (
+            <div className="text-yellow-200/80 text-sm">Passkeys are not available in this browser.</div>
+          ) : isRegistered ? (
+            <div className="space-y-3">
+              <div className="bg-emerald-900/20 border border-emerald-500/40 rounded p-3 text-emerald-200 text-sm">
+                Passkey unlock is enabled for this vault.
+              </div>
+              <button
+                onClick={handleRemove}
+                className="w-full px-4 py-2 bg-black hover:bg-red-900/20 text-red-200 rounded border border-red-500/40 transition-colors"
+              >
+                Remove passkey unlock
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={handleEnable}
+              disabled={isWorking || !walletId}
+              className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isWorking ? 'Waiting for passkey...' : 'Add passkey'}
+            </button>
+          )}
+
+          {error && <div className="text-sm text-red-300">{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasskeyModal;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import { getWalletMetadata } from '../../contexts/WalletContext';
+import { deriveVaultEncryptionKey } from '../../utils/railgun/recovery-phrase.js';
+import {
+  PENDING_PROOFS_CHANGED_EVENT,
+  getPendingProvedTransactions,
+  resumePendingProvedTransaction,
+  clearPendingProvedTransaction,
+} from '../../utils/railgun/pending-proofs.js';
+import { CHAIN_LIST } from '../../config/chains.js';
+
+const getChainName = (chainId) => CHAIN_LIST.find((chain) => chain.id === Number(chainId))?.name || `Chain ${chainId}`;
+
+/**
+ * Proved-but-unsent transactions restored after a reload, with resume/discard.
+ * Proofs are decrypted with the same vault key the transaction was proved with.
+ */
+const PendingProofBanner = ({ address, railgunWalletId, chainId, walletProvider, disabled, onResumed }) => {
+  const [pending, setPending] = useState([]);
+  const [busyChainId, setBusyChainId] = useState(null);
+
+  const getProofKey = useCallback(async () => {
+    const metadata = await getWalletMetadata(address);
+    if (!metadata?.signature) {
+      throw new Error('Vault signature not found');
+    }
+    return deriveVaultEncryptionKey(metadata.signature, address);
+  }, [address]);
+
+  const loadPending = useCallback(async () => {
+    if (!address || !railgunWalletId) {
+      setPending([]);
+      return;
+    }
+    try {
+      setPending(await getPendingProvedTransactions(railgunWalletId, await getProofKey()));
+    } catch (error) {
+      console.warn('[PendingProofBanner] Could not load pending transactions:', error.message);
+      setPending([]);
+    }
+  }, [address, railgunWalletId, getProofKey]);
+
+  useEffect(() => {
+    loadPending();
+    const onChanged = (e) => {
+      if (e.detail?.walletID === railgunWalletId) {
+        loadPending();
+      }
+    };
+    window.addEventListener(PENDING_PROOFS_CHANGED_EVENT, onChanged);
+    return () => window.removeEventListener(PENDING_PROOFS_CHANGED_EVENT, onChanged);
+  }, [loadPending, railgunWalletId]);
+
+  const handleResume = async (entry) => {
+    setBusyChainId(entry.chainId);
+    try {
+      const { transactionHash } = await resumePendingProvedTransaction({
+        railgunWalletID: railgunWalletId,
+        chainId: entry.chainId,
+        encryptionKey: await getProofKey(),
+        walletProvider,
+      });
+      toast.success(`Pending transaction sent (${transactionHash.slice(0, 10)}...)`);
+      onResumed?.(transactionHash);
+    } catch (error) {
+      console.error('[PendingProofBanner] Resume failed:', error);
+      toast.error(error.message || 'Failed to resume transaction');
+      loadPending();
+    } finally {
+      setBusyChainId(null);
+    }
+  };
+
+  const handleDiscard = (entry) => {
+    clearPendingProvedTransaction(railgunWalletId, entry.chainId);
+    toast('Pending transaction discarded');
+  };
+
+  if (pending.length === 0) return null;
+
+  return (
+    <div className="mt-4 p-3 bg-emerald-900/20 border border-emerald-500/40 rounded-lg space-y-2">
+      <div className="text-emerald-300 text-sm font-medium">Resume pending transaction</div>
+      <div className="text-emerald-300/80 text-xs">
+        These transactions were proved but not sent before the page closed. Resuming skips proof generation.
+      </div>
+      {pending.map((entry) => {
+        const onOtherChain = Number(entry.chainId) !== Number(chainId);
+        return (
+          <div key={entry.chainId} className="flex items-center justify-between gap-3 text-xs">
+            <div className="text-green-300">
+              {entry.label || 'Private transaction'} on {getChainName(entry.chainId)}
+              <span className="text-green-400/60"> - proved {new Date(entry.createdAt).toLocaleTimeString()}</span>
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              {entry.submissionUnknown ? (
+                <span className="text-yellow-300/80" title="The relayer may already have sent it. It clears once confirmed; discard it if it never shows up in your history.">
+                  May already be sent
+                </span>
+              ) : (
+                <button
+                  onClick={() => handleResume(entry)}
+                  disabled={disabled || onOtherChain || busyChainId !== null}
+                  title={onOtherChain ? `Switch to ${getChainName(entry.chainId)} to resume` : ''}
+                  className="bg-emerald-600/30 hover:bg-emerald-600/50 disabled:opacity-50 disabled:cursor-not-allowed text-emerald-200 px-2 py-1 rounded border border-emerald-400/40"
+                >
+                  {busyChainId === entry.chainId ? 'Sending...' : 'Resume'}
+                </button>
+              )}
+              <button
+                onClick={() => handleDiscard(entry)}
+                disabled={busyChainId !== null}
+                className="bg-black hover:bg-red-900/30 disabled:opacity-50 text-red-300 px-2 py-1 rounded border border-red-500/40"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default PendingProofBanner;
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { revealRecoveryPhrase } from '../../utils/railgun/recovery-phrase.js';
+
+const AUTO_HIDE_MS = 2 * 60 * 1000;
+const CLIPBOARD_CLEAR_MS = 30 * 1000;
+
+const ACKNOWLEDGEMENTS = [
+  'Anyone with this phrase can take everything in my vault.',
+  'Lexie will never ask me for it.',
+  'I will store it offline and will not screenshot it.',
+];
+
+const RecoveryPhraseModal = ({ isOpen, onClose, address, walletId, signMessage }) => {
+  const [acknowledged, setAcknowledged] = useState(() => ACKNOWLEDGEMENTS.map(() => false));
+  const [mnemonic, setMnemonic] = useState('');
+  const [isSigning, setIsSigning] = useState(false);
+  const [isVisible, setIsVisible] = useState(false);
+  const [error, setError] = useState(null);
+  const clipboardTimerRef = useRef(null);
+
+  // Drop the phrase from memory whenever the modal closes
+  useEffect(() => {
+    if (!isOpen) {
+      setMnemonic('');
+      setIsVisible(false);
+      setError(null);
+      setAcknowledged(ACKNOWLEDGEMENTS.map(() => false));
+    }
+  }, [isOpen]);
+
+  // Hide the phrase again after a couple of minutes on screen
+  useEffect(() => {
+    if (!mnemonic) return undefined;
+    const timer = setTimeout(() => {
+      setMnemonic('');
+      setIsVisible(false);
+      toast('Recovery phrase hidden');
+    }, AUTO_HIDE_MS);
+    return () => clearTimeout(timer);
+  }, [mnemonic]);
+
+  useEffect(() => () => clearTimeout(clipboardTimerRef.current), []);
+
+  if (!isOpen) return null;
+
+  const canReveal = acknowledged.every(Boolean) && !isSigning;
+
+  const handleReveal = async () => {
+    setIsSigning(true);
+    setError(null);
+    try {
+      const phrase = await revealRecoveryPhrase({ address, walletId, signMessageAsync: signMessage });
+      setMnemonic(phrase);
+    } catch (revealError) {
+      console.error('[RecoveryPhraseModal] Reveal failed:', revealError);
+      setError(revealError?.shortMessage || revealError?.message || 'Failed to reveal recovery phrase');
+    } finally {
+      setIsSigning(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(mnemonic);
+      toast.success('Copied - clipboard clears in 30 seconds');
+      clearTimeout(clipboardTimerRef.current);
+      clipboardTimerRef.current = setTimeout(() => {
+        navigator.clipboard.writeText('').catch(() => {});
+      }, CLIPBOARD_CLEAR_MS);
+    } catch {
+      toast.error('Copy failed - write the words down instead');
+    }
+  };
+
+  // Block casual copying of the word grid; the explicit Copy button is the only path
+  const blockCopy = (e) => e.preventDefault();
+
+  const words = mnemonic ? mnemonic.split(' ') : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-[1px] flex items-center justify-center z-50 p-4 font-mono">
+      <div className="bg-gray-900 border border-gray-700 rounded-lg shadow-2xl max-w-lg w-full overflow-hidden scrollbar-none max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700 bg-gray-800">
+          <div className="flex items-center gap-3">
+            <span className="text-sm tracking-wide text-gray-400">vault-recovery-phrase</span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-green-400/70 hover:text-green-300 transition-colors text-lg"
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+        <div className="p-6 text-green-300 space-y-4">
+          <div>
+            <h3 className="text-lg font-bold text-emerald-300 mb-2">Recovery Phrase</h3>
+            <p className="text-green-400/80 text-sm">
+              This phrase restores your vault in any Railgun wallet, without Lexie.
+            </p>
+          </div>
+
+          {!mnemonic ? (
+            <>
+              <div className="bg-red-900/20 border border-red-500/40 rounded p-3 space-y-2">
+                {ACKNOWLEDGEMENTS.map((text, index) => (
+                  <label key={text} className="flex items-start gap-2 text-red-200 text-xs cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={acknowledged[index]}
+                      onChange={(e) => setAcknowledged(prev => prev.map((value, i) => (i === index ? e.target.checked : value)))}
+                      className="mt-0.5 accent-red-400"
+                    />
+                    {text}
+                  </label>
+                ))}
+              </div>
+              <button
+                onClick={handleReveal}
+                disabled={!canReveal}
+                className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSigning ? 'Waiting for signature...' : 'Sign to reveal'}
+              </button>
+              <p className="text-green-400/60 text-xs">
+                Your wallet will ask you to sign a one-time message to confirm it's you.
+              </p>
+            </>
+          ) : (
+            <>
+              <div
+                className="relative"
+                onCopy={blockCopy}
+                onCut={blockCopy}
+                onContextMenu={blockCopy}
+              >
+                <div className={`grid grid-cols-3 gap-2 select-none transition-all ${isVisible ? '' : 'blur-md'}`}>
+                  {words.map((word, index) => (
+                    <div key={index} className="bg-black/60 border border-green-500/20 rounded px-2 py-1.5 text-xs">
+                      <span className="text-green-400/50 mr-1">{index + 1}.</span>
+                      <span className="text-green-200">{word}</span>
+                    </div>
+                  ))}
+                </div>
+                {!isVisible && (
+                  <div className="absolute inset-0 flex items-center justify-center text-green-200 text-sm pointer-events-none">
+                    Hold the button below to view
+                  </div>
+                )}
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onMouseDown={() => setIsVisible(true)}
+                  onMouseUp={() => setIsVisible(false)}
+                  onMouseLeave={() => setIsVisible(false)}
+                  onTouchStart={() => setIsVisible(true)}
+                  onTouchEnd={() => setIsVisible(false)}
+                  className="flex-1 px-4 py-2 bg-black hover:bg-green-900/20 text-green-200 rounded border border-green-500/40 transition-colors select-none"
+                >
+                  Hold to reveal
+                </button>
+                <button
+                  onClick={handleCopy}
+                  className="px-4 py-2 bg-black hover:bg-yellow-900/20 text-yellow-200 rounded border border-yellow-500/40 transition-colors"
+                >
+                  Copy
+                </button>
+              </div>
+              <p className="text-green-400/60 text-xs">
+                The phrase is hidden again after two minutes or when you close this window.
+              </p>
+            </>
+          )}
+
+          {error && <div className="text-sm text-red-300">{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryPhraseModal;
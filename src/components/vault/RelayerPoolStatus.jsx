@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import {
+  RELAYER_POOL_STATUS_EVENT,
+  CIRCUIT_STATES,
+  getRelayerPoolStatus,
+  startRelayerPoolMonitor,
+} from '../../utils/railgun/relayer-pool.js';
+
+const CIRCUIT_STYLES = {
+  [CIRCUIT_STATES.closed]: 'text-green-300',
+  [CIRCUIT_STATES.halfOpen]: 'text-yellow-300',
+  [CIRCUIT_STATES.open]: 'text-red-300',
+};
+
+const describeEndpoint = (endpoint) => {
+  if (endpoint.circuit === CIRCUIT_STATES.open) return 'offline (circuit open)';
+  if (endpoint.circuit === CIRCUIT_STATES.halfOpen) return 'retrying';
+  if (endpoint.healthy === null) return 'checking...';
+  if (!endpoint.healthy) return `degraded (${endpoint.consecutiveFailures} failed)`;
+  return endpoint.latencyMs !== null ? `online ${endpoint.latencyMs}ms` : 'online';
+};
+
+/**
+ * Boot-log line for the gas relayer pool: the relayer in use, each endpoint's
+ * health/circuit on expand, and which relayer handled the last relayed transaction
+ */
+const RelayerPoolStatus = () => {
+  const [status, setStatus] = useState(getRelayerPoolStatus);
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    const onStatus = (e) => setStatus(e.detail);
+    window.addEventListener(RELAYER_POOL_STATUS_EVENT, onStatus);
+    const stopMonitor = startRelayerPoolMonitor();
+    return () => {
+      window.removeEventListener(RELAYER_POOL_STATUS_EVENT, onStatus);
+      stopMonitor();
+    };
+  }, []);
+
+  const { endpoints, lastRelayed } = status;
+  const active = endpoints.find((endpoint) => endpoint.healthy && endpoint.circuit === CIRCUIT_STATES.closed);
+  const isChecking = endpoints.every((endpoint) => endpoint.healthy === null);
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+        className="text-left hover:text-emerald-300"
+        title="Show relayer pool status"
+      >
+        {active
+          ? `✓ Gas relayer: ${active.host}${endpoints.length > 1 ? ` (${endpoints.length} in pool)` : ''}`
+          : isChecking
+            ? '… Checking gas relayers'
+            : '✗ Gas relayers unavailable'}
+      </button>
+      {isExpanded && (
+        <div className="pl-4 space-y-0.5">
+          {endpoints.map((endpoint) => (
+            <div key={endpoint.url} className={CIRCUIT_STYLES[endpoint.circuit] || 'text-green-300'} title={endpoint.lastError || ''}>
+              {endpoint.host}: {describeEndpoint(endpoint)}
+            </div>
+          ))}
+          {lastRelayed && (
+            <div className="text-green-400/70">
+              Last relayed by {lastRelayed.host} at {new Date(lastRelayed.at).toLocaleTimeString()}
+              {lastRelayed.transactionHash ? ` (${lastRelayed.transactionHash.slice(0, 10)}...)` : ''}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RelayerPoolStatus;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { getWalletMetadata } from '../../contexts/WalletContext';
+import { createViewOnlyShareCode } from '../../utils/railgun/view-only.js';
+
+const ShareViewingKeyModal = ({ isOpen, onClose, walletId, railgunAddress, address }) => {
+  const [shareCode, setShareCode] = useState('');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Never keep a generated key around after the modal closes
+  useEffect(() => {
+    if (!isOpen) {
+      setShareCode('');
+      setError(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      const metadata = address ? await getWalletMetadata(address) : null;
+      const code = await createViewOnlyShareCode({
+        walletID: walletId,
+        creationBlockNumbers: metadata?.creationBlockNumbers || null,
+        railgunAddress,
+      });
+      setShareCode(code);
+    } catch (generateError) {
+      console.error('[ShareViewingKeyModal] Failed to generate viewing key:', generateError);
+      setError(generateError.message || 'Failed to generate viewing key');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareCode);
+      toast.success('Viewing key copied');
+    } catch {
+      toast.error('Copy failed - select the key and copy it manually');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-[1px] flex items-center justify-center z-50 p-4 font-mono">
+      <div className="bg-gray-900 border border-gray-700 rounded-lg shadow-2xl max-w-lg w-full overflow-hidden scrollbar-none max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700 bg-gray-800">
+          <div className="flex items-center gap-3">
+            <span className="text-sm tracking-wide text-gray-400">vault-viewing-key</span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-green-400/70 hover:text-green-300 transition-colors text-lg"
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+        <div className="p-6 text-green-300 space-y-4">
+          <div>
+            <h3 className="text-lg font-bold text-emerald-300 mb-2">Share View-Only Access</h3>
+            <p className="text-green-400/80 text-sm">
+              Give this key to an auditor or accountant. They can open it at{' '}
+              <span className="text-green-200">{window.location.origin}/view</span> to see your vault's
+              balances and transaction history.
+            </p>
+          </div>
+
+          <div className="bg-yellow-900/20 border border-yellow-500/40 rounded p-3 text-yellow-200 text-xs space-y-1">
+            <div>• Anyone with this key can see all past and future activity of this vault.</div>
+            <div>• It cannot move funds, but it cannot be revoked either.</div>
+            <div>• Only share it over a channel you trust.</div>
+          </div>
+
+          {!shareCode ? (
+            <button
+              onClick={handleGenerate}
+              disabled={isGenerating || !walletId}
+              className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isGenerating ? 'Generating...' : 'I understand, generate key'}
+            </button>
+          ) : (
+            <div className="space-y-2">
+              <textarea
+                readOnly
+                value={shareCode}
+                rows={5}
+                onFocus={(e) => e.target.select()}
+                className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 text-xs break-all focus:outline-none"
+              />
+              <button
+                onClick={handleCopy}
+                className="w-full px-4 py-2 bg-black hover:bg-green-900/20 text-green-200 rounded border border-green-500/40 transition-colors"
+              >
+                Copy viewing key
+              </button>
+            </div>
+          )}
+
+          {error && <div className="text-sm text-red-300">{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareViewingKeyModal;
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { validateImportMnemonic } from '../../utils/railgun/recovery-phrase.js';
 
 const SignatureConfirmationModal = ({
   isOpen,
@@ -13,9 +14,27 @@ const SignatureConfirmationModal = ({
   onCancel
 }) => {
   const [isModalChainMenuOpen, setIsModalChainMenuOpen] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [mnemonicInput, setMnemonicInput] = useState('');
+  const [mnemonicError, setMnemonicError] = useState(null);
 
   if (!isOpen) return null;
 
+  const handleConfirm = async () => {
+    if (!isImporting) {
+      onConfirm();
+      return;
+    }
+    const { valid, mnemonic, error } = await validateImportMnemonic(mnemonicInput);
+    if (!valid) {
+      setMnemonicError(error);
+      return;
+    }
+    setMnemonicInput('');
+    setMnemonicError(null);
+    onConfirm({ importedMnemonic: mnemonic });
+  };
+
   return (
     <div className="fixed inset-0 bg-black/60 backdrop-blur-[1px] flex items-center justify-center z-50 p-4 font-mono">
       <div className="bg-gray-900 border border-gray-700 rounded-lg shadow-2xl max-w-md w-full overflow-hidden scrollbar-none max-h-[90vh] overflow-y-auto">
@@ -101,6 +120,47 @@ const SignatureConfirmationModal = ({
             </pre>
           </div>
 
+          {/* Restore an existing Railgun wallet instead of generating a new one */}
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-green-200 text-xs cursor-pointer">
+              <input
+                type="checkbox"
+                checked={isImporting}
+                onChange={(e) => {
+                  setIsImporting(e.target.checked);
+                  setMnemonicError(null);
+                }}
+                className="accent-emerald-400"
+              />
+              Import an existing Railgun recovery phrase
+            </label>
+            {isImporting && (
+              <>
+                <textarea
+                  value={mnemonicInput}
+                  onChange={(e) => {
+                    setMnemonicInput(e.target.value);
+                    setMnemonicError(null);
+                  }}
+                  rows={3}
+                  autoComplete="off"
+                  autoCorrect="off"
+                  autoCapitalize="off"
+                  spellCheck={false}
+                  placeholder="12 or 24 words separated by spaces"
+                  className="w-full bg-black/60 border border-emerald-500/40 rounded-md text-emerald-200 font-mono text-xs p-2 focus:outline-none focus:border-emerald-400"
+                />
+                {mnemonicError ? (
+                  <div className="text-red-300 text-xs">{mnemonicError}</div>
+                ) : (
+                  <div className="text-green-400/60 text-xs">
+                    The phrase is encrypted with your signature before it is stored. Past activity is rescanned from the start, so the first sync takes longer.
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
           <div className="bg-blue-900/20 border border-blue-500/40 rounded p-3">
             <div className="text-blue-300 text-xs font-medium mb-1">🔒 Security Note:</div>
             <div className="text-blue-200/80 text-xs">
@@ -110,9 +170,9 @@ const SignatureConfirmationModal = ({
 
           <div className="flex gap-3 pt-2">
             <button
-              onClick={() => onConfirm(selectedChainId)}
-              disabled={!selectedChainId || walletChainId !== selectedChainId}
-              className={`flex-1 py-2.5 px-4 rounded border transition-all duration-200 text-sm font-medium ${
+              onClick={handleConfirm}
+              disabled={!selectedChainId || walletChainId !== selectedChainId || (isImporting && !mnemonicInput.trim())}
+              className={`flex-1 py-2.5 px-4 rounded border transition-all duration-200 text-sm font-medium disabled:opacity-50 ${
                 !selectedChainId || walletChainId !== selectedChainId
                   ? 'bg-gray-700/30 text-gray-500 cursor-not-allowed border-gray-500/40'
                   : 'bg-emerald-900/30 hover:bg-emerald-900/50 text-emerald-200 border-emerald-400/40 hover:border-emerald-400'
@@ -122,6 +182,8 @@ const SignatureConfirmationModal = ({
                 ? 'Select Network First'
                 : walletChainId !== selectedChainId
                 ? 'Switching Network...'
+                : isImporting
+                ? 'Import Vault'
                 : 'Create Vault'
               }
             </button>
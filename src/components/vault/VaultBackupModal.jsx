@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import {
+  createBackupFile,
+  parseBackupFile,
+  restoreBackupFile,
+  BACKUP_FILE_EXTENSION,
+  MIN_BACKUP_PASSWORD_LENGTH,
+} from '../../utils/sync/idb-sync/backup-file.js';
+import { isRailgunReady } from '../../utils/railgun/engine.js';
+
+/**
+ * Encrypted backup file export (mode="export") and offline restore (mode="restore")
+ */
+const VaultBackupModal = ({ isOpen, mode = 'export', onClose, walletId, address, railgunAddress }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [fileText, setFileText] = useState(null);
+  const [fileHeader, setFileHeader] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [restoredHeader, setRestoredHeader] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setPassword('');
+      setConfirmPassword('');
+      setFileText(null);
+      setFileHeader(null);
+      setError(null);
+      setRestoredHeader(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const isExport = mode === 'export';
+
+  const handleExport = async () => {
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setIsWorking(true);
+    setError(null);
+    try {
+      const { blob, filename } = await createBackupFile({ walletId, eoa: address, railgunAddress, password });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      toast.success('Backup downloaded');
+      onClose();
+    } catch (exportError) {
+      console.error('[VaultBackupModal] Export failed:', exportError);
+      setError(exportError.message || 'Backup failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    setError(null);
+    setFileHeader(null);
+    setFileText(null);
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setFileHeader(parseBackupFile(text).header);
+      setFileText(text);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const header = await restoreBackupFile({ fileText, password });
+      setRestoredHeader(header);
+      setPassword('');
+    } catch (restoreError) {
+      console.error('[VaultBackupModal] Restore failed:', restoreError);
+      setError(restoreError.message || 'Restore failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const passwordTooShort = password.length < MIN_BACKUP_PASSWORD_LENGTH;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-[1px] flex items-center justify-center z-50 p-4 font-mono">
+      <div className="bg-gray-900 border border-gray-700 rounded-lg shadow-2xl max-w-md w-full overflow-hidden scrollbar-none max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700 bg-gray-800">
+          <div className="flex items-center gap-3">
+            <span className="text-sm tracking-wide text-gray-400">{isExport ? 'vault-backup-export' : 'vault-backup-restore'}</span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-green-400/70 hover:text-green-300 transition-colors text-lg"
+            title="Close"
+          >
+            ×
+          </button>
+        </div>
+        <div className="p-6 text-green-300 space-y-4 text-left">
+          <div>
+            <h3 className="text-lg font-bold text-emerald-300 mb-2">
+              {isExport ? 'Download Encrypted Backup' : 'Restore From Backup File'}
+            </h3>
+            <p className="text-green-400/80 text-sm">
+              {isExport
+                ? 'Saves this browser\'s vault data to a password-protected file so it can be restored offline on another browser.'
+                : 'Loads vault data from a backup file into this browser. Nothing is sent to Lexie servers.'}
+            </p>
+          </div>
+
+          {restoredHeader ? (
+            <div className="space-y-3">
+              <div className="bg-emerald-900/20 border border-emerald-500/40 rounded p-3 text-emerald-200 text-sm">
+                Backup restored ({restoredHeader.recordCount} records). Connect {restoredHeader.eoa
+                  ? `${restoredHeader.eoa.slice(0, 6)}...${restoredHeader.eoa.slice(-4)}`
+                  : 'the wallet that owns this vault'} to unlock it.
+              </div>
+              <button
+                onClick={isRailgunReady() ? () => window.location.reload() : onClose}
+                className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors"
+              >
+                {/* A running engine has cached state from before the restore */}
+                {isRailgunReady() ? 'Reload to finish' : 'Continue'}
+              </button>
+            </div>
+          ) : (
+            <>
+              {!isExport && (
+                <div className="space-y-2">
+                  <input
+                    type="file"
+                    accept={`${BACKUP_FILE_EXTENSION},application/json`}
+                    onChange={handleFileSelected}
+                    className="w-full text-xs text-green-300 file:mr-3 file:px-3 file:py-1 file:rounded file:border file:border-green-500/40 file:bg-black file:text-green-200"
+                  />
+                  {fileHeader && (
+                    <div className="bg-black/40 border border-green-500/20 rounded p-2 text-xs space-y-1">
+                      <div>Vault: <span className="text-green-200">{fileHeader.walletId.slice(0, 8)}...</span></div>
+                      {fileHeader.eoa && <div>Wallet: <span className="text-green-200">{fileHeader.eoa}</span></div>}
+                      <div>Created: <span className="text-green-200">{new Date(fileHeader.createdAt).toLocaleString()}</span></div>
+                      <div>Records: <span className="text-green-200">{fileHeader.recordCount}</span></div>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={isExport ? `Backup password (min ${MIN_BACKUP_PASSWORD_LENGTH} characters)` : 'Backup password'}
+                autoComplete={isExport ? 'new-password' : 'current-password'}
+                className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm"
+              />
+              {isExport && (
+                <>
+                  <input
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    placeholder="Confirm password"
+                    autoComplete="new-password"
+                    className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm"
+                  />
+                  <div className="text-yellow-200/80 text-xs">
+                    The password cannot be recovered. Without it the file is useless - your recovery phrase remains the last-resort backup.
+                  </div>
+                </>
+              )}
+
+              <button
+                onClick={isExport ? handleExport : handleRestore}
+                disabled={isWorking || (isExport ? passwordTooShort || !confirmPassword : !fileText || !password)}
+                className="w-full px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isWorking
+                  ? (isExport ? 'Encrypting...' : 'Restoring...')
+                  : (isExport ? 'Download backup' : 'Restore backup')}
+              </button>
+            </>
+          )}
+
+          {error && <div className="text-sm text-red-300">{error}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VaultBackupModal;
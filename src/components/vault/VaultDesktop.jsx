@@ -18,7 +18,7 @@ import {
   CurrencyDollarIcon,
   ClipboardDocumentIcon,
 } from '@heroicons/react/24/outline';
-import { RefreshCw, Info } from 'lucide-react';
+import { RefreshCw, Info, Eye, KeyRound, Download, Fingerprint } from 'lucide-react';
 
 import { useWallet } from '../../contexts/WalletContext';
 import { useWindowStore, WindowProvider } from '../../contexts/windowStore.jsx';
@@ -28,9 +28,20 @@ import WindowShell from '../window/WindowShell.jsx';
 import Taskbar from '../window/Taskbar.jsx';
 import useBalances from '../../hooks/useBalances';
 import useInjectedProviders from '../../hooks/useInjectedProviders';
+import useOnlineStatus from '../../hooks/useOnlineStatus';
 import PrivacyActions from '../PrivacyActions';
 import TransactionHistory from '../TransactionHistory';
+import PaymentRequests from '../PaymentRequests';
+import NFTGallery from '../NFTGallery';
 import VaultInfoModal from './VaultInfoModal';
+import ShareViewingKeyModal from './ShareViewingKeyModal';
+import RecoveryPhraseModal from './RecoveryPhraseModal';
+import VaultBackupModal from './VaultBackupModal';
+import PasskeyModal from './PasskeyModal';
+import VaultSwitcher from './VaultSwitcher';
+import RelayerPoolStatus from './RelayerPoolStatus';
+import ArtifactReadiness from './ArtifactReadiness';
+import PendingProofBanner from './PendingProofBanner';
 import InjectedProviderButtons from '../InjectedProviderButtons.jsx';
 import {
   shieldTokens,
@@ -40,6 +51,7 @@ import {
 import { deriveEncryptionKey, clearAllWallets } from '../../utils/railgun/wallet';
 import { syncBalancesAfterTransaction } from '../../utils/railgun/syncBalances';
 import { refreshBalances } from '../../utils/balanceRefresh';
+import { loadBalanceSnapshot, saveBalanceSnapshot } from '../../utils/pwa/offline-snapshot.js';
 import LexieIdChoiceModal from './LexieIdChoiceModal';
 import LexieIdModal from './LexieIdModal';
 import CrossPlatformVerificationModal from './CrossPlatformVerificationModal';
@@ -48,24 +60,20 @@ import SignRequestModal from './SignRequestModal';
 import { useChainSwitchModal } from '../../hooks/useChainSwitchModal';
 import SignatureConfirmationModal from './SignatureConfirmationModal';
 import ReturningUserChainSelectionModal from './ReturningUserChainSelectionModal';
+import { CHAIN_LIST, getRailgunChains } from '../../config/chains.js';
 import { Navbar } from '../Navbar.jsx';
 import ChatPage from '../../pages/ChatPage.tsx';
 
 // Supported networks configuration - moved outside component to avoid initialization order issues
-const SUPPORTED_NETWORKS = [
-  { id: 1, name: 'Ethereum', symbol: 'ETH' },
-  { id: 137, name: 'Polygon', symbol: 'POL' },
-  { id: 42161, name: 'Arbitrum', symbol: 'ETH'},
-  { id: 56, name: 'BNB Chain', symbol: 'BNB' },
-];
+// Only Railgun-enabled chains can host a vault
+const SUPPORTED_NETWORKS = getRailgunChains().map((chain) => ({
+  id: chain.id,
+  name: chain.name,
+  symbol: chain.nativeToken.symbol,
+}));
 
 // Network name mapping - moved outside component to avoid initialization order issues
-const NETWORK_NAMES = {
-  1: 'Ethereum',
-  137: 'Polygon',
-  42161: 'Arbitrum',
-  56: 'BNB Chain'
-};
+const NETWORK_NAMES = Object.fromEntries(CHAIN_LIST.map((chain) => [chain.id, chain.name]));
 
 // Titans Game component that loads the actual game from game.lexiecrypto.com
 const TitansGame = ({ lexieId, walletAddress, embedded, theme, onLoad, onError, onClose }) => {
@@ -247,8 +255,8 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
     : getCurrentNetwork();
 
   const {
-    publicBalances,
-    privateBalances,
+    publicBalances: livePublicBalances,
+    privateBalances: livePrivateBalances,
     loading: isLoading,
     error: balanceErrors,
     refreshAllBalances,
@@ -258,6 +266,32 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
     isPrivateBalancesLoading,
   } = useBalances(activeChainId);
 
+  // Offline: show the last balances seen for this wallet and chain instead of empty lists
+  const isOnline = useOnlineStatus();
+  const [offlineSnapshot, setOfflineSnapshot] = useState(null);
+  useEffect(() => {
+    if (isOnline) {
+      setOfflineSnapshot(null);
+      return;
+    }
+    let cancelled = false;
+    loadBalanceSnapshot(address, activeChainId).then((snapshot) => {
+      if (!cancelled) setOfflineSnapshot(snapshot);
+    });
+    return () => { cancelled = true; };
+  }, [isOnline, address, activeChainId]);
+  const publicBalances = offlineSnapshot?.publicBalances || livePublicBalances;
+  const privateBalances = offlineSnapshot?.privateBalances || livePrivateBalances;
+
+  useEffect(() => {
+    if (!isOnline || isLoading || isPrivateBalancesLoading) return;
+    if (livePublicBalances.length === 0 && livePrivateBalances.length === 0) return;
+    saveBalanceSnapshot(address, activeChainId, {
+      publicBalances: livePublicBalances,
+      privateBalances: livePrivateBalances,
+    });
+  }, [isOnline, isLoading, isPrivateBalancesLoading, address, activeChainId, livePublicBalances, livePrivateBalances]);
+
   const [showPrivateMode, setShowPrivateMode] = useState(false);
   const [selectedView, setSelectedView] = useState('balances');
   const [activeAction, setActiveAction] = useState('shield');
@@ -300,6 +334,10 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
   const [showLexieChat, setShowLexieChat] = useState(false);
   const [showGameOnboardingModal, setShowGameOnboardingModal] = useState(false);
   const [showInfoModal, setShowInfoModal] = useState(false);
+  const [showViewingKeyModal, setShowViewingKeyModal] = useState(false);
+  const [showRecoveryPhraseModal, setShowRecoveryPhraseModal] = useState(false);
+  const [showPasskeyModal, setShowPasskeyModal] = useState(false);
+  const [backupModalMode, setBackupModalMode] = useState(null); // 'export' | 'restore' | null
   const [pendingLexieId, setPendingLexieId] = useState('');
 
   // Chat visibility for desktop WindowShell
@@ -314,6 +352,7 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
     switchNetwork,
     showReturningUserChainModal,
     handleReturningUserChainChoice,
+    signMessage,
   } = useWallet();
 
   // Handle LexieID linking and game opening
@@ -1210,10 +1249,22 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
               <div className="mt-6 text-sm text-green-400/70 text-center">
                 <p>Choose your preferred wallet to connect</p>
                 <p className="mt-1 pb-3 text-xs">Connection is zk-secured and encrypted</p>
+                <button
+                  onClick={() => setBackupModalMode('restore')}
+                  className="pb-3 text-xs text-emerald-300/80 hover:text-emerald-200 underline"
+                >
+                  Restore vault from a backup file
+                </button>
               </div>
             </div>
           </TerminalWindow>
         </div>
+
+        <VaultBackupModal
+          isOpen={backupModalMode === 'restore'}
+          mode="restore"
+          onClose={() => setBackupModalMode(null)}
+        />
       </div>
     );
   }
@@ -1354,6 +1405,7 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                   </button>
                 )}
                 */}
+                <VaultSwitcher disabled={!canUseRailgun || isTransactionLocked} />
                 <div className="relative" ref={chainMenuRef}>
                   <button
                     onClick={() => { if (!canUseRailgun || !railgunWalletId) return; setIsChainMenuOpen((v) => !v); }}
@@ -1403,6 +1455,18 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
               </div>
             )}
 
+            {/* Proved transactions left unsent by a reload */}
+            {canUseRailgun && (
+              <PendingProofBanner
+                address={address}
+                railgunWalletId={railgunWalletId}
+                chainId={walletChainId}
+                walletProvider={walletProvider}
+                disabled={isTransactionLocked}
+                onResumed={handleRefresh}
+              />
+            )}
+
             {/* Boot log */}
             <div className="mb-6">
               <div className="text-xs text-green-400/60 tracking-wide mb-3">LEXIE SYSTEM BOOT v2.1.3</div>
@@ -1411,6 +1475,15 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                 <div>✓ Network: {network?.name || 'Unknown'}</div>
                 <div>✓ Vault balances: {Array.isArray(privateBalances) ? privateBalances.length : 0}</div>
                 <div>{canUseRailgun ? '✓ Secure vault online' : '… Initializing secure vault'}</div>
+                {!isOnline && (
+                  <div className="text-yellow-300">
+                    {offlineSnapshot
+                      ? `! Offline - showing balances cached ${new Date(offlineSnapshot.savedAt).toLocaleString()}`
+                      : '! Offline - no cached balances for this network yet'}
+                  </div>
+                )}
+                <RelayerPoolStatus />
+                {canUseRailgun && <ArtifactReadiness railgunWalletId={railgunWalletId} chainId={walletChainId} />}
                 <div className="pt-1 text-emerald-300">Ready for commands...</div>
               </div>
             </div>
@@ -1487,6 +1560,28 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                   >
                     remove
                   </button>
+                  <button
+                    onClick={() => {
+                      setActiveAction('swap');
+                      setSelectedView('privacy');
+                    }}
+                    disabled={isTransactionLocked || !canUseRailgun || !railgunWalletId}
+                    className="px-2 py-1 rounded border border-teal-400/40 bg-teal-900/20 hover:bg-teal-900/40 disabled:bg-gray-600/20 disabled:cursor-not-allowed text-xs"
+                    title="Swap tokens privately inside your vault"
+                  >
+                    swap
+                  </button>
+                  <button
+                    onClick={() => {
+                      setActiveAction('recipes');
+                      setSelectedView('privacy');
+                    }}
+                    disabled={isTransactionLocked || !canUseRailgun || !railgunWalletId}
+                    className="px-2 py-1 rounded border border-lime-400/40 bg-lime-900/20 hover:bg-lime-900/40 disabled:bg-gray-600/20 disabled:cursor-not-allowed text-xs"
+                    title="Wrap, stake or lend vault tokens privately"
+                  >
+                    defi
+                  </button>
                   <button
                     onClick={() => setSelectedView('history')}
                     disabled={isTransactionLocked || !canUseRailgun || !railgunWalletId}
@@ -1495,6 +1590,22 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                   >
                     history
                   </button>
+                  <button
+                    onClick={() => setSelectedView('requests')}
+                    disabled={isTransactionLocked || !canUseRailgun || !railgunWalletId}
+                    className="px-2 py-1 rounded border border-orange-400/40 bg-orange-900/20 hover:bg-orange-900/40 disabled:bg-gray-600/20 disabled:cursor-not-allowed text-xs"
+                    title="Track payment requests and match incoming payments"
+                  >
+                    requests
+                  </button>
+                  <button
+                    onClick={() => setSelectedView('nfts')}
+                    disabled={isTransactionLocked || !canUseRailgun || !railgunWalletId}
+                    className="px-2 py-1 rounded border border-fuchsia-400/40 bg-fuchsia-900/20 hover:bg-fuchsia-900/40 disabled:bg-gray-600/20 disabled:cursor-not-allowed text-xs"
+                    title="View NFTs held privately in your vault"
+                  >
+                    nfts
+                  </button>
                 </div>
 
                 {/* Right-aligned icon buttons - Hidden on mobile */}
@@ -1507,6 +1618,42 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                   >
                     <Info className="w-4 h-4" />
                   </button>
+                  <button
+                    onClick={() => setShowViewingKeyModal(true)}
+                    disabled={!canUseRailgun || !railgunWalletId}
+                    className="p-1.5 rounded border border-yellow-400/40 bg-yellow-900/20 hover:bg-yellow-900/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 hover:shadow-lg hover:shadow-yellow-400/20"
+                    title="Share view-only access with an auditor"
+                    aria-label="Share viewing key"
+                  >
+                    <Eye className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setShowRecoveryPhraseModal(true)}
+                    disabled={!canUseRailgun || !railgunWalletId}
+                    className="p-1.5 rounded border border-red-400/40 bg-red-900/20 hover:bg-red-900/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 hover:shadow-lg hover:shadow-red-400/20"
+                    title="Reveal your vault recovery phrase"
+                    aria-label="Recovery phrase"
+                  >
+                    <KeyRound className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setShowPasskeyModal(true)}
+                    disabled={!canUseRailgun || !railgunWalletId}
+                    className="p-1.5 rounded border border-purple-400/40 bg-purple-900/20 hover:bg-purple-900/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 hover:shadow-lg hover:shadow-purple-400/20"
+                    title="Unlock this vault with a passkey"
+                    aria-label="Passkey unlock"
+                  >
+                    <Fingerprint className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => setBackupModalMode('export')}
+                    disabled={!canUseRailgun || !railgunWalletId || isTransactionLocked}
+                    className="p-1.5 rounded border border-cyan-400/40 bg-cyan-900/20 hover:bg-cyan-900/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 hover:shadow-lg hover:shadow-cyan-400/20"
+                    title="Download an encrypted backup file"
+                    aria-label="Download backup"
+                  >
+                    <Download className="w-4 h-4" />
+                  </button>
                   <button
                     onClick={handleRefresh}
                     disabled={isLoading || !isConnected || isTransactionLocked || !canUseRailgun || !railgunWalletId || isManualRefreshing}
@@ -1531,7 +1678,7 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                   <div className="flex items-center justify-between mb-4">
                     <div className="text-emerald-300 text-sm font-medium font-mono">{network?.name || 'Network'} Vault Balances</div>
                     <div className="flex items-center space-x-2">
-                      {canUseRailgun && privateBalances.length > 0 && (
+                      {(canUseRailgun || offlineSnapshot) && privateBalances.length > 0 && (
                         <button
                           onClick={() => setShowPrivateBalances(!showPrivateBalances)}
                           className={`px-2 py-0.5 rounded text-xs border ${
@@ -1567,7 +1714,7 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
                   </div>
 
 
-                  {!canUseRailgun ? (
+                  {!canUseRailgun && !offlineSnapshot ? (
                     <div className="text-center py-4 text-green-400/70 text-xs">
                       Secure vault engine not ready
                     </div>
@@ -1668,6 +1815,14 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
               <PrivacyActions activeAction={activeAction} />
             )}
 
+            {/* Private NFT Gallery */}
+            {selectedView === 'nfts' && (
+              <div className="border-t border-teal-500/10 pt-6">
+                <div className="text-emerald-300 text-sm font-medium font-mono mb-4">Private NFTs</div>
+                <NFTGallery />
+              </div>
+            )}
+
             {/* Transaction History */}
             {selectedView === 'history' && (
               <div className="border-t border-teal-500/10 pt-6">
@@ -1676,6 +1831,14 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
               </div>
             )}
 
+            {/* Payment Requests */}
+            {selectedView === 'requests' && (
+              <div className="border-t border-teal-500/10 pt-6">
+                <div className="text-emerald-300 text-sm font-medium font-mono mb-4">Payment Requests</div>
+                <PaymentRequests />
+              </div>
+            )}
+
           </div>
         </WindowShell>
 
@@ -1722,6 +1885,38 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
         onClose={() => setShowInfoModal(false)}
       />
 
+      <ShareViewingKeyModal
+        isOpen={showViewingKeyModal}
+        onClose={() => setShowViewingKeyModal(false)}
+        walletId={railgunWalletId}
+        railgunAddress={railgunAddress}
+        address={address}
+      />
+
+      <VaultBackupModal
+        isOpen={backupModalMode !== null}
+        mode={backupModalMode || 'export'}
+        onClose={() => setBackupModalMode(null)}
+        walletId={railgunWalletId}
+        address={address}
+        railgunAddress={railgunAddress}
+      />
+
+      <RecoveryPhraseModal
+        isOpen={showRecoveryPhraseModal}
+        onClose={() => setShowRecoveryPhraseModal(false)}
+        address={address}
+        walletId={railgunWalletId}
+        signMessage={signMessage}
+      />
+
+      <PasskeyModal
+        isOpen={showPasskeyModal}
+        onClose={() => setShowPasskeyModal(false)}
+        address={address}
+        walletId={railgunWalletId}
+      />
+
       <SignRequestModal
         isOpen={showSignRequestPopup}
         isInitInProgress={isInitInProgress}
@@ -1747,7 +1942,7 @@ const VaultDesktopInner = ({ mobileMode = false }) => {
         walletChainId={walletChainId}
         switchNetwork={switchNetwork}
         pendingSignatureMessage={pendingSignatureMessage}
-        onConfirm={() => confirmSignature(selectedChainId)}
+        onConfirm={(options) => confirmSignature(selectedChainId, options)}
         onCancel={cancelSignature}
       />
 
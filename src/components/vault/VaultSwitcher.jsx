@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { useWallet } from '../../contexts/WalletContext';
+
+/**
+ * Header dropdown for the connected EOA's vaults: switch, create and rename sub-vaults
+ */
+const VaultSwitcher = ({ disabled = false }) => {
+  const { vaults, activeVault, railgunWalletId, switchVault, createVault, renameVault } = useWallet();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [busy, setBusy] = useState(null); // 'create' | walletId being switched/renamed
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('mousedown', onClickOutside);
+    document.addEventListener('keydown', onKey);
+    return () => {
+      document.removeEventListener('mousedown', onClickOutside);
+      document.removeEventListener('keydown', onKey);
+    };
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setNewName('');
+      setEditingId(null);
+    }
+  }, [isOpen]);
+
+  const handleSwitch = async (walletId) => {
+    setBusy(walletId);
+    try {
+      await switchVault(walletId);
+      setIsOpen(false);
+    } catch (error) {
+      console.error('[VaultSwitcher] Switch failed:', error);
+      toast.error(error.message || 'Failed to switch vault');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy('create');
+    try {
+      const vault = await createVault(newName);
+      toast.success(`Vault "${vault.name}" created`);
+      setNewName('');
+      await switchVault(vault.walletId);
+      setIsOpen(false);
+    } catch (error) {
+      console.error('[VaultSwitcher] Create failed:', error);
+      toast.error(error.message || 'Failed to create vault');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setBusy(editingId);
+    try {
+      await renameVault(editingId, editName);
+      setEditingId(null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to rename vault');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const isDisabled = disabled || !railgunWalletId;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => { if (!isDisabled) setIsOpen((v) => !v); }}
+        className={`px-2 py-1 text-sm bg-black text-green-300 rounded border border-green-500/40 hover:border-emerald-400 ${isDisabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+        title={isDisabled ? 'Waiting for vault engine to initialize' : 'Switch vault'}
+        aria-disabled={isDisabled}
+      >
+        {activeVault?.name || 'vault'}
+        <span className="ml-1">▾</span>
+      </button>
+      {isOpen && (
+        <div className="absolute mt-1 left-0 w-64 bg-black text-green-300 border border-green-500/40 rounded shadow-xl overflow-hidden scrollbar-none z-50">
+          {vaults.map((vault) => (
+            <div key={vault.walletId} className="flex items-center hover:bg-emerald-900/30">
+              {editingId === vault.walletId ? (
+                <form onSubmit={handleRename} className="flex-1 flex gap-1 px-2 py-1">
+                  <input
+                    autoFocus
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    className="flex-1 min-w-0 bg-black text-green-200 rounded px-2 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-xs"
+                  />
+                  <button type="submit" disabled={busy === vault.walletId} className="text-xs text-emerald-300 px-1">save</button>
+                </form>
+              ) : (
+                <>
+                  <button
+                    onClick={() => handleSwitch(vault.walletId)}
+                    disabled={!!busy || vault.walletId === railgunWalletId}
+                    className="flex-1 text-left px-3 py-2 focus:outline-none disabled:cursor-default"
+                    title={`${vault.railgunAddress?.slice(0, 10)}...${vault.railgunAddress?.slice(-6)}`}
+                  >
+                    <span className={vault.walletId === railgunWalletId ? 'text-emerald-300' : ''}>
+                      {vault.walletId === railgunWalletId ? '● ' : ''}{vault.name}
+                    </span>
+                    {busy === vault.walletId && <span className="ml-2 text-xs text-green-400/60">opening...</span>}
+                  </button>
+                  <button
+                    onClick={() => { setEditingId(vault.walletId); setEditName(vault.name); }}
+                    className="px-2 text-xs text-green-400/60 hover:text-green-300"
+                    title="Rename vault"
+                  >
+                    ✎
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+          <div className="h-[1px] bg-green-500/40" />
+          <form onSubmit={handleCreate} className="flex gap-1 p-2">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="new vault name"
+              className="flex-1 min-w-0 bg-black text-green-200 rounded px-2 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-xs"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim() || !!busy}
+              className="px-2 py-1 text-xs rounded border border-emerald-400/40 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy === 'create' ? '...' : 'create'}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VaultSwitcher;
@@ -0,0 +1,479 @@
+/**
+ * Chain Registry for Lexie Wallet
+ * Single source of truth for every chain the wallet knows about.
+ *
+ * Consumed by both the browser bundle and the Vercel functions in /api, so this
+ * module must stay dependency-free: no import.meta.env, no window, no SDK imports.
+ * Railgun network names are stored as the string values of the shared-models
+ * NetworkName enum (e.g. NetworkName.BNBChain === 'BNB_Chain').
+ *
+ * Adding a chain = adding one entry to CHAIN_LIST.
+ */
+
+// Display order: selectors and iteration follow this list
+export const CHAIN_LIST = [
+  {
+    id: 1,
+    key: 'ethereum',
+    name: 'Ethereum',
+    fullName: 'Ethereum Mainnet',
+    railgunNetworkName: 'Ethereum',
+    nativeToken: { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
+    wrappedToken: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH', decimals: 18 },
+    minGasPrice: 1_000_000_000n, // 1 gwei
+    rpc: {
+      alchemy: 'https://eth-mainnet.g.alchemy.com/v2/',
+      ankr: 'https://rpc.ankr.com/eth/',
+    },
+    graphEndpoint: 'https://rail-squid.squids.live/squid-railgun-ethereum-v2/graphql',
+    pricing: {
+      coingeckoPlatform: 'ethereum',
+      nativeCoingeckoId: 'ethereum',
+      uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoteToken: { address: '0xA0b86991c6218b36c1d19D4a2E9Eb0cE3606eB48', decimals: 6 },
+      stablecoins: [
+        '0xA0b86991c6218b36c1d19D4a2E9Eb0cE3606eB48', // USDC
+        '0xdAC17F958D2ee523a2206206994597C13D831ec7', // USDT
+        '0x6B175474E89094C44Da98b954EedeAC495271d0F', // DAI
+      ],
+    },
+    swap: {
+      uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      uniswapV3SwapRouter: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', // SwapRouter02
+    },
+    // Targets for the built-in private DeFi recipes (utils/recipes)
+    recipes: {
+      lido: {
+        stETH: { address: '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84', symbol: 'stETH', decimals: 18 },
+        wstETH: { address: '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0', symbol: 'wstETH', decimals: 18 },
+      },
+      erc4626Vaults: [
+        {
+          address: '0x83F20F44975D03b1b09e64809B757c47f942BEeA',
+          name: 'Spark Savings DAI',
+          symbol: 'sDAI',
+          decimals: 18,
+          category: 'staking',
+          asset: { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', decimals: 18 },
+        },
+        {
+          address: '0xa3931d71877C0E7a3148CB7Eb4463524FEc27fbD',
+          name: 'Sky Savings USDS',
+          symbol: 'sUSDS',
+          decimals: 18,
+          category: 'staking',
+          asset: { address: '0xdC035D45d973E3EC169d2276DDab16f1e407384F', symbol: 'USDS', decimals: 18 },
+        },
+        {
+          address: '0xBEEF01735c132Ada46AA9aA4c54623cAA92A64CB',
+          name: 'Steakhouse USDC (Morpho)',
+          symbol: 'steakUSDC',
+          decimals: 18,
+          category: 'lending',
+          asset: { address: '0xA0b86991c6218b36c1d19D4a2E9Eb0cE3606eB48', symbol: 'USDC', decimals: 6 },
+        },
+      ],
+    },
+    sanctionsOracle: '0x40C57923924B5c5c5455c48D93317139ADDaC8fb',
+    explorer: { name: 'Etherscan', url: 'https://etherscan.io' },
+    relayerSupported: true,
+  },
+  {
+    id: 137,
+    key: 'polygon',
+    name: 'Polygon',
+    fullName: 'Polygon Mainnet',
+    railgunNetworkName: 'Polygon',
+    nativeToken: { symbol: 'POL', name: 'Polygon', decimals: 18 },
+    wrappedToken: { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', symbol: 'WMATIC', decimals: 18 },
+    minGasPrice: 30_000_000_000n, // 30 gwei (priority fee floor)
+    rpc: {
+      alchemy: 'https://polygon-mainnet.g.alchemy.com/v2/',
+      ankr: 'https://rpc.ankr.com/polygon/',
+    },
+    graphEndpoint: 'https://rail-squid.squids.live/squid-railgun-polygon-v2/graphql',
+    pricing: {
+      coingeckoPlatform: 'polygon-pos',
+      nativeCoingeckoId: 'polygon-ecosystem-token',
+      uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoteToken: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6 },
+      stablecoins: [
+        '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', // USDC
+        '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', // USDC.e
+        '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', // USDT
+        '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', // DAI
+      ],
+    },
+    swap: {
+      uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      uniswapV3SwapRouter: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', // SwapRouter02
+    },
+    sanctionsOracle: '0x40C57923924B5c5c5455c48D93317139ADDaC8fb',
+    explorer: { name: 'PolygonScan', url: 'https://polygonscan.com' },
+    relayerSupported: true,
+  },
+  {
+    id: 42161,
+    key: 'arbitrum',
+    name: 'Arbitrum',
+    fullName: 'Arbitrum One',
+    railgunNetworkName: 'Arbitrum',
+    nativeToken: { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
+    wrappedToken: { address: '0x82af49447D8a07e3bd95BD0d56f35241523fBab1', symbol: 'WETH', decimals: 18 },
+    minGasPrice: 10_000_000n, // 0.01 gwei
+    rpc: {
+      alchemy: 'https://arb-mainnet.g.alchemy.com/v2/',
+      ankr: 'https://rpc.ankr.com/arbitrum/',
+    },
+    graphEndpoint: 'https://rail-squid.squids.live/squid-railgun-arbitrum-v2/graphql',
+    pricing: {
+      coingeckoPlatform: 'arbitrum-one',
+      nativeCoingeckoId: 'ethereum',
+      uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoteToken: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+      stablecoins: [
+        '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', // USDC
+        '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8', // USDC.e
+        '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', // USDT
+        '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', // DAI
+      ],
+    },
+    swap: {
+      uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      uniswapV3SwapRouter: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', // SwapRouter02
+    },
+    sanctionsOracle: '0x40C57923924B5c5c5455c48D93317139ADDaC8fb',
+    explorer: { name: 'Arbiscan', url: 'https://arbiscan.io' },
+    relayerSupported: true,
+  },
+  {
+    id: 56,
+    key: 'bsc',
+    name: 'BNB Chain',
+    fullName: 'BNB Smart Chain',
+    railgunNetworkName: 'BNB_Chain',
+    nativeToken: { symbol: 'BNB', name: 'BNB', decimals: 18 },
+    wrappedToken: { address: '0xBB4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', symbol: 'WBNB', decimals: 18 },
+    minGasPrice: 100_000_000n, // 0.1 gwei
+    rpc: {
+      alchemy: 'https://bnb-mainnet.g.alchemy.com/v2/',
+      ankr: 'https://rpc.ankr.com/bsc/',
+    },
+    graphEndpoint: 'https://rail-squid.squids.live/squid-railgun-bsc-v2/graphql',
+    pricing: {
+      coingeckoPlatform: 'binance-smart-chain',
+      nativeCoingeckoId: 'binancecoin',
+      uniswapV3Factory: '0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7',
+      quoteToken: { address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 }, // USDT (18 decimals on BSC)
+      stablecoins: [
+        '0x55d398326f99059fF775485246999027B3197955', // USDT
+        '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC
+        '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', // BUSD
+      ],
+    },
+    swap: {
+      uniswapV3QuoterV2: '0x78D78E420Da98ad378D7799bE8f4AF69033EB077',
+      uniswapV3SwapRouter: '0xB971eF87ede563556b2ED4b1C0b0019111Dd85d2', // SwapRouter02
+    },
+    sanctionsOracle: '0x40C57923924B5c5c5455c48D93317139ADDaC8fb',
+    explorer: { name: 'BscScan', url: 'https://bscscan.com' },
+    relayerSupported: true,
+  },
+  // L2s below are public-wallet only: balances, pricing and swaps on the connected EOA.
+  // Private shield/transfer/unshield needs a Railgun deployment the SDK knows about, and
+  // shared-models 7.6.2 has no NetworkName for either chain. Vault support waits for an SDK
+  // release that adds them; then railgunNetworkName, graphEndpoint and relayerSupported get set.
+  {
+    id: 10,
+    key: 'optimism',
+    name: 'Optimism',
+    fullName: 'OP Mainnet',
+    railgunNetworkName: null,
+    nativeToken: { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
+    wrappedToken: { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    minGasPrice: 1_000_000n, // 0.001 gwei
+    rpc: {
+      alchemy: 'https://opt-mainnet.g.alchemy.com/v2/',
+      ankr: 'https://rpc.ankr.com/optimism/',
+    },
+    graphEndpoint: null,
+    pricing: {
+      coingeckoPlatform: 'optimistic-ethereum',
+      nativeCoingeckoId: 'ethereum',
+      uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      quoteToken: { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6 },
+      stablecoins: [
+        '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', // USDC
+        '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58', // USDT
+        '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', // DAI
+      ],
+    },
+    swap: {
+      uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      uniswapV3SwapRouter: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', // SwapRouter02
+    },
+    sanctionsOracle: '0x40C57923924B5c5c5455c48D93317139ADDaC8fb',
+    explorer: { name: 'Optimistic Etherscan', url: 'https://optimistic.etherscan.io' },
+    relayerSupported: false,
+  },
+  {
+    id: 8453,
+    key: 'base',
+    name: 'Base',
+    fullName: 'Base',
+    railgunNetworkName: null,
+    nativeToken: { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
+    wrappedToken: { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    minGasPrice: 1_000_000n, // 0.001 gwei
+    rpc: {
+      alchemy: 'https://base-mainnet.g.alchemy.com/v2/',
+      ankr: 'https://rpc.ankr.com/base/',
+    },
+    graphEndpoint: null,
+    pricing: {
+      coingeckoPlatform: 'base',
+      nativeCoingeckoId: 'ethereum',
+      uniswapV3Factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+      quoteToken: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 },
+      stablecoins: [
+        '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC
+        '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', // USDbC
+        '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', // DAI
+      ],
+    },
+    swap: {
+      uniswapV3QuoterV2: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+      uniswapV3SwapRouter: '0x2626664c2603336E57B271c5C0b26F421741e481', // SwapRouter02
+    },
+    sanctionsOracle: '0x3A91A31cB3dC49b4db9Ce721F50a9D076c8D739B',
+    explorer: { name: 'BaseScan', url: 'https://basescan.org' },
+    relayerSupported: false,
+  },
+];
+
+// Lookup by chain ID
+export const CHAINS = Object.fromEntries(CHAIN_LIST.map((chain) => [chain.id, chain]));
+
+export const SUPPORTED_CHAIN_IDS = CHAIN_LIST.map((chain) => chain.id);
+
+// Fallback gas floor for chains without an explicit minGasPrice
+const DEFAULT_MIN_GAS_PRICE = 1_000_000_000n;
+
+/**
+ * Get the registry entry for a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {Object|null} Chain entry or null if unknown
+ */
+export const getChain = (chainId) => {
+  return CHAINS[Number(chainId)] || null;
+};
+
+/**
+ * Check whether a chain is known to the registry
+ * @param {number|string} chainId - Chain ID
+ * @returns {boolean}
+ */
+export const isSupportedChain = (chainId) => {
+  return !!getChain(chainId);
+};
+
+/**
+ * Get the Railgun NetworkName value for a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {string|null} NetworkName value or null if Railgun is not deployed there
+ */
+export const getRailgunNetworkName = (chainId) => {
+  return getChain(chainId)?.railgunNetworkName || null;
+};
+
+/**
+ * Reverse lookup: chain ID for a Railgun NetworkName value
+ * @param {string} networkName - NetworkName value
+ * @returns {number|null}
+ */
+export const getChainIdForRailgunNetwork = (networkName) => {
+  const chain = CHAIN_LIST.find((c) => c.railgunNetworkName === networkName);
+  return chain ? chain.id : null;
+};
+
+/**
+ * Chains where Railgun contracts are available (shield/unshield/transfer)
+ * @returns {Array<Object>}
+ */
+export const getRailgunChains = () => {
+  return CHAIN_LIST.filter((chain) => !!chain.railgunNetworkName);
+};
+
+/**
+ * Check whether Railgun (shield/unshield/private transfer) is available on a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {boolean}
+ */
+export const isRailgunChain = (chainId) => {
+  return !!getRailgunNetworkName(chainId);
+};
+
+/**
+ * Human-readable chain name
+ * @param {number|string} chainId - Chain ID
+ * @returns {string}
+ */
+export const getChainDisplayName = (chainId) => {
+  return getChain(chainId)?.name || `Chain ${chainId}`;
+};
+
+/**
+ * Native gas token symbol for a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {string}
+ */
+export const getNativeTokenSymbol = (chainId) => {
+  return getChain(chainId)?.nativeToken.symbol || 'ETH';
+};
+
+/**
+ * Wrapped base token address for a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {string|null}
+ */
+export const getWrappedTokenAddress = (chainId) => {
+  return getChain(chainId)?.wrappedToken.address || null;
+};
+
+/**
+ * Minimum gas price floor in wei
+ * @param {number|string} chainId - Chain ID
+ * @returns {bigint}
+ */
+export const getMinGasPrice = (chainId) => {
+  return getChain(chainId)?.minGasPrice || DEFAULT_MIN_GAS_PRICE;
+};
+
+/**
+ * Upstream RPC base URL for a provider (API key is appended server-side)
+ * @param {number|string} chainId - Chain ID
+ * @param {'alchemy'|'ankr'} provider - Upstream provider
+ * @returns {string|null}
+ */
+export const getRpcUpstream = (chainId, provider) => {
+  return getChain(chainId)?.rpc?.[provider] || null;
+};
+
+/**
+ * Railgun squid GraphQL endpoint for a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {string|null}
+ */
+export const getGraphEndpoint = (chainId) => {
+  return getChain(chainId)?.graphEndpoint || null;
+};
+
+/**
+ * Chainalysis sanctions oracle address for a chain
+ * @param {number|string} chainId - Chain ID
+ * @returns {string|null}
+ */
+export const getSanctionsOracleAddress = (chainId) => {
+  return getChain(chainId)?.sanctionsOracle || null;
+};
+
+/**
+ * Price lookup metadata (CoinGecko platform, Uniswap v3 factory, quote token, stablecoins)
+ * @param {number|string} chainId - Chain ID
+ * @returns {Object|null}
+ */
+export const getPricingConfig = (chainId) => {
+  return getChain(chainId)?.pricing || null;
+};
+
+/**
+ * DEX routing metadata for private swaps (Uniswap v3 QuoterV2 / SwapRouter02)
+ * @param {number|string} chainId - Chain ID
+ * @returns {Object|null}
+ */
+export const getSwapConfig = (chainId) => {
+  return getChain(chainId)?.swap || null;
+};
+
+/**
+ * Targets for the built-in private DeFi recipes (Lido wstETH, ERC-4626 vaults)
+ * @param {number|string} chainId - Chain ID
+ * @returns {Object|null}
+ */
+export const getRecipeConfig = (chainId) => {
+  return getChain(chainId)?.recipes || null;
+};
+
+/**
+ * Block explorer URL for a transaction
+ * @param {number|string} chainId - Chain ID
+ * @param {string} txHash - Transaction hash
+ * @returns {string|null}
+ */
+export const getExplorerTxUrl = (chainId, txHash) => {
+  const explorer = getChain(chainId)?.explorer;
+  return explorer && txHash ? `${explorer.url}/tx/${txHash}` : null;
+};
+
+/**
+ * Block explorer URL for an address
+ * @param {number|string} chainId - Chain ID
+ * @param {string} address - Account or contract address
+ * @returns {string|null}
+ */
+export const getExplorerAddressUrl = (chainId, address) => {
+  const explorer = getChain(chainId)?.explorer;
+  return explorer && address ? `${explorer.url}/address/${address}` : null;
+};
+
+/**
+ * Build EIP-3085 wallet_addEthereumChain params, routing RPC through our proxy
+ * @param {number|string} chainId - Chain ID
+ * @param {string} origin - Origin hosting /api/rpc (e.g. window.location.origin)
+ * @returns {Object|null}
+ */
+export const getAddEthereumChainParams = (chainId, origin = '') => {
+  const chain = getChain(chainId);
+  if (!chain) return null;
+  return {
+    chainId: `0x${chain.id.toString(16)}`,
+    chainName: chain.fullName,
+    nativeCurrency: chain.nativeToken,
+    rpcUrls: [`${origin}/api/rpc?chainId=${chain.id}&provider=auto`],
+    blockExplorerUrls: [`${chain.explorer.url}/`],
+  };
+};
+
+/**
+ * Chain IDs the Lexie gas relayer can broadcast on
+ * @returns {Array<number>}
+ */
+export const getRelayerChainIds = () => {
+  return CHAIN_LIST.filter((chain) => chain.relayerSupported).map((chain) => chain.id);
+};
+
+export default {
+  CHAINS,
+  CHAIN_LIST,
+  SUPPORTED_CHAIN_IDS,
+  getChain,
+  isSupportedChain,
+  getRailgunNetworkName,
+  getChainIdForRailgunNetwork,
+  getRailgunChains,
+  isRailgunChain,
+  getChainDisplayName,
+  getNativeTokenSymbol,
+  getWrappedTokenAddress,
+  getMinGasPrice,
+  getRpcUpstream,
+  getGraphEndpoint,
+  getSanctionsOracleAddress,
+  getPricingConfig,
+  getSwapConfig,
+  getRecipeConfig,
+  getExplorerTxUrl,
+  getExplorerAddressUrl,
+  getAddEthereumChainParams,
+  getRelayerChainIds,
+};
@@ -3,6 +3,8 @@
  * Handles all environment variables and provides defaults
  */
 
+import { CHAIN_LIST, SUPPORTED_CHAIN_IDS } from "./chains.js";
+
 // Prefer serverless proxy to avoid exposing keys. Use absolute URL so ethers providers accept it.
 // TEMPORARY: Always use production URLs until staging API keys are configured.
 const buildProxyUrl = (chainId, provider = "alchemy") => {
@@ -10,13 +12,11 @@ const buildProxyUrl = (chainId, provider = "alchemy") => {
 };
 
 // Alchemy RPC URLs with proper API key integration
-export const RPC_URLS = {
+export const RPC_URLS = Object.fromEntries(
   // Route browser RPC calls via Vercel proxy. The proxy will use server-stored keys and fallback to Ankr.
-  ethereum: buildProxyUrl(1, "auto"),
-  polygon: buildProxyUrl(137, "auto"),
-  arbitrum: buildProxyUrl(42161, "auto"),
-  bsc: buildProxyUrl(56, "auto"),
-};
+  // Keyed by the chain registry key (ethereum, polygon, arbitrum, bsc, ...)
+  CHAIN_LIST.map((chain) => [chain.key, buildProxyUrl(chain.id, "auto")])
+);
 
 // Railgun Configuration
 export const RAILGUN_CONFIG = {
@@ -76,7 +76,103 @@ export const POSTHOG_CONFIG = {
 export const NETWORK_CONFIG = {
   environment: import.meta.env.VITE_NETWORK_ENV || "mainnet",
   defaultChainId: 1, // Ethereum mainnet
-  supportedChainIds: [1, 137, 42161, 10, 56], // Ethereum, Polygon, Arbitrum, Optimism, BSC
+  supportedChainIds: SUPPORTED_CHAIN_IDS, // Derived from the chain registry (src/config/chains.js)
+};
+
+// Sanctions Screening Configuration
+export const SANCTIONS_CONFIG = {
+  // "fail-closed" blocks operations when a screening source is unreachable
+  failMode: import.meta.env.VITE_SANCTIONS_FAIL_MODE || "fail-closed",
+  denylistUrl:
+    import.meta.env.VITE_SANCTIONS_DENYLIST_URL || "/sanctions-denylist.json",
+  cacheTtlMs: Number(import.meta.env.VITE_SANCTIONS_CACHE_TTL_MS) || 10 * 60 * 1000,
+};
+
+// Price Subsystem Configuration
+export const PRICING_CONFIG = {
+  // Provider order; later providers are only asked for tokens earlier ones couldn't price
+  providers: (
+    import.meta.env.VITE_PRICE_PROVIDERS || "coingecko,dex-twap,stablecoin-peg"
+  )
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean),
+  spotTtlMs: Number(import.meta.env.VITE_PRICE_SPOT_TTL_MS) || 60 * 1000,
+  twapWindowSeconds: Number(import.meta.env.VITE_PRICE_TWAP_WINDOW_SECONDS) || 30 * 60,
+};
+
+// Token List Configuration (tokenlists.org schema)
+export const TOKEN_LIST_CONFIG = {
+  // Precedence order: when an address appears in several lists, the first list wins.
+  // Entries are URLs (https://, ipfs://) or bundled lists ("bundled:lexie-default").
+  sources: (import.meta.env.VITE_TOKEN_LISTS || "bundled:lexie-default")
+    .split(",")
+    .map((source) => source.trim())
+    .filter(Boolean),
+  cacheTtlMs: Number(import.meta.env.VITE_TOKEN_LIST_CACHE_TTL_MS) || 6 * 60 * 60 * 1000,
+};
+
+// Private Swap Configuration
+export const SWAP_CONFIG = {
+  // Quote provider order; the first provider that returns a quote wins.
+  // "mock" is a local deterministic provider for testing the swap flow.
+  providers: (import.meta.env.VITE_SWAP_PROVIDERS || "uniswap-v3")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean),
+  defaultSlippageBps: Number(import.meta.env.VITE_SWAP_DEFAULT_SLIPPAGE_BPS) || 50,
+  maxSlippageBps: Number(import.meta.env.VITE_SWAP_MAX_SLIPPAGE_BPS) || 500,
+  // Quotes older than this must be refreshed before proof generation
+  quoteTtlMs: Number(import.meta.env.VITE_SWAP_QUOTE_TTL_MS) || 60 * 1000,
+  // Router the mock provider targets (e.g. a SwapRouter02-compatible contract on a local fork)
+  mockRouter: import.meta.env.VITE_SWAP_MOCK_ROUTER || "",
+};
+
+// Gas Relayer Pool
+export const RELAYER_POOL_CONFIG = {
+  // Extra relayer backends after VITE_RELAYER_BACKEND_URL, in preference order.
+  // Each one must also be allowed by the proxy (RAILWAY_RELAYER_URLS).
+  endpoints: (import.meta.env.VITE_RELAYER_BACKEND_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean),
+  probeIntervalMs: Number(import.meta.env.VITE_RELAYER_PROBE_INTERVAL_MS) || 30 * 1000,
+  probeTimeoutMs: Number(import.meta.env.VITE_RELAYER_PROBE_TIMEOUT_MS) || 5 * 1000,
+  // Circuit breaker: open after this many consecutive failures, retry one request after the cooldown
+  failureThreshold: Number(import.meta.env.VITE_RELAYER_FAILURE_THRESHOLD) || 3,
+  cooldownMs: Number(import.meta.env.VITE_RELAYER_COOLDOWN_MS) || 60 * 1000,
+};
+
+// Public Broadcaster Fallback (Waku network)
+export const BROADCASTER_CONFIG = {
+  // When the Lexie relayer is down, discover public broadcasters instead of self-signing
+  publicFallback: import.meta.env.VITE_PUBLIC_BROADCASTER_FALLBACK === "true",
+  // Fee caps enforced by validateBroadcasterSelection:
+  // max fee as a share of the transferred amount, and max premium over the Lexie relayer quote
+  maxFeeBps: Number(import.meta.env.VITE_BROADCASTER_MAX_FEE_BPS) || 300,
+  maxPremiumBps: Number(import.meta.env.VITE_BROADCASTER_MAX_PREMIUM_BPS) || 5000,
+  discoveryTimeoutMs: Number(import.meta.env.VITE_BROADCASTER_DISCOVERY_TIMEOUT_MS) || 20 * 1000,
+  additionalPeers: (import.meta.env.VITE_BROADCASTER_PEERS || "")
+    .split(",")
+    .map((peer) => peer.trim())
+    .filter(Boolean),
+};
+
+// Proof Generation (snarkjs Groth16)
+export const PROVER_CONFIG = {
+  // Prove in a Web Worker so the UI stays responsive; set to "false" to prove on the main thread
+  useWorker: import.meta.env.VITE_PROOF_WORKER !== "false",
+  // A proof still running after this long is cancelled (Ethereum proofs can take minutes)
+  timeoutMs: Number(import.meta.env.VITE_PROOF_TIMEOUT_MS) || 5 * 60 * 1000,
+};
+
+// Proof Artifact Cache (circuit zkey/wasm/vkey files)
+export const ARTIFACT_CACHE_CONFIG = {
+  // Download the circuits the wallet is likely to need in the background
+  preload: import.meta.env.VITE_ARTIFACT_PRELOAD !== "false",
+  // LRU budget for cached artifacts, and how long an unused circuit is kept
+  maxBytes: (Number(import.meta.env.VITE_ARTIFACT_CACHE_MAX_MB) || 500) * 1024 * 1024,
+  maxUnusedDays: Number(import.meta.env.VITE_ARTIFACT_CACHE_MAX_UNUSED_DAYS) || 30,
 };
 
 // Application Configuration
@@ -13,7 +13,7 @@ import React, {
   useCallback,
 } from "react";
 import { createConfig, custom } from "wagmi";
-import { mainnet, polygon, arbitrum, bsc } from "wagmi/chains";
+import { mainnet, polygon, arbitrum, bsc, optimism, base } from "wagmi/chains";
 import { metaMask, walletConnect, injected } from "wagmi/connectors";
 import {
   WagmiProvider,
@@ -31,7 +31,12 @@ import {
   WALLETCONNECT_CONFIG,
   RAILGUN_CONFIG,
 } from "../config/environment";
-import { NetworkName } from "@railgun-community/shared-models";
+import {
+  CHAIN_LIST,
+  getChain,
+  getRailgunChains,
+  getChainDisplayName,
+} from "../config/chains.js";
 import { initializeSyncSystem } from "../utils/sync/idb-sync/index.js";
 import { createWalletBackup } from "../utils/sync/idb-sync/backup.js";
 import { clearLevelDB } from "../utils/sync/idb-sync/exporter.js";
@@ -70,9 +75,14 @@ async function getWalletMetadata(walletAddress) {
 
     // Parse Redis response: { success: true, walletAddress: "0x...", totalKeys: 1, keys: [...] }
     if (result.success && result.keys && result.keys.length > 0) {
+      // Sub-vaults share the EOA's metadata; the primary vault is the entry that isn't one
+      const { getSubVaultIds } = await import("../utils/railgun/sub-vaults.js");
+      const subVaultIds = getSubVaultIds(walletAddress, result.keys);
+
       // NEW FORMAT: Look for the new structure with :meta and :balances keys first
       const metaKey = result.keys.find(
-        (keyObj) => keyObj.format === "new-structure"
+        (keyObj) =>
+          keyObj.format === "new-structure" && !subVaultIds.has(keyObj.walletId)
       );
 
       if (metaKey) {
@@ -112,7 +122,9 @@ async function getWalletMetadata(walletAddress) {
       }
 
       // FALLBACK: Handle old format for backward compatibility
-      const firstKey = result.keys[0];
+      const firstKey =
+        result.keys.find((keyObj) => !subVaultIds.has(keyObj.walletId)) ||
+        result.keys[0];
       if (firstKey && firstKey.format !== "new-structure") {
         console.log(
           "🔍 [GET-WALLET-METADATA] Found legacy format wallet data",
@@ -158,7 +170,8 @@ async function storeWalletMetadata(
   railgunAddress,
   signature = null,
   encryptedMnemonic = null,
-  creationBlockNumbers = null
+  creationBlockNumbers = null,
+  extraFields = null
 ) {
   console.log(
     "💾 [STORE-WALLET-METADATA] Starting API call - COMPLETE REDIS STORAGE",
@@ -188,6 +201,7 @@ async function storeWalletMetadata(
         signature,
         encryptedMnemonic, // Store encrypted mnemonic in Redis for cross-device access
         creationBlockNumbers, // Store creation block numbers for faster future wallet loads
+        ...(extraFields || {}), // e.g. sub-vault name and derivation index
       }),
     });
 
@@ -211,12 +225,11 @@ async function fetchCurrentBlockNumbers() {
     "🏗️ [BLOCK-FETCH] Fetching current block numbers for all networks..."
   );
 
-  const networkConfigs = [
-    { name: NetworkName.Ethereum, rpcUrl: RPC_URLS.ethereum, chainId: 1 },
-    { name: NetworkName.Polygon, rpcUrl: RPC_URLS.polygon, chainId: 137 },
-    { name: NetworkName.Arbitrum, rpcUrl: RPC_URLS.arbitrum, chainId: 42161 },
-    { name: NetworkName.BNBChain, rpcUrl: RPC_URLS.bsc, chainId: 56 },
-  ];
+  const networkConfigs = getRailgunChains().map((chain) => ({
+    name: chain.railgunNetworkName,
+    rpcUrl: RPC_URLS[chain.key],
+    chainId: chain.id,
+  }));
 
   const blockNumbers = {};
 
@@ -278,6 +291,11 @@ async function fetchCurrentBlockNumbers() {
 // Export functions for use in wallet initialization
 export { fetchCurrentBlockNumbers, getWalletMetadata, storeWalletMetadata };
 
+// Chains the Railgun engine can initialize on, keyed by chain ID (from the chain registry)
+const RAILGUN_SUPPORTED_NETWORKS = Object.fromEntries(
+  getRailgunChains().map((chain) => [chain.id, true])
+);
+
 // Create a client for React Query
 const queryClient = new QueryClient();
 
@@ -287,7 +305,7 @@ const getSelectedChainForWalletConnect = () => {
     if (typeof window !== "undefined") {
       const saved = localStorage.getItem("lexie-selected-chain");
       const parsed = saved ? parseInt(saved, 10) : null;
-      if (parsed && [1, 137, 42161, 56].includes(parsed)) {
+      if (parsed && RAILGUN_SUPPORTED_NETWORKS[parsed]) {
         return parsed;
       }
     }
@@ -300,21 +318,40 @@ const getSelectedChainForWalletConnect = () => {
   return 1; // Default to Ethereum
 };
 
+// wagmi chain definitions for every chain in the registry
+const WAGMI_CHAINS_BY_ID = {
+  [mainnet.id]: mainnet,
+  [polygon.id]: polygon,
+  [arbitrum.id]: arbitrum,
+  [bsc.id]: bsc,
+  [optimism.id]: optimism,
+  [base.id]: base,
+};
+const wagmiChains = CHAIN_LIST.map((chain) => WAGMI_CHAINS_BY_ID[chain.id]).filter(
+  Boolean
+);
+
 const selectedChainId = getSelectedChainForWalletConnect();
-const walletConnectChains =
-  selectedChainId === 1
-    ? [mainnet]
-    : selectedChainId === 137
-    ? [polygon]
-    : selectedChainId === 42161
-    ? [arbitrum]
-    : selectedChainId === 56
-    ? [bsc]
-    : [mainnet];
+const walletConnectChains = [WAGMI_CHAINS_BY_ID[selectedChainId] || mainnet];
+
+// JSON-RPC transport routed through our /api/rpc proxy
+const createProxiedTransport = (rpcUrl) =>
+  custom({
+    async request({ method, params }) {
+      const response = await fetch(rpcUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id: 1, jsonrpc: "2.0", method, params }),
+      });
+      const { result, error } = await response.json();
+      if (error) throw new Error(`RPC error: ${JSON.stringify(error)}`);
+      return result;
+    },
+  });
 
 // Create wagmi config - MINIMAL, just for UI wallet connection
 const wagmiConfig = createConfig({
-  chains: [mainnet, polygon, arbitrum, bsc],
+  chains: wagmiChains,
   connectors: [
     injected({ shimDisconnect: true }),
     metaMask(),
@@ -324,56 +361,12 @@ const wagmiConfig = createConfig({
       // Remove chains restriction to allow all supported chains like the old code
     }),
   ],
-  transports: {
-    [mainnet.id]: custom({
-      async request({ method, params }) {
-        const response = await fetch(RPC_URLS.ethereum, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ id: 1, jsonrpc: "2.0", method, params }),
-        });
-        const { result, error } = await response.json();
-        if (error) throw new Error(`RPC error: ${JSON.stringify(error)}`);
-        return result;
-      },
-    }),
-    [polygon.id]: custom({
-      async request({ method, params }) {
-        const response = await fetch(RPC_URLS.polygon, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ id: 1, jsonrpc: "2.0", method, params }),
-        });
-        const { result, error } = await response.json();
-        if (error) throw new Error(`RPC error: ${JSON.stringify(error)}`);
-        return result;
-      },
-    }),
-    [arbitrum.id]: custom({
-      async request({ method, params }) {
-        const response = await fetch(RPC_URLS.arbitrum, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ id: 1, jsonrpc: "2.0", method, params }),
-        });
-        const { result, error } = await response.json();
-        if (error) throw new Error(`RPC error: ${JSON.stringify(error)}`);
-        return result;
-      },
-    }),
-    [bsc.id]: custom({
-      async request({ method, params }) {
-        const response = await fetch(RPC_URLS.bsc, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ id: 1, jsonrpc: "2.0", method, params }),
-        });
-        const { result, error } = await response.json();
-        if (error) throw new Error(`RPC error: ${JSON.stringify(error)}`);
-        return result;
-      },
-    }),
-  },
+  transports: Object.fromEntries(
+    wagmiChains.map((chain) => [
+      chain.id,
+      createProxiedTransport(RPC_URLS[getChain(chain.id).key]),
+    ])
+  ),
   // Prevent silent reconnection after disconnect; require explicit connect
   autoConnect: false,
 });
@@ -584,8 +577,9 @@ const WalletContextProvider = ({ children }) => {
     });
   }, []);
 
+  // Resolves the confirmation with `true`, or `{ importedMnemonic }` when the user restores an existing phrase
   const confirmSignature = useCallback(
-    async (selectedChainId) => {
+    async (selectedChainId, { importedMnemonic = null } = {}) => {
       if (signatureConfirmationPromise) {
         const selectedChain =
           selectedChainId ||
@@ -617,7 +611,9 @@ const WalletContextProvider = ({ children }) => {
           }
         }
 
-        signatureConfirmationPromise.resolve(true);
+        signatureConfirmationPromise.resolve(
+          importedMnemonic ? { importedMnemonic } : true
+        );
         setSignatureConfirmationPromise(null);
         setShowSignatureConfirmation(false);
         setPendingSignatureMessage("");
@@ -635,6 +631,98 @@ const WalletContextProvider = ({ children }) => {
     }
   }, [signatureConfirmationPromise]);
 
+  // 🗂️ SUB-VAULTS: Named Railgun wallets under the connected EOA
+  const [vaults, setVaults] = useState([]);
+
+  const refreshVaults = useCallback(async () => {
+    if (!address || !isRailgunInitialized) {
+      setVaults([]);
+      return;
+    }
+    try {
+      const { listVaults } = await import("../utils/railgun/sub-vaults.js");
+      setVaults(await listVaults(address));
+    } catch (error) {
+      console.warn("[WalletContext] ⚠️ Failed to list vaults:", error);
+    }
+  }, [address, isRailgunInitialized]);
+
+  useEffect(() => {
+    refreshVaults();
+  }, [refreshVaults]);
+
+  const switchVault = useCallback(
+    async (walletId) => {
+      if (!address || !walletId || walletId === railgunWalletID) return;
+      if (
+        typeof window !== "undefined" &&
+        window.__RAILGUN_TRANSACTION_IN_PROGRESS
+      ) {
+        throw new Error(
+          "Wait for the current transaction to finish before switching vaults"
+        );
+      }
+
+      const { openVault } = await import("../utils/railgun/sub-vaults.js");
+      const opened = await openVault({ address, walletId });
+
+      setRailgunWalletID(opened.walletId);
+      setRailgunAddress(opened.railgunAddress);
+      console.log("[WalletContext] 🗂️ Switched vault:", {
+        walletId: opened.walletId.slice(0, 8) + "...",
+      });
+
+      try {
+        window.dispatchEvent(
+          new CustomEvent("railgun-vault-switched", {
+            detail: { address, walletId: opened.walletId },
+          })
+        );
+      } catch {}
+
+      // Scan the newly opened vault's notes on the current chain
+      try {
+        const { NETWORK_CONFIG } = await import(
+          "@railgun-community/shared-models"
+        );
+        const { refreshBalances } = await import("@railgun-community/wallet");
+        const chain = Object.values(NETWORK_CONFIG).find(
+          (cfg) => cfg.chain.id === chainIdRef.current
+        )?.chain;
+        if (chain) {
+          await refreshBalances(chain, [opened.walletId]);
+        }
+      } catch (scanError) {
+        console.warn(
+          "[WalletContext] ⚠️ Balance refresh after vault switch failed:",
+          scanError
+        );
+      }
+    },
+    [address, railgunWalletID]
+  );
+
+  const createVault = useCallback(
+    async (name) => {
+      const { createSubVault } = await import("../utils/railgun/sub-vaults.js");
+      const vault = await createSubVault({ address, name });
+      await refreshVaults();
+      return vault;
+    },
+    [address, refreshVaults]
+  );
+
+  const renameVault = useCallback(
+    async (walletId, name) => {
+      const { renameVault: renameStoredVault } = await import(
+        "../utils/railgun/sub-vaults.js"
+      );
+      await renameStoredVault({ address, walletId, name });
+      await refreshVaults();
+    },
+    [address, refreshVaults]
+  );
+
   // Ensure initial full scan is completed for a given chain before user transacts
   const ensureChainScanned = useCallback(async (targetChainId) => {
     try {
@@ -1568,13 +1656,7 @@ const WalletContextProvider = ({ children }) => {
 
                 // Continue with the provider chainId if it's valid
                 if (parsedChainId && !isNaN(parsedChainId)) {
-                  const supportedNetworks = {
-                    1: true,
-                    137: true,
-                    42161: true,
-                    56: true,
-                  };
-                  if (!supportedNetworks[parsedChainId]) {
+                  if (!RAILGUN_SUPPORTED_NETWORKS[parsedChainId]) {
                     console.log(
                       `🚫 [Railgun Init] Refusing to initialize on unsupported network (chainId: ${parsedChainId})`
                     );
@@ -1642,8 +1724,7 @@ const WalletContextProvider = ({ children }) => {
           return;
         }
 
-        const supportedNetworks = { 1: true, 137: true, 42161: true, 56: true };
-        if (!supportedNetworks[chainId]) {
+        if (!RAILGUN_SUPPORTED_NETWORKS[chainId]) {
           console.log(
             `🚫 [Railgun Init] Refusing to initialize on unsupported network (chainId: ${chainId})`
           );
@@ -1740,32 +1821,12 @@ const WalletContextProvider = ({ children }) => {
 
         const { loadProvider } = await import("@railgun-community/wallet");
 
-        const networkConfigs = [
-          {
-            networkName: NetworkName.Ethereum,
-            rpcUrl: RPC_URLS.ethereum,
-            ankrUrl: "/api/rpc?chainId=1&provider=ankr",
-            chainId: 1,
-          },
-          {
-            networkName: NetworkName.Polygon,
-            rpcUrl: RPC_URLS.polygon,
-            ankrUrl: "/api/rpc?chainId=137&provider=ankr",
-            chainId: 137,
-          },
-          {
-            networkName: NetworkName.Arbitrum,
-            rpcUrl: RPC_URLS.arbitrum,
-            ankrUrl: "/api/rpc?chainId=42161&provider=ankr",
-            chainId: 42161,
-          },
-          {
-            networkName: NetworkName.BNBChain,
-            rpcUrl: RPC_URLS.bsc,
-            ankrUrl: "/api/rpc?chainId=56&provider=ankr",
-            chainId: 56,
-          },
-        ];
+        const networkConfigs = getRailgunChains().map((chain) => ({
+          networkName: chain.railgunNetworkName,
+          rpcUrl: RPC_URLS[chain.key],
+          ankrUrl: `/api/rpc?chainId=${chain.id}&provider=ankr`,
+          chainId: chain.id,
+        }));
 
         // Find the current network
         const currentNetwork = networkConfigs.find(
@@ -1986,8 +2047,7 @@ const WalletContextProvider = ({ children }) => {
 
       // Helper function to validate chainId
       const validateChainId = (chainIdToValidate) => {
-        // Supported networks: Ethereum (1), Polygon (137), Arbitrum (42161), BNB Chain (56)
-        const supportedNetworks = { 1: true, 137: true, 42161: true, 56: true };
+        const supportedNetworks = RAILGUN_SUPPORTED_NETWORKS;
 
         // Check if chainId is valid and supported
         const isValidChainIdLocal =
@@ -2097,7 +2157,7 @@ const WalletContextProvider = ({ children }) => {
               new CustomEvent("walletconnect-unsupported-network", {
                 detail: {
                   chainId: chainIdToValidate,
-                  supportedNetworks: [1, 137, 42161, 56],
+                  supportedNetworks: Object.keys(RAILGUN_SUPPORTED_NETWORKS).map(Number),
                 },
               })
             );
@@ -2259,13 +2319,7 @@ const WalletContextProvider = ({ children }) => {
     ensureEngineForShield,
 
     getCurrentNetwork: () => {
-      const networkNames = {
-        1: "Ethereum",
-        137: "Polygon",
-        42161: "Arbitrum",
-        56: "BNB Chain",
-      };
-      return { id: chainId, name: networkNames[chainId] || `Chain ${chainId}` };
+      return { id: chainId, name: getChainDisplayName(chainId) };
     },
     checkChainReady: async () => {
       try {
@@ -2283,7 +2337,7 @@ const WalletContextProvider = ({ children }) => {
       }
     },
 
-    supportedNetworks: { 1: true, 137: true, 42161: true, 56: true },
+    supportedNetworks: RAILGUN_SUPPORTED_NETWORKS,
     walletProviders: { METAMASK: "metamask", WALLETCONNECT: "walletconnect" },
 
     isWalletAvailable: (type) => {
@@ -2336,6 +2390,15 @@ const WalletContextProvider = ({ children }) => {
 
     // Chain scanning
     ensureChainScanned,
+
+    // Sub-vaults
+    vaults,
+    activeVault:
+      vaults.find((vault) => vault.walletId === railgunWalletID) || null,
+    createVault,
+    switchVault,
+    renameVault,
+    refreshVaults,
   };
 
   return (
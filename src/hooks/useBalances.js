@@ -7,8 +7,12 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { ethers, formatUnits, Contract } from 'ethers';
 import { useWallet } from '../contexts/WalletContext';
-import { fetchTokenPrices } from '../utils/pricing/coinGecko';
+import { getTokenPrices } from '../utils/pricing/price-service.js';
+import { normalizePriceTokenAddress } from '../utils/pricing/price-cache.js';
 import { RPC_URLS } from '../config/environment';
+import { CHAIN_LIST, getChain, getNativeTokenSymbol } from '../config/chains.js';
+import { getCustomTokens, getCustomTokenMetadata, CUSTOM_TOKENS_CHANGED_EVENT } from '../utils/customTokens.js';
+import { getTokenListTokens, getTokenListToken, refreshTokenLists, TOKEN_LISTS_UPDATED_EVENT } from '../utils/tokenlists/registry.js';
 import { roundBalanceTo8Decimals } from '../utils/railgun/balances';
 
 // ERC20 ABI for balance checking
@@ -19,73 +23,39 @@ const ERC20_ABI = [
   'function name() view returns (string)',
 ];
 
-// Token lists by chain
-const TOKEN_LISTS = {
-  1: [ // Ethereum
-    { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', name: 'USD Coin', decimals: 6, chainId: 1 },
-    { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18, chainId: 1 },
-    { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', name: 'Tether USD', decimals: 6, chainId: 1 },
-    { address: '0x2260FAC5E5542a773Aa44fBcfeDf7C193bc2c599', symbol: 'WBTC', name: 'Wrapped Bitcoin', decimals: 8, chainId: 1 },
-    { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18, chainId: 1 },
-  ],
-  42161: [ // Arbitrum
-    { address: '0x82af49447D8a07e3bd95BD0d56f35241523fBab1', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18, chainId: 42161 },
-    { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', symbol: 'USDC', name: 'USD Coin', decimals: 6, chainId: 42161 },
-    { address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18, chainId: 42161 },
-    { address: '0x2f2a2543B76A4166549F7AaB2e75BEF0aefC5b0f', symbol: 'WBTC', name: 'Wrapped Bitcoin', decimals: 8, chainId: 42161 },
-    { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', symbol: 'USDT', name: 'Tether USD', decimals: 6, chainId: 42161 },
-  ],
-  137: [ // Polygon
-    { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18, chainId: 137 },
-    { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', symbol: 'WMATIC', name: 'Wrapped MATIC', decimals: 18, chainId: 137 },
-    { address: '0x4557328F4C0E5F986bC92c6a6f25b7E9C6E25B9e', symbol: 'POL', name: 'Polygon Ecosystem Token', decimals: 18, chainId: 137 },
-    { address: '0x6d1fdBB266fCc09A16a22016369210a15bb95761', symbol: 'WPOL', name: 'Wrapped POL', decimals: 18, chainId: 137 },
-    { address: '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359', symbol: 'USDC', name: 'USD Coin', decimals: 6, chainId: 137 },
-    { address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', symbol: 'USDC.e', name: 'USD Coin (PoS)', decimals: 6, chainId: 137 },
-    { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', symbol: 'DAI', name: 'Dai Stablecoin (PoS)', decimals: 18, chainId: 137 },
-    { address: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6', symbol: 'WBTC', name: 'Wrapped Bitcoin', decimals: 8, chainId: 137 },
-    { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', symbol: 'USDT', name: 'Tether USD (PoS)', decimals: 6, chainId: 137 },
-  ],
-  56: [ // BSC
-    { address: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18, chainId: 56 },
-    { address: '0xBB4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', symbol: 'WBNB', name: 'Wrapped BNB', decimals: 18, chainId: 56 },
-    { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', symbol: 'USDC', name: 'USD Coin', decimals: 18, chainId: 56 },
-    { address: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', symbol: 'DAI', name: 'Dai Token', decimals: 18, chainId: 56 },
-    { address: '0x0555E30da8f98308EdB960aa94C0Db47230d2B9c', symbol: 'WBTC', name: 'Wrapped Bitcoin', decimals: 8, chainId: 56 },
-    { address: '0x55d398326f99059fF775485246999027B3197955', symbol: 'USDT', name: 'Tether USD', decimals: 18, chainId: 56 }, // BSC USDT uses 18 decimals
-  ],
+// Tokens from the configured token lists for a chain (excludes user-imported tokens)
+export const getDefaultTokenList = (chainId) => getTokenListTokens(chainId);
+
+// Built-in tokens plus the wallet's imported tokens for a chain
+export const getWalletTokenList = (walletAddress, chainId) => {
+  const defaults = getDefaultTokenList(chainId);
+  const known = new Set(defaults.map(t => t.address.toLowerCase()));
+  const custom = getCustomTokens(walletAddress, chainId).filter(t => !known.has(t.address));
+  return [...defaults, ...custom];
 };
 
 // Function to get token decimals by address and chain
 export const getTokenDecimals = (tokenAddress, chainId) => {
-  const tokenList = TOKEN_LISTS[chainId];
-  if (!tokenList) return 18; // Default fallback
-  
-      const token = tokenList.find(
-        t => t.address.toLowerCase() === tokenAddress.toLowerCase()
-      );
-  
+  const token = getTokenInfo(tokenAddress, chainId);
   return token ? token.decimals : 18;
 };
 
-// Function to get token info by address and chain
+// Function to get token info by address and chain (falls back to imported token metadata)
 export const getTokenInfo = (tokenAddress, chainId) => {
-  const tokenList = TOKEN_LISTS[chainId];
-  if (!tokenList) return null;
-  
-  return tokenList.find(
-    t => t.address.toLowerCase() === tokenAddress.toLowerCase()
-  );
-};
+  if (!tokenAddress) return null;
+
+  const token = getTokenListToken(chainId, tokenAddress);
+  if (token) return token;
 
-// Chain ID to RPC URL mapping
-const CHAIN_RPC_MAPPING = {
-  1: RPC_URLS.ethereum,
-  42161: RPC_URLS.arbitrum,
-  137: RPC_URLS.polygon,
-  56: RPC_URLS.bsc,
+  const custom = getCustomTokenMetadata(chainId, tokenAddress);
+  return custom ? { ...custom, chainId: Number(chainId), isCustom: true } : null;
 };
 
+// Chain ID to RPC URL mapping (one proxied URL per registry chain)
+const CHAIN_RPC_MAPPING = Object.fromEntries(
+  CHAIN_LIST.map((chain) => [chain.id, RPC_URLS[chain.key]])
+);
+
 export function useBalances(targetChainId = null) {
   const { address, chainId: walletChainId, railgunWalletId, isRailgunInitialized, ensureChainScanned } = useWallet();
   // Use targetChainId if provided, otherwise fall back to walletChainId
@@ -164,23 +134,31 @@ export function useBalances(targetChainId = null) {
     return new ethers.JsonRpcProvider(rpcUrl);
   }, []);
 
-  // Fetch and cache token prices
-  const fetchAndCachePrices = useCallback(async (symbols) => {
+  // Fetch and cache token prices (address-keyed price service, exposed by symbol for this chain)
+  const fetchAndCachePrices = useCallback(async (targetChainId) => {
     try {
-      // Include wrapped base-token symbols to ensure pricing coverage
-      const priceSymbols = [
-        ...symbols,
-        'WETH', 'WPOL', 'WBNB', 'WBTC', // wrapped base tokens (WPOL instead of WMATIC)
-      ];
-      const uniqueSymbols = [...new Set(priceSymbols)];
-      const prices = await fetchTokenPrices(uniqueSymbols);
+      const tokens = getWalletTokenList(address, targetChainId);
+      const addressPrices = await getTokenPrices(targetChainId, [null, ...tokens]);
+
+      const prices = {};
+      const nativePrice = addressPrices[normalizePriceTokenAddress(null)];
+      if (nativePrice !== undefined) {
+        prices[getNativeTokenSymbol(targetChainId)] = nativePrice;
+      }
+      tokens.forEach(token => {
+        const price = addressPrices[normalizePriceTokenAddress(token.address)];
+        // Imported tokens never shadow a built-in symbol (e.g. a second "USDC")
+        if (price === undefined || (token.isCustom && prices[token.symbol] !== undefined)) return;
+        prices[token.symbol] = price;
+      });
+
       setTokenPrices(prev => ({ ...prev, ...prices }));
       return prices;
     } catch (error) {
       console.error('[useBalances] Failed to fetch token prices:', error);
       return {};
     }
-  }, []);
+  }, [address]);
 
   // Calculate USD value for a balance
   const calculateUSDValue = useCallback((numericBalance, symbol, pricesOverride = null) => {
@@ -203,10 +181,11 @@ export function useBalances(targetChainId = null) {
     return '0.00';
   }, []); // No dependencies - access prices via stableRefs
 
-  // Filter balances by USD value >= $0.01
+  // Filter balances by USD value >= $0.01 (imported tokens often have no price, keep any non-zero balance)
   const filterBalancesByUSDValue = useCallback((balances) => {
     if (!Array.isArray(balances)) return [];
     return balances.filter(token => {
+      if (token.isCustom && token.hasBalance) return true;
       const usdValue = parseFloat(token.balanceUSD || '0');
       return usdValue >= 0.01;
     });
@@ -230,14 +209,7 @@ export function useBalances(targetChainId = null) {
       const provider = getProvider(targetChainId);
       const balance = await provider.getBalance(userAddress);
       
-      const nativeTokens = {
-        1: { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
-        42161: { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
-        137: { symbol: 'MATIC', name: 'Polygon', decimals: 18 },
-        56: { symbol: 'BNB', name: 'BNB Smart Chain', decimals: 18 },
-      };
-
-      const nativeToken = nativeTokens[targetChainId];
+      const nativeToken = getChain(targetChainId)?.nativeToken;
       if (!nativeToken) return null;
 
       const formattedBalance = formatUnits(balance, nativeToken.decimals);
@@ -302,6 +274,8 @@ export function useBalances(targetChainId = null) {
         numericBalance: numericBalance,
         hasBalance: numericBalance > 0,
         chainId: targetChainId,
+        isCustom: !!tokenInfo.isCustom,
+        logoURI: tokenInfo.logoURI,
       };
     } catch (error) {
       console.error(`[useBalances] Failed to fetch balance for ${tokenInfo.symbol}:`, error);
@@ -320,7 +294,7 @@ export function useBalances(targetChainId = null) {
       console.log('[useBalances] 🔄 Fetching public balances from blockchain...');
       setError(null);
 
-      const tokenList = TOKEN_LISTS[chainId] || [];
+      const tokenList = getWalletTokenList(address, chainId);
 
       // Fetch native token and ERC20 tokens in parallel
       const balancePromises = [
@@ -371,7 +345,8 @@ export function useBalances(targetChainId = null) {
               const balanceStr = String(storedBalance);
               let numeric, weiBalanceStr;
 
-              const decimals = balance.decimals ?? 18;
+              const decimals = balance.decimals ?? tokenInfo?.decimals ?? 18;
+              const symbol = balance.symbol || tokenInfo?.symbol;
 
               if (typeof storedBalance === 'string' && (balanceStr.includes('.') || balanceStr.includes('e'))) {
                 // Stored as decimal string (possibly scientific notation)
@@ -410,18 +385,20 @@ export function useBalances(targetChainId = null) {
                 }
               }
               return {
-                symbol: balance.symbol,
+                symbol,
                 address: balance.tokenAddress,
                 tokenAddress: balance.tokenAddress,
-                name: tokenInfo?.name || `${balance.symbol} Token`,
+                name: tokenInfo?.name || `${symbol} Token`,
                 numericBalance: numeric,
                 formattedBalance: numeric.toFixed(6),
                 balance: weiBalanceStr, // Wei string for precision
-                decimals: balance.decimals ?? 18,
+                decimals,
                 hasBalance: numeric > 0,
                 isPrivate: true,
+                isCustom: !!tokenInfo?.isCustom,
+                logoURI: tokenInfo?.logoURI,
                 lastUpdated: balance.lastUpdated,
-                balanceUSD: calculateUSDValue(numeric, balance.symbol)
+                balanceUSD: calculateUSDValue(numeric, symbol)
               };
             });
 
@@ -474,7 +451,8 @@ export function useBalances(targetChainId = null) {
         const balanceStr = String(storedBalance);
         let numeric, weiBalanceStr;
 
-        const decimals = balance.decimals ?? 18;
+        const decimals = balance.decimals ?? tokenInfo?.decimals ?? 18;
+        const symbol = balance.symbol || tokenInfo?.symbol;
 
         if (typeof storedBalance === 'string' && (balanceStr.includes('.') || balanceStr.includes('e'))) {
           // Stored as decimal string (possibly scientific notation)
@@ -506,18 +484,20 @@ export function useBalances(targetChainId = null) {
         }
 
         return {
-          symbol: balance.symbol,
+          symbol,
           address: balance.tokenAddress,
           tokenAddress: balance.tokenAddress,
-          name: tokenInfo?.name || `${balance.symbol} Token`,
+          name: tokenInfo?.name || `${symbol} Token`,
           numericBalance: numeric,
           formattedBalance: numeric.toFixed(6),
           balance: weiBalanceStr, // Wei string for precision
-          decimals: balance.decimals,
+          decimals,
           hasBalance: numeric > 0,
           isPrivate: true,
+          isCustom: !!tokenInfo?.isCustom,
+          logoURI: tokenInfo?.logoURI,
           lastUpdated: balance.lastUpdated,
-          balanceUSD: calculateUSDValue(numeric, balance.symbol)
+          balanceUSD: calculateUSDValue(numeric, symbol)
         };
       });
       console.log('[useBalances] ✅ Loaded private balances from Redis (metadata fallback):', {
@@ -548,13 +528,7 @@ export function useBalances(targetChainId = null) {
       console.log('[useBalances] 🔄 Refreshing balances...');
 
       // Fetch prices
-      const allSymbols = [
-        ...new Set([
-          ...(TOKEN_LISTS[chainId] || []).map(t => t.symbol),
-          'ETH', 'POL', 'BNB', 'BTC', // Native tokens + BTC for WBTC pricing (POL instead of MATIC)
-        ])
-      ];
-      const freshPrices = await fetchAndCachePrices(allSymbols);
+      const freshPrices = await fetchAndCachePrices(chainId);
 
       // Fetch public balances from blockchain
       const publicBals = await fetchPublicBalances();
@@ -580,6 +554,9 @@ export function useBalances(targetChainId = null) {
             const listForChain = list.filter(t => Number(t.chainId) === Number(chainId));
             if (Array.isArray(listForChain) && listForChain.length > 0) {
               const privateWithUSD = listForChain.map(token => {
+                const tokenInfo = getTokenInfo(token.tokenAddress, chainId);
+                const tokenDecimals = token.decimals ?? tokenInfo?.decimals ?? 18;
+                const symbol = token.symbol || tokenInfo?.symbol;
                 // Handle backend balance - convert to wei for consistency
                 const backendBalance = token.numericBalance || 0;
                 let numeric, weiBalanceStr;
@@ -587,7 +564,7 @@ export function useBalances(targetChainId = null) {
                 if (typeof backendBalance === 'string' && (backendBalance.includes('.') || backendBalance.includes('e'))) {
                   // Backend returned decimal string (possibly scientific notation)
                   numeric = Number(backendBalance);
-                  const decimals = token.decimals ?? 18;
+                  const decimals = tokenDecimals;
                   // Convert scientific notation to decimal string for parseUnits
                   const decimalStr = numeric.toFixed(20).replace(/\.?0+$/, ''); // Remove trailing zeros
                   weiBalanceStr = ethers.parseUnits(decimalStr, decimals).toString();
@@ -596,13 +573,13 @@ export function useBalances(targetChainId = null) {
                 } else if (typeof backendBalance === 'number') {
                   // Backend returned decimal number
                   numeric = backendBalance;
-                  const decimals = token.decimals ?? 18;
+                  const decimals = tokenDecimals;
                   weiBalanceStr = ethers.parseUnits(backendBalance.toString(), decimals).toString();
                   // Round balance down to 8 decimal places
                   weiBalanceStr = roundBalanceTo8Decimals(weiBalanceStr, decimals);
                 } else {
                   // Backend returned wei string
-                  const decimals = token.decimals ?? 18;
+                  const decimals = tokenDecimals;
                   weiBalanceStr = backendBalance.toString();
                   // Round balance down to 8 decimal places
                   weiBalanceStr = roundBalanceTo8Decimals(weiBalanceStr, decimals);
@@ -614,18 +591,20 @@ export function useBalances(targetChainId = null) {
                   }
                 }
 
-                const tokenInfo = getTokenInfo(token.tokenAddress, chainId);
                 return {
                   ...token,
+                  symbol,
                   address: token.tokenAddress,
                   tokenAddress: token.tokenAddress,
-                  name: tokenInfo?.name || `${token.symbol} Token`,
+                  name: tokenInfo?.name || `${symbol} Token`,
                   numericBalance: numeric,
                   hasBalance: numeric > 0,
-                  decimals: token.decimals ?? 18,
+                  decimals: tokenDecimals,
+                  isCustom: !!tokenInfo?.isCustom,
+                  logoURI: tokenInfo?.logoURI,
                   formattedBalance: Number(numeric).toFixed(6),
                   balance: weiBalanceStr, // Store as wei string for precision
-                  balanceUSD: calculateUSDValue(numeric, token.symbol)
+                  balanceUSD: calculateUSDValue(numeric, symbol)
                 };
               });
               setPrivateBalances(filterBalancesByUSDValue(privateWithUSD));
@@ -1069,6 +1048,8 @@ export function useBalances(targetChainId = null) {
               hasBalance: numericBalance > 0,
               formattedBalance: Number.isFinite(numericBalance) ? numericBalance.toFixed(6) : '0.000000',
               balanceUSD: calculateUSDValue(numericBalance, symbol),
+              isCustom: !!tokenInfo?.isCustom,
+              logoURI: tokenInfo?.logoURI,
               type: 'private'
             };
           });
@@ -1414,6 +1395,31 @@ export function useBalances(targetChainId = null) {
     return () => window.removeEventListener('railgun-public-refresh', onPublicRefresh);
   }, [fetchPublicBalances, calculateUSDValue]);
 
+  // Re-run the full refresh when the user imports or removes a token on this chain
+  useEffect(() => {
+    const onCustomTokensChanged = (event) => {
+      const { walletAddress, chainId: changedChainId } = event.detail || {};
+      if (!address || walletAddress?.toLowerCase() !== address.toLowerCase()) return;
+      if (Number(changedChainId) !== Number(chainId)) return;
+      console.log('[useBalances] 🔁 Custom tokens changed → refreshing balances');
+      refreshAllBalances();
+    };
+    window.addEventListener(CUSTOM_TOKENS_CHANGED_EVENT, onCustomTokensChanged);
+    return () => window.removeEventListener(CUSTOM_TOKENS_CHANGED_EVENT, onCustomTokensChanged);
+  }, [address, chainId, refreshAllBalances]);
+
+  // Fetch configured remote token lists (TTL-cached) and refresh when the merged index changes
+  useEffect(() => {
+    const onTokenListsUpdated = () => {
+      if (!address || !chainId) return;
+      console.log('[useBalances] 🔁 Token lists updated → refreshing balances');
+      refreshAllBalances();
+    };
+    window.addEventListener(TOKEN_LISTS_UPDATED_EVENT, onTokenListsUpdated);
+    refreshTokenLists().catch((e) => console.warn('[useBalances] ⚠️ Token list refresh failed:', e?.message));
+    return () => window.removeEventListener(TOKEN_LISTS_UPDATED_EVENT, onTokenListsUpdated);
+  }, [address, chainId, refreshAllBalances]);
+
   return {
     // Balance data
     publicBalances,
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
+import { getChainDisplayName } from '../config/chains.js';
 
 export const useChainSwitchModal = () => {
   const [showSignRequestPopup, setShowSignRequestPopup] = useState(false);
@@ -15,12 +16,7 @@ export const useChainSwitchModal = () => {
 
   // Helper to get network name by chain ID
   const getNetworkNameById = (chainId) => {
-    return {
-      1: 'Ethereum',
-      137: 'Polygon',
-      42161: 'Arbitrum',
-      56: 'BNB Chain'
-    }[Number(chainId)] || `Chain ${chainId}`;
+    return getChainDisplayName(chainId);
   };
 
   // Handle persist metadata (modal unlock)
@@ -0,0 +1,103 @@
+/**
+ * useNFTs Hook
+ * Private NFT holdings of the active vault (from the engine + live balance events)
+ * and public NFTs owned by the connected EOA (candidates for shielding).
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useWallet } from '../contexts/WalletContext';
+import { getPrivateNFTBalances } from '../utils/railgun/tx-nft.js';
+import { discoverOwnedNFTs, NFTS_CHANGED_EVENT } from '../utils/nfts.js';
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.loadPublic - Also discover NFTs held by the connected EOA (RPC-heavy, default: false)
+ * @returns {Object} { privateNFTs, publicNFTs, isLoadingPrivate, isLoadingPublic, error, refreshPrivateNFTs, refreshPublicNFTs }
+ */
+const useNFTs = ({ loadPublic = false } = {}) => {
+  const { address, chainId, railgunWalletId, canUseRailgun } = useWallet();
+  const [privateNFTs, setPrivateNFTs] = useState([]);
+  const [publicNFTs, setPublicNFTs] = useState([]);
+  const [isLoadingPrivate, setIsLoadingPrivate] = useState(false);
+  const [isLoadingPublic, setIsLoadingPublic] = useState(false);
+  const [error, setError] = useState(null);
+  // Drops results from a request that finished after the vault or chain changed
+  const requestRef = useRef(0);
+
+  const refreshPrivateNFTs = useCallback(async () => {
+    if (!canUseRailgun || !railgunWalletId || !chainId) {
+      setPrivateNFTs([]);
+      return;
+    }
+    const requestId = ++requestRef.current;
+    setIsLoadingPrivate(true);
+    try {
+      const nfts = await getPrivateNFTBalances(railgunWalletId, chainId);
+      if (requestId === requestRef.current) {
+        setPrivateNFTs(nfts);
+        setError(null);
+      }
+    } catch (loadError) {
+      console.error('[useNFTs] Failed to load private NFTs:', loadError);
+      if (requestId === requestRef.current) setError(loadError.message);
+    } finally {
+      if (requestId === requestRef.current) setIsLoadingPrivate(false);
+    }
+  }, [canUseRailgun, railgunWalletId, chainId]);
+
+  const refreshPublicNFTs = useCallback(async () => {
+    if (!address || !chainId) {
+      setPublicNFTs([]);
+      return;
+    }
+    setIsLoadingPublic(true);
+    try {
+      setPublicNFTs(await discoverOwnedNFTs({ chainId, walletAddress: address }));
+    } catch (loadError) {
+      console.error('[useNFTs] Failed to discover owned NFTs:', loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoadingPublic(false);
+    }
+  }, [address, chainId]);
+
+  useEffect(() => {
+    refreshPrivateNFTs();
+  }, [refreshPrivateNFTs]);
+
+  useEffect(() => {
+    if (loadPublic) refreshPublicNFTs();
+  }, [loadPublic, refreshPublicNFTs]);
+
+  // Scans deliver NFT amounts alongside ERC20s; only the spendable bucket is shown
+  useEffect(() => {
+    const onBalanceUpdate = (event) => {
+      const detail = event?.detail || {};
+      if (detail.railgunWalletID !== railgunWalletId) return;
+      if (Number(detail.chain?.id) !== Number(chainId)) return;
+      if (detail.balanceBucket && detail.balanceBucket !== 'Spendable') return;
+      setPrivateNFTs((detail.nftAmounts || []).filter((nft) => BigInt(nft.amount) > 0n));
+    };
+    window.addEventListener('railgun-balance-update', onBalanceUpdate);
+    return () => window.removeEventListener('railgun-balance-update', onBalanceUpdate);
+  }, [railgunWalletId, chainId]);
+
+  useEffect(() => {
+    if (!loadPublic) return undefined;
+    const onChanged = () => refreshPublicNFTs();
+    window.addEventListener(NFTS_CHANGED_EVENT, onChanged);
+    return () => window.removeEventListener(NFTS_CHANGED_EVENT, onChanged);
+  }, [loadPublic, refreshPublicNFTs]);
+
+  return {
+    privateNFTs,
+    publicNFTs,
+    isLoadingPrivate,
+    isLoadingPublic,
+    error,
+    refreshPrivateNFTs,
+    refreshPublicNFTs,
+  };
+};
+
+export default useNFTs;
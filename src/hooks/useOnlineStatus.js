@@ -0,0 +1,26 @@
+/**
+ * useOnlineStatus Hook
+ * Tracks browser connectivity (navigator.onLine plus online/offline events)
+ */
+
+import { useState, useEffect } from 'react';
+
+const getOnlineStatus = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(getOnlineStatus);
+
+  useEffect(() => {
+    const update = () => setIsOnline(getOnlineStatus());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
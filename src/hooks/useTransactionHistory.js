@@ -13,7 +13,37 @@ import {
   getPrivateTransfers,
   TransactionCategory
 } from '../utils/railgun/transactionHistory';
+import { loadHistorySnapshot, saveHistorySnapshot } from '../utils/pwa/offline-snapshot.js';
 
+/**
+ * Fetch the wallet-timeline endpoint through the proxy (exactly like AdminHistoryPage)
+ * @param {string} walletId - Owner's Railgun wallet ID
+ * @param {number} limit - Maximum number of transactions
+ * @returns {Promise<Object>} { success, timeline, error }
+ */
+const fetchBackendTimeline = async (walletId, limit) => {
+  const timelineParams = new URLSearchParams({
+    action: 'wallet-timeline',
+    walletId,
+    page: '1',
+    pageSize: limit ? Math.max(limit, 100) : '100' // Get up to 100 transactions or the specified limit
+  });
+
+  const timelineResponse = await fetch(`/api/wallet-metadata?${timelineParams}`, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'Origin': window.location.origin,
+      'User-Agent': navigator.userAgent
+    }
+  });
+
+  if (!timelineResponse.ok) {
+    throw new Error(`Timeline fetch failed: ${timelineResponse.status}`);
+  }
+
+  return timelineResponse.json();
+};
 
 /**
  * Hook for managing RAILGUN transaction history
@@ -21,20 +51,29 @@ import {
  * @param {boolean} options.autoLoad - Whether to auto-load on mount (default: true)
  * @param {number} options.limit - Maximum number of transactions to load (default: 50)
  * @param {string} options.category - Filter by transaction category
+ * @param {string} options.walletId - Wallet to load instead of the connected vault (e.g. a view-only wallet)
+ * @param {number} options.chainId - Chain to load instead of the connected chain
+ * @param {string} options.source - 'backend' (wallet timeline API) or 'sdk' (local scan of a loaded wallet)
  * @returns {Object} Transaction history state and functions
  */
 const useTransactionHistory = ({
   autoLoad = true,
   limit = 50,
-  category = null
+  category = null,
+  walletId: walletIdOverride = null,
+  chainId: chainIdOverride = null,
+  source = 'backend'
 } = {}) => {
-  const { chainId, railgunWalletId, address } = useWallet();
+  const wallet = useWallet();
+  const chainId = chainIdOverride || wallet.chainId;
+  const railgunWalletId = walletIdOverride || wallet.railgunWalletId;
   
   // State management
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null); // set while showing the offline snapshot
 
   // Filtered transaction states
   const [shieldTransactions, setShieldTransactions] = useState([]);
@@ -55,38 +94,39 @@ const useTransactionHistory = ({
     setError(null);
 
     try {
-      console.log('[useTransactionHistory] Loading transaction history from backend API (like AdminHistoryPage):', {
+      console.log('[useTransactionHistory] Loading transaction history:', {
         walletID: railgunWalletId?.slice(0, 8) + '...',
         chainId,
         category,
-        limit
+        limit,
+        source
       });
 
-      // Call the wallet-timeline endpoint through the proxy (exactly like AdminHistoryPage)
-      const timelineParams = new URLSearchParams({
-        action: 'wallet-timeline',
-        walletId: railgunWalletId,
-        page: '1',
-        pageSize: limit ? Math.max(limit, 100) : '100' // Get up to 100 transactions or the specified limit
-      });
-
-      const timelineResponse = await fetch(`/api/wallet-metadata?${timelineParams}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Origin': window.location.origin,
-          'User-Agent': navigator.userAgent
+      // The backend timeline is keyed by the owner's wallet ID, so view-only wallets read from the SDK
+      let timelineData;
+      if (source === 'sdk') {
+        timelineData = { success: true, timeline: await getTransactionHistory(railgunWalletId, chainId) };
+      } else {
+        try {
+          timelineData = await fetchBackendTimeline(railgunWalletId, limit);
+          if (timelineData.success) {
+            saveHistorySnapshot(wallet.address, railgunWalletId, chainId, timelineData.timeline || []);
+          }
+          setCachedAt(null);
+        } catch (fetchError) {
+          // Offline: fall back to the last timeline we saw for this vault
+          const snapshot = navigator.onLine === false
+            ? await loadHistorySnapshot(wallet.address, railgunWalletId, chainId)
+            : null;
+          if (!snapshot) throw fetchError;
+          console.log('[useTransactionHistory] Offline - showing cached history from', new Date(snapshot.savedAt).toISOString());
+          timelineData = { success: true, timeline: snapshot.timeline };
+          setCachedAt(new Date(snapshot.savedAt));
         }
-      });
-
-      if (!timelineResponse.ok) {
-        throw new Error(`Timeline fetch failed: ${timelineResponse.status}`);
       }
 
-      const timelineData = await timelineResponse.json();
-
       if (timelineData.success) {
-        // Use the already formatted transactions from the backend (exactly like AdminHistoryPage)
+        // Both sources return items already formatted like AdminHistoryPage
         let history = timelineData.timeline || [];
 
         // Filter by category if specified (exactly like AdminHistoryPage logic)
@@ -143,7 +183,7 @@ const useTransactionHistory = ({
     } finally {
       setLoading(false);
     }
-  }, [railgunWalletId, chainId, category, limit]);
+  }, [railgunWalletId, chainId, category, limit, source, wallet.address]);
 
   /**
    * Refresh transaction history
@@ -265,6 +305,7 @@ const useTransactionHistory = ({
     loading,
     error,
     lastUpdated,
+    cachedAt,
 
     // Categorized data
     shieldTransactions,
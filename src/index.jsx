@@ -13,6 +13,7 @@ import "./styles/globals.css";
 import App from "./App";
 import { PostHogProvider } from "posthog-js/react";
 import { POSTHOG_CONFIG } from "./config/environment.js";
+import { registerServiceWorker } from "./utils/pwa/register-sw.js";
 
 const options = {};
 
@@ -27,3 +28,5 @@ root.render(
     </PostHogProvider>
   </React.StrictMode>
 );
+
+registerServiceWorker();
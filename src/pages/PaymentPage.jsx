@@ -14,19 +14,29 @@ import {
 } from '@heroicons/react/24/outline';
 
 import TerminalWindow from '../components/ui/TerminalWindow';
+import TokenLogo from '../components/ui/TokenLogo';
 import { Navbar } from '../components/Navbar';
 
 import { useWallet } from '../contexts/WalletContext';
 import useInjectedProviders from '../hooks/useInjectedProviders';
 import InjectedProviderButtons from '../components/InjectedProviderButtons.jsx';
 // Client-only shield flow (avoid initializing recipient vault)
-import { assertNotSanctioned } from '../utils/sanctions/chainalysis-oracle';
+import { assertScreeningPassed } from '../utils/sanctions/screening-service';
 import { isTokenSupportedByRailgun } from '../utils/railgun/actions';
+import { getTokenListTokens, refreshTokenLists } from '../utils/tokenlists/registry.js';
 import { TXIDVersion, EVMGasType, NetworkName, getEVMGasTypeForTransaction } from '@railgun-community/shared-models';
 import { populateShield, populateShieldBaseToken } from '@railgun-community/wallet';
 import { Contract, parseUnits } from 'ethers';
 import { fetchTokenPrices } from '../utils/pricing/coinGecko';
 import { estimateGasForTransaction } from '../utils/railgun/tx-gas-details';
+import {
+  PAYMENT_AMOUNT_MODES,
+  PAYMENT_REQUEST_STATUS,
+  parsePaymentRequest,
+  verifyPaymentRequest,
+  isPaymentRequestExpired,
+  getPaymentAmountError,
+} from '../utils/railgun/payment-request.js';
 
 // Terminal-themed toast helper (matches tx-unshield.js and PrivacyActions.jsx)
 const showTerminalToast = (type, title, subtitle = '', opts = {}) => {
@@ -89,10 +99,15 @@ const formatBalance = (balance, decimals = 2) => {
 
 const PaymentPage = () => {
   // Parse URL parameters directly (works with or without React Router)
-  const urlParams = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
-  const toParam = urlParams.get('to');
-  const chainIdParam = urlParams.get('chainId');
-  const preferredToken = urlParams.get('token');
+  const paymentRequest = useMemo(
+    () => parsePaymentRequest(typeof window !== 'undefined' ? window.location.search : ''),
+    []
+  );
+  const toParam = paymentRequest.to;
+  const chainIdParam = paymentRequest.chainId;
+  const preferredToken = paymentRequest.token;
+  // A requested amount pins the token (no token in the link = native token)
+  const isTokenLocked = !!paymentRequest.amount;
 
   const {
     isConnected,
@@ -160,6 +175,12 @@ const PaymentPage = () => {
   const [resolvedRecipientAddress, setResolvedRecipientAddress] = useState(null);
   const [recipientResolveError, setRecipientResolveError] = useState(null);
 
+  // Payment request v2: signature/expiry check and amount rules
+  const [requestCheck, setRequestCheck] = useState(null); // { status, reason }
+  const isRequestRefused = requestCheck?.status === PAYMENT_REQUEST_STATUS.INVALID
+    || requestCheck?.status === PAYMENT_REQUEST_STATUS.EXPIRED;
+  const amountError = selectedToken ? getPaymentAmountError(paymentRequest, amount, selectedToken.decimals) : null;
+
   // Check if user is on correct network
   const isCorrectNetwork = chainId === targetChainId;
 
@@ -193,48 +214,13 @@ const PaymentPage = () => {
         const providerInstance = provider.provider;
         const ethersLib = await import('ethers');
 
-        // Common tokens per chain
-        const commonTokens = {
-          1: [ // Ethereum
-            { symbol: 'ETH', address: null, name: 'Ethereum', decimals: 18 },
-            { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', name: 'USD Coin', decimals: 6 },
-            { symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', name: 'Tether USD', decimals: 6 },
-            { symbol: 'DAI', address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', name: 'Dai Stablecoin', decimals: 18 },
-            { symbol: 'WBTC', address: '0x2260FAC5E5542a773Aa44fBcfeDf7C193bc2c599', name: 'Wrapped Bitcoin', decimals: 8 },
-            { symbol: 'WETH', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', name: 'Wrapped Ether', decimals: 18 },
-          ],
-          137: [ // Polygon
-            { symbol: 'MATIC', address: null, name: 'Polygon', decimals: 18 },
-            { symbol: 'POL', address: '0x4557328F4C0E5F986bC92c6a6f25b7E9C6E25B9e', name: 'Polygon Ecosystem Token', decimals: 18 },
-            { symbol: 'WPOL', address: '0x6d1fdBB266fCc09A16a22016369210a15bb95761', name: 'Wrapped POL', decimals: 18 },
-            { symbol: 'WETH', address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', name: 'Wrapped Ether', decimals: 18 },
-            { symbol: 'WMATIC', address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', name: 'Wrapped MATIC', decimals: 18 },
-            { symbol: 'USDC', address: '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359', name: 'USD Coin', decimals: 6 },
-            { symbol: 'USDT', address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', name: 'Tether USD (PoS)', decimals: 6 },
-            { symbol: 'DAI', address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', name: 'Dai Stablecoin (PoS)', decimals: 18 },
-            { symbol: 'WBTC', address: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6', name: 'Wrapped Bitcoin', decimals: 8 },
-          ],
-          42161: [ // Arbitrum
-            { symbol: 'ETH', address: null, name: 'Ethereum', decimals: 18 },
-            { symbol: 'WETH', address: '0x82af49447D8a07e3bd95BD0d56f35241523fBab1', name: 'Wrapped Ether', decimals: 18 },
-            { symbol: 'USDC', address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', name: 'USD Coin', decimals: 6 },
-            { symbol: 'USDT', address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', name: 'Tether USD', decimals: 6 },
-            { symbol: 'DAI', address: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1', name: 'Dai Stablecoin', decimals: 18 },
-            { symbol: 'WBTC', address: '0x2f2a2543B76A4166549F7AaB2e75BEF0aefC5b0f', name: 'Wrapped Bitcoin', decimals: 8 },
-          ],
-          56: [ // BNB Chain
-            { symbol: 'BNB', address: null, name: 'BNB', decimals: 18 },
-            { symbol: 'WETH', address: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8', name: 'Wrapped Ether', decimals: 18 },
-            { symbol: 'WBNB', address: '0xBB4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', name: 'Wrapped BNB', decimals: 18 },
-            { symbol: 'USDC', address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', name: 'USD Coin', decimals: 18 },
-            { symbol: 'USDT', address: '0x55d398326f99059fF775485246999027B3197955', name: 'Tether USD', decimals: 18 },
-            { symbol: 'DAI', address: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', name: 'Dai Token', decimals: 18 },
-            { symbol: 'WBTC', address: '0x0555E30da8f98308EdB960aa94C0Db47230d2B9c', name: 'Wrapped Bitcoin', decimals: 8 },
-          ],
-        };
-
-        const tokens = commonTokens[chainId] || [
-          { symbol: networks[chainId]?.symbol || 'ETH', address: null, name: networks[chainId]?.name || 'Ethereum', decimals: 18 }
+        // Native token plus the configured token lists for this chain
+        await refreshTokenLists().catch((listError) => {
+          console.warn('[PaymentPage] Token list refresh failed:', listError);
+        });
+        const tokens = [
+          { symbol: networks[chainId]?.symbol || 'ETH', address: null, name: networks[chainId]?.name || 'Ethereum', decimals: 18 },
+          ...getTokenListTokens(chainId),
         ];
 
         // Get native token balance
@@ -304,6 +290,17 @@ const PaymentPage = () => {
   useEffect(() => {
     if (publicBalances.length === 0 || selectedToken) return;
 
+    if (isTokenLocked) {
+      const token = publicBalances.find(t =>
+        (t.address || '').toLowerCase() === (preferredToken || '').toLowerCase()
+      );
+      if (token) {
+        setSelectedToken(token);
+        setAmount(paymentRequest.amount);
+      }
+      return;
+    }
+
     if (preferredToken) {
       const token = publicBalances.find(t =>
         (t.address || '').toLowerCase() === preferredToken.toLowerCase()
@@ -317,7 +314,7 @@ const PaymentPage = () => {
     // Select first token with balance or just the first token
     const tokenWithBalance = publicBalances.find(t => t.numericBalance > 0);
     setSelectedToken(tokenWithBalance || publicBalances[0]);
-  }, [publicBalances, preferredToken, selectedToken]);
+  }, [publicBalances, preferredToken, selectedToken, isTokenLocked, paymentRequest]);
 
   // Close token menu on outside click or ESC
   useEffect(() => {
@@ -355,6 +352,16 @@ const PaymentPage = () => {
       return;
     }
 
+    if (isRequestRefused || isPaymentRequestExpired(paymentRequest)) {
+      showTerminalToast('error', 'Payment request refused', requestCheck?.reason || 'This payment request has expired');
+      return;
+    }
+
+    if (amountError) {
+      showTerminalToast('error', amountError);
+      return;
+    }
+
     setIsProcessing(true);
 
     showTerminalToast('info', 'Starting Deposit', 'Preparing your deposit...', { duration: 2000 });
@@ -368,9 +375,14 @@ const PaymentPage = () => {
 
       // Sanctions screening for the payer (current user)
       console.log('[PaymentPage] Screening payer wallet:', address);
-      await assertNotSanctioned(chainId, address);
+      await assertScreeningPassed(chainId, address, { context: 'payment-payer' });
       console.log('[PaymentPage] Payer screening passed');
 
+      // Screen the receiving vault too (0zk addresses are checked against the local denylist)
+      if (resolvedRecipientAddress) {
+        await assertScreeningPassed(chainId, resolvedRecipientAddress, { context: 'payment-recipient' });
+      }
+
       // Check token support
       if (!isTokenSupportedByRailgun(selectedToken.address, chainId)) {
         throw new Error(`${selectedToken.symbol} is not supported on this network`);
@@ -652,6 +664,22 @@ const PaymentPage = () => {
       setTransactionCompleted(true);
       setCompletedTransactionHash(sent.hash);
 
+      // Record the deposit on the recipient's timeline so their Requests view can match the invoice
+      const { recordIncomingShield } = await import('../utils/railgun/transactionMonitor.js');
+      await recordIncomingShield({
+        txHash: sent.hash,
+        chainId,
+        blockNumber: receipt?.blockNumber ?? null,
+        recipientAddress: resolvedRecipientAddress,
+        senderAddress: payerEOA,
+        tokenSymbol: selectedToken.symbol,
+        tokenAddress: selectedToken.address || null,
+        decimals: selectedToken.decimals,
+        amount,
+        invoiceId: paymentRequest.invoiceId,
+        memo: paymentRequest.memo,
+      });
+
       // 🎯 AWARD POINTS TO RECIPIENT: Since funds were deposited into their vault
       try {
         console.log('[PaymentPage] 🎯 Awarding points to recipient for receiving funds...');
@@ -741,7 +769,9 @@ const PaymentPage = () => {
     } catch (error) {
       console.error('[PaymentPage] Payment failed:', error);
       
-      if (error.message.includes('sanctions') || error.message.includes('sanctioned')) {
+      if (error.screening) {
+        showTerminalToast('error', 'Transaction blocked', error.screening.reason || 'Address failed sanctions screening');
+      } else if (error.message.includes('sanctions') || error.message.includes('sanctioned')) {
         showTerminalToast('error', 'Transaction blocked', 'Address appears on sanctions list');
       } else if (error.code === 'TRANSACTION_REPLACED' || (error.code === 'TRANSACTION_REPLACED' && error.reason === 'cancelled')) {
         showTerminalToast('error', 'Transaction cancelled by user');
@@ -826,6 +856,33 @@ const PaymentPage = () => {
     resolveRecipient();
   }, [toParam]);
 
+  // Check the request's signature against the resolved recipient, and again when it expires
+  useEffect(() => {
+    if (!resolvedRecipientAddress) {
+      setRequestCheck(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const check = () => {
+      verifyPaymentRequest(paymentRequest, resolvedRecipientAddress).then((result) => {
+        if (!cancelled) setRequestCheck(result);
+      });
+    };
+    check();
+
+    let expiryTimer = null;
+    const msUntilExpiry = paymentRequest.expiresAt ? paymentRequest.expiresAt * 1000 - Date.now() : 0;
+    if (msUntilExpiry > 0 && msUntilExpiry < 2 ** 31) {
+      expiryTimer = setTimeout(check, msUntilExpiry);
+    }
+
+    return () => {
+      cancelled = true;
+      clearTimeout(expiryTimer);
+    };
+  }, [paymentRequest, resolvedRecipientAddress]);
+
   // Validate payment link parameters without flashing an error while resolving
   const lexieIdPattern = /^[a-zA-Z0-9_]{3,20}$/;
   const isCandidateToParam = Boolean(toParam && (toParam.startsWith('0zk') || lexieIdPattern.test(toParam)));
@@ -936,6 +993,36 @@ const PaymentPage = () => {
                       {recipientResolveError}
                     </div>
                   )}
+                  {/* Payment request details (links v2) */}
+                  {requestCheck && (
+                    <div className="mt-3 pt-3 border-t border-green-500/20 px-6 sm:px-3 space-y-1 text-xs">
+                      {requestCheck.status === PAYMENT_REQUEST_STATUS.VERIFIED ? (
+                        <div className="text-emerald-300">
+                          ✓ Verified request from {recipientLexieId ? `@${recipientLexieId}` : `${resolvedRecipientAddress.slice(0, 12)}...`}
+                        </div>
+                      ) : requestCheck.status === PAYMENT_REQUEST_STATUS.UNSIGNED ? (
+                        <div className="text-yellow-300">! Unverified link: not signed by the recipient vault</div>
+                      ) : (
+                        <div className="text-red-300">✗ {requestCheck.reason}</div>
+                      )}
+                      {paymentRequest.amount && (
+                        <div className="text-green-300">
+                          {paymentRequest.amountMode === PAYMENT_AMOUNT_MODES.MIN ? 'Minimum amount' : 'Amount'}: {paymentRequest.amount} {selectedToken?.symbol || ''}
+                        </div>
+                      )}
+                      {paymentRequest.memo && (
+                        <div className="text-green-300 break-words">Memo: {paymentRequest.memo}</div>
+                      )}
+                      {paymentRequest.invoiceId && (
+                        <div className="text-green-400/80">Invoice: {paymentRequest.invoiceId}</div>
+                      )}
+                      {paymentRequest.expiresAt && !isRequestRefused && (
+                        <div className="text-green-400/80">
+                          Expires: {new Date(paymentRequest.expiresAt * 1000).toLocaleString()}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </>
               )}
             </div>
@@ -1002,21 +1089,24 @@ const PaymentPage = () => {
                     <button
                       type="button"
                       onClick={() => {
-                        if (!isLoadingBalances && publicBalances.length > 0) setIsTokenMenuOpen((v) => !v);
+                        if (!isLoadingBalances && publicBalances.length > 0 && !isTokenLocked) setIsTokenMenuOpen((v) => !v);
                       }}
-                      disabled={isLoadingBalances || publicBalances.length === 0}
+                      disabled={isLoadingBalances || publicBalances.length === 0 || isTokenLocked}
                       className={`w-full px-3 py-2 border border-green-500/40 rounded bg-black text-green-200 flex items-center justify-between ${
-                        isLoadingBalances || publicBalances.length === 0 ? 'cursor-not-allowed opacity-60' : 'hover:bg-green-900/20'
+                        isLoadingBalances || publicBalances.length === 0 ? 'cursor-not-allowed opacity-60' : isTokenLocked ? 'cursor-not-allowed' : 'hover:bg-green-900/20'
                       }`}
                     >
-                      <span>
+                      <span className="flex items-center gap-2">
+                        {selectedToken && <TokenLogo token={selectedToken} />}
                         {selectedToken
                           ? `${selectedToken.symbol} - ${formatBalance(selectedToken.numericBalance)} available${selectedToken.balanceUSD !== undefined ? ` ($${typeof selectedToken.balanceUSD === 'string' && selectedToken.balanceUSD.startsWith('$') ? selectedToken.balanceUSD.substring(1) : selectedToken.balanceUSD})` : ''}`
                           : isLoadingBalances
                             ? 'Loading tokens...'
-                            : 'Select token'}
+                            : isTokenLocked && publicBalances.length > 0
+                              ? 'Requested token is not available on this network'
+                              : 'Select token'}
                       </span>
-                      <span className="ml-2">▾</span>
+                      {!isTokenLocked && <span className="ml-2">▾</span>}
                     </button>
                     {isTokenMenuOpen && (
                       <div className="absolute z-20 mt-1 left-0 right-0 bg-black text-green-300 border border-green-500/40 rounded shadow-xl max-h-60 overflow-auto">
@@ -1025,8 +1115,9 @@ const PaymentPage = () => {
                             key={token.address || 'native'}
                             type="button"
                             onClick={() => { setSelectedToken(token); setIsTokenMenuOpen(false); resetTransactionState(); }}
-                            className="w-full text-left px-3 py-2 hover:bg-emerald-900/30 focus:bg-emerald-900/30 focus:outline-none"
+                            className="w-full flex items-center gap-2 text-left px-3 py-2 hover:bg-emerald-900/30 focus:bg-emerald-900/30 focus:outline-none"
                           >
+                            <TokenLogo token={token} />
                             {token.symbol} - {formatBalance(token.numericBalance)} available
                             {token.balanceUSD !== undefined && (
                               <span className="text-green-400/70">
@@ -1058,12 +1149,13 @@ const PaymentPage = () => {
                       }}
                       placeholder="0.0"
                       step="any"
-                      min="0"
+                      min={paymentRequest.amountMode === PAYMENT_AMOUNT_MODES.MIN ? paymentRequest.amount : '0'}
                       max={selectedToken?.numericBalance || 0}
                       className="w-full px-3 py-2 border border-green-500/40 rounded bg-black text-green-200"
                       disabled={!selectedToken}
+                      readOnly={paymentRequest.amountMode === PAYMENT_AMOUNT_MODES.FIXED}
                     />
-                    {selectedToken && (
+                    {selectedToken && paymentRequest.amountMode !== PAYMENT_AMOUNT_MODES.FIXED && (
                       <button
                         type="button"
                         onClick={async () => {
@@ -1192,6 +1284,9 @@ const PaymentPage = () => {
                       </button>
                     )}
                   </div>
+                  {amountError && (
+                    <p className="mt-1 text-xs text-red-300">{amountError}</p>
+                  )}
                   {selectedToken && (
                     <p className="mt-1 text-sm text-green-400/70">
                       Available: {formatBalance(selectedToken.numericBalance)} {selectedToken.symbol}
@@ -1207,9 +1302,9 @@ const PaymentPage = () => {
                 {/* Submit Button */}
                 <button
                   type="submit"
-                  disabled={!selectedToken || !amount || parseFloat(amount) <= 0 || isProcessing || !resolvedRecipientAddress || !!recipientResolveError}
+                  disabled={!selectedToken || !amount || parseFloat(amount) <= 0 || isProcessing || !resolvedRecipientAddress || !!recipientResolveError || isRequestRefused || !!amountError}
                   className={`w-full py-3 px-4 rounded font-medium transition-colors flex items-center justify-center gap-2 ${
-                    selectedToken && amount && parseFloat(amount) > 0 && !isProcessing && resolvedRecipientAddress && !recipientResolveError
+                    selectedToken && amount && parseFloat(amount) > 0 && !isProcessing && resolvedRecipientAddress && !recipientResolveError && !isRequestRefused && !amountError
                       ? 'bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 border border-emerald-400/40'
                       : 'bg-black/40 text-green-400/50 border border-green-500/20 cursor-not-allowed'
                   }`}
@@ -0,0 +1,250 @@
+/**
+ * View-Only Vault Page
+ * Auditors paste a shared viewing key to inspect a vault's balances and history.
+ * The wallet is loaded view-only: no shield, unshield or transfer actions are offered.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatUnits } from 'ethers';
+import { EyeIcon } from '@heroicons/react/24/outline';
+import { Navbar } from '../components/Navbar.jsx';
+import TerminalWindow from '../components/ui/TerminalWindow';
+import TokenLogo from '../components/ui/TokenLogo.jsx';
+import TransactionHistory from '../components/TransactionHistory';
+import { getRailgunChains, getChainDisplayName } from '../config/chains.js';
+import { getTokenInfo } from '../hooks/useBalances.js';
+import {
+  openViewOnlyVault,
+  scanViewOnlyVault,
+  closeViewOnlyVault,
+} from '../utils/railgun/view-only.js';
+
+const RAILGUN_CHAINS = getRailgunChains();
+
+const formatBalances = (erc20Amounts, chainId) => {
+  return (erc20Amounts || [])
+    .filter(({ amount }) => BigInt(amount || 0) > 0n)
+    .map(({ tokenAddress, amount }) => {
+      const info = getTokenInfo(tokenAddress, chainId);
+      const decimals = info?.decimals ?? 18;
+      return {
+        tokenAddress,
+        symbol: info?.symbol || `TOKEN_${String(tokenAddress).slice(-6)}`,
+        name: info?.name || null,
+        logoURI: info?.logoURI,
+        formattedBalance: formatUnits(BigInt(amount), decimals),
+      };
+    });
+};
+
+const ViewOnlyVaultPage = () => {
+  const [keyInput, setKeyInput] = useState('');
+  const [chainId, setChainId] = useState(RAILGUN_CHAINS[0]?.id || 1);
+  const [vault, setVault] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [balances, setBalances] = useState([]);
+
+  // Balances for the view-only wallet arrive through the shared SDK callback event
+  useEffect(() => {
+    if (!vault) return undefined;
+    const handleBalanceUpdate = (event) => {
+      const detail = event.detail;
+      if (detail?.railgunWalletID !== vault.walletID || detail?.chain?.id !== chainId) return;
+      if (detail.balanceBucket !== 'Spendable') return;
+      setBalances(formatBalances(detail.erc20Amounts, chainId));
+    };
+    window.addEventListener('railgun-balance-update', handleBalanceUpdate);
+    return () => window.removeEventListener('railgun-balance-update', handleBalanceUpdate);
+  }, [vault, chainId]);
+
+  const scan = useCallback(async (walletID, targetChainId) => {
+    setStatus('scanning');
+    setBalances([]);
+    try {
+      await scanViewOnlyVault(walletID, targetChainId);
+      setStatus('ready');
+    } catch (scanError) {
+      console.error('[ViewOnlyVaultPage] Scan failed:', scanError);
+      setError(scanError.message || 'Failed to scan vault');
+      setStatus('ready');
+    }
+  }, []);
+
+  const handleOpen = async () => {
+    setError(null);
+    setStatus('loading');
+    try {
+      const opened = await openViewOnlyVault(keyInput);
+      setVault(opened);
+      setKeyInput('');
+      await scan(opened.walletID, chainId);
+    } catch (openError) {
+      console.error('[ViewOnlyVaultPage] Failed to open vault:', openError);
+      setError(openError.message || 'Failed to open vault');
+      setStatus('idle');
+    }
+  };
+
+  const handleClose = async () => {
+    if (vault) await closeViewOnlyVault(vault.walletID);
+    setVault(null);
+    setBalances([]);
+    setError(null);
+    setStatus('idle');
+  };
+
+  const handleChainChange = (nextChainId) => {
+    setChainId(nextChainId);
+    if (vault) scan(vault.walletID, nextChainId);
+  };
+
+  // Unload the wallet when leaving the page
+  useEffect(() => {
+    return () => {
+      if (vault) closeViewOnlyVault(vault.walletID);
+    };
+  }, [vault]);
+
+  const addressMismatch = vault?.expectedRailgunAddress && vault.expectedRailgunAddress !== vault.railgunAddress;
+
+  return (
+    <div className="relative min-h-screen w-full bg-black text-white overflow-x-hidden">
+      <Navbar />
+
+      <div className="fixed inset-0 z-0">
+        <div className="absolute inset-0 bg-[#0a0a0a]"></div>
+        <div className="absolute inset-0 bg-gradient-to-t from-black via-transparent to-black/60"></div>
+      </div>
+
+      <div className="relative z-10 max-w-4xl mx-auto px-6 sm:px-8 lg:px-12 py-12">
+        <TerminalWindow
+          title="lexie-view-only"
+          statusLabel={vault ? 'READ-ONLY' : 'WAITING'}
+          statusTone={vault ? 'online' : 'waiting'}
+          footerLeft={<span>Process: view-only</span>}
+          footerRight={status === 'scanning' ? 'Scanning' : vault ? 'Active' : 'Standby'}
+          variant="vault"
+        >
+          <div className="py-6 font-mono text-green-300 space-y-6">
+            <div className="text-center">
+              <EyeIcon className="h-12 w-12 text-emerald-300 mx-auto mb-3" />
+              <h1 className="text-2xl font-bold text-emerald-300 mb-2">View-Only Vault</h1>
+              <p className="text-green-400/80 text-sm">
+                Inspect a vault's balances and history with a viewing key shared by its owner
+              </p>
+            </div>
+
+            {!vault ? (
+              <div className="space-y-3">
+                <label className="block text-sm text-green-400/80" htmlFor="viewing-key">Viewing key</label>
+                <textarea
+                  id="viewing-key"
+                  value={keyInput}
+                  onChange={(e) => setKeyInput(e.target.value)}
+                  rows={4}
+                  spellCheck={false}
+                  placeholder="lexie-vk1:..."
+                  className="w-full bg-black text-green-200 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-xs break-all"
+                />
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <select
+                    value={chainId}
+                    onChange={(e) => setChainId(Number(e.target.value))}
+                    className="bg-black text-green-300 rounded px-3 py-2 border border-green-500/40 focus:border-emerald-400 focus:outline-none"
+                  >
+                    {RAILGUN_CHAINS.map(chain => (
+                      <option key={chain.id} value={chain.id}>{chain.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleOpen}
+                    disabled={!keyInput.trim() || status === 'loading'}
+                    className="flex-1 px-4 py-2 bg-emerald-600/30 hover:bg-emerald-600/50 text-emerald-200 rounded border border-emerald-400/40 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {status === 'loading' ? 'Loading vault...' : 'Open vault'}
+                  </button>
+                </div>
+                <p className="text-xs text-green-400/60">
+                  The key is only held in this browser tab and is discarded when you close the vault.
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-6">
+                <div className="bg-yellow-900/20 border border-yellow-500/40 rounded p-3 text-yellow-200 text-sm">
+                  View-only mode: balances and history are visible, but this vault cannot add, remove or send funds.
+                </div>
+
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div className="text-xs text-green-400/80 break-all">
+                    Vault: <span className="text-green-200">{vault.railgunAddress}</span>
+                  </div>
+                  <div className="flex gap-2">
+                    <select
+                      value={chainId}
+                      onChange={(e) => handleChainChange(Number(e.target.value))}
+                      disabled={status === 'scanning'}
+                      className="bg-black text-green-300 rounded px-3 py-1 border border-green-500/40 focus:border-emerald-400 focus:outline-none text-sm disabled:opacity-50"
+                    >
+                      {RAILGUN_CHAINS.map(chain => (
+                        <option key={chain.id} value={chain.id}>{chain.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleClose}
+                      className="px-3 py-1 text-sm bg-black hover:bg-red-900/30 text-red-300 rounded border border-red-500/40"
+                    >
+                      Close vault
+                    </button>
+                  </div>
+                </div>
+
+                {addressMismatch && (
+                  <div className="text-xs text-red-300">
+                    Warning: the loaded vault address does not match the address in the share code.
+                  </div>
+                )}
+                {error && <div className="text-sm text-red-300">{error}</div>}
+
+                <div className="bg-black/40 border border-green-500/20 rounded p-4">
+                  <div className="text-emerald-300 text-sm font-medium mb-3">
+                    Balances on {getChainDisplayName(chainId)}
+                  </div>
+                  {status === 'scanning' && balances.length === 0 ? (
+                    <div className="text-green-400/70 text-xs">Scanning vault... this can take a few minutes on first load</div>
+                  ) : balances.length === 0 ? (
+                    <div className="text-green-400/70 text-xs">No private balances on this network</div>
+                  ) : (
+                    <div className="space-y-2">
+                      {balances.map(token => (
+                        <div key={token.tokenAddress} className="flex items-center justify-between text-sm">
+                          <div className="flex items-center gap-2">
+                            <TokenLogo token={token} />
+                            <span className="text-green-200">{token.symbol}</span>
+                            {token.name && <span className="text-green-400/60 text-xs">• {token.name}</span>}
+                          </div>
+                          <div className="text-green-200">{Number(token.formattedBalance).toFixed(6).replace(/\.?0+$/, '')}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {status === 'ready' && (
+                  <TransactionHistory
+                    key={`${vault.walletID}:${chainId}`}
+                    walletId={vault.walletID}
+                    chainId={chainId}
+                    source="sdk"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        </TerminalWindow>
+      </div>
+    </div>
+  );
+};
+
+export default ViewOnlyVaultPage;
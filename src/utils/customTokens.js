@@ -0,0 +1,198 @@
+/**
+ * Custom Tokens
+ * User-imported ERC20 tokens, discovered on-chain by contract address.
+ *
+ * - Token lists are stored per wallet (EOA) and chain in localStorage
+ * - Metadata (symbol/decimals/name) is also kept in a per-chain registry so history
+ *   formatting and balance callbacks can resolve tokens without wallet context
+ * - Changes are broadcast with a `custom-tokens-changed` window event
+ */
+
+import { Interface, isAddress, decodeBytes32String } from 'ethers';
+import { rpcCall, ethCall } from './web3/rpc.js';
+import { isTokenSupportedByRailgun } from './railgun/actions.js';
+
+// Storage keys
+const TOKENS_PREFIX = 'lexie:custom-tokens:';
+const METADATA_PREFIX = 'lexie:token-metadata:';
+
+export const CUSTOM_TOKENS_CHANGED_EVENT = 'custom-tokens-changed';
+
+const erc20Interface = new Interface([
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+  'function decimals() view returns (uint8)',
+]);
+
+// Some older tokens (e.g. MKR) return bytes32 for symbol/name
+const bytes32Interface = new Interface([
+  'function symbol() view returns (bytes32)',
+  'function name() view returns (bytes32)',
+]);
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn('[CustomTokens] Failed to read storage:', error?.message);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn('[CustomTokens] Failed to write storage:', error?.message);
+  }
+};
+
+const getTokensKey = (walletAddress, chainId) => `${TOKENS_PREFIX}${String(walletAddress).toLowerCase()}:${Number(chainId)}`;
+const getMetadataKey = (chainId) => `${METADATA_PREFIX}${Number(chainId)}`;
+
+const notifyChanged = (walletAddress, chainId) => {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(CUSTOM_TOKENS_CHANGED_EVENT, {
+    detail: { walletAddress, chainId: Number(chainId) },
+  }));
+};
+
+const readStringField = async (chainId, tokenAddress, field) => {
+  const data = erc20Interface.encodeFunctionData(field);
+  const result = await ethCall(chainId, tokenAddress, data);
+  try {
+    return erc20Interface.decodeFunctionResult(field, result)[0];
+  } catch {
+    return decodeBytes32String(bytes32Interface.decodeFunctionResult(field, result)[0]);
+  }
+};
+
+/**
+ * Read ERC20 metadata from chain through the RPC proxy
+ * @param {number} chainId - Chain ID
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<{ address: string, symbol: string, name: string, decimals: number }>}
+ */
+export const fetchTokenMetadata = async (chainId, tokenAddress) => {
+  const code = await rpcCall(chainId, 'eth_getCode', [tokenAddress, 'latest']);
+  if (!code || code === '0x') {
+    throw new Error('No contract found at this address on the selected network');
+  }
+
+  const [symbol, decimalsResult, name] = await Promise.all([
+    readStringField(chainId, tokenAddress, 'symbol'),
+    ethCall(chainId, tokenAddress, erc20Interface.encodeFunctionData('decimals')),
+    readStringField(chainId, tokenAddress, 'name').catch(() => null),
+  ]).catch((error) => {
+    console.warn('[CustomTokens] Metadata read failed:', { tokenAddress, error: error.message });
+    throw new Error('Address is not an ERC20 token on this network');
+  });
+
+  const decimals = Number(erc20Interface.decodeFunctionResult('decimals', decimalsResult)[0]);
+  if (!symbol || !Number.isInteger(decimals) || decimals > 36) {
+    throw new Error('Token returned invalid metadata');
+  }
+
+  return {
+    address: tokenAddress.toLowerCase(),
+    symbol: symbol.trim(),
+    name: (name || symbol).trim(),
+    decimals,
+  };
+};
+
+/**
+ * Custom tokens imported by a wallet on a chain
+ * @param {string} walletAddress - EOA address
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>} [{ address, symbol, name, decimals, chainId, isCustom, addedAt }]
+ */
+export const getCustomTokens = (walletAddress, chainId) => {
+  if (!walletAddress || !chainId) return [];
+  return readJson(getTokensKey(walletAddress, chainId), []);
+};
+
+/**
+ * Metadata for a token previously imported on this chain (by any wallet on this device)
+ * @param {number} chainId - Chain ID
+ * @param {string} tokenAddress - Token address
+ * @returns {Object|null} { address, symbol, name, decimals }
+ */
+export const getCustomTokenMetadata = (chainId, tokenAddress) => {
+  if (!chainId || !tokenAddress) return null;
+  const registry = readJson(getMetadataKey(chainId), {});
+  return registry[String(tokenAddress).toLowerCase()] || null;
+};
+
+/**
+ * Import a token by contract address
+ * @param {Object} params
+ * @param {string} params.walletAddress - EOA address
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenAddress - Token contract address
+ * @param {Array<Object>} [params.knownTokens] - Built-in tokens for the chain (rejects duplicates)
+ * @returns {Promise<Object>} Stored token
+ */
+export const addCustomToken = async ({ walletAddress, chainId, tokenAddress, knownTokens = [] }) => {
+  const address = String(tokenAddress || '').trim();
+  if (!walletAddress) {
+    throw new Error('Connect a wallet to import tokens');
+  }
+  if (!isAddress(address)) {
+    throw new Error('Enter a valid token contract address (0x...)');
+  }
+  if (!isTokenSupportedByRailgun(address, Number(chainId))) {
+    throw new Error('Tokens on this network are not supported by Railgun');
+  }
+
+  const normalized = address.toLowerCase();
+  if (knownTokens.some(token => String(token.address || '').toLowerCase() === normalized)) {
+    throw new Error('Token is already in the default list');
+  }
+  const existing = getCustomTokens(walletAddress, chainId);
+  if (existing.some(token => token.address === normalized)) {
+    throw new Error('Token has already been imported');
+  }
+
+  const metadata = await fetchTokenMetadata(Number(chainId), normalized);
+  const token = {
+    ...metadata,
+    chainId: Number(chainId),
+    isCustom: true,
+    addedAt: Date.now(),
+  };
+
+  writeJson(getTokensKey(walletAddress, chainId), [...existing, token]);
+
+  const registry = readJson(getMetadataKey(chainId), {});
+  registry[normalized] = metadata;
+  writeJson(getMetadataKey(chainId), registry);
+
+  console.log('[CustomTokens] Token imported:', { chainId, symbol: token.symbol, address: normalized });
+  notifyChanged(walletAddress, chainId);
+  return token;
+};
+
+/**
+ * Remove an imported token from a wallet's list (metadata is kept for history formatting)
+ * @param {Object} params
+ * @param {string} params.walletAddress - EOA address
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenAddress - Token address
+ */
+export const removeCustomToken = ({ walletAddress, chainId, tokenAddress }) => {
+  const normalized = String(tokenAddress || '').toLowerCase();
+  const remaining = getCustomTokens(walletAddress, chainId).filter(token => token.address !== normalized);
+  writeJson(getTokensKey(walletAddress, chainId), remaining);
+  notifyChanged(walletAddress, chainId);
+};
+
+export default {
+  CUSTOM_TOKENS_CHANGED_EVENT,
+  fetchTokenMetadata,
+  getCustomTokens,
+  getCustomTokenMetadata,
+  addCustomToken,
+  removeCustomToken,
+};
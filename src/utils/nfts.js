@@ -0,0 +1,351 @@
+/**
+ * NFTs
+ * ERC-721 / ERC-1155 tokens held by the connected EOA (candidates for shielding),
+ * plus token metadata for the private NFT gallery.
+ *
+ * - Owned NFTs are discovered from recent Transfer / TransferSingle / TransferBatch logs
+ *   to the wallet, then verified on-chain (ownerOf / balanceOf)
+ * - NFTs outside the scanned window can be added manually by contract + token ID; these
+ *   are stored per wallet (EOA) and chain in localStorage
+ * - Metadata (name/image) is resolved from tokenURI / uri and cached per chain
+ */
+
+import { Interface, isAddress, zeroPadValue, toBeHex } from 'ethers';
+import { rpcCall, ethCall } from './web3/rpc.js';
+import { validateNFTTokenSubID } from './railgun/validation-service.js';
+
+// Storage keys
+const MANUAL_PREFIX = 'lexie:nfts:';
+const METADATA_PREFIX = 'lexie:nft-metadata:';
+
+export const NFTS_CHANGED_EVENT = 'nfts-changed';
+
+// Matches NFTTokenType in @railgun-community/shared-models
+export const NFT_TOKEN_TYPE = {
+  ERC721: 1,
+  ERC1155: 2,
+};
+
+const INTERFACE_ID_ERC721 = '0x80ac58cd';
+const INTERFACE_ID_ERC1155 = '0xd9b67a26';
+
+// Log scan window: providers behind the RPC proxy cap eth_getLogs ranges
+const DISCOVERY_BLOCK_WINDOW = 50000;
+const DISCOVERY_CHUNK_SIZE = 10000;
+const MAX_DISCOVERED_CANDIDATES = 100;
+
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const METADATA_TIMEOUT_MS = 8000;
+
+const nftInterface = new Interface([
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function uri(uint256 id) view returns (string)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+]);
+
+const TRANSFER_TOPIC = nftInterface.getEvent('Transfer').topicHash;
+const TRANSFER_SINGLE_TOPIC = nftInterface.getEvent('TransferSingle').topicHash;
+const TRANSFER_BATCH_TOPIC = nftInterface.getEvent('TransferBatch').topicHash;
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn('[NFTs] Failed to read storage:', error?.message);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn('[NFTs] Failed to write storage:', error?.message);
+  }
+};
+
+const getManualKey = (walletAddress, chainId) => `${MANUAL_PREFIX}${String(walletAddress).toLowerCase()}:${Number(chainId)}`;
+const getMetadataKey = (chainId) => `${METADATA_PREFIX}${Number(chainId)}`;
+
+/**
+ * Stable key for an NFT (contract + token ID)
+ * @param {string} nftAddress - Contract address
+ * @param {string|BigInt} tokenSubID - Token ID
+ * @returns {string}
+ */
+export const getNFTKey = (nftAddress, tokenSubID) => `${String(nftAddress).toLowerCase()}:${BigInt(tokenSubID).toString()}`;
+
+const notifyChanged = (walletAddress, chainId) => {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(NFTS_CHANGED_EVENT, {
+    detail: { walletAddress, chainId: Number(chainId) },
+  }));
+};
+
+const callView = async (chainId, contract, fn, args = []) => {
+  const result = await ethCall(chainId, contract, nftInterface.encodeFunctionData(fn, args));
+  return nftInterface.decodeFunctionResult(fn, result)[0];
+};
+
+/**
+ * Detect whether a contract is ERC721 or ERC1155 (ERC165)
+ * @param {number} chainId - Chain ID
+ * @param {string} nftAddress - Contract address
+ * @returns {Promise<number|null>} NFT_TOKEN_TYPE value, or null when neither
+ */
+export const detectNFTTokenType = async (chainId, nftAddress) => {
+  const supports = (interfaceId) => callView(chainId, nftAddress, 'supportsInterface', [interfaceId]).catch(() => false);
+  if (await supports(INTERFACE_ID_ERC721)) return NFT_TOKEN_TYPE.ERC721;
+  if (await supports(INTERFACE_ID_ERC1155)) return NFT_TOKEN_TYPE.ERC1155;
+  return null;
+};
+
+/**
+ * How many of a token the wallet holds publicly (0/1 for ERC721)
+ * @param {number} chainId - Chain ID
+ * @param {Object} nft - { nftAddress, nftTokenType, tokenSubID }
+ * @param {string} walletAddress - EOA address
+ * @returns {Promise<BigInt>}
+ */
+export const getPublicNFTBalance = async (chainId, nft, walletAddress) => {
+  if (Number(nft.nftTokenType) === NFT_TOKEN_TYPE.ERC721) {
+    const owner = await callView(chainId, nft.nftAddress, 'ownerOf', [BigInt(nft.tokenSubID)]).catch(() => null);
+    return owner && owner.toLowerCase() === walletAddress.toLowerCase() ? 1n : 0n;
+  }
+  return BigInt(await callView(chainId, nft.nftAddress, 'balanceOf', [walletAddress, BigInt(nft.tokenSubID)]).catch(() => 0n));
+};
+
+// Collect (contract, tokenId, type) candidates from transfer logs addressed to the wallet
+const collectTransferCandidates = async (chainId, walletAddress, fromBlock, toBlock) => {
+  const toTopic = zeroPadValue(walletAddress.toLowerCase(), 32);
+  const range = { fromBlock: toBeHex(fromBlock), toBlock: toBeHex(toBlock) };
+  const [erc721Logs, erc1155Logs] = await Promise.all([
+    rpcCall(chainId, 'eth_getLogs', [{ ...range, topics: [TRANSFER_TOPIC, null, toTopic] }]),
+    rpcCall(chainId, 'eth_getLogs', [{ ...range, topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, toTopic] }]),
+  ]);
+
+  const candidates = [];
+  // ERC20 Transfer shares the topic hash but keeps the amount in data (3 topics, not 4)
+  for (const log of erc721Logs || []) {
+    if (log.topics?.length !== 4) continue;
+    candidates.push({ nftAddress: log.address, tokenSubID: BigInt(log.topics[3]).toString(), nftTokenType: NFT_TOKEN_TYPE.ERC721 });
+  }
+  for (const log of erc1155Logs || []) {
+    try {
+      const parsed = nftInterface.parseLog(log);
+      const ids = parsed.name === 'TransferSingle' ? [parsed.args.id] : parsed.args.ids;
+      for (const id of ids) {
+        candidates.push({ nftAddress: log.address, tokenSubID: BigInt(id).toString(), nftTokenType: NFT_TOKEN_TYPE.ERC1155 });
+      }
+    } catch {
+      // Non-standard event layout - skip
+    }
+  }
+  return candidates;
+};
+
+/**
+ * NFTs added manually by a wallet on a chain
+ * @param {string} walletAddress - EOA address
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>} [{ nftAddress, tokenSubID, nftTokenType, addedAt }]
+ */
+export const getManualNFTs = (walletAddress, chainId) => {
+  if (!walletAddress || !chainId) return [];
+  return readJson(getManualKey(walletAddress, chainId), []);
+};
+
+/**
+ * Find NFTs the wallet currently owns publicly (recent transfers + manual entries)
+ * @param {Object} params
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.walletAddress - EOA address
+ * @returns {Promise<Array<Object>>} [{ nftAddress, tokenSubID, nftTokenType, balance, isManual }]
+ */
+export const discoverOwnedNFTs = async ({ chainId, walletAddress }) => {
+  if (!walletAddress || !chainId) return [];
+
+  const candidates = new Map();
+  const manual = getManualNFTs(walletAddress, chainId);
+  for (const nft of manual) {
+    candidates.set(getNFTKey(nft.nftAddress, nft.tokenSubID), { ...nft, isManual: true });
+  }
+
+  try {
+    const latestBlock = Number(await rpcCall(chainId, 'eth_blockNumber'));
+    const startBlock = Math.max(0, latestBlock - DISCOVERY_BLOCK_WINDOW);
+    for (let from = startBlock; from <= latestBlock; from += DISCOVERY_CHUNK_SIZE) {
+      const to = Math.min(latestBlock, from + DISCOVERY_CHUNK_SIZE - 1);
+      const found = await collectTransferCandidates(chainId, walletAddress, from, to);
+      for (const nft of found) {
+        const key = getNFTKey(nft.nftAddress, nft.tokenSubID);
+        if (!candidates.has(key)) candidates.set(key, { ...nft, isManual: false });
+      }
+      if (candidates.size >= MAX_DISCOVERED_CANDIDATES) break;
+    }
+  } catch (error) {
+    // Log scanning is best-effort; manual entries still work
+    console.warn('[NFTs] Transfer log scan failed:', error.message);
+  }
+
+  const owned = [];
+  for (const nft of candidates.values()) {
+    const balance = await getPublicNFTBalance(chainId, nft, walletAddress);
+    if (balance > 0n) {
+      owned.push({ ...nft, nftAddress: nft.nftAddress.toLowerCase(), balance });
+    }
+  }
+
+  console.log('[NFTs] Owned NFTs discovered:', { chainId, candidates: candidates.size, owned: owned.length });
+  return owned;
+};
+
+/**
+ * Add an NFT by contract address and token ID (verifies type and ownership)
+ * @param {Object} params
+ * @param {string} params.walletAddress - EOA address
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.nftAddress - Contract address
+ * @param {string} params.tokenSubID - Token ID (decimal or 0x-hex)
+ * @returns {Promise<Object>} Stored NFT with current balance
+ */
+export const addManualNFT = async ({ walletAddress, chainId, nftAddress, tokenSubID }) => {
+  const address = String(nftAddress || '').trim();
+  if (!walletAddress) {
+    throw new Error('Connect a wallet to add NFTs');
+  }
+  if (!isAddress(address)) {
+    throw new Error('Enter a valid NFT contract address (0x...)');
+  }
+  const subIdValidation = validateNFTTokenSubID(tokenSubID);
+  if (!subIdValidation.isValid) {
+    throw new Error(subIdValidation.error);
+  }
+
+  const nftTokenType = await detectNFTTokenType(Number(chainId), address);
+  if (!nftTokenType) {
+    throw new Error('Address is not an ERC721 or ERC1155 contract on this network');
+  }
+
+  const nft = {
+    nftAddress: address.toLowerCase(),
+    tokenSubID: subIdValidation.details.tokenSubID,
+    nftTokenType,
+  };
+  const balance = await getPublicNFTBalance(Number(chainId), nft, walletAddress);
+  if (balance === 0n) {
+    throw new Error('This wallet does not own that token');
+  }
+
+  const key = getNFTKey(nft.nftAddress, nft.tokenSubID);
+  const existing = getManualNFTs(walletAddress, chainId).filter(n => getNFTKey(n.nftAddress, n.tokenSubID) !== key);
+  writeJson(getManualKey(walletAddress, chainId), [...existing, { ...nft, addedAt: Date.now() }]);
+
+  console.log('[NFTs] NFT added manually:', { chainId, key });
+  notifyChanged(walletAddress, chainId);
+  return { ...nft, balance, isManual: true };
+};
+
+/**
+ * Remove a manually added NFT
+ * @param {Object} params
+ * @param {string} params.walletAddress - EOA address
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.nftAddress - Contract address
+ * @param {string} params.tokenSubID - Token ID
+ */
+export const removeManualNFT = ({ walletAddress, chainId, nftAddress, tokenSubID }) => {
+  const key = getNFTKey(nftAddress, tokenSubID);
+  const remaining = getManualNFTs(walletAddress, chainId).filter(n => getNFTKey(n.nftAddress, n.tokenSubID) !== key);
+  writeJson(getManualKey(walletAddress, chainId), remaining);
+  notifyChanged(walletAddress, chainId);
+};
+
+const resolveMediaUrl = (url) => {
+  if (!url || typeof url !== 'string') return null;
+  if (url.startsWith('ipfs://')) return IPFS_GATEWAY + url.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  if (url.startsWith('ar://')) return `https://arweave.net/${url.slice('ar://'.length)}`;
+  if (/^(https?:|data:)/.test(url)) return url;
+  return null;
+};
+
+const fetchMetadataJson = async (uri) => {
+  if (uri.startsWith('data:application/json')) {
+    const [, payload] = uri.split(',', 2);
+    return JSON.parse(uri.includes(';base64,') ? atob(payload) : decodeURIComponent(payload));
+  }
+  const url = resolveMediaUrl(uri);
+  if (!url) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), METADATA_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    return response.ok ? await response.json() : null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Resolve display metadata for an NFT (cached per chain; failures yield a placeholder)
+ * @param {number} chainId - Chain ID
+ * @param {Object} nft - { nftAddress, nftTokenType, tokenSubID }
+ * @returns {Promise<{ name: string, collection: string|null, image: string|null, description: string|null }>}
+ */
+export const fetchNFTMetadata = async (chainId, nft) => {
+  const key = getNFTKey(nft.nftAddress, nft.tokenSubID);
+  const cache = readJson(getMetadataKey(chainId), {});
+  if (cache[key]) return cache[key];
+
+  const tokenId = BigInt(nft.tokenSubID);
+  const collection = await callView(chainId, nft.nftAddress, 'name').catch(() => null);
+  const fallback = { name: `${collection || 'NFT'} #${tokenId.toString()}`, collection, image: null, description: null };
+
+  let metadata = fallback;
+  try {
+    const isERC1155 = Number(nft.nftTokenType) === NFT_TOKEN_TYPE.ERC1155;
+    let uri = await callView(chainId, nft.nftAddress, isERC1155 ? 'uri' : 'tokenURI', [tokenId]);
+    if (isERC1155) {
+      // ERC1155 clients substitute {id} with the lowercase 64-char hex ID
+      uri = uri.replace('{id}', tokenId.toString(16).padStart(64, '0'));
+    }
+    const json = uri ? await fetchMetadataJson(uri) : null;
+    if (json) {
+      metadata = {
+        name: json.name || fallback.name,
+        collection,
+        image: resolveMediaUrl(json.image || json.image_url),
+        description: json.description || null,
+      };
+    }
+  } catch (error) {
+    console.warn('[NFTs] Metadata lookup failed:', { key, error: error.message });
+  }
+
+  // Only cache successful lookups so transient gateway failures are retried
+  if (metadata !== fallback) {
+    writeJson(getMetadataKey(chainId), { ...readJson(getMetadataKey(chainId), {}), [key]: metadata });
+  }
+  return metadata;
+};
+
+export default {
+  NFTS_CHANGED_EVENT,
+  NFT_TOKEN_TYPE,
+  getNFTKey,
+  detectNFTTokenType,
+  getPublicNFTBalance,
+  getManualNFTs,
+  discoverOwnedNFTs,
+  addManualNFT,
+  removeManualNFT,
+  fetchNFTMetadata,
+};
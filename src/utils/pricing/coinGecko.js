@@ -1,6 +1,8 @@
 /**
  * CoinGecko Price Fetching Utility
  * Fetches real-time cryptocurrency prices for USD value calculations
+ * Symbol-keyed; used for gas token conversions. Balances and history pricing go through
+ * the address-keyed price service (price-service.js).
  */
 
 // CoinGecko token ID mappings for supported tokens
@@ -25,6 +27,11 @@ const COINGECKO_TOKEN_IDS = {
 
   // Optimism Network
   'OP': 'optimism',
+  'USDC.e': 'usd-coin',
+
+  // Base Network
+  'USDbC': 'bridged-usd-coin-base',
+  'cbBTC': 'coinbase-wrapped-btc',
 
   // BSC Network
   'BNB': 'binancecoin',
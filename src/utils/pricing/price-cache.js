@@ -0,0 +1,132 @@
+/**
+ * Persistent Price Cache
+ * IndexedDB-backed (via localforage) cache for spot and historical prices,
+ * fronted by an in-memory map. Historical entries never expire.
+ */
+
+import localforage from 'localforage';
+
+const priceStore = localforage.createInstance({
+  name: 'LexiePrices',
+  storeName: 'prices',
+  description: 'Token USD prices (spot and historical)',
+  driver: [localforage.INDEXEDDB, localforage.LOCALSTORAGE],
+});
+
+// key -> { price, source, fetchedAt, expiresAt }
+const memoryCache = new Map();
+
+export const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const NATIVE_ALIASES = new Set([
+  '',
+  NATIVE_TOKEN_ADDRESS,
+  '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+]);
+
+/**
+ * Normalize a token address for price keys (native token -> zero address)
+ * @param {string|null} address - Token address
+ * @returns {string}
+ */
+export const normalizePriceTokenAddress = (address) => {
+  const normalized = String(address || '').trim().toLowerCase();
+  return NATIVE_ALIASES.has(normalized) ? NATIVE_TOKEN_ADDRESS : normalized;
+};
+
+export const isNativeTokenAddress = (address) => {
+  return normalizePriceTokenAddress(address) === NATIVE_TOKEN_ADDRESS;
+};
+
+export const getSpotCacheKey = (chainId, address) => {
+  return `spot:${Number(chainId)}:${normalizePriceTokenAddress(address)}`;
+};
+
+/**
+ * Historical key: by block when known, otherwise by UTC hour
+ */
+export const getHistoricalCacheKey = (chainId, address, { timestamp, blockNumber } = {}) => {
+  const base = `hist:${Number(chainId)}:${normalizePriceTokenAddress(address)}`;
+  if (blockNumber !== undefined && blockNumber !== null) {
+    return `${base}:block:${Number(blockNumber)}`;
+  }
+  return `${base}:hour:${new Date(timestamp).toISOString().slice(0, 13)}`;
+};
+
+const isFresh = (entry) => !!entry && (entry.expiresAt === null || entry.expiresAt > Date.now());
+
+/**
+ * Read a cached price entry
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { price, source, fetchedAt, expiresAt } or null
+ */
+export const getCachedPriceEntry = async (key) => {
+  const memory = memoryCache.get(key);
+  if (isFresh(memory)) return memory;
+
+  try {
+    const stored = await priceStore.getItem(key);
+    if (isFresh(stored)) {
+      memoryCache.set(key, stored);
+      return stored;
+    }
+  } catch (error) {
+    console.warn('[PriceCache] Read failed:', error?.message);
+  }
+  return null;
+};
+
+/**
+ * Store a price entry
+ * @param {string} key - Cache key
+ * @param {Object} entry - { price, source }
+ * @param {number|null} ttlMs - Time to live, or null to keep forever
+ */
+export const setCachedPriceEntry = async (key, { price, source }, ttlMs = null) => {
+  const entry = {
+    price,
+    source,
+    fetchedAt: Date.now(),
+    expiresAt: ttlMs === null ? null : Date.now() + ttlMs,
+  };
+  memoryCache.set(key, entry);
+  try {
+    await priceStore.setItem(key, entry);
+  } catch (error) {
+    console.warn('[PriceCache] Write failed:', error?.message);
+  }
+  return entry;
+};
+
+/**
+ * Clear cached prices
+ * @param {Object} [options]
+ * @param {boolean} [options.includeHistorical] - Also drop historical prices (default: spot only)
+ */
+export const clearPriceStore = async ({ includeHistorical = false } = {}) => {
+  const shouldDrop = (key) => includeHistorical || key.startsWith('spot:');
+  for (const key of Array.from(memoryCache.keys())) {
+    if (shouldDrop(key)) memoryCache.delete(key);
+  }
+  try {
+    if (includeHistorical) {
+      await priceStore.clear();
+      return;
+    }
+    const keys = await priceStore.keys();
+    await Promise.all(keys.filter(shouldDrop).map(key => priceStore.removeItem(key)));
+  } catch (error) {
+    console.warn('[PriceCache] Clear failed:', error?.message);
+  }
+};
+
+export default {
+  NATIVE_TOKEN_ADDRESS,
+  normalizePriceTokenAddress,
+  isNativeTokenAddress,
+  getSpotCacheKey,
+  getHistoricalCacheKey,
+  getCachedPriceEntry,
+  setCachedPriceEntry,
+  clearPriceStore,
+};
@@ -0,0 +1,178 @@
+/**
+ * Price Service
+ * Address-keyed USD pricing with pluggable providers and a persistent cache.
+ *
+ * Providers implement:
+ *   { id, supportsChain(chainId), getSpotPrices(chainId, addresses), getHistoricalPrice(chainId, address, { timestamp, blockNumber }) }
+ * and are tried in order; each provider is only asked for tokens the previous ones couldn't price.
+ * Default order comes from PRICING_CONFIG.providers (coingecko, dex-twap, stablecoin-peg).
+ */
+
+import { PRICING_CONFIG } from '../../config/environment.js';
+import { coingeckoProvider } from './providers/coingecko.js';
+import { dexTwapProvider } from './providers/dex-twap.js';
+import { stablecoinPegProvider } from './providers/stablecoin-peg.js';
+import {
+  normalizePriceTokenAddress,
+  getSpotCacheKey,
+  getHistoricalCacheKey,
+  getCachedPriceEntry,
+  setCachedPriceEntry,
+  clearPriceStore,
+} from './price-cache.js';
+
+const BUILT_IN_PROVIDERS = {
+  [coingeckoProvider.id]: coingeckoProvider,
+  [dexTwapProvider.id]: dexTwapProvider,
+  [stablecoinPegProvider.id]: stablecoinPegProvider,
+};
+
+let providers = PRICING_CONFIG.providers
+  .map(id => BUILT_IN_PROVIDERS[id])
+  .filter(Boolean);
+
+/**
+ * Register a price provider
+ * @param {Object} provider - Provider adapter
+ * @param {Object} [options]
+ * @param {number} [options.index] - Position in the provider order (default: before the peg fallback)
+ */
+export const registerPriceProvider = (provider, { index } = {}) => {
+  if (!provider?.id || typeof provider.getSpotPrices !== 'function') {
+    throw new Error('Price provider must have an id and getSpotPrices()');
+  }
+  const remaining = providers.filter(p => p.id !== provider.id);
+  const pegIndex = remaining.findIndex(p => p.id === stablecoinPegProvider.id);
+  const position = index ?? (pegIndex === -1 ? remaining.length : pegIndex);
+  remaining.splice(position, 0, provider);
+  providers = remaining;
+  console.log('[PriceService] Provider registered:', providers.map(p => p.id));
+};
+
+export const unregisterPriceProvider = (id) => {
+  providers = providers.filter(p => p.id !== id);
+};
+
+export const getPriceProviders = () => providers.map(p => p.id);
+
+const toAddress = (token) => normalizePriceTokenAddress(
+  typeof token === 'string' || token === null || token === undefined
+    ? token
+    : (token.tokenAddress ?? token.address)
+);
+
+/**
+ * Spot USD prices for a set of tokens on one chain
+ * @param {number} chainId - Chain ID
+ * @param {Array<string|Object>} tokens - Addresses or token objects ({ address } / { tokenAddress }); null = native
+ * @param {Object} [options]
+ * @param {boolean} [options.skipCache] - Bypass cached spot prices
+ * @returns {Promise<Object>} normalized address -> USD price (tokens without a price are omitted)
+ */
+export const getTokenPrices = async (chainId, tokens, { skipCache = false } = {}) => {
+  const addresses = [...new Set(tokens.map(toAddress))];
+  const prices = {};
+
+  let missing = [];
+  for (const address of addresses) {
+    const cached = skipCache ? null : await getCachedPriceEntry(getSpotCacheKey(chainId, address));
+    if (cached) {
+      prices[address] = cached.price;
+    } else {
+      missing.push(address);
+    }
+  }
+
+  for (const provider of providers) {
+    if (missing.length === 0) break;
+    if (!provider.supportsChain(chainId)) continue;
+
+    try {
+      const found = await provider.getSpotPrices(chainId, missing);
+      for (const [address, price] of Object.entries(found || {})) {
+        if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) continue;
+        prices[address] = price;
+        await setCachedPriceEntry(getSpotCacheKey(chainId, address), { price, source: provider.id }, PRICING_CONFIG.spotTtlMs);
+      }
+      missing = missing.filter(address => prices[address] === undefined);
+    } catch (error) {
+      console.warn(`[PriceService] ${provider.id} spot lookup failed:`, error.message);
+    }
+  }
+
+  if (missing.length > 0) {
+    console.warn('[PriceService] No price for tokens:', { chainId, missing });
+  }
+
+  return prices;
+};
+
+/**
+ * Spot USD price for one token
+ * @param {number} chainId - Chain ID
+ * @param {string|Object|null} token - Address or token object (null = native)
+ * @returns {Promise<number|null>}
+ */
+export const getTokenPrice = async (chainId, token) => {
+  const prices = await getTokenPrices(chainId, [token]);
+  return prices[toAddress(token)] ?? null;
+};
+
+/**
+ * USD price of a token at a point in history
+ * Block-based lookups are used when a block number is known (DEX TWAP at that block);
+ * otherwise the closest price to the timestamp.
+ * @param {Object} params
+ * @param {number} params.chainId - Chain ID
+ * @param {string|Object|null} params.token - Address or token object (null = native)
+ * @param {number|Date} [params.timestamp] - Unix seconds, milliseconds, or Date
+ * @param {number} [params.blockNumber] - Block number
+ * @returns {Promise<{ price: number, source: string }|null>}
+ */
+export const getHistoricalTokenPrice = async ({ chainId, token, timestamp, blockNumber }) => {
+  const address = toAddress(token);
+  const timestampMs = timestamp instanceof Date
+    ? timestamp.getTime()
+    : (timestamp ? (Number(timestamp) < 1e12 ? Number(timestamp) * 1000 : Number(timestamp)) : null);
+
+  if (!timestampMs && (blockNumber === undefined || blockNumber === null)) {
+    return null;
+  }
+
+  const at = { timestamp: timestampMs, blockNumber: blockNumber ?? null };
+  const cacheKey = getHistoricalCacheKey(chainId, address, at);
+  const cached = await getCachedPriceEntry(cacheKey);
+  if (cached) {
+    return { price: cached.price, source: cached.source };
+  }
+
+  for (const provider of providers) {
+    if (!provider.supportsChain(chainId) || typeof provider.getHistoricalPrice !== 'function') continue;
+    try {
+      const price = await provider.getHistoricalPrice(chainId, address, at);
+      if (typeof price === 'number' && Number.isFinite(price) && price > 0) {
+        await setCachedPriceEntry(cacheKey, { price, source: provider.id }, null);
+        return { price, source: provider.id };
+      }
+    } catch (error) {
+      console.warn(`[PriceService] ${provider.id} historical lookup failed:`, error.message);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Drop cached spot prices (historical prices are kept unless requested)
+ */
+export const clearPrices = (options) => clearPriceStore(options);
+
+export default {
+  registerPriceProvider,
+  unregisterPriceProvider,
+  getPriceProviders,
+  getTokenPrices,
+  getTokenPrice,
+  getHistoricalTokenPrice,
+  clearPrices,
+};
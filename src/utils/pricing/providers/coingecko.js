@@ -0,0 +1,96 @@
+/**
+ * CoinGecko Price Provider
+ * Address-keyed lookups through CoinGecko's contract endpoints, so any token
+ * CoinGecko indexes is priced without a symbol mapping. Native tokens use the
+ * coin ID from the chain registry.
+ */
+
+import { getPricingConfig } from '../../../config/chains.js';
+import { isNativeTokenAddress, normalizePriceTokenAddress } from '../price-cache.js';
+
+const API_BASE = 'https://api.coingecko.com/api/v3';
+
+// Half-width of the window searched around a historical timestamp
+const HISTORY_WINDOW_SECONDS = 6 * 60 * 60;
+
+const fetchJson = async (url) => {
+  const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+};
+
+// market_chart/range returns { prices: [[ms, price], ...] }; pick the point closest to the target
+const closestPrice = (points, targetMs) => {
+  if (!Array.isArray(points) || points.length === 0) return null;
+  let best = points[0];
+  for (const point of points) {
+    if (Math.abs(point[0] - targetMs) < Math.abs(best[0] - targetMs)) best = point;
+  }
+  return typeof best[1] === 'number' ? best[1] : null;
+};
+
+export const coingeckoProvider = {
+  id: 'coingecko',
+
+  supportsChain(chainId) {
+    return !!getPricingConfig(chainId)?.coingeckoPlatform;
+  },
+
+  /**
+   * @param {number} chainId - Chain ID
+   * @param {Array<string>} addresses - Normalized token addresses
+   * @returns {Promise<Object>} address -> USD price
+   */
+  async getSpotPrices(chainId, addresses) {
+    const config = getPricingConfig(chainId);
+    const prices = {};
+
+    const native = addresses.filter(isNativeTokenAddress);
+    const contracts = addresses.filter(address => !isNativeTokenAddress(address));
+
+    if (native.length > 0 && config.nativeCoingeckoId) {
+      const data = await fetchJson(`${API_BASE}/simple/price?ids=${config.nativeCoingeckoId}&vs_currencies=usd`);
+      const price = data?.[config.nativeCoingeckoId]?.usd;
+      if (typeof price === 'number') {
+        native.forEach(address => { prices[address] = price; });
+      }
+    }
+
+    if (contracts.length > 0) {
+      const data = await fetchJson(
+        `${API_BASE}/simple/token_price/${config.coingeckoPlatform}?contract_addresses=${contracts.join(',')}&vs_currencies=usd`
+      );
+      Object.entries(data || {}).forEach(([address, value]) => {
+        if (typeof value?.usd === 'number') {
+          prices[normalizePriceTokenAddress(address)] = value.usd;
+        }
+      });
+    }
+
+    return prices;
+  },
+
+  /**
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Normalized token address
+   * @param {Object} at - { timestamp (ms), blockNumber }
+   * @returns {Promise<number|null>}
+   */
+  async getHistoricalPrice(chainId, address, { timestamp }) {
+    if (!timestamp) return null;
+    const config = getPricingConfig(chainId);
+    const seconds = Math.floor(timestamp / 1000);
+    const range = `vs_currency=usd&from=${seconds - HISTORY_WINDOW_SECONDS}&to=${seconds + HISTORY_WINDOW_SECONDS}`;
+
+    const url = isNativeTokenAddress(address)
+      ? `${API_BASE}/coins/${config.nativeCoingeckoId}/market_chart/range?${range}`
+      : `${API_BASE}/coins/${config.coingeckoPlatform}/contract/${address}/market_chart/range?${range}`;
+
+    const data = await fetchJson(url);
+    return closestPrice(data?.prices, timestamp);
+  },
+};
+
+export default coingeckoProvider;
@@ -0,0 +1,164 @@
+/**
+ * DEX TWAP Price Provider
+ * Prices tokens from Uniswap v3 pool time-weighted average ticks, read through
+ * the /api/rpc proxy. Routes token -> quote stablecoin directly, or through the
+ * chain's wrapped base token when no direct pool exists. Historical lookups need
+ * a block number (eth_call at that block).
+ */
+
+import { Interface } from 'ethers';
+import { getPricingConfig, getWrappedTokenAddress } from '../../../config/chains.js';
+import { PRICING_CONFIG } from '../../../config/environment.js';
+import { isNativeTokenAddress, normalizePriceTokenAddress } from '../price-cache.js';
+import { ethCall } from '../../web3/rpc.js';
+
+const FEE_TIERS = [500, 3000, 10000, 100];
+const FALLBACK_WINDOW_SECONDS = 60;
+
+const factoryInterface = new Interface([
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)',
+]);
+const poolInterface = new Interface([
+  'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+  'function liquidity() view returns (uint128)',
+]);
+const erc20Interface = new Interface([
+  'function decimals() view returns (uint8)',
+]);
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// `${chainId}:${tokenA}:${tokenB}` -> pool address | null
+const poolCache = new Map();
+// `${chainId}:${token}` -> decimals
+const decimalsCache = new Map();
+
+const getDecimals = async (chainId, token) => {
+  const key = `${chainId}:${token}`;
+  if (!decimalsCache.has(key)) {
+    const result = await ethCall(chainId, token, erc20Interface.encodeFunctionData('decimals'));
+    decimalsCache.set(key, Number(erc20Interface.decodeFunctionResult('decimals', result)[0]));
+  }
+  return decimalsCache.get(key);
+};
+
+/**
+ * Deepest Uniswap v3 pool for a pair across fee tiers
+ */
+const findPool = async (chainId, tokenA, tokenB) => {
+  const [token0, token1] = tokenA < tokenB ? [tokenA, tokenB] : [tokenB, tokenA];
+  const key = `${chainId}:${token0}:${token1}`;
+  if (poolCache.has(key)) return poolCache.get(key);
+
+  const factory = getPricingConfig(chainId)?.uniswapV3Factory;
+  let best = null;
+  let bestLiquidity = 0n;
+
+  for (const fee of FEE_TIERS) {
+    try {
+      const poolResult = await ethCall(chainId, factory, factoryInterface.encodeFunctionData('getPool', [token0, token1, fee]));
+      const pool = factoryInterface.decodeFunctionResult('getPool', poolResult)[0];
+      if (!pool || pool === ZERO_ADDRESS) continue;
+
+      const liquidityResult = await ethCall(chainId, pool, poolInterface.encodeFunctionData('liquidity'));
+      const liquidity = poolInterface.decodeFunctionResult('liquidity', liquidityResult)[0];
+      if (liquidity > bestLiquidity) {
+        best = pool;
+        bestLiquidity = liquidity;
+      }
+    } catch (error) {
+      console.warn('[DexTwap] Pool lookup failed:', { chainId, fee, error: error.message });
+    }
+  }
+
+  poolCache.set(key, best);
+  return best;
+};
+
+const observeAverageTick = async (chainId, pool, blockTag) => {
+  for (const window of [PRICING_CONFIG.twapWindowSeconds, FALLBACK_WINDOW_SECONDS]) {
+    try {
+      const result = await ethCall(chainId, pool, poolInterface.encodeFunctionData('observe', [[window, 0]]), blockTag);
+      const [tickCumulatives] = poolInterface.decodeFunctionResult('observe', result);
+      return Number(tickCumulatives[1] - tickCumulatives[0]) / window;
+    } catch (error) {
+      // "OLD": pool observation buffer doesn't reach back far enough; try a shorter window
+      console.warn('[DexTwap] observe failed:', { pool, window, error: error.message });
+    }
+  }
+  return null;
+};
+
+/**
+ * TWAP price of `base` denominated in `quote` (human units)
+ */
+const getPairPrice = async (chainId, base, quote, blockTag) => {
+  const pool = await findPool(chainId, base, quote);
+  if (!pool) return null;
+
+  const tick = await observeAverageTick(chainId, pool, blockTag);
+  if (tick === null) return null;
+
+  const [baseDecimals, quoteDecimals] = await Promise.all([
+    getDecimals(chainId, base),
+    getDecimals(chainId, quote),
+  ]);
+
+  // 1.0001^tick = token1 per token0 in raw units
+  const rawToken1PerToken0 = Math.pow(1.0001, tick);
+  const baseIsToken0 = base < quote;
+  const decimals0 = baseIsToken0 ? baseDecimals : quoteDecimals;
+  const decimals1 = baseIsToken0 ? quoteDecimals : baseDecimals;
+  const token1PerToken0 = rawToken1PerToken0 * Math.pow(10, decimals0 - decimals1);
+
+  return baseIsToken0 ? token1PerToken0 : 1 / token1PerToken0;
+};
+
+const getUsdPrice = async (chainId, address, blockTag) => {
+  const config = getPricingConfig(chainId);
+  const quote = normalizePriceTokenAddress(config.quoteToken.address);
+  const wrapped = normalizePriceTokenAddress(getWrappedTokenAddress(chainId));
+  const token = isNativeTokenAddress(address) ? wrapped : address;
+
+  if (token === quote) return 1;
+
+  const direct = await getPairPrice(chainId, token, quote, blockTag);
+  if (direct !== null) return direct;
+
+  if (token === wrapped) return null;
+  const [inWrapped, wrappedInQuote] = await Promise.all([
+    getPairPrice(chainId, token, wrapped, blockTag),
+    getPairPrice(chainId, wrapped, quote, blockTag),
+  ]);
+  return inWrapped !== null && wrappedInQuote !== null ? inWrapped * wrappedInQuote : null;
+};
+
+export const dexTwapProvider = {
+  id: 'dex-twap',
+
+  supportsChain(chainId) {
+    const config = getPricingConfig(chainId);
+    return !!(config?.uniswapV3Factory && config?.quoteToken);
+  },
+
+  async getSpotPrices(chainId, addresses) {
+    const prices = {};
+    for (const address of addresses) {
+      try {
+        const price = await getUsdPrice(chainId, address, 'latest');
+        if (price !== null && Number.isFinite(price)) prices[address] = price;
+      } catch (error) {
+        console.warn('[DexTwap] Spot price failed:', { chainId, address, error: error.message });
+      }
+    }
+    return prices;
+  },
+
+  async getHistoricalPrice(chainId, address, { blockNumber }) {
+    if (blockNumber === undefined || blockNumber === null) return null;
+    const price = await getUsdPrice(chainId, address, `0x${Number(blockNumber).toString(16)}`);
+    return price !== null && Number.isFinite(price) ? price : null;
+  },
+};
+
+export default dexTwapProvider;
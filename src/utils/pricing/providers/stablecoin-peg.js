@@ -0,0 +1,36 @@
+/**
+ * Stablecoin Peg Price Provider
+ * Last-resort fallback: USD stablecoins listed in the chain registry are priced at $1.
+ */
+
+import { getPricingConfig } from '../../../config/chains.js';
+import { normalizePriceTokenAddress } from '../price-cache.js';
+
+const PEG_PRICE = 1;
+
+const isPeggedStablecoin = (chainId, address) => {
+  const stablecoins = getPricingConfig(chainId)?.stablecoins || [];
+  return stablecoins.some(stable => normalizePriceTokenAddress(stable) === address);
+};
+
+export const stablecoinPegProvider = {
+  id: 'stablecoin-peg',
+
+  supportsChain(chainId) {
+    return (getPricingConfig(chainId)?.stablecoins || []).length > 0;
+  },
+
+  async getSpotPrices(chainId, addresses) {
+    return Object.fromEntries(
+      addresses
+        .filter(address => isPeggedStablecoin(chainId, address))
+        .map(address => [address, PEG_PRICE])
+    );
+  },
+
+  async getHistoricalPrice(chainId, address) {
+    return isPeggedStablecoin(chainId, address) ? PEG_PRICE : null;
+  },
+};
+
+export default stablecoinPegProvider;
@@ -0,0 +1,233 @@
+/**
+ * Offline Snapshots
+ * Last known balances and transaction history per vault and chain, so the vault desktop can
+ * show something useful when opened offline.
+ *
+ * Public balances are on-chain data and stay in localStorage, so they are readable on a cold
+ * offline start. Private balances and the timeline are AES-256-GCM encrypted in IndexedDB with
+ * a key derived (HKDF-SHA256) from the vault encryption key, like proof-store.js; they can only
+ * be read once the vault key has been derived this session (the signature comes from the
+ * wallet-metadata API). Everything is removed when wallets are cleared (clearOfflineSnapshots).
+ */
+
+import { getWalletMetadata } from '../../contexts/WalletContext';
+import { deriveVaultEncryptionKey } from '../railgun/recovery-phrase.js';
+
+const PUBLIC_BALANCES_KEY_PREFIX = 'lexie:offline:public-balances';
+// Plaintext snapshots written by earlier versions; removed on clear
+const LEGACY_KEY_PREFIXES = ['lexie:offline:balances', 'lexie:offline:history'];
+
+const SNAPSHOT_DB_NAME = 'LexieOfflineSnapshots';
+const SNAPSHOT_STORE_NAME = 'snapshots';
+const HKDF_INFO = 'lexie-offline-snapshot-v1';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Snapshot keys derived this session, keyed by EOA, so a vault that goes offline can still read them
+const sessionKeys = new Map();
+
+// Balances can carry bigint amounts, which JSON.stringify rejects
+const bigintReplacer = (_key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const openSnapshotDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+        db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+      }
+    };
+  });
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openSnapshotDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([SNAPSHOT_STORE_NAME], mode);
+      const request = operation(transaction.objectStore(SNAPSHOT_STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const deriveSnapshotKey = async (encryptionKey) => {
+  const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(encryptionKey), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: textEncoder.encode(HKDF_INFO) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Snapshot key for a wallet: from this session if already derived, otherwise from the
+ * vault signature (needs the metadata API, so offline this only works for known keys)
+ * @returns {Promise<CryptoKey|null>}
+ */
+const getSnapshotKey = async (address) => {
+  const owner = address.toLowerCase();
+  if (sessionKeys.has(owner)) {
+    return sessionKeys.get(owner);
+  }
+  try {
+    const metadata = await getWalletMetadata(address);
+    if (!metadata?.signature) return null;
+    const key = await deriveSnapshotKey(await deriveVaultEncryptionKey(metadata.signature, address));
+    sessionKeys.set(owner, key);
+    return key;
+  } catch (error) {
+    console.warn('[OfflineSnapshot] Snapshot key unavailable:', error.message);
+    return null;
+  }
+};
+
+const writeEncryptedSnapshot = async (address, id, data) => {
+  try {
+    const key = await getSnapshotKey(address);
+    if (!key) return;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: textEncoder.encode(id) },
+      key,
+      textEncoder.encode(JSON.stringify({ ...data, savedAt: Date.now() }, bigintReplacer))
+    );
+    await runRequest('readwrite', store => store.put({
+      id,
+      iv: bytesToBase64(iv),
+      ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+    }));
+  } catch (error) {
+    console.warn('[OfflineSnapshot] Failed to save snapshot:', error.message);
+  }
+};
+
+const readEncryptedSnapshot = async (address, id) => {
+  try {
+    const key = await getSnapshotKey(address);
+    if (!key) return null;
+    const record = await runRequest('readonly', store => store.get(id));
+    if (!record) return null;
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(record.iv), additionalData: textEncoder.encode(id) },
+      key,
+      base64ToBytes(record.ciphertext)
+    );
+    return JSON.parse(textDecoder.decode(plaintext));
+  } catch (error) {
+    console.warn('[OfflineSnapshot] Could not read snapshot:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Save the balances shown for a wallet on a chain
+ * @param {string} address - EOA address
+ * @param {number} chainId - Chain ID
+ * @param {Object} balances - { publicBalances, privateBalances }
+ */
+export const saveBalanceSnapshot = async (address, chainId, { publicBalances, privateBalances }) => {
+  if (!address || !chainId) return;
+  const owner = address.toLowerCase();
+  try {
+    localStorage.setItem(
+      `${PUBLIC_BALANCES_KEY_PREFIX}:${owner}:${chainId}`,
+      JSON.stringify({ publicBalances, savedAt: Date.now() }, bigintReplacer)
+    );
+  } catch (error) {
+    console.warn('[OfflineSnapshot] Failed to save public balances:', error.message);
+  }
+  await writeEncryptedSnapshot(address, `balances:${owner}:${chainId}`, { privateBalances });
+};
+
+/**
+ * Private balances are only included when the snapshot key is available
+ * @returns {Promise<{ publicBalances: Array, privateBalances: Array|null, savedAt: number }|null>}
+ */
+export const loadBalanceSnapshot = async (address, chainId) => {
+  if (!address || !chainId) return null;
+  const owner = address.toLowerCase();
+  let publicSnapshot = null;
+  try {
+    publicSnapshot = JSON.parse(localStorage.getItem(`${PUBLIC_BALANCES_KEY_PREFIX}:${owner}:${chainId}`));
+  } catch {
+    publicSnapshot = null;
+  }
+  const privateSnapshot = await readEncryptedSnapshot(address, `balances:${owner}:${chainId}`);
+  if (!publicSnapshot && !privateSnapshot) return null;
+
+  return {
+    publicBalances: publicSnapshot?.publicBalances || [],
+    privateBalances: privateSnapshot?.privateBalances || null,
+    savedAt: publicSnapshot?.savedAt || privateSnapshot.savedAt,
+  };
+};
+
+/**
+ * Save the full (unfiltered) transaction timeline for a vault on a chain
+ * @param {string} address - Owner's EOA address (the timeline is encrypted with its vault key)
+ * @param {string} walletId - Railgun wallet ID
+ * @param {number} chainId - Chain ID
+ * @param {Array} timeline - Timeline items as returned by the wallet-timeline endpoint
+ */
+export const saveHistorySnapshot = async (address, walletId, chainId, timeline) => {
+  if (!address || !walletId || !chainId) return;
+  await writeEncryptedSnapshot(address, `history:${walletId}:${chainId}`, { timeline });
+};
+
+/**
+ * @returns {Promise<{ timeline: Array, savedAt: number }|null>}
+ */
+export const loadHistorySnapshot = async (address, walletId, chainId) => {
+  if (!address || !walletId || !chainId) return null;
+  return readEncryptedSnapshot(address, `history:${walletId}:${chainId}`);
+};
+
+/**
+ * Remove every snapshot and forget this session's snapshot keys (wallets cleared / disconnect)
+ */
+export const clearOfflineSnapshots = async () => {
+  sessionKeys.clear();
+  try {
+    const prefixes = [PUBLIC_BALANCES_KEY_PREFIX, ...LEGACY_KEY_PREFIXES];
+    Object.keys(localStorage)
+      .filter(key => prefixes.some(prefix => key.startsWith(`${prefix}:`)))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('[OfflineSnapshot] Failed to clear public balances:', error.message);
+  }
+  try {
+    await runRequest('readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('[OfflineSnapshot] Failed to clear snapshots:', error.message);
+  }
+};
+
+export default {
+  saveBalanceSnapshot,
+  loadBalanceSnapshot,
+  saveHistorySnapshot,
+  loadHistorySnapshot,
+  clearOfflineSnapshots,
+};
@@ -0,0 +1,40 @@
+/**
+ * Service Worker Registration
+ * Registers /sw.js (production builds only, see vite.config.js) and replays the IDB sync
+ * queue when the worker reports that connectivity is back.
+ */
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('message', async (event) => {
+    if (event.data?.type !== 'process-sync-queue') return;
+    try {
+      const { processQueue } = await import('../sync/idb-sync/queue.js');
+      await processQueue();
+    } catch (error) {
+      console.error('[ServiceWorker] Queue processing failed:', error);
+    }
+  });
+
+  // Register after load so precaching doesn't compete with the app's own startup requests
+  const register = () => {
+    navigator.serviceWorker.register('/sw.js').then((registration) => {
+      console.log('[ServiceWorker] Registered with scope:', registration.scope);
+    }).catch((error) => {
+      console.warn('[ServiceWorker] Registration failed:', error.message);
+    });
+  };
+
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register);
+  }
+};
+
+export default {
+  registerServiceWorker,
+};
@@ -0,0 +1,101 @@
+/**
+ * Lexie Service Worker
+ * Template emitted as /sw.js by the serviceWorker plugin in vite.config.js, which fills in
+ * the precache manifest placeholder below with the build's assets and a version.
+ *
+ * - App shell (index.html, bundles, snarkjs, icons) is precached so the vault opens offline
+ * - Navigations are network-first, falling back to the cached index.html (SPA routes)
+ * - Hashed /assets/* are cache-first; /api/* and cross-origin requests are never touched
+ * - Background sync wakes open clients to replay the IDB sync queue
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST;
+const SHELL_CACHE = `lexie-shell-${PRECACHE.version}`;
+const SHELL_CACHE_PREFIX = 'lexie-shell-';
+const BACKGROUND_SYNC_TAG = 'lexie-sync-queue';
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/snarkjs.min.js',
+  '/manifest.webmanifest',
+  '/favicon.svg',
+  '/favicon.png',
+  '/favicon.ico',
+  ...PRECACHE.assets.map(asset => `/${asset}`)
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const networkFirstNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+    return cached || Response.error();
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Lazily loaded chunks of this build are immutable, keep them for offline use
+  if (response.ok && new URL(request.url).pathname.startsWith('/assets/')) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstNavigation(request));
+    return;
+  }
+
+  if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== BACKGROUND_SYNC_TAG) return;
+
+  // The queue lives in the page's IndexedDB code, so hand the work to an open client
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach(client => client.postMessage({ type: 'process-sync-queue' }));
+    })
+  );
+});
@@ -9,12 +9,15 @@
  * - Cross-Contract Calls (DeFi Integration)
  */
 
-import { NetworkName, TXIDVersion } from '@railgun-community/shared-models';
+import { TXIDVersion } from '@railgun-community/shared-models';
 // Import our custom unshield implementation
 import { unshieldTokens, privateTransferWithRelayer } from './tx-unshield.js';
 
 // Import our new modular utilities
-import { shieldTokens } from './shieldTransactions.js';
+import { shieldTokens, shieldNFTs } from './shieldTransactions.js';
+import { unshieldNFTs, privateTransferNFTs } from './tx-nft.js';
+import { preparePrivateSwap, executePrivateSwap } from './tx-swap.js';
+import { planRecipe, prepareRecipe, executeRecipe, verifyRecipeResult } from './tx-recipe.js';
 // Removed: tx-transfer.js merged into tx-unshield.js (privateTransferWithRelayer)
 import { 
   generateTransferTransaction,
@@ -35,22 +38,18 @@ import {
 } from './tx-gas-broadcaster-fee-estimator.js';
 import { waitForRailgunReady } from './engine.js';
 import { parseTokenAmount } from './balances.js';
+import { validateBatchTransferRecipients } from './validation-service.js';
+import {
+  getRailgunNetworkName as getRegistryNetworkName,
+  getRailgunChains,
+  getChainDisplayName,
+} from '../../config/chains.js';
 
 /**
- * Network mapping to Railgun NetworkName enum values
- */
-const RAILGUN_NETWORK_NAMES = {
-  1: NetworkName.Ethereum,
-  42161: NetworkName.Arbitrum,
-  137: NetworkName.Polygon,
-  56: NetworkName.BNBChain,
-};
-
-/**
- * Get Railgun network name for a chain ID
+ * Get Railgun network name for a chain ID (via the chain registry)
  */
 const getRailgunNetworkName = (chainId) => {
-  const networkName = RAILGUN_NETWORK_NAMES[chainId];
+  const networkName = getRegistryNetworkName(chainId);
   if (!networkName) {
     throw new Error(`Unsupported chain ID: ${chainId}`);
   }
@@ -95,6 +94,15 @@ export { parseTokenAmount };
 // Re-export the custom unshield implementation
 export { unshieldTokens };
 
+// NFT shield / unshield (self-signed, see tx-nft.js)
+export { shieldNFTs, unshieldNFTs };
+
+// Private swaps through Relay Adapt (quote via utils/swap, see tx-swap.js)
+export { preparePrivateSwap, executePrivateSwap };
+
+// Private DeFi recipes (registry in utils/recipes, runner in tx-recipe.js)
+export { planRecipe, prepareRecipe, executeRecipe, verifyRecipeResult };
+
 /**
  * TRANSFER: Send tokens privately between Railgun wallets
  * Uses tx-generator.js for comprehensive transaction generation
@@ -216,156 +224,167 @@ export const transferTokens = async ({
 };
 
 /**
- * PRIVATE TRANSFER (memo-capable, single-recipient convenience)
- * Uses tx-transfer.js to mirror SDK structure and include memo support.
+ * Resolve a private transfer recipient (Lexie ID or Railgun address) to a 0zk address
+ * @param {string} recipientRailgunAddress - Railgun address (0zk...) or Lexie ID
+ * @returns {Promise<string>} Resolved Railgun address
  */
-export const privateTransfer = async ({
-  chainId,
-  railgunWalletID,
-  encryptionKey,
-  tokenAddress,
-  amount,
-  recipientRailgunAddress,
-  memoText = undefined,
-  walletProvider = null,
-}) => {
-  try {
-    const networkName = getRailgunNetworkName(chainId);
-    
-    // Resolve recipient: could be Lexie ID, Railgun address, or ENS
-    let resolvedRecipient = recipientRailgunAddress;
-
-    console.log('📤 [PRIVATE_TRANSFER] ===== RECIPIENT RESOLUTION START =====');
-    console.log('📤 [PRIVATE_TRANSFER] Original recipient input:', {
-      input: recipientRailgunAddress,
-      type: typeof recipientRailgunAddress,
-      isRailgunAddress: recipientRailgunAddress?.startsWith?.('0zk'),
-      inputLength: recipientRailgunAddress?.length,
-      isNull: recipientRailgunAddress === null,
-      isUndefined: recipientRailgunAddress === undefined
+const resolveTransferRecipient = async (recipientRailgunAddress) => {
+  let resolvedRecipient = recipientRailgunAddress;
+
+  console.log('📤 [PRIVATE_TRANSFER] ===== RECIPIENT RESOLUTION START =====');
+  console.log('📤 [PRIVATE_TRANSFER] Original recipient input:', {
+    input: recipientRailgunAddress,
+    type: typeof recipientRailgunAddress,
+    isRailgunAddress: recipientRailgunAddress?.startsWith?.('0zk'),
+    inputLength: recipientRailgunAddress?.length,
+    isNull: recipientRailgunAddress === null,
+    isUndefined: recipientRailgunAddress === undefined
+  });
+
+  // Check if it's a Lexie ID and resolve to Railgun address
+  if (recipientRailgunAddress && typeof recipientRailgunAddress === 'string') {
+    const input = recipientRailgunAddress.trim();
+
+    console.log('🔍 [PRIVATE_TRANSFER] Processing recipient input:', {
+      rawInput: recipientRailgunAddress,
+      trimmedInput: input,
+      startsWith0zk: input.startsWith('0zk'),
+      length: input.length,
+      isEmpty: input === ''
     });
 
-    // Check if it's a Lexie ID and resolve to Railgun address
-    if (recipientRailgunAddress && typeof recipientRailgunAddress === 'string') {
-      const input = recipientRailgunAddress.trim();
+    // If it's not already a Railgun address (0zk...), try to resolve it
+    if (!input.startsWith('0zk')) {
+      console.log('🔎 [PRIVATE_TRANSFER] Input is NOT a Railgun address, attempting resolution:', input);
 
-      console.log('🔍 [PRIVATE_TRANSFER] Processing recipient input:', {
-        rawInput: recipientRailgunAddress,
-        trimmedInput: input,
-        startsWith0zk: input.startsWith('0zk'),
-        length: input.length,
-        isEmpty: input === ''
+      // Check if it's a Lexie ID pattern
+      const lexieIdPattern = /^[a-zA-Z0-9_]{3,20}$/;
+      const isValidLexieId = lexieIdPattern.test(input.toLowerCase());
+
+      console.log('🎯 [PRIVATE_TRANSFER] Lexie ID pattern check:', {
+        input: input,
+        pattern: lexieIdPattern.toString(),
+        matchesPattern: isValidLexieId,
+        lowercaseInput: input.toLowerCase()
       });
 
-      // If it's not already a Railgun address (0zk...), try to resolve it
-      if (!input.startsWith('0zk')) {
-        console.log('🔎 [PRIVATE_TRANSFER] Input is NOT a Railgun address, attempting resolution:', input);
+      if (isValidLexieId) {
+        console.log('🎯 [PRIVATE_TRANSFER] Valid Lexie ID pattern detected, attempting Redis lookup:', input.toLowerCase());
 
-        // Check if it's a Lexie ID pattern
-        const lexieIdPattern = /^[a-zA-Z0-9_]{3,20}$/;
-        const isValidLexieId = lexieIdPattern.test(input.toLowerCase());
+        try {
+          const response = await fetch(`/api/wallet-metadata?action=lexie-resolve&lexieID=${encodeURIComponent(input.toLowerCase())}`);
+          console.log('📡 [PRIVATE_TRANSFER] API response status:', response.status);
 
-        console.log('🎯 [PRIVATE_TRANSFER] Lexie ID pattern check:', {
-          input: input,
-          pattern: lexieIdPattern.toString(),
-          matchesPattern: isValidLexieId,
-          lowercaseInput: input.toLowerCase()
-        });
-
-        if (isValidLexieId) {
-          console.log('🎯 [PRIVATE_TRANSFER] Valid Lexie ID pattern detected, attempting Redis lookup:', input.toLowerCase());
-
-          try {
-            const response = await fetch(`/api/wallet-metadata?action=lexie-resolve&lexieID=${encodeURIComponent(input.toLowerCase())}`);
-            console.log('📡 [PRIVATE_TRANSFER] API response status:', response.status);
+          const data = await response.json();
+          console.log('📡 [PRIVATE_TRANSFER] API response data:', {
+            success: data.success,
+            hasWalletAddress: !!data.walletAddress,
+            walletAddressLength: data.walletAddress?.length,
+            error: data.error,
+            fullResponse: data
+          });
 
-            const data = await response.json();
-            console.log('📡 [PRIVATE_TRANSFER] API response data:', {
+          if (data.success && data.walletAddress) {
+            resolvedRecipient = data.walletAddress;
+            console.log('✅ [PRIVATE_TRANSFER] SUCCESS - Lexie ID resolved to Railgun address:', {
+              originalLexieID: input,
+              resolvedRailgunAddress: resolvedRecipient,
+              addressLength: resolvedRecipient.length,
+              startsWith0zk: resolvedRecipient.startsWith('0zk'),
+              first20Chars: resolvedRecipient.substring(0, 20) + '...'
+            });
+          } else {
+            console.error('❌ [PRIVATE_TRANSFER] API returned success=false or no wallet address:', {
               success: data.success,
-              hasWalletAddress: !!data.walletAddress,
-              walletAddressLength: data.walletAddress?.length,
               error: data.error,
-              fullResponse: data
+              hasWalletAddress: !!data.walletAddress
             });
-
-            if (data.success && data.walletAddress) {
-              resolvedRecipient = data.walletAddress;
-              console.log('✅ [PRIVATE_TRANSFER] SUCCESS - Lexie ID resolved to Railgun address:', {
-                originalLexieID: input,
-                resolvedRailgunAddress: resolvedRecipient,
-                addressLength: resolvedRecipient.length,
-                startsWith0zk: resolvedRecipient.startsWith('0zk'),
-                first20Chars: resolvedRecipient.substring(0, 20) + '...'
-              });
-            } else {
-              console.error('❌ [PRIVATE_TRANSFER] API returned success=false or no wallet address:', {
-                success: data.success,
-                error: data.error,
-                hasWalletAddress: !!data.walletAddress
-              });
-              throw new Error(`Lexie ID "${input}" not found or not linked to a wallet`);
-            }
-          } catch (lexieError) {
-            console.error('❌ [PRIVATE_TRANSFER] Lexie ID resolution failed:', {
-              error: lexieError.message,
-              stack: lexieError.stack?.substring(0, 500),
-              input: input,
-              apiUrl: `/api/lexie/resolve?lexieID=${encodeURIComponent(input.toLowerCase())}`
-            });
-            throw new Error(`Could not resolve Lexie ID "${input}": ${lexieError.message}`);
+            throw new Error(`Lexie ID "${input}" not found or not linked to a wallet`);
           }
-        } else {
-          console.error('❌ [PRIVATE_TRANSFER] Invalid recipient format - does not match Lexie ID pattern:', {
+        } catch (lexieError) {
+          console.error('❌ [PRIVATE_TRANSFER] Lexie ID resolution failed:', {
+            error: lexieError.message,
+            stack: lexieError.stack?.substring(0, 500),
             input: input,
-            pattern: lexieIdPattern.toString(),
-            matchesPattern: isValidLexieId,
-            inputLength: input.length,
-            containsSpecialChars: /[^a-zA-Z0-9_]/.test(input)
+            apiUrl: `/api/lexie/resolve?lexieID=${encodeURIComponent(input.toLowerCase())}`
           });
-          throw new Error(`Invalid recipient format: "${input}". Must be a Lexie ID (3-20 chars, alphanumeric + underscore) or Railgun address (0zk...)`);
+          throw new Error(`Could not resolve Lexie ID "${input}": ${lexieError.message}`);
         }
       } else {
-        console.log('✅ [PRIVATE_TRANSFER] Input is already a valid Railgun address - no resolution needed:', {
-          address: input,
-          length: input.length,
-          first20Chars: input.substring(0, 20) + '...',
-          last10Chars: input.substring(input.length - 10)
+        console.error('❌ [PRIVATE_TRANSFER] Invalid recipient format - does not match Lexie ID pattern:', {
+          input: input,
+          pattern: lexieIdPattern.toString(),
+          matchesPattern: isValidLexieId,
+          inputLength: input.length,
+          containsSpecialChars: /[^a-zA-Z0-9_]/.test(input)
         });
-        resolvedRecipient = input;
+        throw new Error(`Invalid recipient format: "${input}". Must be a Lexie ID (3-20 chars, alphanumeric + underscore) or Railgun address (0zk...)`);
       }
     } else {
-      console.warn('⚠️ [PRIVATE_TRANSFER] Invalid recipient input:', {
-        recipientRailgunAddress,
-        type: typeof recipientRailgunAddress,
-        isNull: recipientRailgunAddress === null,
-        isUndefined: recipientRailgunAddress === undefined
-      });
-    }
-    
-    // Validate final recipient is a Railgun address
-    if (!resolvedRecipient || !resolvedRecipient.startsWith('0zk')) {
-      console.error('❌ [PRIVATE_TRANSFER] Final recipient validation FAILED:', {
-        resolvedRecipient,
-        type: typeof resolvedRecipient,
-        isNull: resolvedRecipient === null,
-        isUndefined: resolvedRecipient === undefined,
-        startsWith0zk: resolvedRecipient?.startsWith?.('0zk'),
-        length: resolvedRecipient?.length
+      console.log('✅ [PRIVATE_TRANSFER] Input is already a valid Railgun address - no resolution needed:', {
+        address: input,
+        length: input.length,
+        first20Chars: input.substring(0, 20) + '...',
+        last10Chars: input.substring(input.length - 10)
       });
-      throw new Error(`Invalid Railgun address: "${resolvedRecipient}". Private transfers require a Railgun address (0zk...)`);
+      resolvedRecipient = input;
     }
-
-    console.log('✅ [PRIVATE_TRANSFER] ===== RECIPIENT RESOLUTION COMPLETE =====');
-    console.log('✅ [PRIVATE_TRANSFER] Final recipient address validated:', {
-      railgunAddress: resolvedRecipient,
-      length: resolvedRecipient.length,
-      startsWith0zk: resolvedRecipient.startsWith('0zk'),
-      first30Chars: resolvedRecipient.substring(0, 30) + '...',
-      last20Chars: '...' + resolvedRecipient.substring(resolvedRecipient.length - 20),
-      originalInput: recipientRailgunAddress,
-      wasResolutionNeeded: recipientRailgunAddress !== resolvedRecipient
+  } else {
+    console.warn('⚠️ [PRIVATE_TRANSFER] Invalid recipient input:', {
+      recipientRailgunAddress,
+      type: typeof recipientRailgunAddress,
+      isNull: recipientRailgunAddress === null,
+      isUndefined: recipientRailgunAddress === undefined
+    });
+  }
+  
+  // Validate final recipient is a Railgun address
+  if (!resolvedRecipient || !resolvedRecipient.startsWith('0zk')) {
+    console.error('❌ [PRIVATE_TRANSFER] Final recipient validation FAILED:', {
+      resolvedRecipient,
+      type: typeof resolvedRecipient,
+      isNull: resolvedRecipient === null,
+      isUndefined: resolvedRecipient === undefined,
+      startsWith0zk: resolvedRecipient?.startsWith?.('0zk'),
+      length: resolvedRecipient?.length
     });
+    throw new Error(`Invalid Railgun address: "${resolvedRecipient}". Private transfers require a Railgun address (0zk...)`);
+  }
+
+  console.log('✅ [PRIVATE_TRANSFER] ===== RECIPIENT RESOLUTION COMPLETE =====');
+  console.log('✅ [PRIVATE_TRANSFER] Final recipient address validated:', {
+    railgunAddress: resolvedRecipient,
+    length: resolvedRecipient.length,
+    startsWith0zk: resolvedRecipient.startsWith('0zk'),
+    first30Chars: resolvedRecipient.substring(0, 30) + '...',
+    last20Chars: '...' + resolvedRecipient.substring(resolvedRecipient.length - 20),
+    originalInput: recipientRailgunAddress,
+    wasResolutionNeeded: recipientRailgunAddress !== resolvedRecipient
+  });
+
+  return resolvedRecipient;
+};
+
+/**
+ * PRIVATE TRANSFER (memo-capable, single-recipient convenience)
+ * Uses tx-transfer.js to mirror SDK structure and include memo support.
+ */
+export const privateTransfer = async ({
+  chainId,
+  railgunWalletID,
+  encryptionKey,
+  tokenAddress,
+  amount,
+  recipientRailgunAddress,
+  memoText = undefined,
+  walletProvider = null,
+}) => {
+  try {
+    const networkName = getRailgunNetworkName(chainId);
     
+    // Resolve recipient: could be Lexie ID, Railgun address, or ENS
+    const resolvedRecipient = await resolveTransferRecipient(recipientRailgunAddress);
+
     const erc20AmountRecipients = [{ tokenAddress, amount: BigInt(amount), recipientAddress: resolvedRecipient }];
 
     console.log('🚀 [PRIVATE_TRANSFER] ===== TRANSACTION EXECUTION =====');
@@ -390,7 +409,8 @@ export const privateTransfer = async ({
       transactionHash,
       combinedRelayerFee,
       relayerFee,
-      gasFee
+      gasFee,
+      screening
     } = await privateTransferWithRelayer({
       railgunWalletID,
       encryptionKey,
@@ -416,11 +436,136 @@ export const privateTransfer = async ({
       combinedRelayerFee,
       relayerFee,
       gasFee,
-      feeToken: 'USDC' // Default fee token for transfers (could be made configurable)
+      feeToken: 'USDC', // Default fee token for transfers (could be made configurable)
+      screening
     };
   } catch (error) {
     console.error('[RailgunActions] Private transfer failed:', error);
-    throw new Error(`Private transfer failed: ${error.message}`);
+    const transferError = new Error(`Private transfer failed: ${error.message}`);
+    // failover === false: the relayer may already have broadcast it (see relayer-client.js)
+    transferError.failover = error.failover;
+    throw transferError;
+  }
+};
+
+/**
+ * PRIVATE BATCH TRANSFER: pay several Railgun addresses / Lexie IDs in a single proof
+ * All recipients receive the same token; the relayer fee is split pro-rata across them.
+ * @param {Array} recipients - [{ recipient (0zk or Lexie ID), amount (base units), memo? }]
+ * @param {string} memoText - Shared encrypted memo attached to every output
+ */
+export const privateBatchTransfer = async ({
+  chainId,
+  railgunWalletID,
+  encryptionKey,
+  tokenAddress,
+  recipients,
+  memoText = undefined,
+}) => {
+  try {
+    const networkName = getRailgunNetworkName(chainId);
+
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    // Resolve every recipient up front so a bad Lexie ID fails before proof generation
+    const resolvedRecipients = [];
+    for (const entry of recipients) {
+      const recipientAddress = await resolveTransferRecipient(entry.recipient);
+      resolvedRecipients.push({
+        input: entry.recipient,
+        lexieId: entry.recipient?.trim().startsWith('0zk') ? null : entry.recipient.trim().toLowerCase(),
+        recipientAddress,
+        amount: BigInt(entry.amount),
+        memo: entry.memo || null,
+      });
+    }
+
+    const erc20AmountRecipients = resolvedRecipients.map(r => ({
+      tokenAddress,
+      amount: r.amount,
+      recipientAddress: r.recipientAddress,
+      memo: r.memo,
+    }));
+
+    const validation = validateBatchTransferRecipients(erc20AmountRecipients);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+
+    console.log('🚀 [PRIVATE_TRANSFER] Calling privateTransferWithRelayer (batch)...', {
+      networkName,
+      recipientCount: erc20AmountRecipients.length,
+      totalAmount: validation.details.totalAmount.toString(),
+    });
+
+    const result = await privateTransferWithRelayer({
+      railgunWalletID,
+      encryptionKey,
+      erc20AmountRecipients,
+      memoText,
+      networkName,
+    });
+
+    return {
+      txHash: result.transactionHash,
+      totalAmount: validation.details.totalAmount.toString(),
+      combinedRelayerFee: result.combinedRelayerFee,
+      relayerFee: result.relayerFee,
+      gasFee: result.gasFee,
+      feeToken: result.feeToken,
+      screening: result.screening,
+      // Merge relayer breakdown (net amounts, screening) with the user's original inputs
+      recipients: result.recipients.map((breakdown, index) => ({
+        ...breakdown,
+        input: resolvedRecipients[index].input,
+        lexieId: resolvedRecipients[index].lexieId,
+      })),
+    };
+  } catch (error) {
+    console.error('[RailgunActions] Private batch transfer failed:', error);
+    throw new Error(`Private batch transfer failed: ${error.message}`);
+  }
+};
+
+/**
+ * PRIVATE NFT TRANSFER: send ERC721 / ERC1155 notes to a Railgun address or Lexie ID
+ * Self-signed: the connected wallet pays gas (the gas relayer only handles ERC20 fees)
+ * @param {Array} nfts - [{ nftAddress, nftTokenType, tokenSubID, amount? }]
+ */
+export const privateNFTTransfer = async ({
+  chainId,
+  railgunWalletID,
+  encryptionKey,
+  nfts,
+  recipientRailgunAddress,
+  memoText = undefined,
+  walletProvider,
+  onProgress,
+}) => {
+  try {
+    const resolvedRecipient = await resolveTransferRecipient(recipientRailgunAddress);
+    const result = await privateTransferNFTs({
+      railgunWalletID,
+      encryptionKey,
+      nfts,
+      chainId,
+      recipientAddress: resolvedRecipient,
+      memoText,
+      walletProvider,
+      onProgress,
+    });
+    return {
+      txHash: result.transactionHash,
+      resolvedRecipientAddress: resolvedRecipient,
+      originalRecipientInput: recipientRailgunAddress,
+      nftAmountRecipients: result.nftAmountRecipients,
+      screening: result.screening,
+    };
+  } catch (error) {
+    console.error('[RailgunActions] Private NFT transfer failed:', error);
+    throw new Error(`Private NFT transfer failed: ${error.message}`);
   }
 };
 
@@ -432,17 +577,21 @@ export const executeCrossContractCall = async ({
   networkName,
   railgunWalletID,
   encryptionKey,
-  crossContractCalls, // Array of contract calls
-  erc20AmountRecipients = [],
-  selectedBroadcaster = null,
+  crossContractCalls, // Array of contract calls run from Relay Adapt
+  relayAdaptUnshieldERC20Amounts = [],
+  relayAdaptShieldERC20Recipients = [],
+  gasDetails = null,
+  overallBatchMinGasPrice = undefined,
+  walletProvider = null,
+  onProgress,
   txConfig = {},
 }) => {
   try {
     console.log('[RailgunActions] Starting cross-contract call:', {
       networkName,
       contractCalls: crossContractCalls?.length,
-      erc20Recipients: erc20AmountRecipients?.length,
-      hasBroadcaster: !!selectedBroadcaster,
+      unshieldTokens: relayAdaptUnshieldERC20Amounts?.length,
+      shieldTokens: relayAdaptShieldERC20Recipients?.length,
     });
 
     // Use the comprehensive transaction generator
@@ -451,10 +600,13 @@ export const executeCrossContractCall = async ({
       railgunWalletID,
       encryptionKey,
       crossContractCalls,
-      erc20AmountRecipients,
-      nftAmountRecipients: [],
-      selectedBroadcaster,
-      gasDetails: null,
+      relayAdaptUnshieldERC20Amounts,
+      relayAdaptShieldERC20Recipients,
+      sendWithPublicWallet: true,
+      gasDetails,
+      overallBatchMinGasPrice,
+      walletProvider,
+      onProgress,
       txConfig: {
         txidVersion: TXIDVersion.V2_PoseidonMerkle,
         generateProof: true,
@@ -564,7 +716,7 @@ export const estimateTransactionGas = async ({
 export const isTokenSupportedByRailgun = (tokenAddress, chainId) => {
   try {
     // Check if network is supported
-    const supportedChains = Object.keys(RAILGUN_NETWORK_NAMES).map(Number);
+    const supportedChains = getSupportedChainIds();
     if (!supportedChains.includes(chainId)) {
       return false;
     }
@@ -591,21 +743,14 @@ export const isValidRailgunAddress = validateRailgunAddress;
  * UTILITY: Get supported network IDs
  */
 export const getSupportedChainIds = () => {
-  return Object.keys(RAILGUN_NETWORK_NAMES).map(Number);
+  return getRailgunChains().map((chain) => chain.id);
 };
 
 /**
  * UTILITY: Get network display name
  */
 export const getNetworkDisplayName = (chainId) => {
-  const networkNames = {
-    1: 'Ethereum',
-    42161: 'Arbitrum',
-    137: 'Polygon',
-    56: 'BNB Smart Chain',
-  };
-  
-  return networkNames[chainId] || `Chain ${chainId}`;
+  return getChainDisplayName(chainId);
 };
 
 /**
@@ -621,6 +766,15 @@ export default {
   shieldTokens,
   unshieldTokens,
   transferTokens,
+  shieldNFTs,
+  unshieldNFTs,
+  privateNFTTransfer,
+  preparePrivateSwap,
+  executePrivateSwap,
+  planRecipe,
+  prepareRecipe,
+  executeRecipe,
+  verifyRecipeResult,
   executeCrossContractCall,
   
   // Gas estimation
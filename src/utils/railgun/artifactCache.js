@@ -0,0 +1,232 @@
+/**
+ * RAILGUN Artifact Cache
+ * Persistent storage for circuit artifacts (vkey/zkey/wasm) in Cache Storage, used by the
+ * ArtifactStore in artifactStore.js. Entries are keyed by variant string and content hash and
+ * listed in an integrity manifest (localStorage); every read is checked against the manifest
+ * hash, so a corrupted artifact is dropped and downloaded again instead of breaking a proof.
+ *
+ * Eviction: artifacts from an older artifacts release, variants unused for maxUnusedDays,
+ * then least recently used variants over the maxBytes budget.
+ */
+
+import { ArtifactName } from '@railgun-community/shared-models';
+import { artifactDownloadsDir } from './artifactUtil.js';
+import { ARTIFACT_CACHE_CONFIG } from '../../config/environment.js';
+
+const CACHE_NAME = 'lexie-railgun-artifacts-v1';
+const MANIFEST_KEY = 'lexie:artifact-manifest';
+// Synthetic origin for Cache Storage request keys (never fetched)
+const CACHE_KEY_BASE = 'https://artifacts.lexie.local/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ARTIFACT_FILE_NAMES = {
+  'vkey.json': ArtifactName.VKEY,
+  zkey: ArtifactName.ZKEY,
+  wasm: ArtifactName.WASM,
+  dat: ArtifactName.DAT,
+};
+
+let persistRequested = false;
+
+export const isArtifactCacheAvailable = () => typeof caches !== 'undefined';
+
+// "artifacts-v2.1/02x02/zkey" → { dir, variant: "02x02", name: "zkey" }
+const parseArtifactPath = (path) => {
+  const segments = path.split('/');
+  const fileName = segments.pop();
+  return {
+    dir: segments.join('/'),
+    variant: segments[segments.length - 1],
+    name: ARTIFACT_FILE_NAMES[fileName] || fileName,
+  };
+};
+
+const loadManifest = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MANIFEST_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveManifest = (manifest) => {
+  try {
+    localStorage.setItem(MANIFEST_KEY, JSON.stringify(manifest));
+  } catch (error) {
+    console.warn('[ArtifactCache] Failed to save manifest:', error.message);
+  }
+};
+
+const getCacheKey = (path, hash) => `${CACHE_KEY_BASE}${path}?sha256=${hash}`;
+
+const toBytes = (item) => (typeof item === 'string' ? new TextEncoder().encode(item) : new Uint8Array(item));
+
+const sha256Hex = async (bytes) => {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const deleteEntry = async (cache, manifest, path) => {
+  const entry = manifest[path];
+  if (!entry) return;
+  await cache.delete(getCacheKey(path, entry.hash));
+  delete manifest[path];
+};
+
+// Ask once for storage that the browser won't clear under pressure (zkeys are large)
+const requestPersistentStorage = () => {
+  if (persistRequested || typeof navigator === 'undefined' || !navigator.storage?.persist) return;
+  persistRequested = true;
+  navigator.storage.persist().catch(() => {});
+};
+
+/**
+ * Store an artifact (as handed to ArtifactStore.store) and record it in the manifest
+ * @param {string} path - Artifact downloads path (artifactUtil.artifactDownloadsPath)
+ * @param {string|Uint8Array} item - vkey JSON string or decompressed binary
+ */
+export const writeCachedArtifact = async (path, item) => {
+  requestPersistentStorage();
+  const bytes = toBytes(item);
+  const hash = await sha256Hex(bytes);
+  const cache = await caches.open(CACHE_NAME);
+  const manifest = loadManifest();
+
+  if (manifest[path] && manifest[path].hash !== hash) {
+    await deleteEntry(cache, manifest, path);
+  }
+
+  await cache.put(getCacheKey(path, hash), new Response(bytes, {
+    headers: { 'Content-Type': typeof item === 'string' ? 'application/json' : 'application/octet-stream' },
+  }));
+
+  const { variant, name } = parseArtifactPath(path);
+  const now = Date.now();
+  manifest[path] = {
+    variant,
+    name,
+    hash,
+    size: bytes.byteLength,
+    kind: typeof item === 'string' ? 'text' : 'binary',
+    storedAt: now,
+    lastUsedAt: now,
+  };
+  saveManifest(manifest);
+};
+
+/**
+ * Read an artifact, verifying it against the manifest hash
+ * @param {string} path - Artifact downloads path
+ * @returns {Promise<string|Buffer|null>} null when missing or corrupted
+ */
+export const readCachedArtifact = async (path) => {
+  const manifest = loadManifest();
+  const entry = manifest[path];
+  if (!entry) return null;
+
+  const cache = await caches.open(CACHE_NAME);
+  const response = await cache.match(getCacheKey(path, entry.hash));
+  if (!response) {
+    delete manifest[path];
+    saveManifest(manifest);
+    return null;
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  if (await sha256Hex(bytes) !== entry.hash) {
+    console.warn('[ArtifactCache] Integrity check failed, dropping artifact:', path);
+    await deleteEntry(cache, manifest, path);
+    saveManifest(manifest);
+    return null;
+  }
+
+  entry.lastUsedAt = Date.now();
+  saveManifest(manifest);
+  return entry.kind === 'text' ? new TextDecoder().decode(bytes) : Buffer.from(bytes);
+};
+
+export const hasCachedArtifact = async (path) => {
+  const entry = loadManifest()[path];
+  if (!entry) return false;
+  const cache = await caches.open(CACHE_NAME);
+  return !!(await cache.match(getCacheKey(path, entry.hash)));
+};
+
+const summarizeVariants = (manifest) => {
+  const variants = {};
+  for (const entry of Object.values(manifest)) {
+    const variant = variants[entry.variant] || { names: [], size: 0, lastUsedAt: 0 };
+    variant.names.push(entry.name);
+    variant.size += entry.size;
+    variant.lastUsedAt = Math.max(variant.lastUsedAt, entry.lastUsedAt);
+    variants[entry.variant] = variant;
+  }
+  return variants;
+};
+
+/**
+ * Cached variants with their artifacts, size and last use
+ * @returns {Object<string, { names: Array<string>, size: number, lastUsedAt: number }>}
+ */
+export const getCachedArtifactVariants = () => summarizeVariants(loadManifest());
+
+/**
+ * Evict stale and least recently used variants
+ * @param {Object} [options]
+ * @param {Array<string>} [options.keepVariants] - Variants never evicted (e.g. the preload targets)
+ * @returns {Promise<Array<string>>} Evicted variant strings
+ */
+export const evictArtifacts = async ({ keepVariants = [] } = {}) => {
+  if (!isArtifactCacheAvailable()) return [];
+
+  const cache = await caches.open(CACHE_NAME);
+  const manifest = loadManifest();
+  const keep = new Set(keepVariants);
+  const evicted = new Set();
+  const now = Date.now();
+
+  const evictVariant = async (variant) => {
+    for (const [path, entry] of Object.entries(manifest)) {
+      if (entry.variant === variant) {
+        await deleteEntry(cache, manifest, path);
+      }
+    }
+    evicted.add(variant);
+  };
+
+  // Artifacts stored under a previous artifacts release directory
+  for (const [path, entry] of Object.entries(manifest)) {
+    if (parseArtifactPath(path).dir !== artifactDownloadsDir(entry.variant)) {
+      await deleteEntry(cache, manifest, path);
+      evicted.add(entry.variant);
+    }
+  }
+
+  const maxUnusedMs = ARTIFACT_CACHE_CONFIG.maxUnusedDays * DAY_MS;
+  const byLastUse = Object.entries(summarizeVariants(manifest))
+    .filter(([variant]) => !keep.has(variant))
+    .sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt);
+
+  let totalBytes = Object.values(manifest).reduce((sum, entry) => sum + entry.size, 0);
+  for (const [variant, info] of byLastUse) {
+    if (now - info.lastUsedAt > maxUnusedMs || totalBytes > ARTIFACT_CACHE_CONFIG.maxBytes) {
+      await evictVariant(variant);
+      totalBytes -= info.size;
+    }
+  }
+
+  saveManifest(manifest);
+  if (evicted.size > 0) {
+    console.log('[ArtifactCache] Evicted artifact variants:', [...evicted]);
+  }
+  return [...evicted];
+};
+
+export default {
+  isArtifactCacheAvailable,
+  writeCachedArtifact,
+  readCachedArtifact,
+  hasCachedArtifact,
+  getCachedArtifactVariants,
+  evictArtifacts,
+};
@@ -0,0 +1,144 @@
+/**
+ * RAILGUN Artifact Preloader
+ * Warms the artifact cache in the background with the circuits a wallet is most likely to
+ * prove with, so the first send doesn't wait on a zkey download.
+ *
+ * A proof spends up to N notes of one token (N nullifiers) into 2-3 outputs (recipient,
+ * change, broadcaster fee), so the targets are 01x02/01x03 plus NNx02/NNx03 for the wallet's
+ * largest per-token note count (capped at 10), and the matching POI circuit.
+ * Readiness is broadcast on ARTIFACT_READINESS_EVENT.
+ */
+
+import { walletForID } from '@railgun-community/wallet';
+import { NETWORK_CONFIG, TXIDVersion } from '@railgun-community/shared-models';
+import { createArtifactStore } from './artifactStore.js';
+import { ArtifactDownloader } from './artifactDownloader.js';
+import { getArtifactVariantString, getArtifactVariantStringPOI } from './artifactUtil.js';
+import { evictArtifacts, getCachedArtifactVariants, isArtifactCacheAvailable } from './artifactCache.js';
+import { getRailgunNetworkName } from '../../config/chains.js';
+import { ARTIFACT_CACHE_CONFIG } from '../../config/environment.js';
+
+export const ARTIFACT_READINESS_EVENT = 'artifact-readiness';
+
+const MAX_PRELOAD_NULLIFIERS = 10;
+
+let readiness = {
+  targets: [], // [{ variant, ready }]
+  downloading: null,
+  failed: [],
+  cachedBytes: 0,
+};
+let preloadRun = null;
+
+const notifyReadiness = (changes) => {
+  readiness = { ...readiness, ...changes };
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(ARTIFACT_READINESS_EVENT, { detail: readiness }));
+  }
+};
+
+const getCachedBytes = () => Object.values(getCachedArtifactVariants()).reduce((sum, v) => sum + v.size, 0);
+
+// Largest number of unspent notes held for any single token
+const getMaxNotesPerToken = async (railgunWalletID, chainId) => {
+  const networkName = getRailgunNetworkName(chainId);
+  if (!networkName) return 1;
+  const txos = await walletForID(railgunWalletID).TXOs(TXIDVersion.V2_PoseidonMerkle, NETWORK_CONFIG[networkName].chain);
+
+  const countsByToken = {};
+  for (const txo of txos) {
+    if (!txo.spendtxid) {
+      countsByToken[txo.note.tokenHash] = (countsByToken[txo.note.tokenHash] || 0) + 1;
+    }
+  }
+  return Math.max(1, ...Object.values(countsByToken));
+};
+
+/**
+ * Circuit variants the wallet is likely to need on a chain
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {number} params.chainId - Chain ID
+ * @returns {Promise<Array<string>>} Artifact variant strings
+ */
+export const getLikelyArtifactVariants = async ({ railgunWalletID, chainId }) => {
+  let noteCount = 1;
+  try {
+    noteCount = await getMaxNotesPerToken(railgunWalletID, chainId);
+  } catch (error) {
+    console.warn('[ArtifactPreloader] Could not count notes, preloading the smallest circuits:', error.message);
+  }
+
+  const nullifiers = Math.min(noteCount, MAX_PRELOAD_NULLIFIERS);
+  const variants = new Set([
+    getArtifactVariantString(1, 2),
+    getArtifactVariantString(1, 3),
+    getArtifactVariantString(nullifiers, 2),
+    getArtifactVariantString(nullifiers, 3),
+    getArtifactVariantStringPOI(3, 3),
+  ]);
+  if (nullifiers > 3) {
+    variants.add(getArtifactVariantStringPOI(13, 13));
+  }
+  return [...variants];
+};
+
+/**
+ * Download the likely circuits one at a time, then evict what is no longer needed
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {number} params.chainId - Chain ID
+ */
+export const preloadArtifacts = ({ railgunWalletID, chainId }) => {
+  if (!ARTIFACT_CACHE_CONFIG.preload || !isArtifactCacheAvailable()) {
+    return Promise.resolve();
+  }
+  if (preloadRun) {
+    return preloadRun;
+  }
+
+  preloadRun = (async () => {
+    const variants = await getLikelyArtifactVariants({ railgunWalletID, chainId });
+    const downloader = new ArtifactDownloader(createArtifactStore(), false);
+    const cached = getCachedArtifactVariants();
+    const isComplete = (variant) => (cached[variant]?.names.length || 0) >= 3;
+
+    notifyReadiness({
+      targets: variants.map(variant => ({ variant, ready: isComplete(variant) })),
+      failed: [],
+      cachedBytes: getCachedBytes(),
+    });
+    console.log('[ArtifactPreloader] Preloading circuits:', variants);
+
+    for (const variant of variants) {
+      if (isComplete(variant)) continue;
+      notifyReadiness({ downloading: variant });
+      try {
+        await downloader.downloadArtifacts(variant);
+        notifyReadiness({
+          targets: readiness.targets.map(t => (t.variant === variant ? { ...t, ready: true } : t)),
+          cachedBytes: getCachedBytes(),
+        });
+      } catch (error) {
+        console.warn(`[ArtifactPreloader] Failed to preload ${variant}:`, error.message);
+        notifyReadiness({ failed: [...readiness.failed, variant] });
+      }
+    }
+
+    await evictArtifacts({ keepVariants: variants });
+    notifyReadiness({ downloading: null, cachedBytes: getCachedBytes() });
+  })().finally(() => {
+    preloadRun = null;
+  });
+
+  return preloadRun;
+};
+
+export const getArtifactReadiness = () => readiness;
+
+export default {
+  ARTIFACT_READINESS_EVENT,
+  getLikelyArtifactVariants,
+  preloadArtifacts,
+  getArtifactReadiness,
+};
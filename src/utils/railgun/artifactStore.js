@@ -8,6 +8,12 @@ import { ArtifactStore } from '@railgun-community/wallet';
 import localforage from 'localforage';
 import { ArtifactDownloader } from './artifactDownloader.js';
 import { getArtifactVariantString, getArtifactVariantStringPOI } from './artifactUtil.js';
+import {
+  isArtifactCacheAvailable,
+  readCachedArtifact,
+  writeCachedArtifact,
+  hasCachedArtifact,
+} from './artifactCache.js';
 
 export const createArtifactStore = () => {
   // Configure localforage for RAILGUN artifacts
@@ -25,18 +31,46 @@ export const createArtifactStore = () => {
   
   // Return the official ArtifactStore instance
   // This gives you ALL the functionality: downloading, validation, compression, etc.
+  // Artifacts live in the Cache Storage artifact cache when available (artifactCache.js);
+  // localforage is the fallback and is migrated from on first read.
+  if (!isArtifactCacheAvailable()) {
+    return new ArtifactStore(
+      // get method
+      async (path) => {
+        return railgunStorage.getItem(path);
+      },
+      // store method
+      async (dir, path, item) => {
+        await railgunStorage.setItem(path, item);
+      },
+      // exists method
+      async (path) => {
+        return (await railgunStorage.getItem(path)) != null;
+      }
+    );
+  }
+
   return new ArtifactStore(
     // get method
     async (path) => {
-      return railgunStorage.getItem(path);
+      const cached = await readCachedArtifact(path);
+      if (cached != null) {
+        return cached;
+      }
+      const legacy = await railgunStorage.getItem(path);
+      if (legacy != null) {
+        await writeCachedArtifact(path, legacy);
+        await railgunStorage.removeItem(path);
+      }
+      return legacy;
     },
     // store method
     async (dir, path, item) => {
-      await railgunStorage.setItem(path, item);
+      await writeCachedArtifact(path, item);
     },
     // exists method
     async (path) => {
-      return (await railgunStorage.getItem(path)) != null;
+      return (await hasCachedArtifact(path)) || (await railgunStorage.getItem(path)) != null;
     }
   );
 };
@@ -8,6 +8,7 @@
 import { parseUnits } from 'ethers';
 import { waitForRailgunReady } from './engine.js';
 import { getCurrentWalletID } from './wallet.js';
+import { getRailgunNetworkName as getRegistryNetworkName, getNativeTokenSymbol } from '../../config/chains.js';
 
 // Helper to normalize token addresses (following official V2 pattern)
 const normalizeTokenAddress = (tokenAddress) => {
@@ -17,30 +18,16 @@ const normalizeTokenAddress = (tokenAddress) => {
   return tokenAddress.toLowerCase();
 };
 
-// Network mapping for chain ID to Railgun network names
+// Network mapping for chain ID to Railgun network names (via the chain registry)
 const getRailgunNetworkName = (chainId) => {
-  const mapping = {
-    1: 'Ethereum',
-    42161: 'Arbitrum',
-    137: 'Polygon',
-    56: 'BNBChain'
-  };
-  return mapping[chainId] || 'Ethereum';
-};
-
-// Native gas token mapping by chain ID
-const NATIVE_GAS_TOKENS = {
-  1: 'ETH',      // Ethereum
-  137: 'POL',    // Polygon (POL after rebrand)
-  56: 'BNB',     // BSC
-  42161: 'ETH',  // Arbitrum (uses ETH)
+  return getRegistryNetworkName(chainId) || 'Ethereum';
 };
 
 /**
  * Get native gas token symbol for a chain ID
  */
 export const getNativeGasToken = (chainId) => {
-  return NATIVE_GAS_TOKENS[chainId] || 'ETH'; // Default to ETH
+  return getNativeTokenSymbol(chainId); // Defaults to ETH for unknown chains
 };
 
 /**
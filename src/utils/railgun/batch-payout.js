@@ -0,0 +1,655 @@
+/**
+ * Batch Payout Import
+ * CSV-driven payouts executed as a sequence of private transfers (0zk / LexieID)
+ * and unshields (0x). Progress is persisted so a run can resume after the tab closes.
+ *
+ * CSV columns: recipient, token, amount, memo (optional; header row optional)
+ * - recipient: Railgun address (0zk...), LexieID, or public 0x address
+ * - token: symbol (e.g. USDC) or token contract address
+ * - amount: human-readable amount the recipient should receive
+ */
+
+import { NETWORK_CONFIG } from '@railgun-community/shared-models';
+import { isAddress } from 'ethers';
+import { parseTokenAmount } from './balances.js';
+import { hasSufficientCachedBalance, getCachedTokenBalance } from './balanceCache.js';
+import { estimateRelayerFee, calculateTotalAmountWithFees, RelayerConfig } from './relayer-client.js';
+import { lookupLexieId } from './transactionHistory.js';
+import { validateRailgunAddressFormat, validateLexieIdFormat } from './validation-service.js';
+import { unshieldTokens, privateTransfer } from './actions.js';
+import { screenAddress, summarizeScreening } from '../sanctions/screening-service.js';
+import { getRailgunNetworkName } from '../../config/chains.js';
+import { getTokenAddress } from '../tokens';
+
+// Storage keys
+const STORAGE_PREFIX = 'lexie:payout-batch:';
+
+export const MAX_PAYOUT_ROWS = 100;
+
+export const PayoutKind = {
+  TRANSFER: 'transfer',
+  UNSHIELD: 'unshield',
+};
+
+export const PayoutRowStatus = {
+  PENDING: 'pending',
+  SUBMITTING: 'submitting',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  // Tab closed while the row was submitting, or the relayer timed out / answered with an error
+  // after receiving it: the tx may or may not have been broadcast
+  INTERRUPTED: 'interrupted',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+/**
+ * Parse payout CSV text
+ * @param {string} text - CSV contents
+ * @returns {{ rows: Array, errors: Array<string> }}
+ */
+export const parsePayoutCsv = (text) => {
+  const errors = [];
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, text: line }))
+    .filter(({ text: value }) => value.trim() !== '' && !value.trim().startsWith('#'));
+
+  if (lines.length === 0) {
+    return { rows: [], errors: ['CSV file is empty'] };
+  }
+
+  // Column order comes from the header when present, otherwise the default order
+  let columns = ['recipient', 'token', 'amount', 'memo'];
+  const firstFields = splitCsvLine(lines[0].text).map(f => f.toLowerCase());
+  if (firstFields.includes('recipient') && firstFields.includes('amount')) {
+    columns = firstFields;
+    lines.shift();
+  }
+
+  const rows = lines.map(({ line, text: value }) => {
+    const fields = splitCsvLine(value);
+    const get = (name) => {
+      const index = columns.indexOf(name);
+      return index === -1 ? '' : (fields[index] || '');
+    };
+    return {
+      line,
+      recipient: get('recipient'),
+      token: get('token'),
+      amount: get('amount'),
+      memo: get('memo'),
+    };
+  });
+
+  if (rows.length > MAX_PAYOUT_ROWS) {
+    errors.push(`CSV has ${rows.length} rows; at most ${MAX_PAYOUT_ROWS} are supported per batch`);
+  }
+
+  return { rows: rows.slice(0, MAX_PAYOUT_ROWS), errors };
+};
+
+/**
+ * Resolve a LexieID to its Railgun address
+ */
+const resolveLexieId = async (lexieId) => {
+  const response = await fetch(`/api/wallet-metadata?action=lexie-resolve&lexieID=${encodeURIComponent(lexieId)}`);
+  if (!response.ok) {
+    throw new Error(`LexieID "${lexieId}" does not exist or is not linked to a LexieVault`);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!data?.success || !data?.walletAddress) {
+    throw new Error(`LexieID "${lexieId}" does not exist or is not linked to a LexieVault`);
+  }
+  return data.walletAddress;
+};
+
+/**
+ * Resolve a CSV recipient to { kind, resolvedAddress, lexieId }
+ */
+const resolvePayoutRecipient = async (recipient) => {
+  const input = recipient.trim();
+
+  if (input.startsWith('0x')) {
+    if (!isAddress(input)) {
+      throw new Error('Invalid 0x address');
+    }
+    return { kind: PayoutKind.UNSHIELD, resolvedAddress: input, lexieId: null };
+  }
+
+  if (input.startsWith('0zk')) {
+    const validation = validateRailgunAddressFormat(input);
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+    const lexieId = await lookupLexieId(input);
+    return { kind: PayoutKind.TRANSFER, resolvedAddress: input, lexieId };
+  }
+
+  const lexieValidation = validateLexieIdFormat(input);
+  if (!lexieValidation.isValid) {
+    throw new Error('Recipient must be a 0zk address, LexieID, or 0x address');
+  }
+  const resolvedAddress = await resolveLexieId(lexieValidation.details.lexieId);
+  return { kind: PayoutKind.TRANSFER, resolvedAddress, lexieId: lexieValidation.details.lexieId };
+};
+
+/**
+ * Find a vault token by symbol or address
+ */
+const findToken = (tokens, tokenInput) => {
+  const needle = (tokenInput || '').trim().toLowerCase();
+  if (!needle) return null;
+  return tokens.find(token =>
+    getTokenAddress(token) === needle || (token.symbol || '').toLowerCase() === needle
+  ) || null;
+};
+
+/**
+ * Estimate the relayer fee for one row; falls back to the published fee rate when the
+ * relayer is unreachable so the preview can still be shown
+ */
+const estimateRowFee = async (chainId, tokenAddress, amount) => {
+  try {
+    const feeEstimate = await estimateRelayerFee({ chainId, tokenAddress, amount });
+    if (feeEstimate?.totalFee !== undefined) {
+      return { feeEstimate, feeSource: 'relayer' };
+    }
+  } catch (error) {
+    console.warn('[BatchPayout] Relayer fee estimate failed, using fee rate fallback:', error.message);
+  }
+  const bps = BigInt(Math.round(RelayerConfig.fees.relayerPercent * 100));
+  return {
+    feeEstimate: { totalFee: ((BigInt(amount) * bps) / 10000n).toString() },
+    feeSource: 'estimate',
+  };
+};
+
+/**
+ * Build a validated preview for parsed CSV rows
+ * Amounts in the CSV are what the recipient should receive; fees are added on top
+ * (calculateTotalAmountWithFees) because transfers and unshields deduct fees from the sent amount.
+ * @param {Object} params
+ * @param {Array} params.rows - Output of parsePayoutCsv
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.walletId - Railgun wallet ID
+ * @param {Array} params.tokens - Vault tokens ({ symbol, address, decimals, balance })
+ * @returns {Promise<{ rows: Array, summary: Object }>}
+ */
+export const buildPayoutPreview = async ({ rows, chainId, walletId, tokens = [] }) => {
+  const previewRows = [];
+
+  for (const row of rows) {
+    const errors = [];
+    const previewRow = {
+      line: row.line,
+      recipient: row.recipient,
+      tokenInput: row.token,
+      amountInput: row.amount,
+      memo: row.memo || null,
+      kind: null,
+      resolvedAddress: null,
+      lexieId: null,
+      tokenSymbol: null,
+      tokenAddress: null,
+      decimals: null,
+      amount: null,
+      fee: null,
+      feeSource: null,
+      sendAmount: null,
+      screening: null,
+      status: PayoutRowStatus.PENDING,
+      txHash: null,
+      error: null,
+    };
+
+    // Token
+    const token = findToken(tokens, row.token);
+    if (!token) {
+      errors.push(`Token "${row.token}" not found in vault`);
+    } else {
+      previewRow.tokenSymbol = token.symbol;
+      previewRow.tokenAddress = getTokenAddress(token);
+      previewRow.decimals = token.decimals;
+    }
+
+    // Amount
+    if (token) {
+      try {
+        if (!/^\d*\.?\d+$/.test(row.amount.trim()) || Number(row.amount) <= 0) {
+          throw new Error('Amount must be greater than 0');
+        }
+        previewRow.amount = parseTokenAmount(row.amount.trim(), token.decimals);
+      } catch (error) {
+        errors.push(error.message || 'Invalid amount');
+      }
+    }
+
+    // Recipient
+    try {
+      const resolved = await resolvePayoutRecipient(row.recipient);
+      Object.assign(previewRow, resolved);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    // Sanctions screening on the resolved address
+    if (previewRow.resolvedAddress) {
+      const screening = await screenAddress(chainId, previewRow.resolvedAddress, {
+        walletId,
+        context: 'payout-import',
+      });
+      previewRow.screening = summarizeScreening(screening);
+      if (!screening.allowed) {
+        errors.push(`Blocked: ${screening.reason}`);
+      }
+    }
+
+    // Fees
+    if (previewRow.amount && previewRow.tokenAddress) {
+      const { feeEstimate, feeSource } = await estimateRowFee(chainId, previewRow.tokenAddress, previewRow.amount);
+      previewRow.fee = BigInt(feeEstimate.totalFee).toString();
+      previewRow.feeSource = feeSource;
+      previewRow.sendAmount = calculateTotalAmountWithFees(previewRow.amount, feeEstimate);
+    }
+
+    if (errors.length > 0) {
+      previewRow.status = PayoutRowStatus.SKIPPED;
+      previewRow.error = errors.join('; ');
+    }
+
+    previewRows.push(previewRow);
+  }
+
+  // Balance sufficiency per token across all valid rows
+  const networkName = getRailgunNetworkName(chainId);
+  const railgunChain = networkName ? NETWORK_CONFIG[networkName]?.chain : null;
+  const totals = new Map();
+  previewRows
+    .filter(row => row.status === PayoutRowStatus.PENDING)
+    .forEach(row => {
+      const entry = totals.get(row.tokenAddress) || {
+        tokenAddress: row.tokenAddress,
+        tokenSymbol: row.tokenSymbol,
+        decimals: row.decimals,
+        amount: 0n,
+        fees: 0n,
+        total: 0n,
+        rows: 0,
+      };
+      entry.amount += BigInt(row.amount);
+      entry.fees += BigInt(row.fee);
+      entry.total += BigInt(row.sendAmount);
+      entry.rows += 1;
+      totals.set(row.tokenAddress, entry);
+    });
+
+  const byToken = Array.from(totals.values()).map(entry => {
+    let sufficient;
+    let balanceSource = 'cache';
+    if (railgunChain && getCachedTokenBalance(railgunChain, walletId, entry.tokenAddress)) {
+      sufficient = hasSufficientCachedBalance(railgunChain, walletId, entry.tokenAddress, entry.total.toString());
+    } else {
+      // Spendable cache not populated yet: fall back to the balance shown in the UI
+      balanceSource = 'ui';
+      const token = tokens.find(t => getTokenAddress(t) === entry.tokenAddress);
+      sufficient = BigInt(token?.balance || '0') >= entry.total;
+    }
+    return {
+      ...entry,
+      amount: entry.amount.toString(),
+      fees: entry.fees.toString(),
+      total: entry.total.toString(),
+      sufficient,
+      balanceSource,
+    };
+  });
+
+  const readyCount = previewRows.filter(row => row.status === PayoutRowStatus.PENDING).length;
+
+  return {
+    rows: previewRows,
+    summary: {
+      byToken,
+      readyCount,
+      skippedCount: previewRows.length - readyCount,
+      canExecute: readyCount > 0 && byToken.every(entry => entry.sufficient),
+    },
+  };
+};
+
+const getStorageKey = (walletId, chainId) => `${STORAGE_PREFIX}${walletId}:${chainId}`;
+
+/**
+ * Load a persisted payout run. Rows left in "submitting" are marked interrupted,
+ * since the transaction may already have been broadcast.
+ * @returns {Object|null}
+ */
+export const loadPayoutRun = (walletId, chainId) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(walletId, chainId));
+    if (!stored) return null;
+    const run = JSON.parse(stored);
+    run.rows = run.rows.map(row => (
+      row.status === PayoutRowStatus.SUBMITTING
+        ? { ...row, status: PayoutRowStatus.INTERRUPTED, error: 'Tab closed while submitting - check history before retrying' }
+        : row
+    ));
+    return run;
+  } catch (error) {
+    console.error('[BatchPayout] Failed to load payout run:', error);
+    return null;
+  }
+};
+
+export const savePayoutRun = (run) => {
+  try {
+    const updated = { ...run, updatedAt: Date.now() };
+    localStorage.setItem(getStorageKey(run.walletId, run.chainId), JSON.stringify(updated));
+    return updated;
+  } catch (error) {
+    console.error('[BatchPayout] Failed to save payout run:', error);
+    return run;
+  }
+};
+
+export const clearPayoutRun = (walletId, chainId) => {
+  try {
+    localStorage.removeItem(getStorageKey(walletId, chainId));
+  } catch (error) {
+    console.error('[BatchPayout] Failed to clear payout run:', error);
+  }
+};
+
+/**
+ * Create (and persist) a run from a preview
+ */
+export const createPayoutRun = (preview, { walletId, chainId }) => {
+  return savePayoutRun({
+    id: `payout-${Date.now()}`,
+    walletId,
+    chainId,
+    createdAt: Date.now(),
+    rows: preview.rows,
+    summary: preview.summary,
+  });
+};
+
+/**
+ * Mark failed rows as pending again so the next run retries them.
+ * Interrupted rows are never retried in bulk: they may already have paid the recipient,
+ * so they go through checkInterruptedPayoutRow / retryInterruptedPayoutRow one at a time.
+ */
+export const retryPayoutRows = (run, statuses = [PayoutRowStatus.FAILED]) => {
+  const retryable = statuses.filter(status => status !== PayoutRowStatus.INTERRUPTED);
+  return savePayoutRun({
+    ...run,
+    rows: run.rows.map(row => (
+      retryable.includes(row.status) ? { ...row, status: PayoutRowStatus.PENDING, error: null } : row
+    )),
+  });
+};
+
+/**
+ * Find a history entry that pays this row: same recipient and token, after the row was
+ * submitted, for an amount between what the recipient gets after the estimated fee
+ * and what was sent (the fee actually charged can differ from the estimate)
+ * @param {Object} row - Payout row
+ * @param {Array} history - Formatted transaction history (getTransactionHistory)
+ * @param {number} sinceMs - Earliest time the row could have been sent
+ * @returns {Object|null} Matching history entry
+ */
+const findPayoutRowInHistory = (row, history, sinceMs) => {
+  const recipient = row.resolvedAddress?.toLowerCase();
+  const tokenAddress = row.tokenAddress?.toLowerCase();
+  const minAmount = BigInt(row.amount) - BigInt(row.fee || '0');
+  const maxAmount = BigInt(row.sendAmount || row.amount);
+
+  return (history || []).find(tx => {
+    if (!tx.timestamp || tx.timestamp * 1000 < sinceMs) return false;
+    const outputs = row.kind === PayoutKind.UNSHIELD
+      ? tx.raw?.unshieldERC20Amounts
+      : tx.raw?.transferERC20Amounts;
+    return (outputs || []).some(output => {
+      if (output.recipientAddress?.toLowerCase() !== recipient) return false;
+      if (output.tokenAddress?.toLowerCase() !== tokenAddress) return false;
+      const amount = BigInt(output.amount?.toString() || '0');
+      return amount >= minAmount && amount <= maxAmount;
+    });
+  }) || null;
+};
+
+/**
+ * Look an interrupted row up in the vault's history. When it was paid, the row is marked
+ * submitted with the history's tx hash; otherwise it is left interrupted for the user to retry.
+ * @param {Object} run - Payout run
+ * @param {number} index - Row index
+ * @param {Array} history - Formatted transaction history for the run's chain
+ * @returns {{ run: Object, match: Object|null }}
+ */
+export const checkInterruptedPayoutRow = (run, index, history) => {
+  const row = run.rows[index];
+  if (row?.status !== PayoutRowStatus.INTERRUPTED) {
+    return { run, match: null };
+  }
+
+  const match = findPayoutRowInHistory(row, history, row.submittingAt || run.createdAt);
+  if (!match) {
+    return { run, match: null };
+  }
+
+  console.log('[BatchPayout] Interrupted row found in history:', { line: row.line, txHash: match.txid });
+  const rows = run.rows.slice();
+  rows[index] = { ...row, status: PayoutRowStatus.SUBMITTED, txHash: match.txid, error: null };
+  return { run: savePayoutRun({ ...run, rows }), match };
+};
+
+/**
+ * Mark one interrupted row as pending again, after the user has confirmed it was not paid
+ * @param {Object} run - Payout run
+ * @param {number} index - Row index
+ * @returns {Object} Updated run
+ */
+export const retryInterruptedPayoutRow = (run, index) => {
+  if (run.rows[index]?.status !== PayoutRowStatus.INTERRUPTED) {
+    return run;
+  }
+  const rows = run.rows.slice();
+  rows[index] = { ...rows[index], status: PayoutRowStatus.PENDING, error: null };
+  return savePayoutRun({ ...run, rows });
+};
+
+/**
+ * Execute a single payout row and wait for it to be indexed, so the next row
+ * does not try to spend the same notes
+ */
+const executePayoutRow = async (row, context) => {
+  const { chainId, railgunWalletID, encryptionKey, walletProvider, walletAddress, railgunAddress } = context;
+
+  let txHash;
+  let fees;
+  let screening = row.screening;
+
+  if (row.kind === PayoutKind.UNSHIELD) {
+    const result = await unshieldTokens({
+      railgunWalletID,
+      encryptionKey,
+      tokenAddress: row.tokenAddress,
+      amount: row.sendAmount,
+      chain: { id: chainId },
+      toAddress: row.resolvedAddress,
+      walletAddress,
+      decimals: row.decimals,
+      walletProvider,
+    });
+    txHash = result.transactionHash || result.hash;
+    fees = result;
+    screening = result.screening || screening;
+  } else {
+    const result = await privateTransfer({
+      chainId,
+      railgunWalletID,
+      encryptionKey,
+      tokenAddress: row.tokenAddress,
+      amount: row.sendAmount,
+      recipientRailgunAddress: row.resolvedAddress,
+      memoText: row.memo || undefined,
+      walletProvider,
+    });
+    txHash = result.txHash;
+    fees = result;
+    screening = result.screening || screening;
+  }
+
+  const { monitorTransactionInGraph } = await import('./transactionMonitor.js');
+  const monitorResult = await monitorTransactionInGraph({
+    txHash,
+    chainId,
+    transactionType: row.kind,
+    maxWaitTime: 60000,
+    transactionDetails: {
+      walletId: railgunWalletID,
+      walletAddress,
+      railgunAddress,
+      tokenSymbol: row.tokenSymbol,
+      tokenAddress: row.tokenAddress,
+      decimals: row.decimals,
+      amount: row.sendAmount,
+      recipientAddress: row.resolvedAddress,
+      senderAddress: walletAddress,
+      combinedRelayerFee: fees.combinedRelayerFee,
+      relayerFee: fees.relayerFee,
+      gasFee: fees.gasFee,
+      feeToken: fees.feeToken,
+      changeCommitment: fees.changeCommitment,
+      memoText: row.memo,
+      screening,
+    },
+  }).catch(error => {
+    console.warn('[BatchPayout] Monitoring failed (transaction was submitted):', error.message);
+    return { found: false };
+  });
+
+  return { txHash, confirmed: !!monitorResult?.found };
+};
+
+/**
+ * Execute all pending rows of a run in order, persisting after every step
+ * @param {Object} params
+ * @param {Object} params.run - Payout run (from createPayoutRun / loadPayoutRun)
+ * @param {Object} params.context - { chainId, railgunWalletID, encryptionKey, walletProvider, walletAddress, railgunAddress }
+ * @param {Function} [params.onProgress] - Called with the updated run after every change
+ * @param {Function} [params.shouldStop] - Return true to pause after the current row
+ * @returns {Promise<Object>} Final run state
+ */
+export const executePayoutRun = async ({ run, context, onProgress, shouldStop }) => {
+  let current = run;
+
+  const updateRow = (index, changes) => {
+    const rows = current.rows.slice();
+    rows[index] = { ...rows[index], ...changes };
+    current = savePayoutRun({ ...current, rows });
+    onProgress?.(current);
+  };
+
+  for (let index = 0; index < current.rows.length; index++) {
+    if (current.rows[index].status !== PayoutRowStatus.PENDING) continue;
+    if (shouldStop?.()) {
+      console.log('[BatchPayout] Run paused by user');
+      break;
+    }
+
+    updateRow(index, { status: PayoutRowStatus.SUBMITTING, submittingAt: Date.now(), error: null });
+
+    try {
+      const { txHash, confirmed } = await executePayoutRow(current.rows[index], context);
+      updateRow(index, {
+        status: confirmed ? PayoutRowStatus.CONFIRMED : PayoutRowStatus.SUBMITTED,
+        txHash,
+      });
+    } catch (error) {
+      console.error('[BatchPayout] Row failed:', { line: current.rows[index].line, error: error.message });
+      // The relayer timed out or answered after receiving the transaction: it may have been sent,
+      // and later rows could be spending the same notes, so stop here
+      if (error?.failover === false) {
+        updateRow(index, {
+          status: PayoutRowStatus.INTERRUPTED,
+          error: 'Relayer did not confirm the submission - check history before retrying',
+        });
+        break;
+      }
+      updateRow(index, { status: PayoutRowStatus.FAILED, error: error.message });
+      // A rejected signature stops the run rather than prompting for every remaining row
+      if (/reject/i.test(error.message || '') || error?.code === 4001) {
+        break;
+      }
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Counts per status for progress displays
+ */
+export const getPayoutRunProgress = (run) => {
+  const counts = Object.values(PayoutRowStatus).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  run?.rows?.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+  const executable = (run?.rows?.length || 0) - counts[PayoutRowStatus.SKIPPED];
+  const done = counts[PayoutRowStatus.CONFIRMED] + counts[PayoutRowStatus.SUBMITTED];
+  return {
+    counts,
+    executable,
+    done,
+    isComplete: executable > 0 && counts[PayoutRowStatus.PENDING] === 0 && counts[PayoutRowStatus.SUBMITTING] === 0,
+  };
+};
+
+export default {
+  PayoutKind,
+  PayoutRowStatus,
+  MAX_PAYOUT_ROWS,
+  parsePayoutCsv,
+  buildPayoutPreview,
+  loadPayoutRun,
+  savePayoutRun,
+  clearPayoutRun,
+  createPayoutRun,
+  retryPayoutRows,
+  checkInterruptedPayoutRow,
+  retryInterruptedPayoutRow,
+  executePayoutRun,
+  getPayoutRunProgress,
+};
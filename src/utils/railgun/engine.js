@@ -38,12 +38,12 @@ import {
   refreshRailgunBalances,
 } from '@railgun-community/wallet';
 import { 
-  NetworkName,
   NETWORK_CONFIG,
   isDefined,
   ArtifactStore,
 } from '@railgun-community/shared-models';
-import { groth16 } from 'snarkjs';
+import { workerGroth16 } from './proof-worker-client.js';
+import { getRailgunChains, getRailgunNetworkName } from '../../config/chains.js';
 // LevelJS removed - now using Redis-only adapter
 import { createEnhancedArtifactStore } from './artifactStore.js';
 
@@ -72,29 +72,17 @@ const getRpcUrl = (chainId, provider = 'auto') => {
   return `${baseUrl}/api/rpc?chainId=${chainId}&provider=${provider}`;
 };
 
-const RPC_PROVIDERS = {
-  [NetworkName.Ethereum]: {
-    chainId: 1,
-    rpcUrl: getRpcUrl(1, 'auto'),
-    ankrUrl: getRpcUrl(1, 'ankr'),
-  },
-  [NetworkName.Arbitrum]: {
-    chainId: 42161,
-    rpcUrl: getRpcUrl(42161, 'auto'),
-    ankrUrl: getRpcUrl(42161, 'ankr'),
-  },
-  [NetworkName.Polygon]: {
-    chainId: 137,
-    rpcUrl: getRpcUrl(137, 'auto'),
-    ankrUrl: getRpcUrl(137, 'ankr'),
-  },
-  [NetworkName.BNBChain]: {
-    chainId: 56,
-    rpcUrl: getRpcUrl(56, 'auto'),
-    ankrUrl: getRpcUrl(56, 'ankr'),
-  },
-};
-
+// One entry per Railgun-enabled chain in the chain registry, keyed by NetworkName
+const RPC_PROVIDERS = Object.fromEntries(
+  getRailgunChains().map((chain) => [
+    chain.railgunNetworkName,
+    {
+      chainId: chain.id,
+      rpcUrl: getRpcUrl(chain.id, 'auto'),
+      ankrUrl: getRpcUrl(chain.id, 'ankr'),
+    },
+  ])
+);
 
 /**
  * Add networks and RPC providers
@@ -181,13 +169,7 @@ const setupBalanceCallbacks = async () => {
 
 // Helper to get network name from chain
 const getNetworkNameFromChain = (chain) => {
-  const networkMap = {
-    1: 'Ethereum',
-    42161: 'Arbitrum',
-    137: 'Polygon',
-    56: 'BNBChain',
-  };
-  return networkMap[chain.id] || `Chain${chain.id}`;
+  return getRailgunNetworkName(chain.id) || `Chain${chain.id}`;
 };
 
 /**
@@ -202,8 +184,8 @@ const loadSnarkJSGroth16 = async () => {
   try {
     console.log('[RAILGUN] Loading snarkJS Groth16 prover...');
     
-    // Register the Groth16 prover with Railgun
-    getProver().setSnarkJSGroth16(groth16);
+    // Register the Groth16 prover with Railgun (proves in a Web Worker, see proof-worker-client.js)
+    getProver().setSnarkJSGroth16(workerGroth16);
     
     isProverLoaded = true;
     console.log('[RAILGUN] snarkJS Groth16 prover loaded successfully');
@@ -9,14 +9,7 @@
 import { getKnownTokenDecimals } from './balances.js';
 import { getNativeGasToken } from './balances.js';
 import { NetworkName, EVMGasType } from '@railgun-community/shared-models';
-
-// Chain-specific minimum gas floors (in wei)
-const MIN_GAS_FLOORS = {
-  1: 1_000_000_000n,          // Ethereum L1 → 1 gwei
-  56: 100_000_000n,           // BNB Chain → 0.1 gwei
-  137: 30_000_000_000n,       // Polygon PoS → 30 gwei (priority fee floor)
-  42161: 10_000_000n,         // Arbitrum One → 0.01 gwei
-};
+import { getMinGasPrice, getRailgunNetworkName } from '../../config/chains.js';
 
 /**
  * Calculate gas reclamation fee for ERC-20 tokens using the same estimator as UI preview
@@ -38,12 +31,7 @@ export const calculateGasReclamationERC20 = async (
   const { getEVMGasTypeForTransaction } = await import('@railgun-community/shared-models');
 
   // Get network name for gas type calculation
-  const networkName = {
-    1: NetworkName.Ethereum,
-    42161: NetworkName.Arbitrum,
-    137: NetworkName.Polygon,
-    56: NetworkName.BNBChain
-  }[chainId] || NetworkName.Ethereum;
+  const networkName = getRailgunNetworkName(chainId) || NetworkName.Ethereum;
 
   // Use conservative gas estimate (higher for mainnet due to proof verification complexity)
   const gasLimit = chainId === 1 ? BigInt('2500000') : BigInt('1500000'); // 2.5M for mainnet, 1.5M for others (25% buffer)
@@ -141,8 +129,8 @@ export const calculateGasReclamationBaseToken = (gasCostWei) => {
  * @returns {bigint} Gas price with minimum applied
  */
 export const applyGasPriceGuard = (chainId, rawGasPrice, gasFeeData = null) => {
-  // Get chain-specific minimum gas floor, default to 1 gwei
-  const floor = MIN_GAS_FLOORS[chainId] || 1_000_000_000n;
+  // Get chain-specific minimum gas floor from the chain registry (defaults to 1 gwei)
+  const floor = getMinGasPrice(chainId);
 
   // Apply chain-specific floor
   let gasPrice = rawGasPrice < floor ? floor : rawGasPrice;
@@ -0,0 +1,324 @@
+/**
+ * Transaction History Export
+ * Builds tax-friendly CSV/JSON exports of the wallet timeline for regular users
+ * (AdminHistoryPage has its own raw export via subaction=export).
+ */
+
+import { formatUnits } from 'ethers';
+import { lookupLexieId, getTokenDecimals } from './transactionHistory.js';
+import { getHistoricalTokenPrice } from '../pricing/price-service.js';
+import { getChainDisplayName, getNativeTokenSymbol } from '../../config/chains.js';
+
+// Railgun protocol fee on shield and unshield (0.25%); private transfers carry none
+const PROTOCOL_FEE_BPS = 25;
+
+const TIMELINE_PAGE_SIZE = 100;
+const MAX_TIMELINE_PAGES = 50;
+
+export const ExportFormat = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+export const ExportCategory = {
+  SHIELD: 'shield',
+  UNSHIELD: 'unshield',
+  TRANSFER_SEND: 'transfer_send',
+  TRANSFER_RECEIVE: 'transfer_receive',
+  OTHER: 'other',
+};
+
+const CATEGORY_BY_TYPE = {
+  'Add to Vault': ExportCategory.SHIELD,
+  'Remove from Vault': ExportCategory.UNSHIELD,
+  'Send Transaction': ExportCategory.TRANSFER_SEND,
+  'Receive Transaction': ExportCategory.TRANSFER_RECEIVE,
+};
+
+// Column order for CSV output
+export const EXPORT_COLUMNS = [
+  'timestamp',
+  'chainId',
+  'chain',
+  'category',
+  'status',
+  'token',
+  'tokenAddress',
+  'amount',
+  'usdPrice',
+  'priceSource',
+  'usdValue',
+  'relayerFee',
+  'gasFee',
+  'protocolFee',
+  'totalFee',
+  'feeToken',
+  'feesUsd',
+  'counterpartyAddress',
+  'counterpartyLexieId',
+  'memo',
+  'txHash',
+];
+
+/**
+ * Fetch every page of the wallet timeline
+ * @param {string} walletId - Railgun wallet ID
+ * @returns {Promise<Array>} Timeline items as formatted by the backend
+ */
+export const fetchFullWalletTimeline = async (walletId) => {
+  const items = [];
+
+  for (let page = 1; page <= MAX_TIMELINE_PAGES; page++) {
+    const params = new URLSearchParams({
+      action: 'wallet-timeline',
+      walletId,
+      page: String(page),
+      pageSize: String(TIMELINE_PAGE_SIZE),
+    });
+    const response = await fetch(`/api/wallet-metadata?${params}`);
+    if (!response.ok) {
+      throw new Error(`Timeline fetch failed: ${response.status}`);
+    }
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Failed to load timeline');
+    }
+
+    const pageItems = data.timeline || [];
+    items.push(...pageItems);
+    if (pageItems.length < TIMELINE_PAGE_SIZE) break;
+  }
+
+  return items;
+};
+
+export const getTimestampMs = (tx) => {
+  if (tx.timestamp) {
+    const value = Number(tx.timestamp);
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (tx.date) {
+    const ms = new Date(tx.date).getTime();
+    return Number.isFinite(ms) ? ms : null;
+  }
+  return null;
+};
+
+// Backend amounts are display strings (may include thousands separators)
+const parseDisplayAmount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const resolveDecimals = (tx, chainId) => {
+  if (tx.decimals !== undefined && tx.decimals !== null) return Number(tx.decimals);
+  if (tx.tokenAddress && chainId) return getTokenDecimals(tx.tokenAddress, chainId);
+  if (['USDC', 'USDT'].includes(tx.token) && Number(chainId) !== 56) return 6;
+  if (tx.token === 'WBTC') return 8;
+  return 18;
+};
+
+// Fees are recorded in token base units by the transaction monitor
+const formatFee = (value, decimals) => {
+  if (!value || value === '0') return 0;
+  try {
+    return Number(formatUnits(BigInt(value), decimals));
+  } catch {
+    return parseDisplayAmount(value) || 0;
+  }
+};
+
+const roundUsd = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// SDK-formatted items (view-only vaults) carry a tokenAmounts array instead of amount/token;
+// expand them to one row per token so they share the backend item shape
+export const expandTokenAmounts = (tx) => {
+  if ((tx.amount !== undefined && tx.amount !== null) || !Array.isArray(tx.tokenAmounts) || tx.tokenAmounts.length === 0) {
+    return [tx];
+  }
+  return tx.tokenAmounts.map(tokenAmount => ({
+    ...tx,
+    amount: tokenAmount.formattedAmount,
+    token: tokenAmount.symbol,
+    tokenAddress: tokenAmount.tokenAddress,
+    decimals: tokenAmount.decimals,
+    txHash: tx.txHash || tx.txid,
+  }));
+};
+
+/**
+ * Convert timeline items into export records
+ * @param {Array} timeline - Timeline items (from useTransactionHistory, fetchFullWalletTimeline or the SDK history)
+ * @param {Object} options
+ * @param {Date|string} [options.fromDate] - Inclusive start (local date)
+ * @param {Date|string} [options.toDate] - Inclusive end (local date, whole day)
+ * @param {Array<number>} [options.chainIds] - Only include these chains (empty = all)
+ * @param {boolean} [options.includePrices] - Look up USD prices at time of tx (price service)
+ * @param {Function} [options.onProgress] - Called with (done, total) while records are built
+ * @returns {Promise<Array<Object>>} Records sorted oldest first
+ */
+export const buildExportRecords = async (timeline, options = {}) => {
+  const { fromDate, toDate, chainIds = [], includePrices = true, onProgress } = options;
+
+  const fromMs = fromDate ? new Date(fromDate).setHours(0, 0, 0, 0) : null;
+  const toMs = toDate ? new Date(toDate).setHours(23, 59, 59, 999) : null;
+  const chainFilter = chainIds.map(Number);
+
+  const filtered = timeline
+    .flatMap(expandTokenAmounts)
+    .map(tx => ({ tx, timestampMs: getTimestampMs(tx) }))
+    .filter(({ tx, timestampMs }) => {
+      if (fromMs !== null && (timestampMs === null || timestampMs < fromMs)) return false;
+      if (toMs !== null && (timestampMs === null || timestampMs > toMs)) return false;
+      if (chainFilter.length > 0 && !chainFilter.includes(Number(tx.chainId))) return false;
+      return true;
+    })
+    .sort((a, b) => (a.timestampMs || 0) - (b.timestampMs || 0));
+
+  const lexieIdCache = new Map();
+  const resolveLexieId = async (address) => {
+    if (!address || !address.startsWith('0zk')) return null;
+    if (!lexieIdCache.has(address)) {
+      lexieIdCache.set(address, await lookupLexieId(address).catch(() => null));
+    }
+    return lexieIdCache.get(address);
+  };
+
+  const records = [];
+  for (const [index, { tx, timestampMs }] of filtered.entries()) {
+    const chainId = tx.chainId ? Number(tx.chainId) : null;
+    const category = CATEGORY_BY_TYPE[tx.transactionType] || tx.type || ExportCategory.OTHER;
+    const decimals = resolveDecimals(tx, chainId);
+    const amount = parseDisplayAmount(tx.amount);
+
+    const relayerFee = formatFee(tx.relayerFee, decimals);
+    const gasFee = formatFee(tx.gasFee, decimals);
+    const protocolFee = amount !== null &&
+      (category === ExportCategory.SHIELD || category === ExportCategory.UNSHIELD)
+      ? (amount * PROTOCOL_FEE_BPS) / 10000
+      : 0;
+    const totalFee = relayerFee + gasFee + protocolFee;
+
+    // Counterparty: recipient for outgoing, sender for incoming; shields come from the user's own EOA
+    let counterpartyAddress = null;
+    let counterpartyLexieId = null;
+    if (category === ExportCategory.TRANSFER_RECEIVE) {
+      counterpartyAddress = tx.senderAddress || null;
+      counterpartyLexieId = tx.senderLexieId || await resolveLexieId(counterpartyAddress);
+    } else if (category === ExportCategory.TRANSFER_SEND || category === ExportCategory.UNSHIELD) {
+      counterpartyAddress = tx.recipientAddress || null;
+      counterpartyLexieId = tx.recipientLexieId || await resolveLexieId(counterpartyAddress);
+    } else if (category === ExportCategory.SHIELD) {
+      counterpartyAddress = tx.senderAddress || null;
+    }
+
+    // Prices are address-keyed; older timeline items without chain/token metadata stay unpriced
+    let usdPrice = null;
+    let priceSource = null;
+    const priceToken = tx.tokenAddress || (tx.token === getNativeTokenSymbol(chainId) ? null : undefined);
+    if (includePrices && chainId && priceToken !== undefined && (timestampMs || tx.blockNumber)) {
+      const historical = await getHistoricalTokenPrice({
+        chainId,
+        token: priceToken,
+        timestamp: timestampMs,
+        blockNumber: tx.blockNumber ?? null,
+      });
+      usdPrice = historical?.price ?? null;
+      priceSource = historical?.source ?? null;
+    }
+
+    records.push({
+      timestamp: timestampMs ? new Date(timestampMs).toISOString() : null,
+      chainId,
+      chain: chainId ? getChainDisplayName(chainId) : null,
+      category,
+      status: tx.status || null,
+      token: tx.token || null,
+      tokenAddress: tx.tokenAddress || null,
+      amount,
+      usdPrice,
+      priceSource,
+      usdValue: usdPrice !== null && amount !== null ? roundUsd(amount * usdPrice) : null,
+      relayerFee,
+      gasFee,
+      protocolFee,
+      totalFee,
+      feeToken: tx.feeToken || tx.token || null,
+      feesUsd: usdPrice !== null ? roundUsd(totalFee * usdPrice) : null,
+      counterpartyAddress,
+      counterpartyLexieId,
+      memo: tx.memo || null,
+      txHash: tx.txHash || tx.txid || tx.traceId || null,
+    });
+
+    onProgress?.(index + 1, filtered.length);
+  }
+
+  return records;
+};
+
+export const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize export records
+ * @param {Array<Object>} records - Output of buildExportRecords
+ * @param {string} format - ExportFormat.CSV or ExportFormat.JSON
+ * @param {Object} [meta] - Extra metadata for the JSON envelope (filters, walletId prefix)
+ * @returns {string}
+ */
+export const serializeExportRecords = (records, format, meta = {}) => {
+  if (format === ExportFormat.JSON) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      currency: 'USD',
+      ...meta,
+      count: records.length,
+      records,
+    }, null, 2);
+  }
+
+  return [
+    EXPORT_COLUMNS.join(','),
+    ...records.map(record => EXPORT_COLUMNS.map(column => escapeCsvField(record[column])).join(',')),
+  ].join('\n');
+};
+
+/**
+ * Trigger a browser download of serialized export data
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} format - ExportFormat.CSV or ExportFormat.JSON
+ */
+export const downloadExport = (content, filename, format) => {
+  const type = format === ExportFormat.JSON
+    ? 'application/json;charset=utf-8;'
+    : 'text/csv;charset=utf-8;';
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  ExportFormat,
+  ExportCategory,
+  EXPORT_COLUMNS,
+  fetchFullWalletTimeline,
+  getTimestampMs,
+  expandTokenAmounts,
+  buildExportRecords,
+  escapeCsvField,
+  serializeExportRecords,
+  downloadExport,
+};
@@ -51,6 +51,16 @@ export {
   ArtifactDownloader
 } from './artifactDownloader.js';
 
+export {
+  evictArtifacts,
+  getCachedArtifactVariants
+} from './artifactCache.js';
+
+export {
+  preloadArtifacts,
+  getArtifactReadiness
+} from './artifactPreloader.js';
+
 export {
   getArtifactVariantString,
   getArtifactVariantStringPOI,
@@ -0,0 +1,256 @@
+/**
+ * Passkey Unlock
+ * Unlock the vault with a WebAuthn passkey instead of an EOA signature.
+ *
+ * - The vault encryption key (SHA256(signature + address), see walletInitialization.js)
+ *   is wrapped with AES-GCM under a key derived via HKDF from the passkey's PRF output
+ * - The wrapped key is stored per EOA + wallet ID in localStorage; the PRF output itself
+ *   never leaves the authenticator session and is not persisted
+ * - Once a passkey is registered it is the unlock factor: the signature stored with the wallet
+ *   metadata is not used on its own. A failed passkey falls back to a fresh EOA signature, so
+ *   losing the passkey (or this browser's storage) never locks the user out; a cancelled
+ *   prompt cancels the unlock
+ */
+
+import { getWalletMetadata } from '../../contexts/WalletContext';
+import { deriveVaultEncryptionKey } from './recovery-phrase.js';
+
+const STORAGE_PREFIX = 'lexie:passkey';
+const STORAGE_VERSION = 1;
+const HKDF_INFO = 'lexie-vault-key-wrap-v1';
+const CEREMONY_TIMEOUT_MS = 60000;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const storageKey = (address, walletId) => `${STORAGE_PREFIX}:${address.toLowerCase()}:${walletId}`;
+
+const bytesToBase64url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const base64urlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), c => c.charCodeAt(0));
+};
+
+const readRecord = (address, walletId) => {
+  try {
+    const raw = localStorage.getItem(storageKey(address, walletId));
+    const record = raw ? JSON.parse(raw) : null;
+    return record?.version === STORAGE_VERSION ? record : null;
+  } catch {
+    return null;
+  }
+};
+
+const deriveWrappingKey = async (prfOutput, hkdfSalt) => {
+  const baseKey = await crypto.subtle.importKey('raw', prfOutput, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: hkdfSalt, info: textEncoder.encode(HKDF_INFO) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Binds the wrapped key to its owner so a record copied to another wallet slot fails to decrypt
+const wrapAdditionalData = (address, walletId) => textEncoder.encode(`${address.toLowerCase()}:${walletId}`);
+
+const evaluatePrf = async (credentialId, prfSalt) => {
+  const assertion = await navigator.credentials.get({
+    publicKey: {
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      allowCredentials: [{ type: 'public-key', id: credentialId }],
+      userVerification: 'required',
+      timeout: CEREMONY_TIMEOUT_MS,
+      extensions: { prf: { eval: { first: prfSalt } } },
+    },
+  });
+  const output = assertion?.getClientExtensionResults?.()?.prf?.results?.first;
+  if (!output) {
+    throw new Error('This passkey does not support the PRF extension');
+  }
+  return output;
+};
+
+/**
+ * Whether a WebAuthn error means the user dismissed the prompt (browsers report cancel and
+ * timeout as NotAllowedError)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isPasskeyCancelled = (error) => {
+  return error?.name === 'NotAllowedError' || error?.name === 'AbortError';
+};
+
+/**
+ * Whether this browser exposes WebAuthn at all (PRF support is only known after a ceremony)
+ * @returns {boolean}
+ */
+export const isPasskeySupported = () => {
+  return typeof window !== 'undefined'
+    && window.isSecureContext === true
+    && typeof window.PublicKeyCredential === 'function'
+    && typeof navigator.credentials?.create === 'function';
+};
+
+/**
+ * Whether a passkey is registered for this wallet in this browser
+ * @param {string} address - EOA address
+ * @param {string} walletId - Railgun wallet ID
+ * @returns {boolean}
+ */
+export const hasPasskey = (address, walletId) => {
+  if (!address || !walletId) return false;
+  return !!readRecord(address, walletId);
+};
+
+/**
+ * Register a passkey and store the vault encryption key wrapped under its PRF output
+ * @param {Object} params
+ * @param {string} params.address - EOA address
+ * @param {string} params.walletId - Railgun wallet ID
+ * @param {string} params.encryptionKey - 64-char hex vault encryption key
+ * @returns {Promise<void>}
+ */
+export const registerPasskey = async ({ address, walletId, encryptionKey }) => {
+  if (!isPasskeySupported()) {
+    throw new Error('Passkeys are not available in this browser');
+  }
+  if (!address || !walletId || !/^[0-9a-f]{64}$/i.test(encryptionKey || '')) {
+    throw new Error('Unlock your vault before adding a passkey');
+  }
+
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      challenge: crypto.getRandomValues(new Uint8Array(32)),
+      rp: { name: 'LexieVault', id: window.location.hostname },
+      user: {
+        id: crypto.getRandomValues(new Uint8Array(16)),
+        name: `${address.slice(0, 6)}...${address.slice(-4)}`,
+        displayName: `LexieVault ${address.slice(0, 6)}...${address.slice(-4)}`,
+      },
+      pubKeyCredParams: [
+        { type: 'public-key', alg: -7 },
+        { type: 'public-key', alg: -257 },
+      ],
+      authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' },
+      timeout: CEREMONY_TIMEOUT_MS,
+      extensions: { prf: {} },
+    },
+  });
+  if (!credential) {
+    throw new Error('Passkey registration was cancelled');
+  }
+  if (credential.getClientExtensionResults?.()?.prf?.enabled === false) {
+    throw new Error('This passkey does not support the PRF extension - try a different authenticator');
+  }
+
+  const credentialId = new Uint8Array(credential.rawId);
+  const prfSalt = crypto.getRandomValues(new Uint8Array(32));
+  const hkdfSalt = crypto.getRandomValues(new Uint8Array(32));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  // Most authenticators only return PRF results on assertion, so evaluate in a second ceremony
+  const prfOutput = await evaluatePrf(credentialId, prfSalt);
+  const wrappingKey = await deriveWrappingKey(prfOutput, hkdfSalt);
+  const wrappedKey = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: wrapAdditionalData(address, walletId) },
+    wrappingKey,
+    textEncoder.encode(encryptionKey.toLowerCase())
+  );
+
+  localStorage.setItem(storageKey(address, walletId), JSON.stringify({
+    version: STORAGE_VERSION,
+    credentialId: bytesToBase64url(credentialId),
+    prfSalt: bytesToBase64url(prfSalt),
+    hkdfSalt: bytesToBase64url(hkdfSalt),
+    iv: bytesToBase64url(iv),
+    wrappedKey: bytesToBase64url(wrappedKey),
+    createdAt: Date.now(),
+  }));
+
+  console.log('[Passkey] ✅ Passkey registered for wallet:', walletId.slice(0, 8) + '...');
+};
+
+/**
+ * Register a passkey for the currently unlocked vault, using the key derived from its stored signature
+ * @param {Object} params
+ * @param {string} params.address - EOA address
+ * @param {string} params.walletId - Railgun wallet ID
+ * @returns {Promise<void>}
+ */
+export const enablePasskeyUnlock = async ({ address, walletId }) => {
+  const metadata = await getWalletMetadata(address);
+  const entry = metadata?.walletId === walletId
+    ? metadata
+    : metadata?.allKeys?.find(key => key.walletId === walletId);
+  if (!entry?.signature) {
+    throw new Error('No vault signature is stored for this wallet');
+  }
+  const encryptionKey = await deriveVaultEncryptionKey(entry.signature, address);
+  await registerPasskey({ address, walletId, encryptionKey });
+};
+
+/**
+ * Unwrap the vault encryption key with the registered passkey
+ * @param {Object} params
+ * @param {string} params.address - EOA address
+ * @param {string} params.walletId - Railgun wallet ID
+ * @returns {Promise<string|null>} 64-char hex encryption key, or null when no passkey is registered
+ */
+export const unlockWithPasskey = async ({ address, walletId }) => {
+  const record = readRecord(address, walletId);
+  if (!record) return null;
+  if (!isPasskeySupported()) {
+    throw new Error('Passkeys are not available in this browser');
+  }
+
+  const prfOutput = await evaluatePrf(base64urlToBytes(record.credentialId), base64urlToBytes(record.prfSalt));
+  const wrappingKey = await deriveWrappingKey(prfOutput, base64urlToBytes(record.hkdfSalt));
+
+  let encryptionKey;
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64urlToBytes(record.iv), additionalData: wrapAdditionalData(address, walletId) },
+      wrappingKey,
+      base64urlToBytes(record.wrappedKey)
+    );
+    encryptionKey = textDecoder.decode(plaintext);
+  } catch {
+    throw new Error('Passkey did not unlock this vault');
+  }
+
+  console.log('[Passkey] 🔓 Vault key unwrapped with passkey for wallet:', walletId.slice(0, 8) + '...');
+  return encryptionKey;
+};
+
+/**
+ * Forget the passkey for this wallet (the credential itself stays in the authenticator)
+ * @param {string} address - EOA address
+ * @param {string} walletId - Railgun wallet ID
+ * @returns {boolean} Whether the passkey record was removed
+ */
+export const removePasskey = (address, walletId) => {
+  try {
+    localStorage.removeItem(storageKey(address, walletId));
+    console.log('[Passkey] 🗑️ Passkey unlock removed for wallet:', walletId.slice(0, 8) + '...');
+    return true;
+  } catch (error) {
+    console.warn('[Passkey] Failed to remove passkey unlock:', error.message);
+    return false;
+  }
+};
+
+export default {
+  isPasskeyCancelled,
+  isPasskeySupported,
+  hasPasskey,
+  registerPasskey,
+  enablePasskeyUnlock,
+  unlockWithPasskey,
+  removePasskey,
+};
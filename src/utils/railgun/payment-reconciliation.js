@@ -0,0 +1,362 @@
+/**
+ * Payment Request Reconciliation
+ * Keeps the payment requests a vault has created (localStorage, per wallet) and matches them
+ * against payments received from third parties.
+ *
+ * Only notes the vault's own SDK decrypted count as paid: timeline records are written by the
+ * payer's browser (PaymentPage records a shield with status 'claimed', see recordIncomingShield in
+ * transactionMonitor.js), so they only contribute the invoice reference and payer address of a
+ * note that was actually received. Shields count when the claim names a payer other than the
+ * vault owner, so the owner's own deposits never settle an invoice.
+ *
+ * A payment is tied to a request by its invoice reference first. Payments without a reference
+ * fall back to an exact amount + token match inside the request's validity window, and each
+ * payment settles one request only.
+ */
+
+import { formatUnits, parseUnits } from 'ethers';
+import { getChainDisplayName, getWrappedTokenAddress } from '../../config/chains.js';
+import { PAYMENT_AMOUNT_MODES, isPaymentRequestExpired } from './payment-request.js';
+import { getTimestampMs, expandTokenAmounts, escapeCsvField } from './history-export.js';
+
+const STORAGE_KEY_PREFIX = 'lexie:payment-requests';
+
+// Window event fired after the stored requests change
+export const PAYMENT_REQUESTS_UPDATED_EVENT = 'payment-requests-updated';
+
+export const PAYMENT_RECONCILIATION_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  PARTIALLY_PAID: 'partially_paid',
+  EXPIRED: 'expired',
+};
+
+export const PAYMENT_MATCH_TYPE = {
+  INVOICE: 'invoice',
+  AMOUNT: 'amount',
+};
+
+const RECEIVE_TYPES = ['Receive Transaction', 'transfer_receive'];
+const SHIELD_TYPES = ['Add to Vault', 'shield'];
+const FAILED_STATUSES = ['failed', 'reverted', 'dropped'];
+
+// Railgun shield fee (0.25%), taken from the shielded amount before the note is created
+const SHIELD_FEE_BPS = 25n;
+
+// Column order for CSV output
+export const RECONCILIATION_COLUMNS = [
+  'invoiceId',
+  'status',
+  'createdAt',
+  'expiresAt',
+  'chainId',
+  'chain',
+  'token',
+  'tokenAddress',
+  'amountMode',
+  'requestedAmount',
+  'paidAmount',
+  'paidAt',
+  'matchedBy',
+  'txHashes',
+  'memo',
+];
+
+const storageKey = (walletId) => `${STORAGE_KEY_PREFIX}:${walletId}`;
+
+const writeRequests = (walletId, requests) => {
+  try {
+    localStorage.setItem(storageKey(walletId), JSON.stringify(requests));
+  } catch (error) {
+    console.warn('[PaymentReconciliation] Failed to save payment requests:', error.message);
+    return;
+  }
+  window.dispatchEvent(new CustomEvent(PAYMENT_REQUESTS_UPDATED_EVENT, { detail: { walletId } }));
+};
+
+/**
+ * Payment requests created by a vault, newest first
+ * @param {string} walletId - Railgun wallet ID
+ * @returns {Array<Object>}
+ */
+export const getPaymentRequests = (walletId) => {
+  if (!walletId) return [];
+  try {
+    const requests = JSON.parse(localStorage.getItem(storageKey(walletId))) || [];
+    return requests.sort((a, b) => b.createdAt - a.createdAt);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Save a created payment request (upserts by invoice ID, keeping the original creation time)
+ * @param {string} walletId - Railgun wallet ID of the recipient vault
+ * @param {Object} request
+ * @param {string} request.invoiceId - Invoice reference (required for tracking)
+ * @param {number} request.chainId - Chain ID
+ * @param {string|null} request.token - Token address (null for the native token)
+ * @param {string} request.tokenSymbol - Token symbol
+ * @param {number} request.decimals - Token decimals
+ * @param {string|null} request.amount - Requested amount in token units
+ * @param {string|null} request.amountMode - PAYMENT_AMOUNT_MODES value
+ * @param {string|null} request.memo - Memo shown to the payer
+ * @param {number|null} request.expiresAt - Expiry as unix seconds
+ * @param {string} request.link - Signed payment link
+ */
+export const trackPaymentRequest = (walletId, request) => {
+  if (!walletId || !request?.invoiceId) {
+    throw new Error('Payment request needs a vault and an invoice ID to be tracked');
+  }
+
+  const requests = getPaymentRequests(walletId);
+  const existing = requests.find(r => r.invoiceId === request.invoiceId);
+  const tracked = {
+    invoiceId: request.invoiceId,
+    chainId: Number(request.chainId),
+    token: request.token || null,
+    tokenSymbol: request.tokenSymbol,
+    decimals: Number(request.decimals ?? 18),
+    amount: request.amount || null,
+    amountMode: request.amount ? (request.amountMode || PAYMENT_AMOUNT_MODES.FIXED) : null,
+    memo: request.memo || null,
+    expiresAt: request.expiresAt || null,
+    link: request.link,
+    createdAt: existing?.createdAt || Date.now(),
+  };
+
+  writeRequests(walletId, [tracked, ...requests.filter(r => r.invoiceId !== request.invoiceId)]);
+  return tracked;
+};
+
+export const removePaymentRequest = (walletId, invoiceId) => {
+  if (!walletId) return;
+  writeRequests(walletId, getPaymentRequests(walletId).filter(r => r.invoiceId !== invoiceId));
+};
+
+// Backend amounts are display strings; extra decimals beyond the token's precision are dropped
+const toBaseUnits = (value, decimals) => {
+  if (value === undefined || value === null || value === '') return null;
+  const [whole, fraction = ''] = String(value).replace(/,/g, '').trim().split('.');
+  try {
+    return parseUnits(fraction ? `${whole || '0'}.${fraction.slice(0, decimals)}` : whole, decimals);
+  } catch {
+    return null;
+  }
+};
+
+const formatAmount = (value, decimals) => formatUnits(value, decimals).replace(/\.0$/, '');
+
+// Invoice IDs only use [A-Za-z0-9._-], so any other character separates them inside a memo
+const referencesInvoice = (tx, invoiceId) =>
+  tx.invoiceId === invoiceId ||
+  (typeof tx.memo === 'string' && tx.memo.split(/[^A-Za-z0-9._-]+/).includes(invoiceId));
+
+// Native token payments are shielded as the wrapped token, so notes always carry an address
+const isSameAsset = (payment, request) => {
+  if (Number(payment.chainId) !== request.chainId) return false;
+  const requestToken = request.token || getWrappedTokenAddress(request.chainId);
+  return !!requestToken && payment.tokenAddress?.toLowerCase() === requestToken.toLowerCase();
+};
+
+const normalizeTxHash = (hash) => (hash ? String(hash).toLowerCase().replace(/^0x/, '') : null);
+
+// A batch item can move several tokens under one tx hash
+const paymentKey = (txHash, tokenAddress) => `${normalizeTxHash(txHash)}:${tokenAddress?.toLowerCase()}`;
+
+const toBigInt = (value) => {
+  try {
+    return BigInt(value);
+  } catch {
+    return null;
+  }
+};
+
+// Received notes from the vault's own SDK history (formatted by transactionHistory.js)
+const getDecryptedNotes = (decryptedHistory) =>
+  decryptedHistory
+    .filter(item => RECEIVE_TYPES.includes(item.transactionType) || SHIELD_TYPES.includes(item.transactionType))
+    .flatMap(item => (item.tokenAmounts || []).map(tokenAmount => ({
+      txHash: item.txid,
+      chainId: item.chainId,
+      tokenAddress: tokenAmount.tokenAddress,
+      noteAmount: toBigInt(tokenAmount.amount),
+      isShield: SHIELD_TYPES.includes(item.transactionType),
+      memo: item.memo || null,
+      timestampMs: getTimestampMs(item),
+    })))
+    .filter(note => note.txHash && note.tokenAddress && note.noteAmount !== null && note.noteAmount > 0n);
+
+// Timeline records that name this vault as the recipient of someone else's payment
+const isThirdPartyClaim = (tx, ownerAddress) => {
+  const type = tx.transactionType || tx.type;
+  if (FAILED_STATUSES.includes(String(tx.status || '').toLowerCase())) return false;
+  if (RECEIVE_TYPES.includes(type)) return true;
+  if (!SHIELD_TYPES.includes(type) || !tx.senderAddress) return false;
+  return !!ownerAddress && tx.senderAddress.toLowerCase() !== ownerAddress.toLowerCase();
+};
+
+const getIncomingPayments = (timeline, decryptedHistory, ownerAddress) => {
+  const claims = new Map();
+  timeline
+    .flatMap(expandTokenAmounts)
+    .filter(tx => isThirdPartyClaim(tx, ownerAddress))
+    .forEach(tx => {
+      const tokenAddress = tx.tokenAddress || getWrappedTokenAddress(tx.chainId);
+      const key = paymentKey(tx.txHash || tx.txid || tx.traceId, tokenAddress);
+      if (!claims.has(key) || tx.invoiceId) claims.set(key, tx);
+    });
+
+  return getDecryptedNotes(decryptedHistory)
+    .map(note => {
+      const claim = claims.get(paymentKey(note.txHash, note.tokenAddress));
+      // Received transfers are third-party by definition; shields need a payer claim
+      if (note.isShield && !claim) return null;
+      return {
+        ...note,
+        claimedAmount: claim?.amount ?? null,
+        invoiceId: claim?.invoiceId || null,
+        memo: claim?.memo || note.memo,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.timestampMs || 0) - (b.timestampMs || 0));
+};
+
+const getShieldNoteAmount = (amount) => amount - (amount * SHIELD_FEE_BPS) / 10000n;
+
+// Shield notes hold the amount after the shield fee; credit the payer's claimed gross amount
+// only when the decrypted note is exactly what that amount shields to
+const getCreditedAmount = (payment, decimals) => {
+  if (!payment.isShield) return payment.noteAmount;
+  const claimed = toBaseUnits(payment.claimedAmount, decimals);
+  return claimed !== null && getShieldNoteAmount(claimed) === payment.noteAmount
+    ? claimed
+    : payment.noteAmount;
+};
+
+const getStatus = (request, paid, hasPayments) => {
+  const requested = request.amount ? toBaseUnits(request.amount, request.decimals) : null;
+  if (hasPayments && (requested === null || paid >= requested)) {
+    return PAYMENT_RECONCILIATION_STATUS.PAID;
+  }
+  if (hasPayments) return PAYMENT_RECONCILIATION_STATUS.PARTIALLY_PAID;
+  return isPaymentRequestExpired(request)
+    ? PAYMENT_RECONCILIATION_STATUS.EXPIRED
+    : PAYMENT_RECONCILIATION_STATUS.PENDING;
+};
+
+/**
+ * Match payment requests against payments the vault has received
+ * @param {Array<Object>} requests - From getPaymentRequests
+ * @param {Array<Object>} timeline - Timeline items (useTransactionHistory or fetchFullWalletTimeline)
+ * @param {Object} options
+ * @param {Array<Object>} options.decryptedHistory - The vault's own SDK history (getTransactionHistory);
+ *   only notes found here count as paid
+ * @param {string|null} options.ownerAddress - Vault owner EOA; without it no shield counts as a payment
+ * @returns {Array<Object>} Requests with status, paidAmount, paidAt and payments [{ txHash, amount, timestamp, matchedBy }]
+ */
+export const reconcilePaymentRequests = (requests, timeline = [], { decryptedHistory = [], ownerAddress = null } = {}) => {
+  const incoming = getIncomingPayments(timeline, decryptedHistory, ownerAddress);
+  const claimed = new Set();
+  const paymentsByInvoice = new Map(requests.map(request => [request.invoiceId, []]));
+
+  const claim = (request, payment, matchedBy) => {
+    const key = paymentKey(payment.txHash, payment.tokenAddress);
+    if (claimed.has(key)) return;
+    claimed.add(key);
+    paymentsByInvoice.get(request.invoiceId).push({
+      txHash: payment.txHash,
+      amount: getCreditedAmount(payment, request.decimals),
+      timestampMs: payment.timestampMs,
+      matchedBy,
+    });
+  };
+
+  // Invoice references are authoritative, so they claim their payments before any amount match
+  requests.forEach(request => {
+    incoming
+      .filter(payment => referencesInvoice(payment, request.invoiceId) && isSameAsset(payment, request))
+      .forEach(payment => claim(request, payment, PAYMENT_MATCH_TYPE.INVOICE));
+  });
+
+  // Unreferenced payments can only settle fixed-amount requests, oldest request first
+  [...requests]
+    .filter(request => request.amount && request.amountMode !== PAYMENT_AMOUNT_MODES.MIN)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(request => {
+      if (paymentsByInvoice.get(request.invoiceId).length > 0) return;
+      const requested = toBaseUnits(request.amount, request.decimals);
+      const match = incoming.find(payment =>
+        !claimed.has(paymentKey(payment.txHash, payment.tokenAddress)) &&
+        isSameAsset(payment, request) &&
+        payment.timestampMs !== null && payment.timestampMs >= request.createdAt &&
+        (!request.expiresAt || payment.timestampMs <= request.expiresAt * 1000) &&
+        getCreditedAmount(payment, request.decimals) === requested
+      );
+      if (match) claim(request, match, PAYMENT_MATCH_TYPE.AMOUNT);
+    });
+
+  return requests.map(request => {
+    const payments = paymentsByInvoice.get(request.invoiceId);
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0n);
+    const lastPayment = payments[payments.length - 1];
+
+    return {
+      ...request,
+      status: getStatus(request, paid, payments.length > 0),
+      paidAmount: formatAmount(paid, request.decimals),
+      paidAt: lastPayment?.timestampMs || null,
+      payments: payments.map(payment => ({
+        txHash: payment.txHash,
+        amount: formatAmount(payment.amount, request.decimals),
+        timestamp: payment.timestampMs,
+        matchedBy: payment.matchedBy,
+      })),
+    };
+  });
+};
+
+const toIsoString = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Serialize reconciled requests to CSV (one row per invoice)
+ * @param {Array<Object>} reconciled - Output of reconcilePaymentRequests
+ * @returns {string}
+ */
+export const serializeReconciliationCsv = (reconciled) => {
+  const rows = reconciled.map(request => ({
+    invoiceId: request.invoiceId,
+    status: request.status,
+    createdAt: toIsoString(request.createdAt),
+    expiresAt: toIsoString(request.expiresAt ? request.expiresAt * 1000 : null),
+    chainId: request.chainId,
+    chain: getChainDisplayName(request.chainId),
+    token: request.tokenSymbol,
+    tokenAddress: request.token,
+    amountMode: request.amountMode,
+    requestedAmount: request.amount,
+    paidAmount: request.paidAmount,
+    paidAt: toIsoString(request.paidAt),
+    matchedBy: [...new Set(request.payments.map(payment => payment.matchedBy))].join(' '),
+    txHashes: request.payments.map(payment => payment.txHash).join(' '),
+    memo: request.memo,
+  }));
+
+  return [
+    RECONCILIATION_COLUMNS.join(','),
+    ...rows.map(row => RECONCILIATION_COLUMNS.map(column => escapeCsvField(row[column])).join(',')),
+  ].join('\n');
+};
+
+export default {
+  PAYMENT_REQUESTS_UPDATED_EVENT,
+  PAYMENT_RECONCILIATION_STATUS,
+  PAYMENT_MATCH_TYPE,
+  RECONCILIATION_COLUMNS,
+  getPaymentRequests,
+  trackPaymentRequest,
+  removePaymentRequest,
+  reconcilePaymentRequests,
+  serializeReconciliationCsv,
+};
@@ -0,0 +1,227 @@
+/**
+ * Payment Requests (payment links v2)
+ * Links to pay.lexiecrypto.com/pay carrying an optional fixed or minimum amount, memo, expiry
+ * and invoice reference, signed with the recipient vault's viewing key.
+ *
+ * The 0zk address encodes the vault's viewing public key, so PaymentPage verifies the
+ * signature against the resolved recipient address with no backend lookup: a link whose
+ * fields were edited after signing, or that points at another vault, fails verification.
+ * v1 links (to/chainId/token only, never signed) still work but are shown as unverified.
+ */
+
+import { signWithWalletViewingKey, getRailgunWalletAddressData } from '@railgun-community/wallet';
+import { ByteUtils, verifyED25519 } from '@railgun-community/engine';
+import { hexlify, parseUnits, toUtf8Bytes } from 'ethers';
+
+export const PAYMENT_LINK_BASE_URL = 'https://pay.lexiecrypto.com';
+export const PAYMENT_REQUEST_VERSION = '2';
+
+export const PAYMENT_AMOUNT_MODES = {
+  FIXED: 'fixed',
+  MIN: 'min',
+};
+
+export const PAYMENT_REQUEST_STATUS = {
+  VERIFIED: 'verified',
+  UNSIGNED: 'unsigned',
+  INVALID: 'invalid',
+  EXPIRED: 'expired',
+};
+
+export const MAX_PAYMENT_MEMO_LENGTH = 140;
+const INVOICE_ID_PATTERN = /^[A-Za-z0-9._-]{1,40}$/;
+const SIGNATURE_DOMAIN = 'lexie-payment-request';
+
+// Order matters: the signed message lists these fields in this order
+const SIGNED_FIELDS = ['v', 'to', 'chainId', 'token', 'amount', 'amountMode', 'memo', 'exp', 'invoice'];
+
+const buildSignedMessage = (params) => [
+  SIGNATURE_DOMAIN,
+  ...SIGNED_FIELDS.map((field) => `${field}=${params.get(field) ?? ''}`),
+].join('\n');
+
+/**
+ * Random invoice reference, e.g. INV-20261019-7F3A9C
+ * @returns {string}
+ */
+export const generateInvoiceId = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(3)))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+  return `INV-${date}-${random}`;
+};
+
+/**
+ * Validate the optional request fields before building a link
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePaymentRequestFields = ({ amount, memo, invoiceId }) => {
+  if (amount && (!/^\d+(\.\d+)?$/.test(amount) || Number(amount) <= 0)) {
+    return 'Amount must be a positive number';
+  }
+  if (memo && memo.length > MAX_PAYMENT_MEMO_LENGTH) return `Memo is limited to ${MAX_PAYMENT_MEMO_LENGTH} characters`;
+  if (invoiceId && !INVOICE_ID_PATTERN.test(invoiceId)) return 'Invoice ID may only use letters, digits, ".", "_" and "-" (max 40)';
+  return null;
+};
+
+/**
+ * Build a signed payment link
+ * @param {Object} params
+ * @param {string} params.to - Recipient Lexie ID or 0zk address (as shown to the payer)
+ * @param {number} params.chainId - Chain ID
+ * @param {string} [params.token] - Token address (omit for the native token)
+ * @param {string} [params.amount] - Decimal amount in token units, e.g. "25.5"
+ * @param {string} [params.amountMode] - PAYMENT_AMOUNT_MODES value (default fixed)
+ * @param {string} [params.memo] - Note shown to the payer
+ * @param {number} [params.expiresAt] - Expiry as unix seconds
+ * @param {string} [params.invoiceId] - Invoice reference
+ * @param {string} params.railgunWalletID - Recipient vault, signs the request
+ * @returns {Promise<{ link: string, request: Object }>}
+ */
+export const buildPaymentRequestLink = async ({
+  to,
+  chainId,
+  token = null,
+  amount = '',
+  amountMode = PAYMENT_AMOUNT_MODES.FIXED,
+  memo = '',
+  expiresAt = null,
+  invoiceId = '',
+  railgunWalletID,
+}) => {
+  if (!railgunWalletID) {
+    throw new Error('Vault must be loaded to sign a payment request');
+  }
+  const validationError = validatePaymentRequestFields({ amount, memo, invoiceId });
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  const params = new URLSearchParams({
+    v: PAYMENT_REQUEST_VERSION,
+    to,
+    chainId: String(chainId),
+  });
+  if (token) params.set('token', token);
+  if (amount) {
+    params.set('amount', amount);
+    params.set('amountMode', amountMode);
+  }
+  if (memo) params.set('memo', memo);
+  if (expiresAt) params.set('exp', String(expiresAt));
+  if (invoiceId) params.set('invoice', invoiceId);
+
+  const message = hexlify(toUtf8Bytes(buildSignedMessage(params)));
+  params.set('sig', await signWithWalletViewingKey(railgunWalletID, message));
+
+  return {
+    link: `${PAYMENT_LINK_BASE_URL}/pay?${params.toString()}`,
+    request: parsePaymentRequest(`?${params.toString()}`),
+  };
+};
+
+/**
+ * Read a payment request from a /pay query string
+ * @param {string} search - window.location.search
+ * @returns {Object} Request fields (null where absent)
+ */
+export const parsePaymentRequest = (search) => {
+  const params = new URLSearchParams(search);
+  const amount = params.get('amount');
+  const exp = Number(params.get('exp'));
+
+  return {
+    params,
+    version: params.get('v') || '1',
+    to: params.get('to'),
+    chainId: params.get('chainId') ? parseInt(params.get('chainId'), 10) : null,
+    token: params.get('token'),
+    amount,
+    amountMode: amount ? (params.get('amountMode') === PAYMENT_AMOUNT_MODES.MIN ? PAYMENT_AMOUNT_MODES.MIN : PAYMENT_AMOUNT_MODES.FIXED) : null,
+    memo: params.get('memo'),
+    expiresAt: Number.isFinite(exp) && exp > 0 ? exp : null,
+    invoiceId: params.get('invoice'),
+    signature: params.get('sig'),
+  };
+};
+
+export const isPaymentRequestExpired = (request, nowMs = Date.now()) =>
+  !!request.expiresAt && nowMs >= request.expiresAt * 1000;
+
+/**
+ * Check a request's expiry and signature against the resolved recipient
+ * @param {Object} request - From parsePaymentRequest
+ * @param {string} railgunAddress - Resolved 0zk address of the recipient
+ * @returns {Promise<{ status: string, reason: string|null }>} PAYMENT_REQUEST_STATUS value
+ */
+export const verifyPaymentRequest = async (request, railgunAddress) => {
+  if (isPaymentRequestExpired(request)) {
+    return {
+      status: PAYMENT_REQUEST_STATUS.EXPIRED,
+      reason: `This payment request expired on ${new Date(request.expiresAt * 1000).toLocaleString()}`,
+    };
+  }
+
+  if (!request.signature) {
+    // v2 links are always signed, so a missing signature means the link was altered
+    return request.version === '1'
+      ? { status: PAYMENT_REQUEST_STATUS.UNSIGNED, reason: null }
+      : { status: PAYMENT_REQUEST_STATUS.INVALID, reason: 'This payment link is missing its signature' };
+  }
+
+  try {
+    const { viewingPublicKey } = getRailgunWalletAddressData(railgunAddress);
+    const message = toUtf8Bytes(buildSignedMessage(request.params));
+    const valid = await verifyED25519(message, ByteUtils.hexStringToBytes(request.signature), viewingPublicKey);
+    if (valid) {
+      return { status: PAYMENT_REQUEST_STATUS.VERIFIED, reason: null };
+    }
+  } catch (error) {
+    console.warn('[PaymentRequest] Signature check failed:', error.message);
+  }
+
+  return {
+    status: PAYMENT_REQUEST_STATUS.INVALID,
+    reason: 'This payment link was modified or was not signed by the recipient vault',
+  };
+};
+
+/**
+ * Check an entered amount against the request's fixed or minimum amount
+ * @param {Object} request - From parsePaymentRequest
+ * @param {string} amount - Amount entered by the payer
+ * @param {number} decimals - Token decimals
+ * @returns {string|null} Error message, or null when acceptable
+ */
+export const getPaymentAmountError = (request, amount, decimals) => {
+  if (!request.amount || !amount) return null;
+
+  let entered;
+  let requested;
+  try {
+    entered = parseUnits(amount, decimals);
+    requested = parseUnits(request.amount, decimals);
+  } catch {
+    return 'Invalid amount';
+  }
+
+  if (request.amountMode === PAYMENT_AMOUNT_MODES.MIN) {
+    return entered < requested ? `Minimum payment is ${request.amount}` : null;
+  }
+  return entered !== requested ? `This request is for exactly ${request.amount}` : null;
+};
+
+export default {
+  PAYMENT_LINK_BASE_URL,
+  PAYMENT_AMOUNT_MODES,
+  PAYMENT_REQUEST_STATUS,
+  generateInvoiceId,
+  validatePaymentRequestFields,
+  buildPaymentRequestLink,
+  parsePaymentRequest,
+  isPaymentRequestExpired,
+  verifyPaymentRequest,
+  getPaymentAmountError,
+};
@@ -0,0 +1,317 @@
+/**
+ * Pending Proved Transactions
+ * Proofs take minutes on Ethereum; once a transaction is proved it is persisted (proof-cache.js
+ * → proof-store.js, encrypted with the vault key) until it is sent, so a reload in between
+ * offers "resume pending transaction" instead of proving again.
+ *
+ * save (after populate) → clear (after send) | restore on reload → validate on-chain → resume or discard
+ *
+ * Relayed flows (unshield, private transfer) call save/clear themselves; self-signed flows
+ * (NFTs, swaps, recipes) go through sendProvedTransactionSelfSigned.
+ */
+
+import { TXIDVersion } from '@railgun-community/shared-models';
+import {
+  CachedProvedTransaction,
+  PERSISTED_PROOF_MAX_AGE_MS,
+  setCachedProvedTransaction,
+  getCachedProvedTransaction,
+  clearCachedProvedTransaction,
+  validateCachedProvedTransaction,
+  persistCachedProvedTransaction,
+  restorePersistedProvedTransactions,
+} from './proof-cache.js';
+import { submitRelayedTransaction } from './relayer-client.js';
+
+export const PENDING_PROOFS_CHANGED_EVENT = 'pending-proofs-changed';
+
+const notifyChanged = (walletID) => {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(PENDING_PROOFS_CHANGED_EVENT, { detail: { walletID } }));
+  }
+};
+
+const toHex = (value) => (value !== undefined && value !== null ? '0x' + BigInt(value).toString(16) : undefined);
+
+const sendSelfSigned = async (transaction, signer, chainId) => {
+  // The proof is only valid on the chain it was made for
+  const network = await signer.provider?.getNetwork();
+  if (network && Number(network.chainId) !== Number(chainId)) {
+    throw new Error('Switch to the network of the pending transaction to resume it');
+  }
+
+  const txForSending = {
+    ...transaction,
+    gasLimit: toHex(transaction.gasLimit),
+    gasPrice: toHex(transaction.gasPrice),
+    maxFeePerGas: toHex(transaction.maxFeePerGas),
+    maxPriorityFeePerGas: toHex(transaction.maxPriorityFeePerGas),
+    value: toHex(transaction.value) || '0x0',
+  };
+  Object.keys(txForSending).forEach(key => {
+    if (txForSending[key] === undefined) {
+      delete txForSending[key];
+    }
+  });
+
+  const txResponse = await signer.sendTransaction(txForSending);
+  return txResponse.hash || txResponse;
+};
+
+// Same check tx-unshield uses: wallets report a declined request as 4001 or a "rejected" message
+const isUserRejection = (error) => {
+  const message = (error?.message || '').toLowerCase();
+  return message.includes('reject') || error?.code === 4001 || error?.code === 'ACTION_REJECTED';
+};
+
+// Same hex-encoded JSON the relayer receives from tx-unshield
+const serializeForRelayer = (transaction) => {
+  const transactionObject = {
+    to: transaction.to,
+    data: transaction.data,
+    value: transaction.value || '0x0',
+    gasLimit: transaction.gasLimit?.toString(),
+    gasPrice: transaction.gasPrice?.toString(),
+    maxFeePerGas: transaction.maxFeePerGas?.toString(),
+    maxPriorityFeePerGas: transaction.maxPriorityFeePerGas?.toString(),
+    type: transaction.type,
+  };
+  Object.keys(transactionObject).forEach(key => {
+    if (transactionObject[key] === undefined) {
+      delete transactionObject[key];
+    }
+  });
+  return '0x' + Buffer.from(JSON.stringify(transactionObject)).toString('hex');
+};
+
+// Validation parameters taken from the cached proof itself: on resume there is no new request to compare
+const cachedProofParams = (cached) => ({
+  proofType: cached.proofType,
+  txidVersion: cached.txidVersion,
+  networkName: cached.networkName,
+  railgunWalletID: cached.railgunWalletID,
+  erc20AmountRecipients: cached.erc20AmountRecipients,
+  nftAmountRecipients: cached.nftAmountRecipients,
+  broadcasterFeeERC20AmountRecipient: cached.broadcasterFeeERC20AmountRecipient,
+  sendWithPublicWallet: cached.sendWithPublicWallet,
+  overallBatchMinGasPrice: cached.overallBatchMinGasPrice,
+});
+
+/**
+ * Cache and persist a proved, populated transaction before sending it
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.encryptionKey - Vault encryption key
+ * @param {string} params.proofType - ProofType of the proof
+ * @param {string} params.networkName - Railgun network name
+ * @param {Object} params.populatedTransaction - { transaction, nullifiers, preTransactionPOIsPerTxidLeafPerList }
+ * @param {Object} [params.proofParams] - erc20AmountRecipients, nftAmountRecipients, broadcasterFeeERC20AmountRecipient,
+ *   sendWithPublicWallet, overallBatchMinGasPrice
+ * @param {Object} params.resume - { label, submitVia: 'relayer' | 'self', relay? } (relay = submitRelayedTransaction params)
+ */
+export const savePendingProvedTransaction = async ({
+  railgunWalletID,
+  chainId,
+  encryptionKey,
+  proofType,
+  networkName,
+  populatedTransaction,
+  proofParams = {},
+  resume,
+}) => {
+  const { transaction, nullifiers, preTransactionPOIsPerTxidLeafPerList } = populatedTransaction;
+  setCachedProvedTransaction(new CachedProvedTransaction({
+    proofType,
+    txidVersion: TXIDVersion.V2_PoseidonMerkle,
+    networkName,
+    railgunWalletID,
+    erc20AmountRecipients: proofParams.erc20AmountRecipients || [],
+    nftAmountRecipients: proofParams.nftAmountRecipients || [],
+    broadcasterFeeERC20AmountRecipient: proofParams.broadcasterFeeERC20AmountRecipient,
+    sendWithPublicWallet: proofParams.sendWithPublicWallet,
+    overallBatchMinGasPrice: proofParams.overallBatchMinGasPrice,
+    transaction,
+    nullifiers,
+    preTransactionPOIsPerTxidLeafPerList,
+  }), railgunWalletID, chainId);
+
+  await persistCachedProvedTransaction(railgunWalletID, chainId, { encryptionKey, resume });
+  notifyChanged(railgunWalletID);
+};
+
+/**
+ * Forget a pending transaction (sent, or discarded by the user)
+ * @param {string} railgunWalletID - Railgun wallet ID
+ * @param {number} chainId - Chain ID
+ */
+export const clearPendingProvedTransaction = (railgunWalletID, chainId) => {
+  clearCachedProvedTransaction(railgunWalletID, chainId);
+  notifyChanged(railgunWalletID);
+};
+
+/**
+ * Persist a proved transaction, send it from the connected wallet, then forget it.
+ * If the page goes away (or sending fails) in between, it stays pending for resume;
+ * if the user declines it in the wallet, it is discarded.
+ * @param {Object} params - savePendingProvedTransaction params, with label instead of resume
+ * @param {string} params.label - Shown in the resume banner
+ * @param {Object} params.signer - Connected wallet signer (pays gas)
+ * @returns {Promise<string>} Transaction hash
+ */
+export const sendProvedTransactionSelfSigned = async ({ label, signer, ...saveParams }) => {
+  const { railgunWalletID, chainId, populatedTransaction } = saveParams;
+
+  let proofPersisted = false;
+  try {
+    await savePendingProvedTransaction({ ...saveParams, resume: { label, submitVia: 'self' } });
+    proofPersisted = true;
+  } catch (persistError) {
+    console.warn('[PendingProofs] Could not persist proved transaction:', persistError.message);
+  }
+
+  try {
+    const transactionHash = await sendSelfSigned(populatedTransaction.transaction, signer, chainId);
+    if (proofPersisted) {
+      clearPendingProvedTransaction(railgunWalletID, chainId);
+    }
+    return transactionHash;
+  } catch (error) {
+    // The user declined to send it; don't offer it back as a pending transaction
+    if (proofPersisted && isUserRejection(error)) {
+      clearPendingProvedTransaction(railgunWalletID, chainId);
+    }
+    throw error;
+  }
+};
+
+const toPendingSummary = (entry) => ({
+  chainId: entry.chainId,
+  networkName: entry.networkName,
+  createdAt: entry.createdAt,
+  label: entry.resume?.label,
+  submissionUnknown: !!entry.resume?.submissionUnknown,
+});
+
+/**
+ * Restore a wallet's persisted proofs and keep the ones still sendable.
+ * Stale proofs (spent nullifiers, gas price run away, too old) are dropped.
+ * @param {string} railgunWalletID - Railgun wallet ID
+ * @param {string} encryptionKey - Vault encryption key
+ * @returns {Promise<Array<{ chainId: number, networkName: string, createdAt: number, label: string, submissionUnknown: boolean }>>}
+ */
+export const getPendingProvedTransactions = async (railgunWalletID, encryptionKey) => {
+  const restored = await restorePersistedProvedTransactions(railgunWalletID, encryptionKey);
+
+  const pending = await Promise.all(restored.map(async (entry) => {
+    const cached = getCachedProvedTransaction(railgunWalletID, entry.chainId);
+    try {
+      await validateCachedProvedTransaction(cachedProofParams(cached), railgunWalletID, entry.chainId, {
+        maxAgeMs: PERSISTED_PROOF_MAX_AGE_MS,
+        checkChainState: true,
+      });
+      return toPendingSummary(entry);
+    } catch (error) {
+      // Chain lookups can fail transiently; only drop proofs that were actually rejected
+      if (getCachedProvedTransaction(railgunWalletID, entry.chainId)) {
+        console.warn('[PendingProofs] Could not validate pending proof:', error.message);
+        return toPendingSummary(entry);
+      }
+      console.log('[PendingProofs] Dropped stale pending proof:', { networkName: entry.networkName, reason: error.message });
+      return null;
+    }
+  }));
+  return pending.filter(Boolean);
+};
+
+// Errors after which the relayer may already have broadcast the transaction (it answered, or timed out)
+const isSubmissionOutcomeUnknown = (error) => error?.failover === false;
+
+/**
+ * Keep a pending transaction but stop offering it for resume: the relayer may already have
+ * broadcast it, and sending it again would reuse its nullifiers. It drops out on its own once
+ * the nullifiers show up as spent; otherwise the user discards it after checking history.
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.encryptionKey - Vault encryption key
+ * @param {Object} params.resume - The resume details it was saved with
+ */
+export const markPendingSubmissionUnknown = async ({ railgunWalletID, chainId, encryptionKey, resume }) => {
+  try {
+    await persistCachedProvedTransaction(railgunWalletID, chainId, {
+      encryptionKey,
+      resume: { ...resume, submissionUnknown: true },
+    });
+    notifyChanged(railgunWalletID);
+  } catch (error) {
+    console.warn('[PendingProofs] Could not mark pending transaction as submitted:', error.message);
+  }
+};
+
+/**
+ * Send a pending proved transaction the way it was meant to be sent: relayed proofs only go
+ * back to the relayer (self-signing them would expose the wallet and still pay the relayer fee
+ * output), self-signed proofs go to the connected wallet. A failed relayer attempt keeps the
+ * proof pending; one the relayer may have broadcast is kept but not offered again.
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.encryptionKey - Vault encryption key
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer
+ * @returns {Promise<{ transactionHash: string, usedRelayer: boolean }>}
+ */
+export const resumePendingProvedTransaction = async ({ railgunWalletID, chainId, encryptionKey, walletProvider }) => {
+  const restored = await restorePersistedProvedTransactions(railgunWalletID, encryptionKey);
+  const entry = restored.find(r => Number(r.chainId) === Number(chainId));
+  const cached = getCachedProvedTransaction(railgunWalletID, chainId);
+  if (!entry || !cached) {
+    throw new Error('No pending transaction to resume on this network');
+  }
+  if (entry.resume?.submissionUnknown) {
+    throw new Error('This transaction may already have been sent. Check your history before discarding it');
+  }
+
+  await validateCachedProvedTransaction(cachedProofParams(cached), railgunWalletID, chainId, {
+    maxAgeMs: PERSISTED_PROOF_MAX_AGE_MS,
+    checkChainState: true,
+  });
+
+  let transactionHash;
+  const usedRelayer = entry.resume?.submitVia === 'relayer';
+  if (usedRelayer) {
+    if (!entry.resume.relay) {
+      throw new Error('Missing relayer details for this pending transaction');
+    }
+    try {
+      const relayed = await submitRelayedTransaction({
+        ...entry.resume.relay,
+        serializedTransaction: serializeForRelayer(cached.transaction),
+        gasEstimate: cached.transaction.gasLimit?.toString(),
+      });
+      transactionHash = relayed.transactionHash;
+    } catch (relayError) {
+      console.warn('[PendingProofs] Relayer resume failed:', relayError.message);
+      if (isSubmissionOutcomeUnknown(relayError)) {
+        await markPendingSubmissionUnknown({ railgunWalletID, chainId, encryptionKey, resume: entry.resume });
+      }
+      throw relayError;
+    }
+  } else {
+    transactionHash = await sendSelfSigned(cached.transaction, await walletProvider(), chainId);
+  }
+
+  clearPendingProvedTransaction(railgunWalletID, chainId);
+  console.log('[PendingProofs] ✅ Resumed pending transaction:', { networkName: cached.networkName, transactionHash, usedRelayer });
+  return { transactionHash, usedRelayer };
+};
+
+export default {
+  PENDING_PROOFS_CHANGED_EVENT,
+  savePendingProvedTransaction,
+  clearPendingProvedTransaction,
+  sendProvedTransactionSelfSigned,
+  markPendingSubmissionUnknown,
+  getPendingProvedTransactions,
+  resumePendingProvedTransaction,
+};
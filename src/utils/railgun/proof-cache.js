@@ -6,8 +6,27 @@
 
 import {
   NetworkName,
+  NETWORK_CONFIG,
   TXIDVersion,
 } from '@railgun-community/shared-models';
+import { ABIRailgunSmartWallet, ABIRelayAdapt } from '@railgun-community/engine';
+import { Interface } from 'ethers';
+import { getRailgunNetworkName } from '../../config/chains.js';
+import { ethCall, rpcCall } from '../web3/rpc.js';
+import { writeProofRecord, readProofRecords, deleteProofRecord } from './proof-store.js';
+
+// In-memory proofs follow the SDK's 5 minute lifetime. Persisted proofs are kept longer
+// for resume, because resuming re-checks nullifiers and gas price on-chain instead.
+const CACHED_PROOF_MAX_AGE_MS = 5 * 60 * 1000;
+export const PERSISTED_PROOF_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// How far the network gas price may rise above the proved transaction's before it is stale
+const MAX_GAS_PRICE_RISE_BPS = 2000n;
+
+// Proved calldata is either RailgunSmartWallet.transact or RelayAdapt.relay; both take Transaction[] first
+const railgunCallInterface = new Interface([
+  ...ABIRailgunSmartWallet.filter(fragment => fragment.name === 'transact' || fragment.name === 'nullifiers'),
+  ...ABIRelayAdapt.filter(fragment => fragment.name === 'relay'),
+]);
 
 /**
  * Cached proof transaction structure
@@ -53,14 +72,7 @@ const cachedProofs = {};
  * @returns {string} Network name
  */
 const getNetworkNameFromChainId = (chainId) => {
-  const chainIdNum = Number(chainId);
-  switch (chainIdNum) {
-    case 1: return 'Ethereum';
-    case 42161: return 'Arbitrum';
-    case 137: return 'Polygon';
-    case 56: return 'BNBChain';
-    default: return `Chain${chainId}`;
-  }
+  return getRailgunNetworkName(chainId) || `Chain${chainId}`;
 };
 
 /**
@@ -139,6 +151,10 @@ export const clearCachedProvedTransaction = (walletID, chainId) => {
     }
   }
   
+  deleteProofRecord(walletID, networkName).catch((error) => {
+    console.warn('[ProofCache] Failed to delete persisted proof:', error.message);
+  });
+
   console.log('[ProofCache] Clearing cached proof:', {
     walletID: walletID?.slice(0, 8) + '...',
     networkName,
@@ -149,33 +165,125 @@ export const clearCachedProvedTransaction = (walletID, chainId) => {
 };
 
 /**
- * Check if cached proof is expired (older than 5 minutes)
+ * Check if cached proof is expired (older than 5 minutes by default)
  * @param {string} walletID - Railgun wallet ID
  * @param {number|string} chainId - Chain ID
+ * @param {number} [maxAgeMs] - Lifetime (PERSISTED_PROOF_MAX_AGE_MS for resumed proofs)
  * @returns {boolean} True if cache is expired
  */
-export const isCachedProofExpired = (walletID, chainId) => {
+export const isCachedProofExpired = (walletID, chainId, maxAgeMs = CACHED_PROOF_MAX_AGE_MS) => {
   const cached = getCachedProvedTransaction(walletID, chainId);
   
   if (!cached) {
     return true;
   }
   
-  const fiveMinutes = 5 * 60 * 1000; // 5 minutes in milliseconds
-  const isExpired = Date.now() - cached.timestamp > fiveMinutes;
+  const isExpired = Date.now() - cached.timestamp > maxAgeMs;
   
   if (isExpired) {
     console.log('[ProofCache] Cached proof is expired:', {
       walletID: walletID?.slice(0, 8) + '...',
       networkName: getNetworkNameFromChainId(chainId),
       age: Date.now() - cached.timestamp,
-      limit: fiveMinutes,
+      limit: maxAgeMs,
     });
   }
   
   return isExpired;
 };
 
+/**
+ * Persist the in-memory proof for a wallet/network (encrypted, IndexedDB) so it can be
+ * resumed after a reload
+ * @param {string} walletID - Railgun wallet ID
+ * @param {number|string} chainId - Chain ID
+ * @param {Object} options
+ * @param {string} options.encryptionKey - Vault encryption key
+ * @param {Object} options.resume - How to send it later ({ label, submitVia, relay })
+ */
+export const persistCachedProvedTransaction = async (walletID, chainId, { encryptionKey, resume }) => {
+  const cached = getCachedProvedTransaction(walletID, chainId);
+  if (!cached) {
+    throw new Error('No cached proof to persist');
+  }
+  await writeProofRecord({
+    walletID,
+    networkName: cached.networkName,
+    chainId: Number(chainId),
+    encryptionKey,
+    payload: { provedTransaction: { ...cached }, resume },
+  });
+  console.log('[ProofCache] Persisted proved transaction:', {
+    walletID: walletID?.slice(0, 8) + '...',
+    networkName: cached.networkName,
+    proofType: cached.proofType,
+  });
+};
+
+/**
+ * Load a wallet's persisted proofs back into the in-memory cache
+ * @param {string} walletID - Railgun wallet ID
+ * @param {string} encryptionKey - Vault encryption key
+ * @returns {Promise<Array<{ chainId: number, networkName: string, createdAt: number, resume: Object }>>}
+ */
+export const restorePersistedProvedTransactions = async (walletID, encryptionKey) => {
+  const records = await readProofRecords(walletID, encryptionKey);
+  return records.map(({ chainId, networkName, createdAt, payload }) => {
+    if (!cachedProofs[walletID]) {
+      cachedProofs[walletID] = {};
+    }
+    cachedProofs[walletID][networkName] = new CachedProvedTransaction(payload.provedTransaction);
+    return { chainId, networkName, createdAt, resume: payload.resume };
+  });
+};
+
+/**
+ * Count nullifiers of a proved transaction that are already spent on-chain
+ * @param {CachedProvedTransaction} cached - Cached proof
+ * @param {number|string} chainId - Chain ID
+ * @returns {Promise<number>}
+ */
+const countSpentNullifiers = async (cached, chainId) => {
+  const { proxyContract } = NETWORK_CONFIG[cached.networkName];
+  const parsed = railgunCallInterface.parseTransaction({ data: cached.transaction.data });
+  if (!parsed) {
+    throw new Error('Unrecognized proved transaction calldata');
+  }
+
+  const checks = parsed.args[0].flatMap(railgunTransaction => railgunTransaction.nullifiers.map(nullifier => ({
+    treeNumber: railgunTransaction.boundParams.treeNumber,
+    nullifier,
+  })));
+  const spent = await Promise.all(checks.map(async ({ treeNumber, nullifier }) => {
+    const result = await ethCall(chainId, proxyContract, railgunCallInterface.encodeFunctionData('nullifiers', [treeNumber, nullifier]));
+    return railgunCallInterface.decodeFunctionResult('nullifiers', result)[0];
+  }));
+  return spent.filter(Boolean).length;
+};
+
+/**
+ * Check a cached proof is still sendable: no nullifier spent, gas price not run away
+ * @param {CachedProvedTransaction} cached - Cached proof
+ * @param {number|string} chainId - Chain ID
+ * @returns {Promise<string|null>} Reason it is stale, or null
+ */
+const checkCachedProofChainState = async (cached, chainId) => {
+  const spentCount = await countSpentNullifiers(cached, chainId);
+  if (spentCount > 0) {
+    return 'Notes already spent.';
+  }
+
+  const { gasPrice, maxFeePerGas } = cached.transaction;
+  const provedGasPrice = gasPrice ?? maxFeePerGas;
+  if (provedGasPrice !== undefined && provedGasPrice !== null) {
+    const networkGasPrice = BigInt(await rpcCall(Number(chainId), 'eth_gasPrice'));
+    if (networkGasPrice * 10000n > BigInt(provedGasPrice) * (10000n + MAX_GAS_PRICE_RISE_BPS)) {
+      return 'Gas price rose too far since proving.';
+    }
+  }
+  return null;
+};
+
 /**
  * Compare ERC20 amount recipients arrays
  * @param {Array} arr1 - First array
@@ -219,9 +327,12 @@ const compareERC20AmountRecipient = (recipient1, recipient2) => {
  * @param {Object} params - Parameters to validate against
  * @param {string} walletID - Railgun wallet ID
  * @param {number|string} chainId - Chain ID
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Proof lifetime (PERSISTED_PROOF_MAX_AGE_MS when resuming)
+ * @param {boolean} [options.checkChainState] - Also require unspent nullifiers and an acceptable gas price
  * @throws {Error} If validation fails
  */
-export const validateCachedProvedTransaction = ({
+export const validateCachedProvedTransaction = async ({
   proofType,
   txidVersion,
   networkName,
@@ -231,7 +342,7 @@ export const validateCachedProvedTransaction = ({
   broadcasterFeeERC20AmountRecipient,
   sendWithPublicWallet,
   overallBatchMinGasPrice,
-}, walletID, chainId) => {
+}, walletID, chainId, { maxAgeMs = CACHED_PROOF_MAX_AGE_MS, checkChainState = false } = {}) => {
   const cached = getCachedProvedTransaction(walletID, chainId);
   
   if (!cached) {
@@ -242,7 +353,7 @@ export const validateCachedProvedTransaction = ({
     throw new Error('No proof found.');
   }
   
-  if (isCachedProofExpired(walletID, chainId)) {
+  if (isCachedProofExpired(walletID, chainId, maxAgeMs)) {
     console.log('[ProofCache] ❌ Cached proof is expired');
     clearCachedProvedTransaction(walletID, chainId);
     throw new Error('Cached proof expired.');
@@ -294,6 +405,14 @@ export const validateCachedProvedTransaction = ({
     clearCachedProvedTransaction(walletID, chainId);
     throw new Error('Mismatch: broadcasterFeeERC20AmountRecipient.');
   }
+
+  if (checkChainState) {
+    const staleReason = await checkCachedProofChainState(cached, chainId);
+    if (staleReason) {
+      clearCachedProvedTransaction(walletID, chainId);
+      throw new Error(`Stale: ${staleReason}`);
+    }
+  }
   
   console.log('[ProofCache] ✅ Cached proof validation passed for wallet/network');
 };
@@ -361,7 +480,7 @@ export const populateProvedTransaction = async (
 ) => {
   try {
     // Validate cached proof (throws errors if invalid) - scoped to walletID + chainId
-    validateCachedProvedTransaction({
+    await validateCachedProvedTransaction({
       proofType,
       txidVersion,
       networkName,
@@ -400,5 +519,8 @@ export default {
   validateCachedProvedTransaction,
   populateCachedTransaction,
   isCachedProofExpired,
+  persistCachedProvedTransaction,
+  restorePersistedProvedTransactions,
+  PERSISTED_PROOF_MAX_AGE_MS,
   CachedProvedTransaction,
 }; 
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * Persistent Proof Store
+ * IndexedDB backing for proof-cache.js so a proved-but-unsent transaction survives a reload.
+ * Records are AES-256-GCM encrypted with a key derived (HKDF-SHA256) from the vault
+ * encryption key; only the record ID, network and timestamp are stored in the clear.
+ * The record ID is bound to the ciphertext as additional data.
+ */
+
+const PROOF_DB_NAME = 'LexieProofCache';
+const PROOF_STORE_NAME = 'provedTransactions';
+const HKDF_INFO = 'lexie-proof-cache-v1';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Chunked to stay under the argument limit of String.fromCharCode on large calldata
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+// Proved transactions carry bigints (gas, fees, amounts), which JSON cannot hold
+const serialize = (value) => JSON.stringify(value, (_key, v) => (typeof v === 'bigint' ? { __bigint: v.toString() } : v));
+const deserialize = (text) => JSON.parse(text, (_key, v) => (v && typeof v === 'object' && typeof v.__bigint === 'string' ? BigInt(v.__bigint) : v));
+
+export const getProofRecordId = (walletID, networkName) => `${walletID}:${networkName}`;
+
+const openProofDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(PROOF_DB_NAME, 1);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(PROOF_STORE_NAME)) {
+        const store = db.createObjectStore(PROOF_STORE_NAME, { keyPath: 'id' });
+        store.createIndex('walletID', 'walletID', { unique: false });
+      }
+    };
+  });
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openProofDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([PROOF_STORE_NAME], mode);
+      const request = operation(transaction.objectStore(PROOF_STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const deriveProofKey = async (encryptionKey) => {
+  const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(encryptionKey), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: textEncoder.encode(HKDF_INFO) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Encrypt and store a proved transaction (replaces the wallet's record for that network)
+ * @param {Object} params
+ * @param {string} params.walletID - Railgun wallet ID
+ * @param {string} params.networkName - Railgun network name
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.encryptionKey - Vault encryption key
+ * @param {Object} params.payload - Cached proved transaction plus resume details
+ */
+export const writeProofRecord = async ({ walletID, networkName, chainId, encryptionKey, payload }) => {
+  const id = getProofRecordId(walletID, networkName);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveProofKey(encryptionKey);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: textEncoder.encode(id) },
+    key,
+    textEncoder.encode(serialize(payload))
+  );
+
+  await runRequest('readwrite', store => store.put({
+    id,
+    walletID,
+    networkName,
+    chainId,
+    createdAt: Date.now(),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+  }));
+};
+
+/**
+ * Load and decrypt a wallet's stored proofs. Records that fail to decrypt are skipped.
+ * @param {string} walletID - Railgun wallet ID
+ * @param {string} encryptionKey - Vault encryption key
+ * @returns {Promise<Array<{ networkName: string, chainId: number, createdAt: number, payload: Object }>>}
+ */
+export const readProofRecords = async (walletID, encryptionKey) => {
+  const records = await runRequest('readonly', store => store.index('walletID').getAll(walletID));
+  if (!records?.length) return [];
+
+  const key = await deriveProofKey(encryptionKey);
+  const decrypted = await Promise.all(records.map(async (record) => {
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(record.iv), additionalData: textEncoder.encode(record.id) },
+        key,
+        base64ToBytes(record.ciphertext)
+      );
+      return {
+        networkName: record.networkName,
+        chainId: record.chainId,
+        createdAt: record.createdAt,
+        payload: deserialize(textDecoder.decode(plaintext)),
+      };
+    } catch (error) {
+      console.warn('[ProofStore] Could not decrypt stored proof:', { id: record.id, error: error.message });
+      return null;
+    }
+  }));
+  return decrypted.filter(Boolean);
+};
+
+export const deleteProofRecord = async (walletID, networkName) => {
+  await runRequest('readwrite', store => store.delete(getProofRecordId(walletID, networkName)));
+};
+
+export default {
+  getProofRecordId,
+  writeProofRecord,
+  readProofRecords,
+  deleteProofRecord,
+};
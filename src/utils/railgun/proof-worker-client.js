@@ -0,0 +1,174 @@
+/**
+ * Proof Worker Client
+ * Groth16 implementation handed to the RAILGUN prover (engine.js) that runs snarkjs in
+ * proof.worker.js instead of on the main thread. The SDK-facing proof functions are unchanged;
+ * only where the proving happens moves.
+ *
+ * Each proof reports progress on PROOF_PROGRESS_EVENT, can be cancelled (cancelProofGeneration)
+ * and is cancelled automatically after PROVER_CONFIG.timeoutMs. Cancelling terminates the
+ * worker; a fresh one is started for the next proof.
+ */
+
+import { groth16 } from 'snarkjs';
+import { PROVER_CONFIG } from '../../config/environment.js';
+
+export const PROOF_PROGRESS_EVENT = 'proof-generation-progress';
+
+export const PROOF_INTERRUPTIONS = {
+  cancelled: 'cancelled',
+  timeout: 'timeout',
+};
+
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map(); // id -> { resolve, reject, timer, startedAt }
+let lastInterruption = null;
+
+const notifyProgress = (id, status, stage, progress) => {
+  if (typeof window === 'undefined') return;
+  const job = jobs.get(id);
+  window.dispatchEvent(new CustomEvent(PROOF_PROGRESS_EVENT, {
+    detail: {
+      id,
+      status, // 'running' | 'done' | 'failed' | 'cancelled' | 'timeout'
+      stage,
+      progress,
+      elapsedMs: job ? Date.now() - job.startedAt : undefined,
+    },
+  }));
+};
+
+const takeJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+  clearTimeout(job.timer);
+  jobs.delete(id);
+  return job;
+};
+
+const resetWorker = () => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+};
+
+// Reject every running proof and kill the worker (snarkjs has no way to abort a proof)
+const interruptJobs = (reason) => {
+  if (jobs.size === 0) return false;
+  resetWorker();
+  lastInterruption = reason;
+  for (const id of [...jobs.keys()]) {
+    notifyProgress(id, reason, reason === PROOF_INTERRUPTIONS.timeout ? 'Timed out' : 'Cancelled', 0);
+    const job = takeJob(id);
+    const error = new Error(reason === PROOF_INTERRUPTIONS.timeout
+      ? `Proof generation timed out after ${Math.round(PROVER_CONFIG.timeoutMs / 1000)}s`
+      : 'Proof generation cancelled');
+    error.proofInterruption = reason;
+    job.reject(error);
+  }
+  console.warn(`[ProofWorker] Proof generation ${reason}`);
+  return true;
+};
+
+const handleWorkerMessage = (event) => {
+  const { type, id, stage, progress, proof, publicSignals, message } = event.data || {};
+  if (!jobs.has(id)) return;
+
+  if (type === 'progress') {
+    notifyProgress(id, 'running', stage, progress);
+  } else if (type === 'result') {
+    notifyProgress(id, 'done', 'Proof ready', 1);
+    takeJob(id).resolve({ proof, publicSignals });
+  } else if (type === 'error') {
+    notifyProgress(id, 'failed', message, 0);
+    takeJob(id).reject(new Error(message));
+  }
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./proof.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (event) => {
+      console.error('[ProofWorker] Worker crashed:', event.message);
+      resetWorker();
+      for (const id of [...jobs.keys()]) {
+        notifyProgress(id, 'failed', 'Prover crashed', 0);
+        takeJob(id).reject(new Error(event.message || 'Proof worker crashed'));
+      }
+    };
+  }
+  return worker;
+};
+
+const canUseWorker = () => PROVER_CONFIG.useWorker && typeof Worker !== 'undefined';
+
+const fullProveInWorker = (inputs, wasm, zkey) => {
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    lastInterruption = null;
+    jobs.set(id, {
+      resolve,
+      reject,
+      timer: setTimeout(() => interruptJobs(PROOF_INTERRUPTIONS.timeout), PROVER_CONFIG.timeoutMs),
+      startedAt: Date.now(),
+    });
+    notifyProgress(id, 'running', 'Starting prover', 0);
+
+    try {
+      getWorker().postMessage({ type: 'prove', id, inputs, wasm, zkey });
+    } catch (error) {
+      notifyProgress(id, 'failed', error.message, 0);
+      takeJob(id)?.reject(error);
+    }
+  });
+};
+
+/**
+ * snarkjs-compatible Groth16 object for `getProver().setSnarkJSGroth16`
+ */
+export const workerGroth16 = {
+  fullProve: async (inputs, wasm, zkey, logger) => {
+    if (!canUseWorker()) {
+      return groth16.fullProve(inputs, wasm, zkey, logger);
+    }
+    return fullProveInWorker(inputs, wasm, zkey);
+  },
+  verify: groth16.verify,
+};
+
+/**
+ * Cancel the proof currently being generated
+ * @returns {boolean} Whether a proof was running
+ */
+export const cancelProofGeneration = () => interruptJobs(PROOF_INTERRUPTIONS.cancelled);
+
+export const isProofGenerationActive = () => jobs.size > 0;
+
+/**
+ * Whether a failed transaction was stopped by a cancel or timeout rather than a real error.
+ * The SDK re-wraps prover errors, so this also reads (and clears) the last interruption.
+ * @param {Error} error - Error thrown by the transaction flow
+ * @returns {string|null} A PROOF_INTERRUPTIONS value, or null
+ */
+export const takeProofInterruption = (error) => {
+  let reason = lastInterruption;
+  for (let current = error; current; current = current.cause) {
+    if (current.proofInterruption) {
+      reason = current.proofInterruption;
+      break;
+    }
+  }
+  lastInterruption = null;
+  return reason;
+};
+
+export default {
+  PROOF_PROGRESS_EVENT,
+  PROOF_INTERRUPTIONS,
+  workerGroth16,
+  cancelProofGeneration,
+  isProofGenerationActive,
+  takeProofInterruption,
+};
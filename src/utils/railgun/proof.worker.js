@@ -0,0 +1,50 @@
+/**
+ * Proof Worker
+ * Runs snarkjs Groth16 proving off the main thread. Driven by proof-worker-client.js.
+ *
+ * in:  { type: 'prove', id, inputs, wasm, zkey }
+ * out: { type: 'progress', id, stage, progress } | { type: 'result', id, proof, publicSignals } | { type: 'error', id, message }
+ *
+ * snarkjs cannot be interrupted mid-proof, so cancellation terminates this worker.
+ */
+
+import { groth16 } from 'snarkjs';
+
+// snarkjs debug lines during groth16 prove, mapped to rough overall progress
+const STAGE_PROGRESS = [
+  ['Reading Wtns', 0.2],
+  ['Reading Coeffs', 0.25],
+  ['Building ABC', 0.3],
+  ['QAP', 0.35],
+  ['Join ABC', 0.4],
+  ['Reading A Points', 0.5],
+  ['Reading B1 Points', 0.6],
+  ['Reading B2 Points', 0.7],
+  ['Reading C Points', 0.8],
+  ['Reading H Points', 0.9],
+];
+
+const createProgressLogger = (id) => {
+  let lastProgress = 0;
+  const report = (message) => {
+    const match = STAGE_PROGRESS.find(([stage]) => String(message).startsWith(stage));
+    if (match && match[1] > lastProgress) {
+      lastProgress = match[1];
+      self.postMessage({ type: 'progress', id, stage: match[0], progress: match[1] });
+    }
+  };
+  return { debug: report, info: report, warn: () => {}, error: () => {} };
+};
+
+self.onmessage = async (event) => {
+  const { type, id, inputs, wasm, zkey } = event.data || {};
+  if (type !== 'prove') return;
+
+  try {
+    self.postMessage({ type: 'progress', id, stage: 'Computing witness', progress: 0.05 });
+    const { proof, publicSignals } = await groth16.fullProve(inputs, wasm, zkey, createProgressLogger(id));
+    self.postMessage({ type: 'result', id, proof, publicSignals });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * Recovery Phrase
+ * Reveal the vault's Railgun mnemonic and validate mnemonics imported at vault creation.
+ *
+ * - The mnemonic is stored AES-encrypted in the wallet metadata (`encryptedMnemonic`)
+ *   under a key derived from the vault-creation signature (see walletInitialization.js)
+ * - Revealing requires a fresh signature over a one-time challenge; the recovered signer
+ *   must match the connected EOA before anything is decrypted
+ * - Imported mnemonics are the standard 12/24-word BIP39 phrases used by other Railgun wallets
+ */
+
+import { verifyMessage, hexlify, randomBytes } from 'ethers';
+import { getWalletMetadata } from '../../contexts/WalletContext';
+
+const CHALLENGE_MAX_AGE_MS = 5 * 60 * 1000;
+const SUPPORTED_WORD_COUNTS = [12, 24];
+
+/**
+ * Derive the vault encryption key from the vault-creation signature
+ * Must stay in sync with the derivation in walletInitialization.js.
+ * @param {string} signature - Vault-creation signature
+ * @param {string} address - EOA address
+ * @returns {Promise<string>} 64-char hex key
+ */
+export const deriveVaultEncryptionKey = async (signature, address) => {
+  const CryptoJS = await import('crypto-js');
+  const combined = signature.replace('0x', '') + address.toLowerCase().replace('0x', '');
+  return CryptoJS.SHA256(combined).toString(CryptoJS.enc.Hex).slice(0, 64);
+};
+
+/**
+ * Build a one-time challenge for revealing the recovery phrase
+ * @param {string} address - EOA address
+ * @returns {{ message: string, issuedAt: number }}
+ */
+export const buildRevealChallenge = (address) => {
+  const issuedAt = Date.now();
+  const nonce = hexlify(randomBytes(16));
+  const message = [
+    'LexieVault Recovery Phrase Reveal',
+    `Address: ${address}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    '',
+    'Sign this message to display your vault recovery phrase. Never sign this on a site you do not trust.',
+  ].join('\n');
+  return { message, issuedAt };
+};
+
+/**
+ * Normalize a pasted mnemonic (case, whitespace, numbering from copied word grids)
+ * @param {string} input - Raw mnemonic input
+ * @returns {string}
+ */
+export const normalizeMnemonic = (input) => {
+  return String(input || '')
+    .toLowerCase()
+    .replace(/\d+[.)]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Validate a mnemonic for import at vault creation
+ * @param {string} input - Raw mnemonic input
+ * @returns {Promise<{ valid: boolean, mnemonic: string|null, error: string|null }>}
+ */
+export const validateImportMnemonic = async (input) => {
+  const mnemonic = normalizeMnemonic(input);
+  const wordCount = mnemonic ? mnemonic.split(' ').length : 0;
+
+  if (!SUPPORTED_WORD_COUNTS.includes(wordCount)) {
+    return { valid: false, mnemonic: null, error: `Recovery phrase must be 12 or 24 words (got ${wordCount})` };
+  }
+
+  const bip39 = await import('bip39');
+  if (!bip39.validateMnemonic(mnemonic)) {
+    return { valid: false, mnemonic: null, error: 'Recovery phrase is invalid - check the spelling and word order' };
+  }
+
+  return { valid: true, mnemonic, error: null };
+};
+
+/**
+ * Re-authenticate with a fresh signature and decrypt the vault's recovery phrase
+ * @param {Object} params
+ * @param {string} params.address - Connected EOA address
+ * @param {string} params.walletId - Railgun wallet ID whose phrase to reveal
+ * @param {Function} params.signMessageAsync - wagmi-style signer ({ message }) => signature
+ * @returns {Promise<string>} Mnemonic
+ */
+export const revealRecoveryPhrase = async ({ address, walletId, signMessageAsync }) => {
+  if (!address || !walletId) {
+    throw new Error('Connect and unlock your vault first');
+  }
+
+  const { message, issuedAt } = buildRevealChallenge(address);
+  const freshSignature = await signMessageAsync({ message });
+
+  if (Date.now() - issuedAt > CHALLENGE_MAX_AGE_MS) {
+    throw new Error('Signature request expired - please try again');
+  }
+
+  let signer;
+  try {
+    signer = verifyMessage(message, freshSignature);
+  } catch {
+    throw new Error('Could not verify the signature');
+  }
+  if (signer.toLowerCase() !== address.toLowerCase()) {
+    // Smart-contract wallets sign with a different key and cannot re-authenticate this way
+    throw new Error('Signature does not match the connected wallet');
+  }
+
+  const metadata = await getWalletMetadata(address);
+  const entry = metadata?.walletId === walletId
+    ? metadata
+    : metadata?.allKeys?.find(key => key.walletId === walletId);
+  if (!entry?.signature || !entry?.encryptedMnemonic) {
+    throw new Error('No recovery phrase is stored for this vault');
+  }
+
+  const CryptoJS = await import('crypto-js');
+  const encryptionKey = await deriveVaultEncryptionKey(entry.signature, address);
+  let mnemonic = '';
+  try {
+    mnemonic = CryptoJS.AES.decrypt(entry.encryptedMnemonic, encryptionKey).toString(CryptoJS.enc.Utf8);
+  } catch {
+    mnemonic = '';
+  }
+
+  const bip39 = await import('bip39');
+  if (!mnemonic || !bip39.validateMnemonic(mnemonic)) {
+    throw new Error('Stored recovery phrase could not be decrypted');
+  }
+
+  console.log('[RecoveryPhrase] Recovery phrase revealed for wallet:', walletId.slice(0, 8) + '...');
+  return mnemonic;
+};
+
+export default {
+  deriveVaultEncryptionKey,
+  buildRevealChallenge,
+  normalizeMnemonic,
+  validateImportMnemonic,
+  revealRecoveryPhrase,
+};
@@ -5,6 +5,17 @@
  * through the gas relayer for anonymous EOA submission
  */
 
+import { getRelayerChainIds } from '../../config/chains.js';
+import { BROADCASTER_CONFIG, RELAYER_POOL_CONFIG } from '../../config/environment.js';
+import {
+  setRelayerEndpoints,
+  probeAllRelayers,
+  hasAvailableRelayer,
+  withRelayerFailover,
+  recordRelayedTransaction,
+  getRelayerPoolStatus,
+} from './relayer-pool.js';
+
 // Route through Next.js proxy to the gas relayer backend (for HMAC-protected POSTs)
 const RELAYER_PROXY_URL = '/api/gas-relayer';
 
@@ -35,6 +46,9 @@ function normalizeBackendUrl(url) {
 
 RELAYER_BACKEND_URL = normalizeBackendUrl(RELAYER_BACKEND_URL);
 
+// Primary backend first, then the configured fallbacks
+setRelayerEndpoints([RELAYER_BACKEND_URL, ...RELAYER_POOL_CONFIG.endpoints.map(normalizeBackendUrl)]);
+
 /**
  * Create simple headers for relayer requests (no HMAC needed)
  */
@@ -47,7 +61,7 @@ function createHeaders() {
 }
 
 /**
- * Estimate relayer fees for a transaction
+ * Estimate relayer fees for a transaction (fails over across the relayer pool)
  */
 export async function estimateRelayerFee({
   chainId,
@@ -70,55 +84,57 @@ export async function estimateRelayerFee({
       gasEstimate: gasEstimate?.toString()
     };
 
-    // Single-route proxy with endpoint query
-    const feeUrl = `${RELAYER_PROXY_URL}?endpoint=estimate-fee`;
-    console.log(`💰 [RELAYER] Calling fee estimation at: ${feeUrl}`);
-    console.log(`💰 [RELAYER] Full URL: ${window.location.origin}${feeUrl}`);
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000); // 1 minute for fee estimation
-    
-    try {
-      const response = await fetch(feeUrl, {
-        method: 'POST',
-        headers: createHeaders(),
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      console.log(`💰 [RELAYER] Fee response status: ${response.status}`);
-      console.log(`💰 [RELAYER] Fee response headers:`, Object.fromEntries(response.headers.entries()));
+    const { result, relayerUrl } = await withRelayerFailover('Fee estimation', async (relayerUrl) => {
+      // Single-route proxy with endpoint query; the proxy only forwards to relayers it allows
+      const feeUrl = `${RELAYER_PROXY_URL}?endpoint=estimate-fee&relayer=${encodeURIComponent(relayerUrl)}`;
+      console.log(`💰 [RELAYER] Calling fee estimation at: ${feeUrl}`);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`❌ [RELAYER] Fee estimation failed - Status: ${response.status}, Response: ${errorText.substring(0, 200)}...`);
-        
-        // Try to parse as JSON, but fallback to text if it fails
-        let error;
-        try {
-          error = JSON.parse(errorText);
-        } catch {
-          error = { error: errorText };
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 60000); // 1 minute for fee estimation
+
+      try {
+        const response = await fetch(feeUrl, {
+          method: 'POST',
+          headers: createHeaders(),
+          body: JSON.stringify(payload),
+          signal: controller.signal
+        });
+
+        clearTimeout(timeoutId);
+
+        console.log(`💰 [RELAYER] Fee response status: ${response.status}`);
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error(`❌ [RELAYER] Fee estimation failed - Status: ${response.status}, Response: ${errorText.substring(0, 200)}...`);
+
+          // Try to parse as JSON, but fallback to text if it fails
+          let error;
+          try {
+            error = JSON.parse(errorText);
+          } catch {
+            error = { error: errorText };
+          }
+          const feeError = new Error(`Fee estimation failed: ${error.error || 'Unknown error'}`);
+          feeError.status = response.status;
+          throw feeError;
         }
-        throw new Error(`Fee estimation failed: ${error.error || 'Unknown error'}`);
-      }
 
-      const result = await response.json();
-      
-      console.log('✅ [RELAYER] Fee estimated:', result.feeEstimate);
-      return result.feeEstimate;
-      
-    } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
-        console.error('❌ [RELAYER] Fee estimation timed out after 1 minute');
-        throw new Error('Fee estimation timed out after 1 minute. Please try again.');
+        return await response.json();
+
+      } catch (error) {
+        clearTimeout(timeoutId);
+        if (error.name === 'AbortError') {
+          console.error('❌ [RELAYER] Fee estimation timed out after 1 minute');
+          throw new Error('Fee estimation timed out after 1 minute. Please try again.');
+        }
+        throw error;
       }
-      console.error('❌ [RELAYER] Fee estimation failed:', error);
-      throw new Error(`Failed to estimate relayer fees: ${error.message}`);
-    }
+    });
+
+    console.log('✅ [RELAYER] Fee estimated:', { feeEstimate: result.feeEstimate, relayerUrl });
+    return result.feeEstimate;
+
   } catch (error) {
     console.error('❌ [RELAYER] Fee estimation failed:', error);
     throw new Error(`Failed to estimate relayer fees: ${error.message}`);
@@ -186,32 +202,40 @@ export async function submitRelayedTransaction({
       throw new Error(`Failed to obtain presigned headers: ${e.message}`);
     }
 
-    // 2) Submit directly to Railway backend with HMAC headers (bypass proxy limits)
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 180000); // 3 minutes timeout
-    try {
-      const directUrl = `${RELAYER_BACKEND_URL}/api/relay/submit`;
-      console.log('🚀 [RELAYER] Submitting directly to backend:', directUrl);
-      const response = await fetch(directUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'X-Lexie-Signature': presign.headers['X-Lexie-Signature'],
-          'X-Lexie-Timestamp': presign.headers['X-Lexie-Timestamp'],
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-      clearTimeout(timeoutId);
-      return await handleResponse(response);
-    } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
-        throw new Error('Transaction submission timed out after 3 minutes. The transaction may still be processed.');
+    // 2) Submit directly to a relayer backend with HMAC headers (bypass proxy limits).
+    // Fails over only when a relayer could not be reached at all.
+    const { result, relayerUrl } = await withRelayerFailover('Submission', async (relayerUrl) => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 180000); // 3 minutes timeout
+      try {
+        const directUrl = `${relayerUrl}/api/relay/submit`;
+        console.log('🚀 [RELAYER] Submitting directly to backend:', directUrl);
+        const response = await fetch(directUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-Lexie-Signature': presign.headers['X-Lexie-Signature'],
+            'X-Lexie-Timestamp': presign.headers['X-Lexie-Timestamp'],
+          },
+          body: JSON.stringify(payload),
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        return await handleResponse(response);
+      } catch (error) {
+        clearTimeout(timeoutId);
+        if (error.name === 'AbortError') {
+          const timeoutError = new Error('Transaction submission timed out after 3 minutes. The transaction may still be processed.');
+          timeoutError.failover = false;
+          throw timeoutError;
+        }
+        throw error;
       }
-      throw error;
-    }
+    });
+
+    recordRelayedTransaction({ relayerUrl, transactionHash: result.transactionHash, chainId });
+    return { ...result, relayerUrl };
     
     async function handleResponse(response) {
       // Handle provider overload errors specially
@@ -255,7 +279,11 @@ export async function submitRelayedTransaction({
           }
         }
 
-        throw new Error(`Transaction submission failed: ${errorJson.error}`);
+        const submitError = new Error(`Transaction submission failed: ${errorJson.error}`);
+        // The relayer answered, so it may already have broadcast: never resubmit elsewhere
+        submitError.status = response.status;
+        submitError.failover = false;
+        throw submitError;
       }
 
       const result = await response.json();
@@ -276,47 +304,28 @@ export async function submitRelayedTransaction({
 }
 
 /**
- * Check relayer service health
+ * Check relayer service health (probes every relayer in the pool)
+ * @returns {Promise<boolean>} Whether at least one relayer is healthy
  */
 export async function checkRelayerHealth() {
-  try {
-    // Call backend directly (no proxy, no HMAC) to avoid CDN challenges
-    const healthUrl = `${RELAYER_BACKEND_URL}/health`;
-    console.log(`🏥 [RELAYER] Checking health at (direct): ${healthUrl}`);
-    
-    const response = await fetch(healthUrl, {
-      headers: { 'Accept': 'application/json' }
-    });
-    
-    console.log(`🏥 [RELAYER] Health response status: ${response.status}`);
-    console.log(`🏥 [RELAYER] Health response headers:`, Object.fromEntries(response.headers.entries()));
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`❌ [RELAYER] Health check failed - Status: ${response.status}, Response: ${errorText.substring(0, 200)}...`);
-      throw new Error(`Health check failed: ${response.status} - ${errorText.substring(0, 100)}`);
-    }
-
-    const result = await response.json();
-    console.log(`🏥 [RELAYER] Health check result:`, result);
-    
-    const isHealthy = result.status === 'healthy';
-    if (isHealthy) {
-      console.log('✅ [RELAYER] Gas relayer service is healthy and ready');
-    } else {
-      console.warn('⚠️ [RELAYER] Gas relayer responded but status is not healthy:', result.status);
-    }
-    
-    return isHealthy;
-
-  } catch (error) {
-    console.error('❌ [RELAYER] Health check failed with error:', {
-      message: error.message,
-      url: `${RELAYER_BACKEND_URL}/health`,
-      timestamp: new Date().toISOString()
-    });
-    return false;
+  // Call backends directly (no proxy, no HMAC) to avoid CDN challenges
+  const isHealthy = await probeAllRelayers();
+  const { endpoints } = getRelayerPoolStatus();
+
+  console.log('🏥 [RELAYER] Pool health:', endpoints.map(endpoint => ({
+    host: endpoint.host,
+    healthy: endpoint.healthy,
+    latencyMs: endpoint.latencyMs,
+    circuit: endpoint.circuit,
+    lastError: endpoint.lastError
+  })));
+
+  if (isHealthy) {
+    console.log('✅ [RELAYER] Gas relayer service is healthy and ready');
+  } else {
+    console.error('❌ [RELAYER] No healthy gas relayer in the pool');
   }
+  return isHealthy;
 }
 
 /**
@@ -375,7 +384,7 @@ export function calculateTotalAmountWithFees(baseAmount, feeEstimate) {
 export const RelayerConfig = {
   url: RELAYER_PROXY_URL,
   enabled: process.env.REACT_APP_RELAYER_ENABLED === 'true' && !!HMAC_SECRET,
-  supportedNetworks: [42161, 1, 56, 137], // Arbitrum, Ethereum, BNB Chain, Polygon
+  supportedNetworks: getRelayerChainIds(), // From the chain registry (relayerSupported)
   
   // Fee structure
   fees: {
@@ -415,7 +424,7 @@ export const RelayerConfig = {
  * Check if relayer should be used for this transaction
  */
 export function shouldUseRelayer(chainId, amount) {
-  console.log('🚀 [RELAYER] Always attempting gas relayer first for anonymous transactions');
+  console.log('🚀 [RELAYER] Attempting gas relayer first for anonymous transactions');
   console.log('🔍 [RELAYER] Transaction details:', {
     chainId,
     amount,
@@ -433,7 +442,14 @@ export function shouldUseRelayer(chainId, amount) {
     console.warn('⚠️ [RELAYER] Amount below minimum threshold - may not be worth relayer fees');
   }
   
-  // Always try the relayer - let it fail gracefully if needed
+  // Every relayer circuit is open: self-sign, unless public broadcasters can stand in
+  if (!hasAvailableRelayer()) {
+    console.warn('⚠️ [RELAYER] All relayers are failing', {
+      publicBroadcasterFallback: BROADCASTER_CONFIG.publicFallback
+    });
+    return BROADCASTER_CONFIG.publicFallback;
+  }
+
   console.log('✅ [RELAYER] Will attempt gas relayer submission');
   return true;
 }
@@ -0,0 +1,265 @@
+/**
+ * Gas Relayer Pool
+ * Tracks the configured Lexie relayer backends (relayer-client.js) with health/latency
+ * probing and a per-endpoint circuit breaker, and runs relayer requests with failover.
+ *
+ * Circuit: closed (in rotation) → open after failureThreshold consecutive failures →
+ * half-open once cooldownMs has passed (one trial request) → closed on success / open on failure.
+ * Endpoints are tried healthiest first; the pool status is broadcast on RELAYER_POOL_STATUS_EVENT.
+ */
+
+import { RELAYER_POOL_CONFIG } from '../../config/environment.js';
+
+export const RELAYER_POOL_STATUS_EVENT = 'relayer-pool-status';
+
+export const CIRCUIT_STATES = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half-open',
+};
+
+// Weight of the newest latency sample in the moving average
+const LATENCY_SMOOTHING = 0.3;
+// Score penalty (in ms) per consecutive failure, so flaky endpoints sink below slow ones
+const FAILURE_PENALTY_MS = 1000;
+
+let endpoints = [];
+let lastRelayed = null;
+let monitorTimer = null;
+let monitorUsers = 0;
+
+const createEndpoint = (url) => ({
+  url,
+  host: (() => {
+    try {
+      return new URL(url).host;
+    } catch {
+      return url;
+    }
+  })(),
+  healthy: null, // null until first probe
+  latencyMs: null,
+  circuit: CIRCUIT_STATES.closed,
+  consecutiveFailures: 0,
+  openedAt: null,
+  lastCheckedAt: null,
+  lastError: null,
+  successCount: 0,
+  failureCount: 0,
+});
+
+const findEndpoint = (url) => endpoints.find(endpoint => endpoint.url === url);
+
+const notifyChanged = () => {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(RELAYER_POOL_STATUS_EVENT, { detail: getRelayerPoolStatus() }));
+  }
+};
+
+// Open circuits become half-open once their cooldown has passed
+const getCircuitState = (endpoint, now = Date.now()) => {
+  if (endpoint.circuit === CIRCUIT_STATES.open && now - endpoint.openedAt >= RELAYER_POOL_CONFIG.cooldownMs) {
+    return CIRCUIT_STATES.halfOpen;
+  }
+  return endpoint.circuit;
+};
+
+const scoreEndpoint = (endpoint) => {
+  const latency = endpoint.latencyMs ?? RELAYER_POOL_CONFIG.probeTimeoutMs / 2;
+  return latency + endpoint.consecutiveFailures * FAILURE_PENALTY_MS + (endpoint.healthy === false ? 10 * FAILURE_PENALTY_MS : 0);
+};
+
+/**
+ * Set the relayer backends (first = preferred). Keeps stats for URLs already in the pool.
+ * @param {Array<string>} urls - Normalized backend base URLs
+ */
+export const setRelayerEndpoints = (urls) => {
+  const unique = [...new Set(urls.filter(Boolean))];
+  endpoints = unique.map(url => findEndpoint(url) || createEndpoint(url));
+  notifyChanged();
+};
+
+export const recordRelayerSuccess = (url, latencyMs) => {
+  const endpoint = findEndpoint(url);
+  if (!endpoint) return;
+  endpoint.healthy = true;
+  endpoint.latencyMs = endpoint.latencyMs === null
+    ? latencyMs
+    : Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  endpoint.circuit = CIRCUIT_STATES.closed;
+  endpoint.consecutiveFailures = 0;
+  endpoint.openedAt = null;
+  endpoint.lastCheckedAt = Date.now();
+  endpoint.lastError = null;
+  endpoint.successCount += 1;
+  notifyChanged();
+};
+
+export const recordRelayerFailure = (url, error) => {
+  const endpoint = findEndpoint(url);
+  if (!endpoint) return;
+  const now = Date.now();
+  const wasHalfOpen = getCircuitState(endpoint, now) === CIRCUIT_STATES.halfOpen;
+
+  endpoint.healthy = false;
+  endpoint.consecutiveFailures += 1;
+  endpoint.lastCheckedAt = now;
+  endpoint.lastError = error?.message || String(error);
+  endpoint.failureCount += 1;
+
+  if (wasHalfOpen || endpoint.consecutiveFailures >= RELAYER_POOL_CONFIG.failureThreshold) {
+    if (endpoint.circuit !== CIRCUIT_STATES.open || wasHalfOpen) {
+      console.warn(`⚡ [RELAYER-POOL] Circuit opened for ${endpoint.host}:`, endpoint.lastError);
+    }
+    endpoint.circuit = CIRCUIT_STATES.open;
+    endpoint.openedAt = now;
+  }
+  notifyChanged();
+};
+
+/**
+ * Probe one relayer's /health endpoint
+ * @param {string} url - Backend base URL
+ * @returns {Promise<boolean>} Whether it reported healthy
+ */
+export const probeRelayer = async (url) => {
+  const started = Date.now();
+  try {
+    const response = await fetch(`${url}/health`, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(RELAYER_POOL_CONFIG.probeTimeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Health check failed: ${response.status}`);
+    }
+    const result = await response.json();
+    if (result.status !== 'healthy') {
+      throw new Error(`Relayer status: ${result.status}`);
+    }
+    recordRelayerSuccess(url, Date.now() - started);
+    return true;
+  } catch (error) {
+    recordRelayerFailure(url, error.name === 'TimeoutError' ? new Error('Health check timed out') : error);
+    return false;
+  }
+};
+
+/**
+ * Probe every endpoint in the pool
+ * @returns {Promise<boolean>} Whether at least one relayer is healthy
+ */
+export const probeAllRelayers = async () => {
+  const results = await Promise.all(endpoints.map(endpoint => probeRelayer(endpoint.url)));
+  return results.some(Boolean);
+};
+
+/**
+ * Probe periodically while anything needs live status. Returns a stop function.
+ */
+export const startRelayerPoolMonitor = () => {
+  monitorUsers += 1;
+  if (!monitorTimer) {
+    probeAllRelayers();
+    monitorTimer = setInterval(probeAllRelayers, RELAYER_POOL_CONFIG.probeIntervalMs);
+  }
+  return () => {
+    monitorUsers = Math.max(0, monitorUsers - 1);
+    if (monitorUsers === 0 && monitorTimer) {
+      clearInterval(monitorTimer);
+      monitorTimer = null;
+    }
+  };
+};
+
+/**
+ * Endpoints that may take a request, best first (open circuits excluded)
+ * @returns {Array<Object>}
+ */
+export const getRelayerCandidates = () => {
+  const now = Date.now();
+  return endpoints
+    .map((endpoint, index) => ({ endpoint, index, circuit: getCircuitState(endpoint, now) }))
+    .filter(({ circuit }) => circuit !== CIRCUIT_STATES.open)
+    .sort((a, b) => {
+      // Closed circuits before half-open trials, then by score, then configured order
+      if (a.circuit !== b.circuit) return a.circuit === CIRCUIT_STATES.closed ? -1 : 1;
+      return scoreEndpoint(a.endpoint) - scoreEndpoint(b.endpoint) || a.index - b.index;
+    })
+    .map(({ endpoint }) => endpoint);
+};
+
+export const hasAvailableRelayer = () => getRelayerCandidates().length > 0;
+
+/**
+ * Run a relayer request against the pool, failing over to the next endpoint.
+ * `request(url)` may tag errors: `status` < 500 means the relayer answered (no failover,
+ * no penalty); `failover: false` stops the failover after recording the failure.
+ * @param {string} operation - Label for logs
+ * @param {Function} request - async (url) => result
+ * @returns {Promise<{ result: any, relayerUrl: string }>}
+ */
+export const withRelayerFailover = async (operation, request) => {
+  const candidates = getRelayerCandidates();
+  if (candidates.length === 0) {
+    throw new Error('No gas relayer available (all relayers are failing)');
+  }
+
+  let lastError = null;
+  for (const endpoint of candidates) {
+    const started = Date.now();
+    try {
+      const result = await request(endpoint.url);
+      recordRelayerSuccess(endpoint.url, Date.now() - started);
+      return { result, relayerUrl: endpoint.url };
+    } catch (error) {
+      if (error.status && error.status < 500) {
+        throw error;
+      }
+      recordRelayerFailure(endpoint.url, error);
+      lastError = error;
+      if (error.failover === false) {
+        throw error;
+      }
+      console.warn(`🔄 [RELAYER-POOL] ${operation} failed on ${endpoint.host}, trying next relayer:`, error.message);
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Remember which relayer handled the latest transaction (shown in the status view)
+ */
+export const recordRelayedTransaction = ({ relayerUrl, transactionHash, chainId }) => {
+  lastRelayed = {
+    relayerUrl,
+    host: findEndpoint(relayerUrl)?.host || relayerUrl,
+    transactionHash,
+    chainId,
+    at: Date.now(),
+  };
+  notifyChanged();
+};
+
+export const getRelayerPoolStatus = () => {
+  const now = Date.now();
+  return {
+    endpoints: endpoints.map(endpoint => ({ ...endpoint, circuit: getCircuitState(endpoint, now) })),
+    lastRelayed,
+  };
+};
+
+export default {
+  RELAYER_POOL_STATUS_EVENT,
+  CIRCUIT_STATES,
+  setRelayerEndpoints,
+  recordRelayerSuccess,
+  recordRelayerFailure,
+  probeRelayer,
+  probeAllRelayers,
+  startRelayerPoolMonitor,
+  getRelayerCandidates,
+  hasAvailableRelayer,
+  withRelayerFailover,
+  recordRelayedTransaction,
+  getRelayerPoolStatus,
+};
@@ -20,6 +20,7 @@ import {
   setOnTXIDMerkletreeScanCallback,
 } from '@railgun-community/wallet';
 import { waitForRailgunReady } from './engine.js';
+import { getRailgunNetworkName as getRegistryNetworkName } from '../../config/chains.js';
 // Balance update callbacks are handled centrally in sdk-callbacks.js
 
 /**
@@ -35,14 +36,8 @@ let lastScanTime = new Map(); // networkName -> timestamp
  * @returns {string} Railgun network name
  */
 export const getRailgunNetworkName = (chainId) => {
-  // Return enum values from shared-models to match NETWORK_CONFIG keys exactly
-  const mapping = {
-    1: NetworkName.Ethereum,
-    42161: NetworkName.Arbitrum,
-    137: NetworkName.Polygon,
-    56: NetworkName.BSC, // Important: SDK uses BSC, not BNBChain
-  };
-  return mapping[chainId] || NetworkName.Ethereum;
+  // Registry stores NetworkName enum values, so these match NETWORK_CONFIG keys exactly
+  return getRegistryNetworkName(chainId) || NetworkName.Ethereum;
 };
 
 /**
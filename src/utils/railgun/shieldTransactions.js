@@ -13,9 +13,9 @@ import {
   getShieldPrivateKeySignatureMessage,
 } from '@railgun-community/wallet';
 import {
-  NetworkName,
   TXIDVersion,
   EVMGasType,
+  NFTTokenType,
   getEVMGasTypeForTransaction,
 } from '@railgun-community/shared-models';
 import { waitForRailgunReady } from './engine.js';
@@ -27,37 +27,24 @@ import { calculateGasPrice } from '@railgun-community/shared-models';
 import { createShieldGasDetails, getTxFeeParams } from './tx-gas-details.js';
 import { fetchGasPricesFromRPC } from './tx-gas-details.js';
 import { estimateGasWithBroadcasterFee } from './tx-gas-broadcaster-fee-estimator.js';
-import { assertNotSanctioned } from '../sanctions/chainalysis-oracle.js';
-
-/**
- * Network mapping to Railgun NetworkName enum values
- */
-const RAILGUN_NETWORK_NAMES = {
-  1: NetworkName.Ethereum,
-  42161: NetworkName.Arbitrum,
-  137: NetworkName.Polygon,
-  56: NetworkName.BNBChain,
-};
+import { assertScreeningPassed, summarizeScreening } from '../sanctions/screening-service.js';
+import { validateNFTAmountRecipients } from './validation-service.js';
+import {
+  getRailgunNetworkName as getRegistryNetworkName,
+  getWrappedTokenAddress,
+} from '../../config/chains.js';
 
 /**
- * Get Railgun network name for a chain ID
+ * Get Railgun network name for a chain ID (via the chain registry)
  */
 const getRailgunNetworkName = (chainId) => {
-  const networkName = RAILGUN_NETWORK_NAMES[chainId];
+  const networkName = getRegistryNetworkName(chainId);
   if (!networkName) {
     throw new Error(`Unsupported chain ID: ${chainId}`);
   }
   return networkName;
 };
 
-// Wrapped base token per chain (minimal set)
-const WRAPPED_BASE_TOKEN_BY_CHAIN = {
-  1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', // WETH (Ethereum)
-  42161: '0x82af49447D8a07e3bd95BD0d56f35241523fBab1', // WETH (Arbitrum)
-  137: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', // WMATIC (Polygon)
-  56: '0xBB4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB (BSC)
-};
-
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 
 /**
@@ -208,6 +195,75 @@ const ensureTokenApproval = async (tokenAddress, ownerAddress, amount, walletPro
   }
 };
 
+/**
+ * Check and ensure operator approval of the RAILGUN contract for an NFT collection
+ * ERC721 and ERC1155 both expose setApprovalForAll; the shield pulls the token via transferFrom
+ * @param {Object} nftAmountRecipient - RailgunNFTAmountRecipient being shielded
+ * @param {string} ownerAddress - NFT owner address
+ * @param {Signer} walletProvider - Ethers signer (not provider)
+ * @param {Object} transaction - Transaction object to get RAILGUN contract address
+ */
+const ensureNFTApproval = async (nftAmountRecipient, ownerAddress, walletProvider, transaction) => {
+  try {
+    const railgunContractAddress = transaction.to;
+    if (!railgunContractAddress) {
+      throw new Error('Could not determine RAILGUN contract address from transaction');
+    }
+
+    const nftAbi = [
+      'function isApprovedForAll(address owner, address operator) view returns (bool)',
+      'function setApprovalForAll(address operator, bool approved)',
+      'function ownerOf(uint256 tokenId) view returns (address)',
+      'function balanceOf(address account, uint256 id) view returns (uint256)',
+    ];
+    const nftContract = new Contract(nftAmountRecipient.nftAddress, nftAbi, walletProvider);
+    const tokenId = BigInt(nftAmountRecipient.tokenSubID);
+
+    // Ownership check up front: the shield would otherwise revert after the user paid for approval
+    if (nftAmountRecipient.nftTokenType === NFTTokenType.ERC721) {
+      const owner = await nftContract.ownerOf(tokenId);
+      if (owner.toLowerCase() !== ownerAddress.toLowerCase()) {
+        throw new Error(`Token #${tokenId.toString()} is not owned by the connected wallet`);
+      }
+    } else {
+      const balance = await nftContract.balanceOf(ownerAddress, tokenId);
+      if (balance < nftAmountRecipient.amount) {
+        throw new Error(`Insufficient balance of token #${tokenId.toString()}: ${balance.toString()} available`);
+      }
+    }
+
+    const isApproved = await nftContract.isApprovedForAll(ownerAddress, railgunContractAddress);
+    console.log('[ShieldTransactions] NFT approval status:', {
+      nft: nftAmountRecipient.nftAddress,
+      operator: railgunContractAddress,
+      isApproved,
+    });
+    if (isApproved) {
+      return;
+    }
+
+    const toastId = showTerminalToast('info', 'Approval required', 'Please approve the collection to add NFTs to your vault', { duration: 5000 });
+    const approveTx = await nftContract.setApprovalForAll(railgunContractAddress, true);
+    console.log('[ShieldTransactions] NFT approval transaction sent:', approveTx.hash);
+    const receipt = await approveTx.wait();
+    console.log('[ShieldTransactions] NFT approval confirmed:', {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+    try { toast.dismiss(toastId); } catch {}
+    showTerminalToast('success', 'Approval confirmed', 'Continue in your wallet to complete');
+
+  } catch (error) {
+    console.error('[ShieldTransactions] NFT approval failed:', error);
+    if (error.code === 4001 || error.code === 5000 || /reject/i.test(error?.message || '')) {
+      showTerminalToast('error', 'Rejected by User');
+      throw new Error('Rejected by User');
+    }
+    showTerminalToast('error', 'Approval failed', 'Please try again');
+    throw new Error(`NFT approval failed: ${error.message}`);
+  }
+};
+
 /**
  * Validate and checksum an Ethereum address
  */
@@ -498,6 +554,7 @@ export const createShieldTransaction = async (
  * @param {string} fromAddress - User's wallet address
  * @param {string} railgunAddress - Railgun privacy address
  * @param {Signer} walletProvider - Ethers signer (not provider) - avoids re-wrapping
+ * @param {string} [railgunWalletID] - Railgun wallet ID (used to log blocked screenings to the timeline)
  */
 export const shieldTokens = async ({
   tokenAddress,
@@ -505,16 +562,22 @@ export const shieldTokens = async ({
   chain,
   fromAddress,
   railgunAddress,
-  walletProvider
+  walletProvider,
+  railgunWalletID
 }) => {
+  // Sanctions screen the user's EOA before proceeding (fail-closed by default).
+  // Runs outside the try block so the structured error.screening reaches the caller.
+  console.log('[Sanctions] Starting screening for user EOA (shield):', {
+    chainId: chain?.id,
+    address: fromAddress?.slice?.(0, 10) + '...'
+  });
+  const screening = await assertScreeningPassed(chain?.id, fromAddress, {
+    walletId: railgunWalletID,
+    context: 'shield-sender',
+  });
+  console.log('[Sanctions] Screening passed for user EOA (shield)');
+
   try {
-    // Sanctions screen the user's EOA before proceeding
-    console.log('[Sanctions] Starting screening for user EOA (shield):', {
-      chainId: chain.id,
-      address: fromAddress?.slice?.(0, 10) + '...'
-    });
-    await assertNotSanctioned(chain.id, fromAddress);
-    console.log('[Sanctions] Screening passed for user EOA (shield)');
     // Enhanced validation with better error handling
     console.log('[ShieldTransactions] Input validation:', {
       amount: amount,
@@ -555,7 +618,7 @@ export const shieldTokens = async ({
     const isBaseToken = !tokenAddress || tokenAddress === ZERO_ADDRESS;
     if (isBaseToken) {
       const networkName = getRailgunNetworkName(chain.id);
-      const wrappedAddress = WRAPPED_BASE_TOKEN_BY_CHAIN[chain.id];
+      const wrappedAddress = getWrappedTokenAddress(chain.id);
       if (!wrappedAddress) {
         throw new Error(`Unsupported chain for base token shielding: ${chain.id}`);
       }
@@ -733,6 +796,7 @@ export const shieldTokens = async ({
       gasEstimationIterations: iterations,
       paddedGasEstimate,
       overallBatchMinGasPrice,
+      screening: summarizeScreening(screening),
     };
 
   } catch (error) {
@@ -741,8 +805,118 @@ export const shieldTokens = async ({
   }
 };
 
+/**
+ * Shield NFTs (ERC721 / ERC1155) into the user's vault
+ * @param {Array} nfts - [{ nftAddress, nftTokenType, tokenSubID, amount? }] (amount defaults to 1)
+ * @param {Object} chain - Chain configuration with id
+ * @param {string} fromAddress - User's wallet address (current NFT owner)
+ * @param {string} railgunAddress - Railgun privacy address receiving the NFTs
+ * @param {Signer} walletProvider - Ethers signer (not provider)
+ * @param {string} [railgunWalletID] - Railgun wallet ID (used to log blocked screenings to the timeline)
+ */
+export const shieldNFTs = async ({
+  nfts,
+  chain,
+  fromAddress,
+  railgunAddress,
+  walletProvider,
+  railgunWalletID
+}) => {
+  // Same fail-closed EOA screening as ERC20 shields, outside the try so error.screening reaches the caller
+  const screening = await assertScreeningPassed(chain?.id, fromAddress, {
+    walletId: railgunWalletID,
+    context: 'shield-sender',
+  });
+
+  try {
+    if (!chain?.id) {
+      throw new Error(`Invalid chain: received ${JSON.stringify(chain)}, expected object with id property`);
+    }
+    if (!walletProvider) {
+      throw new Error('Wallet provider is required for shield operations');
+    }
+    fromAddress = validateAddress(fromAddress, 'fromAddress');
+
+    const validation = validateNFTAmountRecipients(
+      (nfts || []).map(nft => ({ ...nft, amount: nft.amount ?? 1n, recipientAddress: railgunAddress })),
+    );
+    if (!validation.isValid) {
+      throw new Error(validation.error);
+    }
+    const nftAmountRecipients = validation.details.recipients;
+    const erc20AmountRecipients = []; // NFT-only shield
+
+    await waitForRailgunReady();
+
+    const networkName = getRailgunNetworkName(chain.id);
+    const txidVersion = TXIDVersion.V2_PoseidonMerkle;
+
+    console.log('[ShieldTransactions] Starting NFT shield operation:', {
+      networkName,
+      count: nftAmountRecipients.length,
+      fromAddress: `${fromAddress.slice(0, 8)}...`,
+      railgunAddress: `${railgunAddress.slice(0, 10)}...`,
+    });
+
+    const shieldPrivateKey = await generateShieldPrivateKey(fromAddress, walletProvider);
+
+    // Dummy transaction to learn the RAILGUN contract address for approvals
+    const dummyGasDetails = createShieldGasDetails(networkName, BigInt(300000));
+    const { transaction: dummyTx } = await createShieldTransaction(
+      txidVersion,
+      networkName,
+      shieldPrivateKey,
+      erc20AmountRecipients,
+      nftAmountRecipients,
+      dummyGasDetails
+    );
+
+    // setApprovalForAll is per collection; re-checking an approved collection is a cheap view call
+    for (const nftAmountRecipient of nftAmountRecipients) {
+      await ensureNFTApproval(nftAmountRecipient, fromAddress, walletProvider, dummyTx);
+    }
+
+    const { gasDetails, paddedGasEstimate, overallBatchMinGasPrice, accurateGasEstimate } = await buildShieldGasAndEstimate({
+      chainId: chain.id,
+      networkName,
+      shieldPrivateKey,
+      erc20AmountRecipients,
+      nftAmountRecipients,
+      fromWalletAddress: fromAddress,
+      walletProvider,
+    });
+
+    const { transaction } = await createShieldTransaction(
+      txidVersion,
+      networkName,
+      shieldPrivateKey,
+      erc20AmountRecipients,
+      nftAmountRecipients,
+      gasDetails
+    );
+    transaction.from = fromAddress;
+
+    console.log('[ShieldTransactions] NFT shield operation completed successfully');
+    return {
+      gasEstimate: accurateGasEstimate,
+      gasDetails,
+      transaction,
+      shieldPrivateKey,
+      paddedGasEstimate,
+      overallBatchMinGasPrice,
+      nftAmountRecipients,
+      screening: summarizeScreening(screening),
+    };
+
+  } catch (error) {
+    console.error('[ShieldTransactions] NFT shield operation failed:', error);
+    throw new Error(`NFT shield operation failed: ${error.message}`);
+  }
+};
+
 export default {
   shieldTokens,
+  shieldNFTs,
   estimateShieldGas,
   createShieldTransaction,
   buildShieldGasAndEstimate,
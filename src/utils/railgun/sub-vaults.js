@@ -0,0 +1,270 @@
+/**
+ * Sub-Vaults
+ * Named Railgun wallets (e.g. "payroll", "treasury") under one connected EOA.
+ *
+ * - Sub-vaults are derived from the primary vault's mnemonic at derivation index 1, 2, ...
+ *   so the one recovery phrase restores all of them, and re-creating index N on another
+ *   device yields the same wallet
+ * - Every sub-vault shares the primary's encryption key and gets its own wallet metadata
+ *   entry under the EOA, so balances, scanned chains and history stay per vault
+ * - Names and indices are kept in a local registry and mirrored into the metadata entry
+ *   (`vaultName`, `derivationIndex`) for cross-device discovery
+ */
+
+import { createWallet, loadWallet, setCurrentWallet } from './wallet.js';
+import { deriveVaultEncryptionKey } from './recovery-phrase.js';
+
+const REGISTRY_PREFIX = 'lexie:sub-vaults';
+const MAX_NAME_LENGTH = 32;
+export const PRIMARY_VAULT_NAME = 'main';
+
+const registryKey = (address) => `${REGISTRY_PREFIX}:${address.toLowerCase()}`;
+
+const readRegistry = (address) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(registryKey(address)) || '{}');
+    return { names: stored.names || {}, vaults: Array.isArray(stored.vaults) ? stored.vaults : [] };
+  } catch {
+    return { names: {}, vaults: [] };
+  }
+};
+
+const writeRegistry = (address, registry) => {
+  try {
+    localStorage.setItem(registryKey(address), JSON.stringify(registry));
+  } catch (error) {
+    console.warn('[SubVaults] Failed to persist sub-vault registry:', error);
+  }
+};
+
+const loadWalletContextApi = () => import('../../contexts/WalletContext');
+
+// Re-post the entry's existing fields alongside the update so nothing is dropped
+const updateMetadataEntry = async (address, walletId, fields) => {
+  const response = await fetch(`/api/wallet-metadata?walletAddress=${encodeURIComponent(address)}`);
+  const data = response.ok ? await response.json() : null;
+  const metaKey = data?.keys?.find((k) => k.walletId === walletId);
+  if (!metaKey) {
+    throw new Error('Vault metadata not found');
+  }
+  const persist = await fetch('/api/wallet-metadata', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      walletAddress: address,
+      walletId,
+      railgunAddress: metaKey.railgunAddress,
+      signature: metaKey.signature,
+      encryptedMnemonic: metaKey.encryptedMnemonic,
+      privateBalances: metaKey.privateBalances,
+      scannedChains: metaKey.scannedChains || [],
+      hydratedChains: metaKey.hydratedChains || [],
+      creationBlockNumbers: metaKey.creationBlockNumbers,
+      ...fields,
+    }),
+  });
+  if (!persist.ok) {
+    throw new Error(`Failed to update vault metadata (HTTP ${persist.status})`);
+  }
+};
+
+/**
+ * Validate and normalize a vault name
+ * @param {string} name - Raw name
+ * @returns {string} Trimmed name
+ */
+export const normalizeVaultName = (name) => {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!trimmed) {
+    throw new Error('Vault name is required');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Vault name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+};
+
+/**
+ * Wallet IDs known to be sub-vaults of this EOA (used to pick the primary metadata entry)
+ * @param {string} address - EOA address
+ * @param {Array} [metadataKeys] - Raw metadata keys from the backend
+ * @returns {Set<string>}
+ */
+export const getSubVaultIds = (address, metadataKeys = []) => {
+  const ids = new Set(address ? readRegistry(address).vaults.map((v) => v.walletId) : []);
+  for (const key of metadataKeys) {
+    if (key?.walletId && Number(key.derivationIndex) > 0) ids.add(key.walletId);
+  }
+  return ids;
+};
+
+/**
+ * List the primary vault and all sub-vaults of an EOA
+ * @param {string} address - EOA address
+ * @returns {Promise<Array<{ walletId: string, railgunAddress: string, name: string, derivationIndex: number, isPrimary: boolean }>>}
+ */
+export const listVaults = async (address) => {
+  if (!address) return [];
+  const { getWalletMetadata } = await loadWalletContextApi();
+  const metadata = await getWalletMetadata(address);
+  if (!metadata?.walletId) return [];
+
+  const registry = readRegistry(address);
+  const byId = new Map();
+  byId.set(metadata.walletId, {
+    walletId: metadata.walletId,
+    railgunAddress: metadata.railgunAddress,
+    name: registry.names[metadata.walletId] || PRIMARY_VAULT_NAME,
+    derivationIndex: 0,
+    isPrimary: true,
+  });
+
+  // Sub-vaults created on another device only exist in the backend metadata
+  const remote = (metadata.allKeys || []).filter((k) => Number(k.derivationIndex) > 0);
+  for (const vault of [...registry.vaults, ...remote]) {
+    if (!vault?.walletId || byId.has(vault.walletId)) continue;
+    byId.set(vault.walletId, {
+      walletId: vault.walletId,
+      railgunAddress: vault.railgunAddress,
+      name: registry.names[vault.walletId] || vault.vaultName || vault.name || `vault ${vault.derivationIndex}`,
+      derivationIndex: Number(vault.derivationIndex),
+      isPrimary: false,
+    });
+  }
+
+  return Array.from(byId.values()).sort((a, b) => a.derivationIndex - b.derivationIndex);
+};
+
+/**
+ * Create a named sub-vault at the next free derivation index
+ * @param {Object} params
+ * @param {string} params.address - EOA address
+ * @param {string} params.name - Vault name
+ * @returns {Promise<Object>} The new vault entry
+ */
+export const createSubVault = async ({ address, name }) => {
+  const vaultName = normalizeVaultName(name);
+  const { getWalletMetadata, storeWalletMetadata } = await loadWalletContextApi();
+  const metadata = await getWalletMetadata(address);
+  if (!metadata?.signature || !metadata?.encryptedMnemonic) {
+    throw new Error('Unlock your main vault before creating sub-vaults');
+  }
+
+  const vaults = await listVaults(address);
+  if (vaults.some((v) => v.name.toLowerCase() === vaultName.toLowerCase())) {
+    throw new Error(`A vault named "${vaultName}" already exists`);
+  }
+  const derivationIndex = Math.max(0, ...vaults.map((v) => v.derivationIndex)) + 1;
+
+  const CryptoJS = await import('crypto-js');
+  const encryptionKey = await deriveVaultEncryptionKey(metadata.signature, address);
+  const mnemonic = CryptoJS.AES.decrypt(metadata.encryptedMnemonic, encryptionKey).toString(CryptoJS.enc.Utf8);
+  if (!mnemonic) {
+    throw new Error('Could not decrypt the vault recovery phrase');
+  }
+
+  // Scan from the primary's creation blocks: nothing can be derived before the primary existed
+  const creationBlockNumbers = metadata.creationBlockNumbers && Object.keys(metadata.creationBlockNumbers).length
+    ? metadata.creationBlockNumbers
+    : undefined;
+  const walletInfo = await createWallet(encryptionKey, mnemonic, creationBlockNumbers, derivationIndex);
+
+  const stored = await storeWalletMetadata(
+    address,
+    walletInfo.id,
+    walletInfo.railgunAddress,
+    metadata.signature,
+    metadata.encryptedMnemonic,
+    creationBlockNumbers || null,
+    { vaultName, derivationIndex }
+  );
+  if (!stored) {
+    console.warn('[SubVaults] ⚠️ Sub-vault metadata not persisted - it will only be listed on this device');
+  }
+
+  const vault = {
+    walletId: walletInfo.id,
+    railgunAddress: walletInfo.railgunAddress,
+    name: vaultName,
+    derivationIndex,
+    createdAt: Date.now(),
+  };
+  const registry = readRegistry(address);
+  registry.vaults = [...registry.vaults.filter((v) => v.walletId !== vault.walletId), vault];
+  registry.names[vault.walletId] = vaultName;
+  writeRegistry(address, registry);
+
+  console.log('[SubVaults] ✅ Sub-vault created:', {
+    name: vaultName,
+    derivationIndex,
+    walletId: walletInfo.id.slice(0, 8) + '...',
+  });
+  return { ...vault, isPrimary: false };
+};
+
+/**
+ * Rename a vault (primary or sub-vault)
+ * @param {Object} params
+ * @param {string} params.address - EOA address
+ * @param {string} params.walletId - Vault wallet ID
+ * @param {string} params.name - New name
+ * @returns {Promise<void>}
+ */
+export const renameVault = async ({ address, walletId, name }) => {
+  const vaultName = normalizeVaultName(name);
+  const vaults = await listVaults(address);
+  const target = vaults.find((v) => v.walletId === walletId);
+  if (!target) {
+    throw new Error('Vault not found');
+  }
+  if (vaults.some((v) => v.walletId !== walletId && v.name.toLowerCase() === vaultName.toLowerCase())) {
+    throw new Error(`A vault named "${vaultName}" already exists`);
+  }
+
+  const registry = readRegistry(address);
+  registry.names[walletId] = vaultName;
+  writeRegistry(address, registry);
+
+  if (!target.isPrimary) {
+    try {
+      await updateMetadataEntry(address, walletId, { vaultName, derivationIndex: target.derivationIndex });
+    } catch (error) {
+      console.warn('[SubVaults] ⚠️ Rename saved locally only:', error.message);
+    }
+  }
+};
+
+/**
+ * Load a vault's wallet into the engine and make it the current wallet
+ * @param {Object} params
+ * @param {string} params.address - EOA address
+ * @param {string} params.walletId - Vault wallet ID
+ * @returns {Promise<{ walletId: string, railgunAddress: string }>}
+ */
+export const openVault = async ({ address, walletId }) => {
+  const { getWalletMetadata } = await loadWalletContextApi();
+  const metadata = await getWalletMetadata(address);
+  if (!metadata?.signature) {
+    throw new Error('No vault signature is stored for this wallet');
+  }
+
+  const encryptionKey = await deriveVaultEncryptionKey(metadata.signature, address);
+  const walletInfo = await loadWallet(encryptionKey, walletId, false);
+  setCurrentWallet(walletInfo.id);
+
+  // Per-vault sync state and backup keys follow the active wallet ID
+  const { setSyncWalletId } = await import('../sync/idb-sync/index.js');
+  setSyncWalletId(walletInfo.id);
+
+  return { walletId: walletInfo.id, railgunAddress: walletInfo.railgunAddress };
+};
+
+export default {
+  PRIMARY_VAULT_NAME,
+  normalizeVaultName,
+  getSubVaultIds,
+  listVaults,
+  createSubVault,
+  renameVault,
+  openVault,
+};
@@ -11,25 +11,21 @@
 
 import { getWalletTransactionHistory } from '@railgun-community/wallet';
 import { formatUnits } from 'ethers';
-import { NetworkName, NETWORK_CONFIG } from '@railgun-community/shared-models';
+import { NETWORK_CONFIG } from '@railgun-community/shared-models';
 import { waitForRailgunReady } from './engine.js';
 import { getCurrentWalletID } from './wallet.js';
+import {
+  getRailgunNetworkName as getRegistryNetworkName,
+  getChainDisplayName,
+} from '../../config/chains.js';
+import { getCustomTokenMetadata } from '../customTokens.js';
+import { getTokenListToken } from '../tokenlists/registry.js';
 
 /**
- * Network mapping for Railgun - using proper NetworkName enum values
- */
-const RAILGUN_NETWORK_NAMES = {
-  1: NetworkName.Ethereum,
-  42161: NetworkName.Arbitrum, 
-  137: NetworkName.Polygon,
-  56: NetworkName.BNBChain,
-};
-
-/**
- * Get Railgun network name from chain ID
+ * Get Railgun network name from chain ID (via the chain registry)
  */
 const getRailgunNetworkName = (chainId) => {
-  const networkName = RAILGUN_NETWORK_NAMES[chainId];
+  const networkName = getRegistryNetworkName(chainId);
   if (!networkName) {
     throw new Error(`Unsupported chain ID: ${chainId}`);
   }
@@ -614,7 +610,12 @@ const getTokenSymbol = (tokenAddress, chainId) => {
     return chainTokens[normalizedAddress];
   }
 
-  // Try to extract symbol from contract if possible (fallback)
+  // Configured token lists, then tokens imported by address
+  const listedToken = getTokenListToken(chainId, normalizedAddress) || getCustomTokenMetadata(chainId, normalizedAddress);
+  if (listedToken) {
+    return listedToken.symbol;
+  }
+
   console.warn('[TransactionHistory] Unknown token:', { tokenAddress, chainId });
 
   return 'UNKNOWN';
@@ -670,8 +671,14 @@ const getTokenDecimals = (tokenAddress, chainId) => {
   };
   
   const chainDecimals = knownDecimals[chainId];
-  if (chainDecimals) {
-    return chainDecimals[tokenAddress.toLowerCase()] || 18;
+  if (chainDecimals?.[tokenAddress.toLowerCase()]) {
+    return chainDecimals[tokenAddress.toLowerCase()];
+  }
+
+  // Configured token lists, then tokens imported by address
+  const listedToken = getTokenListToken(chainId, tokenAddress) || getCustomTokenMetadata(chainId, tokenAddress);
+  if (listedToken) {
+    return listedToken.decimals;
   }
   
   return 18; // Default
@@ -933,13 +940,7 @@ export const createUITransactionItem = (transaction) => {
  * @returns {string} Human-readable chain name
  */
 const getChainName = (chainId) => {
-  const chainNames = {
-    1: 'Ethereum',
-    42161: 'Arbitrum',
-    137: 'Polygon',
-    56: 'BNB Chain'
-  };
-  return chainNames[chainId] || `Chain ${chainId}`;
+  return getChainDisplayName(chainId);
 };
 
 /**
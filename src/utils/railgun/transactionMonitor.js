@@ -5,6 +5,7 @@
  */
 
 import { waitForRailgunReady } from './engine.js';
+import { sendOrEnqueue } from '../sync/idb-sync/queue.js';
 
 /**
  * Auto-paginating query function (from graph-query.ts)
@@ -591,6 +592,23 @@ export const monitorTransactionInGraph = async ({
           };
         }
 
+        // Chain and token metadata so exports can price and format amounts/fees
+        if (eventData) {
+          eventData.chainId = chainId;
+          eventData.tokenAddress = transactionDetails?.tokenAddress || null;
+          eventData.decimals = transactionDetails?.decimals ?? null;
+        }
+
+        // Attach sanctions screening result (source, checkedAt, reason) when available
+        if (eventData && transactionDetails?.screening) {
+          eventData.screening = transactionDetails.screening;
+        }
+
+        // Batch transfers: per-recipient breakdown (address, net amount, memo) for history
+        if (eventData && transactionDetails?.recipients?.length > 1) {
+          eventData.recipients = transactionDetails.recipients;
+        }
+
         if (eventData) {
           const tlBody = {
             walletId: transactionDetails.walletId,
@@ -604,14 +622,16 @@ export const monitorTransactionInGraph = async ({
             status: 'confirmed'
           });
 
-          // Save through frontend proxy (adds HMAC automatically)
-          const saveResponse = await fetch('/api/wallet-metadata?action=timeline-append', {
+          // Save through frontend proxy (adds HMAC automatically); queued while offline
+          const saveResponse = await sendOrEnqueue('/api/wallet-metadata?action=timeline-append', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(tlBody)
           });
 
-          if (saveResponse.ok) {
+          if (!saveResponse) {
+            console.log('[TransactionMonitor] 📥 Offline - timeline entry queued for sync');
+          } else if (saveResponse.ok) {
             console.log('[TransactionMonitor] ✅ Successfully saved transaction immediately to Redis timeline');
           } else {
             console.warn('[TransactionMonitor] ⚠️ Failed to save transaction immediately to timeline:', {
@@ -727,6 +747,23 @@ export const monitorTransactionInGraph = async ({
               };
             }
 
+            // Chain and token metadata so exports can price and format amounts/fees
+            if (eventData) {
+              eventData.chainId = chainId;
+              eventData.tokenAddress = transactionDetails?.tokenAddress || null;
+              eventData.decimals = transactionDetails?.decimals ?? null;
+            }
+
+            // Attach sanctions screening result (source, checkedAt, reason) when available
+            if (eventData && transactionDetails?.screening) {
+              eventData.screening = transactionDetails.screening;
+            }
+
+            // Batch transfers: per-recipient breakdown (address, net amount, memo) for history
+            if (eventData && transactionDetails?.recipients?.length > 1) {
+              eventData.recipients = transactionDetails.recipients;
+            }
+
             if (eventData) {
               const tlBody = {
                 walletId: transactionDetails.walletId,
@@ -840,6 +877,23 @@ export const monitorTransactionInGraph = async ({
               };
             }
 
+            // Chain and token metadata so exports can price and format amounts/fees
+            if (eventData) {
+              eventData.chainId = chainId;
+              eventData.tokenAddress = transactionDetails?.tokenAddress || null;
+              eventData.decimals = transactionDetails?.decimals ?? null;
+            }
+
+            // Attach sanctions screening result (source, checkedAt, reason) when available
+            if (eventData && transactionDetails?.screening) {
+              eventData.screening = transactionDetails.screening;
+            }
+
+            // Batch transfers: per-recipient breakdown (address, net amount, memo) for history
+            if (eventData && transactionDetails?.recipients?.length > 1) {
+              eventData.recipients = transactionDetails.recipients;
+            }
+
             if (eventData) {
               const tlBody = {
                 walletId: transactionDetails.walletId,
@@ -1991,15 +2045,10 @@ const getRpcUrl = async (chainId) => {
   try {
     // Import the existing RPC configuration that actually works
     const { RPC_URLS } = await import('../../config/environment.js');
+    const { getChain } = await import('../../config/chains.js');
 
-    const chainMapping = {
-      1: RPC_URLS.ethereum,
-      42161: RPC_URLS.arbitrum,
-      137: RPC_URLS.polygon,
-      56: RPC_URLS.bsc,
-    };
-
-    const rpcUrl = chainMapping[chainId];
+    const chain = getChain(chainId);
+    const rpcUrl = chain ? RPC_URLS[chain.key] : null;
     if (!rpcUrl) {
       throw new Error(`No RPC URL configured for chain ${chainId}`);
     }
@@ -2103,12 +2152,96 @@ export const monitorTransferTransaction = async (txHash, chainId, railgunWalletI
   });
 };
 
+/**
+ * Record a shield paid into someone else's vault (PaymentPage) on the recipient's timeline,
+ * tagged with the payment request's invoice ID so the recipient can reconcile it.
+ * The payer writes this record, so it is stored as 'claimed': the recipient only counts it once
+ * their own SDK has decrypted the matching note (see payment-reconciliation.js)
+ * @param {Object} params
+ * @param {string} params.txHash - Shield transaction hash
+ * @param {number} params.chainId - Chain ID
+ * @param {number|null} params.blockNumber - Block of the confirmed receipt
+ * @param {string} params.recipientAddress - Recipient 0zk address
+ * @param {string} params.senderAddress - Payer EOA
+ * @param {string} params.tokenSymbol - Token symbol
+ * @param {string|null} params.tokenAddress - Token address (null for the native token)
+ * @param {number} params.decimals - Token decimals
+ * @param {string} params.amount - Amount paid, in token units
+ * @param {string|null} params.invoiceId - Invoice reference from the payment link
+ * @param {string|null} params.memo - Memo from the payment link
+ * @returns {Promise<boolean>} Whether the event was saved (or queued while offline)
+ */
+export const recordIncomingShield = async ({
+  txHash,
+  chainId,
+  blockNumber = null,
+  recipientAddress,
+  senderAddress,
+  tokenSymbol,
+  tokenAddress = null,
+  decimals,
+  amount,
+  invoiceId = null,
+  memo = null,
+}) => {
+  try {
+    const resolveResponse = await fetch('/api/wallet-metadata?action=resolve-wallet-id&type=by-railgun&identifier=' + encodeURIComponent(recipientAddress));
+    const resolveData = resolveResponse.ok ? await resolveResponse.json() : null;
+    if (!resolveData?.success || !resolveData.walletId) {
+      console.log('[TransactionMonitor] ℹ️ Recipient wallet ID not found, skipping incoming shield record');
+      return false;
+    }
+
+    const eventData = {
+      traceId: txHash,
+      type: 'shield',
+      txHash,
+      status: 'claimed',
+      token: tokenSymbol || 'UNKNOWN',
+      amount: amount?.toString() || '0',
+      zkAddr: recipientAddress,
+      nullifiers: [],
+      // The invoice also leads the memo so it survives if the backend drops unknown fields
+      memo: invoiceId ? [invoiceId, memo].filter(Boolean).join(' · ') : (memo || null),
+      invoiceId,
+      timestamp: Math.floor(Date.now() / 1000),
+      blockNumber,
+      recipientAddress,
+      senderAddress: senderAddress || null,
+      chainId,
+      tokenAddress,
+      decimals: decimals ?? null,
+    };
+
+    const saveResponse = await sendOrEnqueue('/api/wallet-metadata?action=timeline-append', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ walletId: resolveData.walletId, event: eventData })
+    });
+
+    if (saveResponse && !saveResponse.ok) {
+      console.warn('[TransactionMonitor] ⚠️ Failed to save incoming shield to recipient timeline:', saveResponse.status);
+      return false;
+    }
+    console.log('[TransactionMonitor] ✅ Incoming shield recorded on recipient timeline', {
+      txHash: txHash.slice(0, 10) + '...',
+      invoiceId,
+      queued: !saveResponse
+    });
+    return true;
+  } catch (error) {
+    console.warn('[TransactionMonitor] ⚠️ Error recording incoming shield (non-critical):', error?.message);
+    return false;
+  }
+};
+
 // Export for use in other modules
 export default {
   monitorTransactionInGraph,
   monitorShieldTransaction,
   monitorUnshieldTransaction,
   monitorTransferTransaction,
+  recordIncomingShield,
   convertTokenAmountToUSD,
 }; 
 
@@ -14,6 +14,7 @@ import {
 } from '@railgun-community/shared-models';
 import { createGasDetails, validateGasDetails, calculateTransactionCost } from './tx-gas-details.js';
 import { shouldSetOverallBatchMinGasPriceForNetwork } from './gasUtils.js';
+import { BROADCASTER_CONFIG } from '../../config/environment.js';
 
 /**
  * Maximum iterations for gas estimation convergence
@@ -289,41 +290,66 @@ export const estimateBroadcasterFeeERC20Amounts = (networkName, erc20AmountRecip
 
 /**
  * Validate broadcaster selection and fee structure
+ * Fee caps only apply when the fee is known: feeAmount against amount (maxFeeBps),
+ * and against the Lexie relayer quote for the same transaction (maxPremiumBps).
  * @param {SelectedBroadcaster} selectedBroadcaster - Selected broadcaster
  * @param {NetworkName} networkName - Network name
+ * @param {Object} [feeCaps] - { feeAmount, amount, referenceFeeAmount, maxFeeBps, maxPremiumBps }
  * @returns {boolean} Whether broadcaster is valid
  */
-export const validateBroadcasterSelection = (selectedBroadcaster, networkName) => {
+export const validateBroadcasterSelection = (selectedBroadcaster, networkName, feeCaps = {}) => {
   try {
     if (!selectedBroadcaster) {
       return false;
     }
 
     // Validate broadcaster has required fields
-    if (!isDefined(selectedBroadcaster.railgunAddress)) {
+    if (!isDefined(selectedBroadcaster.railgunAddress) || !selectedBroadcaster.railgunAddress.startsWith('0zk')) {
       throw new Error('Broadcaster must have a railgun address');
     }
 
-    if (!isDefined(selectedBroadcaster.tokenFee)) {
+    const { tokenFee } = selectedBroadcaster;
+    if (!isDefined(tokenFee) || !tokenFee.feesID) {
       throw new Error('Broadcaster must specify token fee structure');
     }
+    if (tokenFee.expiration && tokenFee.expiration <= Date.now()) {
+      throw new Error('Broadcaster fee quote has expired');
+    }
+    if (isDefined(tokenFee.availableWallets) && tokenFee.availableWallets < 1) {
+      throw new Error('Broadcaster has no available wallets');
+    }
+    if (BigInt(tokenFee.feePerUnitGas) <= 0n) {
+      throw new Error('Broadcaster fee per unit gas must be positive');
+    }
 
-    // Validate fee structure is reasonable
-    const maxReasonableFee = 1000; // 10% max
-    if (selectedBroadcaster.feePerUnitGas && selectedBroadcaster.feePerUnitGas > maxReasonableFee) {
-      throw new Error('Broadcaster fee appears unreasonably high');
+    const {
+      feeAmount,
+      amount,
+      referenceFeeAmount,
+      maxFeeBps = BROADCASTER_CONFIG.maxFeeBps,
+      maxPremiumBps = BROADCASTER_CONFIG.maxPremiumBps,
+    } = feeCaps;
+
+    if (isDefined(feeAmount) && isDefined(amount)
+      && BigInt(feeAmount) * 10000n > BigInt(amount) * BigInt(maxFeeBps)) {
+      throw new Error(`Broadcaster fee exceeds ${maxFeeBps / 100}% of the amount`);
+    }
+    if (isDefined(feeAmount) && referenceFeeAmount
+      && BigInt(feeAmount) * 10000n > BigInt(referenceFeeAmount) * (10000n + BigInt(maxPremiumBps))) {
+      throw new Error(`Broadcaster fee is more than ${maxPremiumBps / 100}% above the Lexie relayer quote`);
     }
 
     console.log(`[BroadcasterFeeEstimator] Validated broadcaster for ${networkName}:`, {
       railgunAddress: selectedBroadcaster.railgunAddress.slice(0, 10) + '...',
-      hasTokenFee: !!selectedBroadcaster.tokenFee,
-      feePerUnitGas: selectedBroadcaster.feePerUnitGas,
+      feePerUnitGas: tokenFee.feePerUnitGas,
+      feeAmount: feeAmount?.toString(),
+      referenceFeeAmount: referenceFeeAmount?.toString(),
     });
 
     return true;
 
   } catch (error) {
-    console.error('[BroadcasterFeeEstimator] Broadcaster validation failed:', error);
+    console.warn('[BroadcasterFeeEstimator] Broadcaster rejected:', error.message);
     return false;
   }
 };
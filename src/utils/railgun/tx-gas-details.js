@@ -360,6 +360,7 @@ export const buildGasAndEstimate = async ({
   railgunWalletID,
   encryptionKey,
   relayAdaptUnshieldERC20Amounts,
+  relayAdaptShieldERC20Recipients = [], // tokens reshielded from Relay Adapt (swaps)
   crossContractCalls,
   erc20AmountRecipients,
   feeTokenDetails,
@@ -397,7 +398,9 @@ export const buildGasAndEstimate = async ({
         railgunWalletID,
         encryptionKey,
         relayAdaptUnshieldERC20Amounts,
-        [], [], [], // empty arrays for nftAmounts, shieldERC20Recipients, shieldNFTRecipients
+        [], // relayAdaptUnshieldNFTAmounts
+        relayAdaptShieldERC20Recipients,
+        [], // relayAdaptShieldNFTRecipients
         crossContractCalls,
         originalGasDetails,
         feeTokenDetails,
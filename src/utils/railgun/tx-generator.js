@@ -20,11 +20,12 @@ import {
   gasEstimateForUnprovenTransfer,
   generateCrossContractCallsProof,
   populateProvedCrossContractCalls,
-  gasEstimateForUnprovenCrossContractCalls,
 } from '@railgun-community/wallet';
 import { waitForRailgunReady } from './engine.js';
-import { createGasDetails, validateGasDetails } from './tx-gas-details.js';
+import { createGasDetails, validateGasDetails, buildGasAndEstimate } from './tx-gas-details.js';
 import { estimateGasWithBroadcasterFee } from './tx-gas-broadcaster-fee-estimator.js';
+import { validateBatchTransferRecipients } from './validation-service.js';
+import { getChainIdForRailgunNetwork } from '../../config/chains.js';
 
 /**
  * Transaction types for different operations
@@ -46,6 +47,9 @@ const DEFAULT_TX_CONFIG = {
   useAdvancedGasEstimation: true,
 };
 
+// Gas floor for Relay Adapt proofs (matches the buildGasAndEstimate dry run)
+export const RELAY_ADAPT_MIN_GAS_LIMIT = 1600000n;
+
 /**
  * Base transaction result interface
  */
@@ -166,6 +170,7 @@ const generateTransactionProof = async (
 
 /**
  * Private-to-private transfer transaction
+ * Accepts one or more ERC20 recipients; a batch is proved and populated as a single transaction.
  */
 export const generateTransferTransaction = async ({
   networkName,
@@ -193,6 +198,14 @@ export const generateTransferTransaction = async ({
       if (!encryptionKey || typeof encryptionKey !== 'string') {
         throw new Error('Encryption key must be a non-empty string');
       }
+
+      // Batch transfers: all recipients share one proof, so they must share one token
+      if (erc20AmountRecipients.length > 1) {
+        const batchValidation = validateBatchTransferRecipients(erc20AmountRecipients);
+        if (!batchValidation.isValid) {
+          throw new Error(batchValidation.error);
+        }
+      }
     }
 
     // Gas estimation if not provided
@@ -300,16 +313,25 @@ export const generateTransferTransaction = async ({
 
 /**
  * Cross-contract call transaction (DeFi integration)
+ * Unshields into Relay Adapt, runs `crossContractCalls` from it, then shields the listed
+ * tokens back (each recipient without an amount takes Relay Adapt's whole balance).
+ * Gas is estimated once and reused for proof + populate: pass the gasDetails /
+ * overallBatchMinGasPrice from buildGasAndEstimate, or a walletProvider to estimate here.
  */
 export const generateCrossContractTransaction = async ({
   networkName,
   railgunWalletID,
   encryptionKey,
   crossContractCalls,
-  erc20AmountRecipients = [],
-  nftAmountRecipients = [],
-  selectedBroadcaster = null,
+  relayAdaptUnshieldERC20Amounts = [],
+  relayAdaptShieldERC20Recipients = [],
+  broadcasterFeeERC20AmountRecipient = undefined,
+  sendWithPublicWallet = true,
   gasDetails = null,
+  overallBatchMinGasPrice = undefined,
+  minGasLimit = RELAY_ADAPT_MIN_GAS_LIMIT,
+  walletProvider = null,
+  onProgress,
   txConfig = DEFAULT_TX_CONFIG,
 }) => {
   try {
@@ -320,8 +342,9 @@ export const generateCrossContractTransaction = async ({
 
     // Validate inputs
     if (txConfig.validateInputs) {
-      validateCommonTransactionInputs(networkName, erc20AmountRecipients, nftAmountRecipients);
-      
+      if (!Object.values(NetworkName).includes(networkName)) {
+        throw new Error(`Invalid network name: ${networkName}`);
+      }
       if (!railgunWalletID || typeof railgunWalletID !== 'string') {
         throw new Error('Railgun wallet ID must be a non-empty string');
       }
@@ -331,76 +354,69 @@ export const generateCrossContractTransaction = async ({
       if (!Array.isArray(crossContractCalls) || crossContractCalls.length === 0) {
         throw new Error('Cross-contract calls must be a non-empty array');
       }
+      if (!Array.isArray(relayAdaptUnshieldERC20Amounts) || relayAdaptUnshieldERC20Amounts.length === 0) {
+        throw new Error('At least one token must be unshielded into Relay Adapt');
+      }
+      relayAdaptUnshieldERC20Amounts.forEach((unshield, index) => {
+        if (!isDefined(unshield.amount) || unshield.amount <= 0n) {
+          throw new Error(`Unshield ${index}: amount must be a positive BigInt`);
+        }
+      });
+      relayAdaptShieldERC20Recipients.forEach((recipient, index) => {
+        if (!recipient.tokenAddress || !recipient.recipientAddress) {
+          throw new Error(`Shield recipient ${index}: token and recipient address are required`);
+        }
+      });
     }
 
     // Gas estimation if not provided
     let finalGasDetails = gasDetails;
-    let gasEstimationResult = null;
-
-    if (!finalGasDetails && txConfig.useAdvancedGasEstimation) {
-      const gasEstimateFunction = async (...params) => {
-        return await gasEstimateForUnprovenCrossContractCalls(...params);
-      };
+    let finalMinGasPrice = overallBatchMinGasPrice;
 
-      const gasEstimateParams = [
-        txConfig.txidVersion,
+    if (!finalGasDetails) {
+      if (!walletProvider) {
+        throw new Error('Gas details or a wallet provider are required');
+      }
+      const estimate = await buildGasAndEstimate({
+        mode: 'relayadapt',
+        chainId: getChainIdForRailgunNetwork(networkName),
         networkName,
         railgunWalletID,
         encryptionKey,
-        erc20AmountRecipients,
-        nftAmountRecipients,
+        relayAdaptUnshieldERC20Amounts,
+        relayAdaptShieldERC20Recipients,
         crossContractCalls,
-      ];
-
-      gasEstimationResult = await estimateTransactionGas(
-        TransactionType.CROSS_CONTRACT,
-        gasEstimateFunction,
-        gasEstimateParams,
-        networkName,
-        selectedBroadcaster
-      );
-
-      finalGasDetails = gasEstimationResult.gasDetails;
-    } else if (!finalGasDetails) {
-      // Fallback gas estimation
-      const gasEstimate = await gasEstimateForUnprovenCrossContractCalls(
-        txConfig.txidVersion,
-        networkName,
-        railgunWalletID,
-        encryptionKey,
-        erc20AmountRecipients,
-        nftAmountRecipients,
-        crossContractCalls
-      );
-      
-      finalGasDetails = createGasDetails(
-        networkName,
-        !selectedBroadcaster,
-        BigInt(gasEstimate.gasEstimate || gasEstimate),
-        TransactionType.CROSS_CONTRACT
-      );
+        feeTokenDetails: undefined,
+        sendWithPublicWallet,
+        walletProvider,
+      });
+      finalGasDetails = estimate.gasDetails;
+      finalMinGasPrice = estimate.overallBatchMinGasPrice;
     }
 
     // Generate proof
     let proofResult = null;
     if (txConfig.generateProof) {
-      const proofFunction = async (...params) => {
-        return await generateCrossContractCallsProof(...params);
-      };
-
       const proofParams = [
         txConfig.txidVersion,
         networkName,
         railgunWalletID,
         encryptionKey,
-        erc20AmountRecipients,
-        nftAmountRecipients,
+        relayAdaptUnshieldERC20Amounts,
+        [], // relayAdaptUnshieldNFTAmounts
+        relayAdaptShieldERC20Recipients,
+        [], // relayAdaptShieldNFTRecipients
         crossContractCalls,
+        broadcasterFeeERC20AmountRecipient,
+        sendWithPublicWallet,
+        finalMinGasPrice,
+        minGasLimit,
+        (progress) => onProgress?.(progress),
       ];
 
       proofResult = await generateTransactionProof(
         TransactionType.CROSS_CONTRACT,
-        proofFunction,
+        generateCrossContractCallsProof,
         proofParams
       );
     }
@@ -411,9 +427,15 @@ export const generateCrossContractTransaction = async ({
       txConfig.txidVersion,
       networkName,
       railgunWalletID,
-      erc20AmountRecipients,
-      nftAmountRecipients,
-      crossContractCalls
+      relayAdaptUnshieldERC20Amounts,
+      [],
+      relayAdaptShieldERC20Recipients,
+      [],
+      crossContractCalls,
+      broadcasterFeeERC20AmountRecipient,
+      sendWithPublicWallet,
+      finalMinGasPrice,
+      finalGasDetails
     );
 
     const result = createTransactionResult(
@@ -424,11 +446,10 @@ export const generateCrossContractTransaction = async ({
         transactionType: TransactionType.CROSS_CONTRACT,
         txidVersion: txConfig.txidVersion,
         railgunWalletID,
-        erc20Recipients: erc20AmountRecipients.length,
-        nftRecipients: nftAmountRecipients.length,
+        unshieldTokens: relayAdaptUnshieldERC20Amounts.length,
+        shieldTokens: relayAdaptShieldERC20Recipients.length,
         crossContractCalls: crossContractCalls.length,
-        broadcasterFeeInfo: gasEstimationResult?.broadcasterFeeInfo,
-        gasEstimationIterations: gasEstimationResult?.iterations,
+        overallBatchMinGasPrice: finalMinGasPrice,
       }
     );
 
@@ -0,0 +1,305 @@
+/**
+ * RAILGUN NFT Transactions
+ * Private NFT balances, unshield and private transfer for ERC721 / ERC1155.
+ *
+ * - NFT spends are self-signed (sendWithPublicWallet): the gas relayer only prices ERC20
+ *   fees, so the connected wallet pays gas and is visible as the transaction sender
+ * - Recipients go through validateNFTAmountRecipients, which normalizes token sub-IDs to
+ *   the 0x-hex form the engine expects
+ * - Proved transactions are persisted until sent, so a reload can resume them (pending-proofs.js)
+ */
+
+import {
+  walletForID,
+  refreshBalances,
+  gasEstimateForUnprovenUnshield,
+  generateUnshieldProof,
+  populateProvedUnshield,
+  gasEstimateForUnprovenTransfer,
+  generateTransferProof,
+  populateProvedTransfer,
+} from '@railgun-community/wallet';
+import {
+  TXIDVersion,
+  EVMGasType,
+  NETWORK_CONFIG,
+  ProofType,
+  getEVMGasTypeForTransaction,
+} from '@railgun-community/shared-models';
+import { waitForRailgunReady } from './engine.js';
+import { getSerializedNFTBalances } from './balance-update.js';
+import { getTxFeeParams } from './tx-gas-details.js';
+import { validateNFTAmountRecipients } from './validation-service.js';
+import { assertSpendableWallet } from './view-only.js';
+import { sendProvedTransactionSelfSigned } from './pending-proofs.js';
+import { assertScreeningPassed, summarizeScreening } from '../sanctions/screening-service.js';
+import { getRailgunNetworkName as getRegistryNetworkName } from '../../config/chains.js';
+
+const TXID_VERSION = TXIDVersion.V2_PoseidonMerkle;
+
+/**
+ * Get Railgun network name for a chain ID (via the chain registry)
+ */
+const getRailgunNetworkName = (chainId) => {
+  const networkName = getRegistryNetworkName(chainId);
+  if (!networkName) {
+    throw new Error(`Unsupported chain ID: ${chainId}`);
+  }
+  return networkName;
+};
+
+/**
+ * Private NFT holdings of a loaded wallet
+ * @param {string} railgunWalletID - Railgun wallet ID
+ * @param {number} chainId - Chain ID
+ * @param {boolean} onlySpendable - Exclude notes still pending POI
+ * @returns {Promise<Array<{ nftAddress: string, nftTokenType: number, tokenSubID: string, amount: BigInt }>>}
+ */
+export const getPrivateNFTBalances = async (railgunWalletID, chainId, onlySpendable = true) => {
+  await waitForRailgunReady();
+  const { chain } = NETWORK_CONFIG[getRailgunNetworkName(chainId)];
+  const balances = await walletForID(railgunWalletID).getTokenBalances(TXID_VERSION, chain, onlySpendable);
+  return getSerializedNFTBalances(balances).filter(nft => BigInt(nft.amount) > 0n);
+};
+
+// Live fee data → SDK estimate → padded gas details, mirroring buildGasAndEstimate's self-sign path
+const buildSelfSignedGasDetails = async (networkName, chainId, signer, estimate) => {
+  const evmGasType = getEVMGasTypeForTransaction(networkName, true);
+  const feeParams = await getTxFeeParams(signer.provider, evmGasType, chainId);
+  const priceFields = evmGasType === EVMGasType.Type2
+    ? { maxFeePerGas: feeParams.maxFeePerGas, maxPriorityFeePerGas: feeParams.maxPriorityFeePerGas }
+    : { gasPrice: feeParams.gasPrice };
+
+  const { gasEstimate } = await estimate({ evmGasType, originalGasEstimate: 0n, ...priceFields });
+  const paddedGasEstimate = (gasEstimate * 120n) / 100n;
+
+  console.log('[NFTTransactions] Gas estimated:', {
+    networkName,
+    evmGasType,
+    gasEstimate: gasEstimate.toString(),
+    paddedGasEstimate: paddedGasEstimate.toString(),
+  });
+  return { evmGasType, gasEstimate: paddedGasEstimate, ...priceFields };
+};
+
+// Shared preamble: spendable wallet, engine ready, fresh notes for the chain
+const prepareSpend = async (railgunWalletID, chainId) => {
+  assertSpendableWallet(railgunWalletID);
+  await waitForRailgunReady();
+  const networkName = getRailgunNetworkName(chainId);
+  try {
+    await refreshBalances(NETWORK_CONFIG[networkName].chain, [railgunWalletID]);
+  } catch (refreshError) {
+    console.warn('[NFTTransactions] Balance refresh failed:', refreshError.message);
+  }
+  return networkName;
+};
+
+/**
+ * Unshield NFTs from the vault to a public 0x address
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {string} params.encryptionKey - Wallet encryption key
+ * @param {Array} params.nfts - [{ nftAddress, nftTokenType, tokenSubID, amount? }]
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.recipientAddress - 0x recipient
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer (pays gas)
+ * @param {Function} [params.onProgress] - Proof progress callback (0-100)
+ * @returns {Promise<{ transactionHash: string, nftAmountRecipients: Array, screening: Object }>}
+ */
+export const unshieldNFTs = async ({
+  railgunWalletID,
+  encryptionKey,
+  nfts,
+  chainId,
+  recipientAddress,
+  walletProvider,
+  onProgress,
+}) => {
+  if (!encryptionKey || !railgunWalletID || !walletProvider) {
+    throw new Error('Missing required parameters');
+  }
+
+  const validation = validateNFTAmountRecipients(
+    (nfts || []).map(nft => ({ ...nft, amount: nft.amount ?? 1n, recipientAddress })),
+    { recipientType: 'ethereum' },
+  );
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+  const nftAmountRecipients = validation.details.recipients;
+
+  const screening = summarizeScreening(await assertScreeningPassed(chainId, nftAmountRecipients[0].recipientAddress, {
+    walletId: railgunWalletID,
+    context: 'unshield-recipient',
+  }));
+
+  const networkName = await prepareSpend(railgunWalletID, chainId);
+  const signer = await walletProvider();
+
+  console.log('[NFTTransactions] Unshielding NFTs:', { networkName, count: nftAmountRecipients.length });
+
+  const gasDetails = await buildSelfSignedGasDetails(networkName, chainId, signer, (originalGasDetails) =>
+    gasEstimateForUnprovenUnshield(
+      TXID_VERSION,
+      networkName,
+      railgunWalletID,
+      encryptionKey,
+      [],
+      nftAmountRecipients,
+      originalGasDetails,
+      undefined, // feeTokenDetails - no broadcaster
+      true, // sendWithPublicWallet
+    ),
+  );
+
+  await generateUnshieldProof(
+    TXID_VERSION,
+    networkName,
+    railgunWalletID,
+    encryptionKey,
+    [],
+    nftAmountRecipients,
+    undefined, // broadcasterFeeERC20AmountRecipient
+    true,
+    undefined, // overallBatchMinGasPrice
+    (progress) => onProgress?.(progress),
+  );
+
+  const populatedTransaction = await populateProvedUnshield(
+    TXID_VERSION,
+    networkName,
+    railgunWalletID,
+    [],
+    nftAmountRecipients,
+    undefined,
+    true,
+    undefined,
+    gasDetails,
+  );
+
+  const transactionHash = await sendProvedTransactionSelfSigned({
+    railgunWalletID,
+    chainId,
+    encryptionKey,
+    proofType: ProofType.Unshield,
+    networkName,
+    populatedTransaction,
+    proofParams: { nftAmountRecipients, sendWithPublicWallet: true },
+    label: `Unshield ${nftAmountRecipients.length} NFT${nftAmountRecipients.length !== 1 ? 's' : ''} to ${recipientAddress.slice(0, 10)}...`,
+    signer,
+  });
+  console.log('[NFTTransactions] ✅ NFT unshield sent:', transactionHash);
+  return { transactionHash, nftAmountRecipients, screening };
+};
+
+/**
+ * Transfer NFTs privately to another Railgun address
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {string} params.encryptionKey - Wallet encryption key
+ * @param {Array} params.nfts - [{ nftAddress, nftTokenType, tokenSubID, amount? }]
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.recipientAddress - 0zk recipient (already resolved)
+ * @param {string} [params.memoText] - Encrypted memo
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer (pays gas)
+ * @param {Function} [params.onProgress] - Proof progress callback (0-100)
+ * @returns {Promise<{ transactionHash: string, nftAmountRecipients: Array, screening: Object }>}
+ */
+export const privateTransferNFTs = async ({
+  railgunWalletID,
+  encryptionKey,
+  nfts,
+  chainId,
+  recipientAddress,
+  memoText = undefined,
+  walletProvider,
+  onProgress,
+}) => {
+  if (!encryptionKey || !railgunWalletID || !walletProvider) {
+    throw new Error('Missing required parameters');
+  }
+
+  const validation = validateNFTAmountRecipients(
+    (nfts || []).map(nft => ({ ...nft, amount: nft.amount ?? 1n, recipientAddress })),
+  );
+  if (!validation.isValid) {
+    throw new Error(validation.error);
+  }
+  const nftAmountRecipients = validation.details.recipients;
+
+  const screening = summarizeScreening(await assertScreeningPassed(chainId, recipientAddress, {
+    walletId: railgunWalletID,
+    context: 'transfer-recipient',
+  }));
+
+  const networkName = await prepareSpend(railgunWalletID, chainId);
+  const signer = await walletProvider();
+  const showSenderAddressToRecipient = true;
+
+  console.log('[NFTTransactions] Transferring NFTs privately:', { networkName, count: nftAmountRecipients.length });
+
+  const gasDetails = await buildSelfSignedGasDetails(networkName, chainId, signer, (originalGasDetails) =>
+    gasEstimateForUnprovenTransfer(
+      TXID_VERSION,
+      networkName,
+      railgunWalletID,
+      encryptionKey,
+      memoText,
+      [],
+      nftAmountRecipients,
+      originalGasDetails,
+      undefined,
+      true,
+    ),
+  );
+
+  await generateTransferProof(
+    TXID_VERSION,
+    networkName,
+    railgunWalletID,
+    encryptionKey,
+    showSenderAddressToRecipient,
+    memoText,
+    [],
+    nftAmountRecipients,
+    undefined,
+    true,
+    undefined,
+    (progress) => onProgress?.(progress),
+  );
+
+  const populatedTransaction = await populateProvedTransfer(
+    TXID_VERSION,
+    networkName,
+    railgunWalletID,
+    showSenderAddressToRecipient,
+    memoText,
+    [],
+    nftAmountRecipients,
+    undefined,
+    true,
+    undefined,
+    gasDetails,
+  );
+
+  const transactionHash = await sendProvedTransactionSelfSigned({
+    railgunWalletID,
+    chainId,
+    encryptionKey,
+    proofType: ProofType.Transfer,
+    networkName,
+    populatedTransaction,
+    proofParams: { nftAmountRecipients, sendWithPublicWallet: true },
+    label: `Send ${nftAmountRecipients.length} NFT${nftAmountRecipients.length !== 1 ? 's' : ''} to ${recipientAddress.slice(0, 10)}...`,
+    signer,
+  });
+  console.log('[NFTTransactions] ✅ NFT private transfer sent:', transactionHash);
+  return { transactionHash, nftAmountRecipients, screening };
+};
+
+export default {
+  getPrivateNFTBalances,
+  unshieldNFTs,
+  privateTransferNFTs,
+};
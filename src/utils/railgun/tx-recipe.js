@@ -0,0 +1,280 @@
+/**
+ * RAILGUN Recipe Runner
+ * Plans, proves and verifies private DeFi recipes (utils/recipes) on top of
+ * generateCrossContractTransaction: unshield the input into Relay Adapt, run the
+ * recipe's calls, shield Relay Adapt's output balance back to the vault.
+ *
+ * plan (quote + fees) → prepare (calls + gas dry run) → execute (proof + send) → verify (receipt)
+ * Like swaps, recipes are self-signed: the connected wallet pays gas, and the proved
+ * transaction is persisted until sent so a reload can resume it (pending-proofs.js).
+ */
+
+import { Interface, zeroPadValue } from 'ethers';
+import { refreshBalances } from '@railgun-community/wallet';
+import { EVMGasType, NETWORK_CONFIG, ProofType } from '@railgun-community/shared-models';
+import { waitForRailgunReady } from './engine.js';
+import { buildGasAndEstimate } from './tx-gas-details.js';
+import { generateCrossContractTransaction } from './tx-generator.js';
+import { assertSpendableWallet } from './view-only.js';
+import { sendProvedTransactionSelfSigned } from './pending-proofs.js';
+import { getRecipe } from '../recipes/recipe-registry.js';
+import { getRailgunNetworkName as getRegistryNetworkName } from '../../config/chains.js';
+
+// Railgun protocol fee, charged on the unshield into Relay Adapt and again on reshield
+const RAILGUN_FEE_BPS = 25n;
+const RECEIPT_TIMEOUT_MS = 180000;
+
+const transferTopic = new Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+]).getEvent('Transfer').topicHash;
+
+const getRailgunNetworkName = (chainId) => {
+  const networkName = getRegistryNetworkName(chainId);
+  if (!networkName) {
+    throw new Error(`Unsupported chain ID: ${chainId}`);
+  }
+  return networkName;
+};
+
+const requireRecipe = (recipeId, chainId) => {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) {
+    throw new Error(`Unknown recipe: ${recipeId}`);
+  }
+  if (!recipe.supportsChain(chainId)) {
+    throw new Error(`${recipe.name} is not available on this network`);
+  }
+  return recipe;
+};
+
+/**
+ * Quote a recipe run and break down the Railgun fees
+ * @param {Object} params
+ * @param {string} params.recipeId - Registered recipe ID
+ * @param {number} params.chainId - Chain ID
+ * @param {BigInt} params.amount - Input amount unshielded from the vault (base units)
+ * @returns {Promise<Object>} Plan for prepareRecipe
+ */
+export const planRecipe = async ({ recipeId, chainId, amount }) => {
+  const recipe = requireRecipe(recipeId, chainId);
+  if (typeof amount !== 'bigint' || amount <= 0n) {
+    throw new Error('Amount must be greater than zero');
+  }
+
+  const { input, output } = recipe.getTokens(chainId);
+  const unshieldFee = (amount * RAILGUN_FEE_BPS) / 10000n;
+  const netAmount = amount - unshieldFee;
+
+  const validationError = await recipe.validate?.({ chainId, amount: netAmount });
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  const quote = await recipe.quote({ chainId, amount: netAmount });
+  if (!quote || quote.expectedOutput <= 0n) {
+    throw new Error(`${recipe.name} returned no output for this amount`);
+  }
+  const minOutput = quote.minOutput ?? quote.expectedOutput;
+  const shieldFee = (quote.expectedOutput * RAILGUN_FEE_BPS) / 10000n;
+
+  return {
+    recipeId,
+    recipeName: recipe.name,
+    chainId,
+    inputToken: input,
+    outputToken: output,
+    amount,
+    unshieldFee,
+    netAmount,
+    expectedOutput: quote.expectedOutput,
+    minOutput,
+    shieldFee,
+    expectedReceived: quote.expectedOutput - shieldFee,
+    railgunFeeBps: Number(RAILGUN_FEE_BPS),
+    notes: quote.notes || [],
+    quote,
+    plannedAt: Date.now(),
+  };
+};
+
+/**
+ * Build the recipe's Relay Adapt calls and estimate gas (no proof yet)
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {string} params.encryptionKey - Wallet encryption key
+ * @param {string} params.railgunAddress - 0zk address the output is shielded to
+ * @param {Object} params.plan - Result of planRecipe
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer (pays gas)
+ * @returns {Promise<Object>} Prepared run (pass to executeRecipe) with gasCostWei for the preview
+ */
+export const prepareRecipe = async ({
+  railgunWalletID,
+  encryptionKey,
+  railgunAddress,
+  plan,
+  walletProvider,
+}) => {
+  if (!encryptionKey || !railgunWalletID || !railgunAddress || !plan || !walletProvider) {
+    throw new Error('Missing required parameters');
+  }
+  const recipe = requireRecipe(plan.recipeId, plan.chainId);
+  assertSpendableWallet(railgunWalletID);
+  await waitForRailgunReady();
+
+  const networkName = getRailgunNetworkName(plan.chainId);
+  const { chain, relayAdaptContract } = NETWORK_CONFIG[networkName];
+  try {
+    await refreshBalances(chain, [railgunWalletID]);
+  } catch (refreshError) {
+    console.warn('[RecipeRunner] Balance refresh failed:', refreshError.message);
+  }
+
+  const crossContractCalls = await recipe.buildCalls({
+    chainId: plan.chainId,
+    amount: plan.netAmount,
+    quote: plan.quote,
+    relayAdaptAddress: relayAdaptContract,
+  });
+  if (!Array.isArray(crossContractCalls) || crossContractCalls.length === 0) {
+    throw new Error(`${recipe.name} produced no calls`);
+  }
+
+  const relayAdaptUnshieldERC20Amounts = [{ tokenAddress: plan.inputToken.address, amount: plan.amount }];
+  const relayAdaptShieldERC20Recipients = [{ tokenAddress: plan.outputToken.address, recipientAddress: railgunAddress }];
+
+  console.log('[RecipeRunner] Estimating recipe:', {
+    networkName,
+    recipe: plan.recipeId,
+    calls: crossContractCalls.length,
+  });
+
+  const { gasDetails, overallBatchMinGasPrice } = await buildGasAndEstimate({
+    mode: 'relayadapt',
+    chainId: plan.chainId,
+    networkName,
+    railgunWalletID,
+    encryptionKey,
+    relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients,
+    crossContractCalls,
+    feeTokenDetails: undefined, // no broadcaster
+    sendWithPublicWallet: true,
+    walletProvider,
+  });
+
+  const gasPrice = gasDetails.evmGasType === EVMGasType.Type2 ? gasDetails.maxFeePerGas : gasDetails.gasPrice;
+
+  return {
+    plan,
+    networkName,
+    relayAdaptContract,
+    crossContractCalls,
+    relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients,
+    gasDetails,
+    overallBatchMinGasPrice,
+    gasCostWei: gasDetails.gasEstimate * gasPrice,
+  };
+};
+
+/**
+ * Prove, populate and send a prepared recipe
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {string} params.encryptionKey - Wallet encryption key
+ * @param {Object} params.prepared - Result of prepareRecipe
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer (pays gas)
+ * @param {Function} [params.onProgress] - Proof progress callback (0-100)
+ * @returns {Promise<{ transactionHash: string }>}
+ */
+export const executeRecipe = async ({
+  railgunWalletID,
+  encryptionKey,
+  prepared,
+  walletProvider,
+  onProgress,
+}) => {
+  if (!encryptionKey || !railgunWalletID || !prepared || !walletProvider) {
+    throw new Error('Missing required parameters');
+  }
+
+  const { transaction } = await generateCrossContractTransaction({
+    networkName: prepared.networkName,
+    railgunWalletID,
+    encryptionKey,
+    crossContractCalls: prepared.crossContractCalls,
+    relayAdaptUnshieldERC20Amounts: prepared.relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients: prepared.relayAdaptShieldERC20Recipients,
+    sendWithPublicWallet: true,
+    gasDetails: prepared.gasDetails,
+    overallBatchMinGasPrice: prepared.overallBatchMinGasPrice,
+    onProgress,
+  });
+
+  const signer = await walletProvider();
+  const transactionHash = await sendProvedTransactionSelfSigned({
+    railgunWalletID,
+    chainId: prepared.plan.chainId,
+    encryptionKey,
+    proofType: ProofType.CrossContractCalls,
+    networkName: prepared.networkName,
+    populatedTransaction: { transaction },
+    proofParams: { sendWithPublicWallet: true, overallBatchMinGasPrice: prepared.overallBatchMinGasPrice },
+    label: prepared.plan.recipeName,
+    signer,
+  });
+  console.log('[RecipeRunner] ✅ Recipe sent:', { recipe: prepared.plan.recipeId, transactionHash });
+  return { transactionHash };
+};
+
+/**
+ * Wait for a recipe transaction and check what was shielded back.
+ * The output shielded is every Transfer of the output token out of Relay Adapt
+ * (shield + shield fee); it must reach the plan's minOutput, then the recipe's own
+ * validateResult (if any) gets the final say.
+ * @param {Object} params
+ * @param {Object} params.prepared - Result of prepareRecipe
+ * @param {string} params.transactionHash - Sent transaction hash
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer
+ * @returns {Promise<{ isValid: boolean, shieldedAmount: BigInt, error: string|null }>}
+ */
+export const verifyRecipeResult = async ({ prepared, transactionHash, walletProvider }) => {
+  const { plan, relayAdaptContract } = prepared;
+  const signer = await walletProvider();
+  const receipt = await signer.provider.waitForTransaction(transactionHash, 1, RECEIPT_TIMEOUT_MS);
+
+  if (!receipt) {
+    return { isValid: false, shieldedAmount: 0n, error: 'Timed out waiting for the transaction receipt' };
+  }
+  if (receipt.status !== 1) {
+    return { isValid: false, shieldedAmount: 0n, error: 'Transaction reverted' };
+  }
+
+  const outputToken = plan.outputToken.address.toLowerCase();
+  const fromTopic = zeroPadValue(relayAdaptContract, 32).toLowerCase();
+  const shieldedAmount = receipt.logs
+    .filter(log => log.address.toLowerCase() === outputToken
+      && log.topics[0] === transferTopic
+      && log.topics[1]?.toLowerCase() === fromTopic)
+    .reduce((total, log) => total + BigInt(log.data), 0n);
+
+  let error = null;
+  if (shieldedAmount < plan.minOutput) {
+    error = `Shielded ${shieldedAmount} ${plan.outputToken.symbol}, expected at least ${plan.minOutput}`;
+  } else {
+    const recipe = getRecipe(plan.recipeId);
+    error = (await recipe?.validateResult?.({ chainId: plan.chainId, plan, receipt, shieldedAmount })) || null;
+  }
+
+  if (error) {
+    console.warn('[RecipeRunner] Recipe result check failed:', { transactionHash, error });
+  }
+  return { isValid: !error, shieldedAmount, error };
+};
+
+export default {
+  planRecipe,
+  prepareRecipe,
+  executeRecipe,
+  verifyRecipeResult,
+};
@@ -0,0 +1,175 @@
+/**
+ * RAILGUN Private Swaps
+ * Unshield into Relay Adapt → DEX swap → reshield to the vault, in one proved transaction.
+ *
+ * - Quotes and DEX call data come from the swap service (utils/swap), so any registered
+ *   quote provider can be used here
+ * - Swaps are self-signed (sendWithPublicWallet): the connected wallet pays gas and is
+ *   visible as the transaction sender; the swapped tokens never touch it
+ * - preparePrivateSwap dry-runs the cross-contract calls through the SDK gas estimate, so a
+ *   route that would revert (e.g. min-out not met) fails before any proof is generated
+ * - The proved swap is persisted until sent, so a reload can resume it (pending-proofs.js)
+ */
+
+import { refreshBalances } from '@railgun-community/wallet';
+import { EVMGasType, NETWORK_CONFIG, ProofType } from '@railgun-community/shared-models';
+import { waitForRailgunReady } from './engine.js';
+import { buildGasAndEstimate } from './tx-gas-details.js';
+import { generateCrossContractTransaction } from './tx-generator.js';
+import { assertSpendableWallet } from './view-only.js';
+import { sendProvedTransactionSelfSigned } from './pending-proofs.js';
+import { buildSwapCrossContractCalls, isSwapQuoteExpired } from '../swap/swap-service.js';
+import { getRailgunNetworkName as getRegistryNetworkName } from '../../config/chains.js';
+
+const getRailgunNetworkName = (chainId) => {
+  const networkName = getRegistryNetworkName(chainId);
+  if (!networkName) {
+    throw new Error(`Unsupported chain ID: ${chainId}`);
+  }
+  return networkName;
+};
+
+/**
+ * Build the Relay Adapt call set for a quote and estimate gas
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {string} params.encryptionKey - Wallet encryption key
+ * @param {string} params.railgunAddress - 0zk address the output is reshielded to
+ * @param {Object} params.quote - Result of getSwapQuote
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer (pays gas)
+ * @returns {Promise<Object>} Prepared swap (pass to executePrivateSwap) with gasCostWei for the preview
+ */
+export const preparePrivateSwap = async ({
+  railgunWalletID,
+  encryptionKey,
+  railgunAddress,
+  quote,
+  walletProvider,
+}) => {
+  if (!encryptionKey || !railgunWalletID || !railgunAddress || !walletProvider) {
+    throw new Error('Missing required parameters');
+  }
+  if (isSwapQuoteExpired(quote)) {
+    throw new Error('Swap quote expired, refresh the quote');
+  }
+  assertSpendableWallet(railgunWalletID);
+  await waitForRailgunReady();
+
+  const chainId = quote.chainId;
+  const networkName = getRailgunNetworkName(chainId);
+  const { chain, relayAdaptContract } = NETWORK_CONFIG[networkName];
+  try {
+    await refreshBalances(chain, [railgunWalletID]);
+  } catch (refreshError) {
+    console.warn('[PrivateSwap] Balance refresh failed:', refreshError.message);
+  }
+
+  const crossContractCalls = await buildSwapCrossContractCalls(quote, relayAdaptContract);
+  const relayAdaptUnshieldERC20Amounts = [{ tokenAddress: quote.sellToken.address, amount: quote.sellAmount }];
+  // No amount: Relay Adapt shields its whole balance of the token after the calls
+  const relayAdaptShieldERC20Recipients = [{ tokenAddress: quote.buyToken.address, recipientAddress: railgunAddress }];
+
+  console.log('[PrivateSwap] Estimating swap:', {
+    networkName,
+    provider: quote.providerId,
+    sell: quote.sellToken.symbol,
+    buy: quote.buyToken.symbol,
+    calls: crossContractCalls.length,
+  });
+
+  const { gasDetails, overallBatchMinGasPrice } = await buildGasAndEstimate({
+    mode: 'relayadapt',
+    chainId,
+    networkName,
+    railgunWalletID,
+    encryptionKey,
+    relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients,
+    crossContractCalls,
+    feeTokenDetails: undefined, // no broadcaster
+    sendWithPublicWallet: true,
+    walletProvider,
+  });
+
+  const gasPrice = gasDetails.evmGasType === EVMGasType.Type2 ? gasDetails.maxFeePerGas : gasDetails.gasPrice;
+
+  return {
+    quote,
+    networkName,
+    crossContractCalls,
+    relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients,
+    gasDetails,
+    overallBatchMinGasPrice,
+    gasCostWei: gasDetails.gasEstimate * gasPrice,
+  };
+};
+
+/**
+ * Prove, populate and send a prepared swap
+ * @param {Object} params
+ * @param {string} params.railgunWalletID - Railgun wallet ID
+ * @param {string} params.encryptionKey - Wallet encryption key
+ * @param {Object} params.prepared - Result of preparePrivateSwap
+ * @param {Function} params.walletProvider - Returns the connected wallet's signer (pays gas)
+ * @param {Function} [params.onProgress] - Proof progress callback (0-100)
+ * @returns {Promise<{ transactionHash: string, quote: Object }>}
+ */
+export const executePrivateSwap = async ({
+  railgunWalletID,
+  encryptionKey,
+  prepared,
+  walletProvider,
+  onProgress,
+}) => {
+  if (!encryptionKey || !railgunWalletID || !prepared || !walletProvider) {
+    throw new Error('Missing required parameters');
+  }
+  const {
+    quote,
+    networkName,
+    crossContractCalls,
+    relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients,
+    gasDetails,
+    overallBatchMinGasPrice,
+  } = prepared;
+
+  // The min-out baked into the calls is only as good as the quote it came from
+  if (isSwapQuoteExpired(quote)) {
+    throw new Error('Swap quote expired, refresh the quote');
+  }
+
+  const { transaction } = await generateCrossContractTransaction({
+    networkName,
+    railgunWalletID,
+    encryptionKey,
+    crossContractCalls,
+    relayAdaptUnshieldERC20Amounts,
+    relayAdaptShieldERC20Recipients,
+    sendWithPublicWallet: true,
+    gasDetails,
+    overallBatchMinGasPrice,
+    onProgress,
+  });
+
+  const signer = await walletProvider();
+  const transactionHash = await sendProvedTransactionSelfSigned({
+    railgunWalletID,
+    chainId: quote.chainId,
+    encryptionKey,
+    proofType: ProofType.CrossContractCalls,
+    networkName: networkName,
+    populatedTransaction: { transaction },
+    proofParams: { sendWithPublicWallet: true, overallBatchMinGasPrice: overallBatchMinGasPrice },
+    label: `Swap ${quote.sellToken.symbol} → ${quote.buyToken.symbol}`,
+    signer,
+  });
+  console.log('[PrivateSwap] ✅ Swap sent:', transactionHash);
+  return { transactionHash, quote };
+};
+
+export default {
+  preparePrivateSwap,
+  executePrivateSwap,
+};
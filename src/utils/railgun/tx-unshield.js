@@ -20,7 +20,6 @@ import {
   populateProvedCrossContractCalls,
 } from '@railgun-community/wallet';
 import {
-  NetworkName,
   TXIDVersion,
   EVMGasType,
   getEVMGasTypeForTransaction,
@@ -28,7 +27,10 @@ import {
   ProofType,
 } from '@railgun-community/shared-models';
 import { waitForRailgunReady } from './engine.js';
-import { assertNotSanctioned } from '../sanctions/chainalysis-oracle.js';
+import { assertScreeningPassed, screenAddresses, summarizeScreening } from '../sanctions/screening-service.js';
+import { validateBatchTransferRecipients } from './validation-service.js';
+import { assertSpendableWallet } from './view-only.js';
+import { getRailgunNetworkName as getRegistryNetworkName } from '../../config/chains.js';
 import { fetchTokenPrices } from '../pricing/coinGecko.js';
 import { buildGasAndEstimate, computeGasReclamationWei } from './tx-gas-details.js';
 import { getKnownTokenDecimals, getNativeGasToken } from './balances.js';
@@ -39,14 +41,15 @@ import {
   validateCombinedFee,
   calculateRelayerFee
 } from './fee-calculator.js';
+import { sendOrEnqueue } from '../sync/idb-sync/queue.js';
 
 /**
- * Store fee data directly in Redis when calculated
+ * Store fee data directly in Redis when calculated (queued for later while offline)
  */
 const storeFeeDataDirectly = async (traceId, feeData) => {
   try {
     // Call backend API directly to store fee data
-    const response = await fetch('/api/wallet-metadata?action=store-fee-data', {
+    const response = await sendOrEnqueue('/api/wallet-metadata?action=store-fee-data', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -55,6 +58,10 @@ const storeFeeDataDirectly = async (traceId, feeData) => {
       })
     });
 
+    if (!response) {
+      return { success: true, queued: true };
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
@@ -142,6 +149,14 @@ import {
   checkRelayerHealth, 
   getRelayerAddress 
 } from './relayer-client.js';
+import {
+  isPublicBroadcasterFallbackEnabled,
+  findPublicBroadcasters,
+  selectPublicBroadcaster,
+  quoteBroadcasterFee,
+  submitViaPublicBroadcaster,
+} from './waku-broadcaster.js';
+import { savePendingProvedTransaction, clearPendingProvedTransaction, markPendingSubmissionUnknown } from './pending-proofs.js';
 import {
   gasEstimateForUnprovenUnshieldBaseToken,
   generateUnshieldBaseTokenProof,
@@ -262,20 +277,10 @@ const resolveRecipient = async (recipientInput, walletProvider) => {
 };
 
 /**
- * Network mapping to Railgun NetworkName enum values
- */
-const RAILGUN_NETWORK_NAMES = {
-  1: NetworkName.Ethereum,
-  42161: NetworkName.Arbitrum,
-  137: NetworkName.Polygon,
-  56: NetworkName.BNBChain,
-};
-
-/**
- * Get Railgun network name for a chain ID
+ * Get Railgun network name for a chain ID (via the chain registry)
  */
 const getRailgunNetworkName = (chainId) => {
-  const networkName = RAILGUN_NETWORK_NAMES[chainId];
+  const networkName = getRegistryNetworkName(chainId);
   if (!networkName) {
     throw new Error(`Unsupported chain ID: ${chainId}`);
   }
@@ -391,6 +396,8 @@ export const unshieldTokens = async ({
 
   // Track transient toasts to close them when the step completes
   let submittingToast = null;
+  // Set once the proved transaction is persisted for resume (pending-proofs.js)
+  let proofPersisted = false;
 
   try {
     // Notify user that signing will be required
@@ -399,6 +406,7 @@ export const unshieldTokens = async ({
     if (!encryptionKey || !railgunWalletID || !amount || !walletAddress) {
       throw new Error('Missing required parameters');
     }
+    assertSpendableWallet(railgunWalletID);
 
     // Resolve recipient once (ENS -> 0x or direct 0x)
     const recipientInput = recipientAddress ?? toAddress;
@@ -416,7 +424,10 @@ export const unshieldTokens = async ({
       chainId: chain.id,
       resolved: recipientEVM?.slice?.(0, 12) + '...'
     });
-    await assertNotSanctioned(chain.id, recipientEVM);
+    const screening = summarizeScreening(await assertScreeningPassed(chain.id, recipientEVM, {
+      walletId: railgunWalletID,
+      context: 'unshield-recipient',
+    }));
     console.log('[Sanctions] Screening passed for resolved recipient (unshield)');
 
     console.log('✅ [UNSHIELD] Resolved recipient:', { recipientEVM });
@@ -735,6 +746,36 @@ export const unshieldTokens = async ({
         gasDetails,
       );
 
+      // Fee details reported to the gas relayer for base token mode
+      const relayerFeeAmount = relayerFeeBn?.toString() || '0';
+      const gasReclamationAmount = gasFeeDeducted?.toString() || '0';
+      const baseTokenFeeDetails = {
+        relayerFee: relayerFeeAmount,
+        gasReclamation: gasReclamationAmount,
+        totalFee: (BigInt(relayerFeeAmount) + BigInt(gasReclamationAmount)).toString()
+      };
+
+      // Persist the proof so a reload before submission can resume instead of re-proving
+      try {
+        await savePendingProvedTransaction({
+          railgunWalletID,
+          chainId: chain.id,
+          encryptionKey,
+          proofType: ProofType.UnshieldBaseToken,
+          networkName,
+          populatedTransaction: populateResponse,
+          proofParams: { erc20AmountRecipients: [{ ...wrappedERC20Amount, recipientAddress: recipientEVM }], sendWithPublicWallet: true },
+          resume: {
+            label: `Unshield to ${recipientEVM.slice(0, 10)}...`,
+            submitVia: useRelayer ? 'relayer' : 'self',
+            relay: { chainId: chain.id, tokenAddress, amount: adjustedAmount?.toString() || amount, userAddress: walletAddress, feeDetails: baseTokenFeeDetails },
+          },
+        });
+        proofPersisted = true;
+      } catch (persistError) {
+        console.warn('⚠️ [UNSHIELD] Could not persist proved base token transaction:', persistError.message);
+      }
+
       // Submit transaction based on mode
       let transactionHash;
       let usedRelayer = false;
@@ -802,18 +843,7 @@ export const unshieldTokens = async ({
 
           console.log('📤 [GAS RELAYER] Submitting base token transaction to transparent relayer...');
 
-          // Calculate fee details for base token relayer mode
-          const relayerFeeAmount = relayerFeeBn?.toString() || '0';
-          const gasReclamationAmount = gasFeeDeducted?.toString() || '0';
-
-          const totalFeeAmount = BigInt(relayerFeeAmount) + BigInt(gasReclamationAmount);
-
-          const feeDetails = {
-            relayerFee: relayerFeeAmount,
-            gasReclamation: gasReclamationAmount,
-            totalFee: totalFeeAmount.toString()
-          };
-
+          const feeDetails = baseTokenFeeDetails;
           console.log('💰 [GAS RELAYER] Base token fee details for submission:', feeDetails);
 
           const relayed = await submitRelayedTransaction({
@@ -863,6 +893,10 @@ export const unshieldTokens = async ({
         privacyLevel = 'self-signed';
       }
 
+      if (proofPersisted) {
+        clearPendingProvedTransaction(railgunWalletID, chain.id);
+      }
+
       return {
         hash: transactionHash,
         method: 'base-token',
@@ -871,7 +905,8 @@ export const unshieldTokens = async ({
         combinedRelayerFee: combinedRelayerFee?.toString() || '0',
         relayerFee: relayerFeeBn?.toString() || '0',
         gasFee: gasFeeDeducted?.toString() || '0',
-        feeToken: selectedRelayer?.feeToken || tokenAddress
+        feeToken: selectedRelayer?.feeToken || tokenAddress,
+        screening
       };
     }
 
@@ -902,6 +937,7 @@ export const unshieldTokens = async ({
     let combinedRelayerFee = 0n;  // Hoisted variable for gas reclamation
     let gasFeeDeducted = 0n;  // Initialize gas fee deduction at function scope
     let selectedRelayer = null; // Hoisted for gas reclamation access
+    let publicBroadcasters = []; // Waku broadcasters, only when the Lexie relayer is down
 
     // Define net variable at function scope level for use throughout
     let net;
@@ -914,8 +950,22 @@ export const unshieldTokens = async ({
     if (useRelayer) {
       console.log('🔧 [UNSHIELD] Preparing RelayAdapt mode with cross-contract calls...');
       
+      // Lexie relayer is down: optionally look for public broadcasters before the fee is baked into the proof
+      if (isPublicBroadcasterFallbackEnabled() && !(await checkRelayerHealth())) {
+        console.warn('⚠️ [UNSHIELD] Gas relayer unavailable, discovering public broadcasters...');
+        publicBroadcasters = await findPublicBroadcasters({ chainId: chain.id, tokenAddress, useRelayAdapt: true });
+        console.log(`🔍 [UNSHIELD] Found ${publicBroadcasters.length} public broadcaster(s) for token`);
+      }
+
       // CRITICAL: Select relayer once, reuse everywhere
-      selectedRelayer = await getSelectedRelayer(tokenAddress);
+      // With public broadcasters, the cheapest stands in until fees are compared below
+      selectedRelayer = publicBroadcasters.length > 0
+        ? {
+          railgunAddress: publicBroadcasters[0].railgunAddress,
+          feePerUnitGas: BigInt(publicBroadcasters[0].tokenFee.feePerUnitGas),
+          feeToken: publicBroadcasters[0].tokenAddress,
+        }
+        : await getSelectedRelayer(tokenAddress);
       console.log('🔧 [UNSHIELD] selectedRelayer assigned:', {
         selectedRelayer: selectedRelayer ? 'defined' : 'null',
         address: selectedRelayer?.railgunAddress?.substring(0, 20) + '...'
@@ -982,6 +1032,34 @@ export const unshieldTokens = async ({
       combinedRelayerFee = relayerFeeBn + gasFeeDeducted;
       unshieldInputAmount = userAmountGross; // Send full amount to SDK, let it deduct fees
 
+      // PUBLIC BROADCASTER: compare quotes against the Lexie fee above and pay the chosen one instead.
+      // Quoted at the RelayAdapt gas floor, which sits above real usage.
+      if (publicBroadcasters.length > 0) {
+        const gasPrice = networkGasPrices?.gasPrice ?? networkGasPrices?.maxFeePerGas;
+        if (!gasPrice) {
+          throw new Error('Could not fetch gas prices to quote public broadcasters');
+        }
+        const choice = selectPublicBroadcaster({
+          chainId: chain.id,
+          broadcasters: publicBroadcasters,
+          gasDetails: { evmGasType: EVMGasType.Type1, gasEstimate: MIN_GAS_LIMIT, gasPrice },
+          amount: userAmountGross,
+          referenceFeeAmount: combinedRelayerFee,
+        });
+        if (!choice) {
+          throw new Error('Gas relayer is unavailable and no public broadcaster is within the fee limits. Please try again later.');
+        }
+        selectedRelayer = {
+          railgunAddress: choice.broadcaster.railgunAddress,
+          feePerUnitGas: BigInt(choice.broadcaster.tokenFee.feePerUnitGas),
+          feeToken: choice.broadcaster.tokenAddress,
+          publicBroadcaster: choice.broadcaster,
+        };
+        relayerFeeBn = choice.feeAmount;
+        gasFeeDeducted = 0n;
+        combinedRelayerFee = choice.feeAmount;
+      }
+
       // PREFLIGHT GUARD: Prevent combined fees from exceeding user amount
       validateCombinedFee(combinedRelayerFee, userAmountGross, 'ERC-20');
 
@@ -1246,6 +1324,12 @@ export const unshieldTokens = async ({
       walletProvider,
     });
 
+    // The public broadcaster re-checks its fee against the populated gas; fail before proving, not after
+    if (selectedRelayer?.publicBroadcaster
+      && quoteBroadcasterFee(selectedRelayer.publicBroadcaster, transactionGasDetails) > combinedRelayerFee) {
+      throw new Error('Gas price moved above the public broadcaster quote. Please try again.');
+    }
+
     // Set variables to match working implementation
     const finalGasEstimate = paddedGasEstimate;
     const minGasForSDK = finalGasEstimate > MIN_GAS_LIMIT ? finalGasEstimate : MIN_GAS_LIMIT;
@@ -1868,6 +1952,40 @@ export const unshieldTokens = async ({
       hasData: !!populatedTransaction.transaction.data,
     });
 
+    // Fee details reported to the gas relayer (RAILGUN protocol fee is always applied, 0.25%)
+    const relayerFeeAmount = useRelayer && broadcasterFeeERC20AmountRecipient ?
+      broadcasterFeeERC20AmountRecipient.amount.toString() : '0';
+    const RAILGUN_FEE_BPS = 25n;
+    const protocolFeeAmount = ((BigInt(amount) * RAILGUN_FEE_BPS) / 10000n).toString();
+    const feeDetails = {
+      relayerFee: relayerFeeAmount,
+      protocolFee: protocolFeeAmount,
+      totalFee: (BigInt(relayerFeeAmount) + BigInt(protocolFeeAmount)).toString()
+    };
+
+    // Persist the proof so a reload before submission can resume instead of re-proving
+    try {
+      await savePendingProvedTransaction({
+        railgunWalletID,
+        chainId: chain.id,
+        encryptionKey,
+        proofType: useRelayer ? ProofType.CrossContractCalls : ProofType.Unshield,
+        networkName,
+        populatedTransaction,
+        proofParams: useRelayer
+          ? { broadcasterFeeERC20AmountRecipient, sendWithPublicWallet, overallBatchMinGasPrice }
+          : { erc20AmountRecipients, sendWithPublicWallet },
+        resume: {
+          label: `Unshield to ${recipientEVM.slice(0, 10)}...`,
+          submitVia: useRelayer && !selectedRelayer?.publicBroadcaster ? 'relayer' : 'self',
+          relay: { chainId: chain.id, tokenAddress, amount, userAddress: walletAddress, feeDetails },
+        },
+      });
+      proofPersisted = true;
+    } catch (persistError) {
+      console.warn('⚠️ [UNSHIELD] Could not persist proved transaction:', persistError.message);
+    }
+
     // STEP 7: Transaction submission
     console.log('📡 [UNSHIELD] Step 7: Submitting transaction...');
     submittingToast = showTerminalToast('info', 'Transaction confirmed. Balance will update automatically within a few seconds.', { duration: 24000 });
@@ -1876,7 +1994,28 @@ export const unshieldTokens = async ({
     let usedRelayer = false;
     let privacyLevel = 'self-signed';
     
-    if (useRelayer) {
+    if (useRelayer && selectedRelayer?.publicBroadcaster) {
+      console.log('🚀 [UNSHIELD] Submitting via public broadcaster (Lexie relayer unavailable)...');
+
+      try {
+        transactionHash = await submitViaPublicBroadcaster({
+          chainId: chain.id,
+          broadcaster: selectedRelayer.publicBroadcaster,
+          populatedTransaction,
+          overallBatchMinGasPrice,
+          useRelayAdapt: true,
+        });
+        usedRelayer = true;
+        privacyLevel = 'public-broadcaster';
+      } catch (broadcasterError) {
+        console.error('❌ [UNSHIELD] Public broadcaster submission failed:', broadcasterError.message);
+        console.log('🔄 [UNSHIELD] Falling back to self-signing...');
+
+        transactionHash = await submitTransactionSelfSigned(populatedTransaction, walletProvider);
+        usedRelayer = false;
+        privacyLevel = 'self-signed';
+      }
+    } else if (useRelayer) {
       console.log('🚀 [GAS RELAYER] Attempting submission via transparent gas relayer...');
       
       try {
@@ -1937,24 +2076,6 @@ export const unshieldTokens = async ({
         const serializedTransaction = '0x' + Buffer.from(JSON.stringify(transactionObject)).toString('hex');
         
         console.log('📤 [GAS RELAYER] Submitting to transparent relayer (no fees)...');
-        
-        // Calculate fee details for RelayAdapt mode
-        const relayerFeeAmount = useRelayer && broadcasterFeeERC20AmountRecipient ? 
-          broadcasterFeeERC20AmountRecipient.amount.toString() : '0';
-        
-        // RAILGUN protocol fee is always applied (0.25%)
-        const RAILGUN_FEE_BPS = 25n;
-        const railgunProtocolFee = (BigInt(amount) * RAILGUN_FEE_BPS) / 10000n;
-        const protocolFeeAmount = railgunProtocolFee.toString();
-        
-        const totalFeeAmount = BigInt(relayerFeeAmount) + BigInt(protocolFeeAmount);
-        
-        const feeDetails = {
-          relayerFee: relayerFeeAmount,
-          protocolFee: protocolFeeAmount,
-          totalFee: totalFeeAmount.toString()
-        };
-        
         console.log('💰 [GAS RELAYER] Fee details for submission:', feeDetails);
         
         const relayerResult = await submitRelayedTransaction({
@@ -2001,6 +2122,10 @@ export const unshieldTokens = async ({
       transactionHash = await submitTransactionSelfSigned(populatedTransaction, walletProvider);
     }
 
+    if (proofPersisted) {
+      clearPendingProvedTransaction(railgunWalletID, chain.id);
+    }
+
     return {
       transactionHash,
       usedRelayer,
@@ -2008,7 +2133,8 @@ export const unshieldTokens = async ({
       combinedRelayerFee: '0', // No fees for self-signed/gas-relayer transactions
       relayerFee: '0',
       gasFee: '0',
-      feeToken: null
+      feeToken: null,
+      screening
     };
 
   } catch (error) {
@@ -2018,6 +2144,10 @@ export const unshieldTokens = async ({
     });
     // Normalize user reject
     if ((error?.message || '').toLowerCase().includes('rejected') || (error?.message || '').toLowerCase().includes('reject') || error?.code === 4001 || error?.code === 5000) {
+      // The user declined to send it; don't offer it back as a pending transaction
+      if (proofPersisted) {
+        clearPendingProvedTransaction(railgunWalletID, chain.id);
+      }
       showTerminalToast('error', 'Rejected by User');
       throw new Error('Rejected by User');
     }
@@ -2066,7 +2196,7 @@ export default {
 export const privateTransferWithRelayer = async ({
   railgunWalletID,
   encryptionKey,
-  erc20AmountRecipients, // [{ tokenAddress, amount (BigInt string), recipientAddress (0zk) }]
+  erc20AmountRecipients, // [{ tokenAddress, amount (BigInt string), recipientAddress (0zk), memo? }] - several entries = batch
   memoText,
   networkName,
 }) => {
@@ -2098,6 +2228,8 @@ export const privateTransferWithRelayer = async ({
       }))
     });
 
+    assertSpendableWallet(railgunWalletID);
+
     // Log the raw input amount before any processing
     if (erc20AmountRecipients && erc20AmountRecipients[0]) {
       console.log('🔢 [PRIVATE_TRANSFER_RElayer] Raw input amount analysis:', {
@@ -2121,6 +2253,43 @@ export const privateTransferWithRelayer = async ({
       recipientAddress: erc20AmountRecipients[0]?.recipientAddress
     });
 
+    // Sanctions screening on every recipient (0zk addresses are checked against the local denylist)
+    const recipientScreenings = await screenAddresses(
+      chainId,
+      erc20AmountRecipients.map(r => r.recipientAddress),
+      { walletId: railgunWalletID, context: 'transfer-recipient' }
+    );
+    const blockedScreening = recipientScreenings.find(r => !r.allowed);
+    if (blockedScreening) {
+      const error = new Error(blockedScreening.sanctioned
+        ? `Operation blocked: recipient appears on sanctions list (${blockedScreening.source})`
+        : `Operation blocked: ${blockedScreening.reason}`);
+      error.screening = blockedScreening;
+      throw error;
+    }
+    const screening = summarizeScreening(recipientScreenings[0]);
+    console.log('[Sanctions] Screening passed for transfer recipients:', recipientScreenings.length);
+
+    // Batch mode: several recipients share one proof and one relayed transaction.
+    // Per-recipient memos are kept for history; the encrypted on-chain memo (memoText) is shared by all outputs.
+    const isBatch = erc20AmountRecipients.length > 1;
+    const recipientMemos = erc20AmountRecipients.map(r => r.memo?.trim() || null);
+    erc20AmountRecipients = erc20AmountRecipients.map(r => ({
+      tokenAddress: r.tokenAddress,
+      amount: BigInt(r.amount),
+      recipientAddress: r.recipientAddress,
+    }));
+    if (isBatch) {
+      const batchValidation = validateBatchTransferRecipients(erc20AmountRecipients);
+      if (!batchValidation.isValid) {
+        throw new Error(batchValidation.error);
+      }
+      console.log('📦 [PRIVATE TRANSFER] Batch mode:', {
+        recipients: erc20AmountRecipients.length,
+        totalAmount: batchValidation.details.totalAmount.toString()
+      });
+    }
+
     // STEP 0: Balance refresh and network scanning (same as unshield)
     console.log('🔄 [PRIVATE TRANSFER] Step 0: Refreshing balances and scanning network...');
 
@@ -2226,7 +2395,8 @@ export const privateTransferWithRelayer = async ({
 
     // STEP 4: STANDARD TRANSFER PATH (no RelayAdapt): estimate → proof → populate
     // Convert amount to BigInt (same as unshield function) - Store original amount
-    const originalAmountBn = BigInt(erc20AmountRecipients[0].amount);
+    const recipientGrossAmounts = erc20AmountRecipients.map(r => r.amount);
+    const originalAmountBn = recipientGrossAmounts.reduce((sum, value) => sum + value, 0n);
     let amountBn = originalAmountBn;
 
     console.log('💰 [PRIVATE TRANSFER] Original amount conversion:', {
@@ -2249,7 +2419,7 @@ export const privateTransferWithRelayer = async ({
     const estimatedMaxSend = originalAmountBn - estimatedRelayerFee - gasBuffer - dustBuffer;
 
     // If requested amount exceeds estimated max send, auto-shave it down
-    if (amountBn > estimatedMaxSend && estimatedMaxSend > 0n) {
+    if (!isBatch && amountBn > estimatedMaxSend && estimatedMaxSend > 0n) {
       console.log('💰 [PRIVATE TRANSFER] Auto-shaving amount to account for fees:', {
         requested: amountBn.toString(),
         estimatedMaxSend: estimatedMaxSend.toString(),
@@ -2371,7 +2541,23 @@ export const privateTransferWithRelayer = async ({
     });
 
     // Update the recipient amount to be net of fees (BigInt like unshield path)
-    erc20AmountRecipients[0].amount = netRecipientAmount;
+    if (isBatch) {
+      // Split the combined fee pro-rata across recipients; the last one absorbs rounding dust
+      let feeAllocated = 0n;
+      erc20AmountRecipients.forEach((recipient, index) => {
+        const gross = recipientGrossAmounts[index];
+        const feeShare = index === erc20AmountRecipients.length - 1
+          ? combinedRelayerFee - feeAllocated
+          : (combinedRelayerFee * gross) / originalAmountBn;
+        feeAllocated += feeShare;
+        recipient.amount = gross - feeShare;
+      });
+      if (erc20AmountRecipients.some(r => r.amount <= 0n)) {
+        throw new Error('One or more batch amounts are too small to cover network fees');
+      }
+    } else {
+      erc20AmountRecipients[0].amount = netRecipientAmount;
+    }
 
     console.log('🔧 [PRIVATE TRANSFER] Before gas estimation - checking amounts:', {
       erc20AmountRecipients: erc20AmountRecipients.map(r => ({
@@ -2545,6 +2731,16 @@ export const privateTransferWithRelayer = async ({
       throw new Error(`❌ INVARIANT FAILED: Relayer cannot be sender (relayer0zk === sender0zk)\nSender: ${sender0zk}\nRelayer: ${relayer0zk}`);
     }
 
+    // Batch: every recipient must satisfy the same invariants
+    erc20AmountRecipients.forEach(({ recipientAddress }, index) => {
+      if (recipientAddress === sender0zk) {
+        throw new Error(`❌ INVARIANT FAILED: Cannot send to self (recipient ${index + 1} === sender0zk)\nRecipient: ${recipientAddress}`);
+      }
+      if (recipientAddress === relayer0zk) {
+        throw new Error(`❌ INVARIANT FAILED: Relayer cannot be a recipient (recipient ${index + 1} === relayer0zk)\nRecipient: ${recipientAddress}`);
+      }
+    });
+
     // CAN-DECRYPT GUARD: Enhanced check for self-targeting prevention
     console.log('🔐 [PRIVATE TRANSFER] Checking enhanced can-decrypt guard...');
 
@@ -2684,9 +2880,10 @@ export const privateTransferWithRelayer = async ({
           expectedRecipient: recipient0zk.substring(0, 30) + '...'
         });
 
-        // Validate we have at least 2 output addresses
-        if (outputAddresses.length < 2) {
-          throw new Error(`❌ OUTPUT VALIDATION FAILED: Expected at least 2 output addresses, got ${outputAddresses.length}`);
+        // Validate we have the relayer output plus one output per recipient
+        const expectedOutputCount = erc20AmountRecipients.length + 1;
+        if (outputAddresses.length < expectedOutputCount) {
+          throw new Error(`❌ OUTPUT VALIDATION FAILED: Expected at least ${expectedOutputCount} output addresses, got ${outputAddresses.length}`);
         }
 
         const actualRelayerOutput = outputAddresses[0];
@@ -2726,6 +2923,16 @@ export const privateTransferWithRelayer = async ({
           throw new Error(errorMsg);
         }
 
+        // Batch: remaining recipients follow in input order
+        for (let i = 1; i < erc20AmountRecipients.length; i++) {
+          const expectedOutput = erc20AmountRecipients[i].recipientAddress;
+          if (outputAddresses[i + 1] !== expectedOutput) {
+            const errorMsg = `❌ OUTPUT VALIDATION FAILED: Recipient ${i + 1} output address mismatch.\nExpected: ${expectedOutput}\nActual: ${outputAddresses[i + 1] || 'null/undefined'}`;
+            console.error(errorMsg);
+            throw new Error(errorMsg);
+          }
+        }
+
         console.log('✅ [PRIVATE TRANSFER] Output address validation PASSED');
         console.log('✅ [PRIVATE TRANSFER] Proof outputs correctly assigned:', {
           'outputAddresses[0]': 'relayer (' + relayer0zk.substring(0, 20) + '...)',
@@ -2808,24 +3015,65 @@ export const privateTransferWithRelayer = async ({
       serializedTxLength: serializedTransaction.length
     });
 
-    const relayed = await submitRelayedTransaction({
-      chainId,
-      serializedTransaction,
+    const totalNetAmount = erc20AmountRecipients.reduce((sum, r) => sum + r.amount, 0n);
+    const transferFeeDetails = {
+      relayerFee: relayerFeeAmount.toString(),
+      gasFee: gasFeeDeducted.toString(),
+      protocolFee: '0',
+      totalFee: combinedRelayerFee.toString(),
+      chainId: String(chainId),
       tokenAddress,
-      amount: String(erc20AmountRecipients[0].amount),
-      userAddress: null,
-      feeDetails: {
-        relayerFee: relayerFeeAmount.toString(),
-        gasFee: gasFeeDeducted.toString(),
-        protocolFee: '0',
-        totalFee: combinedRelayerFee.toString(),
-        chainId: String(chainId),
+      proofTimestamp: new Date().toISOString(),
+    };
+
+    // Persist the proof so a reload (or a relayer outage) before submission can resume it
+    const transferResume = {
+      label: erc20AmountRecipients.length > 1
+        ? `Private transfer to ${erc20AmountRecipients.length} recipients`
+        : `Private transfer to ${erc20AmountRecipients[0].recipientAddress.slice(0, 10)}...`,
+      submitVia: 'relayer',
+      relay: { chainId, tokenAddress, amount: String(totalNetAmount), userAddress: null, feeDetails: transferFeeDetails, memoText: processedMemoText },
+    };
+    let proofPersisted = false;
+    try {
+      await savePendingProvedTransaction({
+        railgunWalletID,
+        chainId,
+        encryptionKey,
+        proofType: ProofType.Transfer,
+        networkName,
+        populatedTransaction: populateResult,
+        proofParams: { erc20AmountRecipients, broadcasterFeeERC20AmountRecipient, sendWithPublicWallet: false, overallBatchMinGasPrice },
+        resume: transferResume,
+      });
+      proofPersisted = true;
+    } catch (persistError) {
+      console.warn('⚠️ [PRIVATE_TRANSFER_RElayer] Could not persist proved transaction:', persistError.message);
+    }
+
+    let relayed;
+    try {
+      relayed = await submitRelayedTransaction({
+        chainId,
+        serializedTransaction,
         tokenAddress,
-        proofTimestamp: new Date().toISOString(),
-      },
-      gasEstimate: transactionGasDetails.gasEstimate?.toString?.(),
-      processedMemoText,
-    });
+        amount: String(totalNetAmount),
+        userAddress: null,
+        feeDetails: transferFeeDetails,
+        gasEstimate: transactionGasDetails.gasEstimate?.toString?.(),
+        processedMemoText,
+      });
+    } catch (relayError) {
+      // The relayer may already have broadcast it: keep the proof, but don't offer it for resume
+      if (proofPersisted && relayError?.failover === false) {
+        await markPendingSubmissionUnknown({ railgunWalletID, chainId, encryptionKey, resume: transferResume });
+      }
+      throw relayError;
+    }
+
+    if (proofPersisted) {
+      clearPendingProvedTransaction(railgunWalletID, chainId);
+    }
 
     console.log('✅ [PRIVATE_TRANSFER_RElayer] Relayer submission result:', {
       transactionHash: relayed.transactionHash,
@@ -2909,7 +3157,16 @@ export const privateTransferWithRelayer = async ({
       combinedRelayerFee: combinedRelayerFee.toString(),
       relayerFee: relayerFeeAmount.toString(),
       gasFee: gasFeeDeducted.toString(), // Now transfers do have gas reclamation like unshield
-      feeToken: transferFeeToken
+      feeToken: transferFeeToken,
+      screening,
+      // Per-recipient breakdown (net of the pro-rata fee share) for history
+      recipients: erc20AmountRecipients.map((r, index) => ({
+        recipientAddress: r.recipientAddress,
+        amount: r.amount.toString(),
+        grossAmount: recipientGrossAmounts[index].toString(),
+        memo: recipientMemos[index],
+        screening: summarizeScreening(recipientScreenings[index]),
+      }))
     };
   } catch (e) {
     throw e;
@@ -8,6 +8,7 @@ import {
   NetworkName,
   TXIDVersion,
   EVMGasType,
+  NFTTokenType,
   isDefined,
 } from '@railgun-community/shared-models';
 import {
@@ -15,6 +16,7 @@ import {
   getRailgunAddress,
 } from '@railgun-community/wallet';
 import { isAddress, getAddress } from 'ethers';
+import { getRailgunNetworkName, getRailgunChains } from '../../config/chains.js';
 
 /**
  * Validation result structure
@@ -202,23 +204,18 @@ export const validateChainId = (chainId) => {
       return createValidationResult(false, 'Chain ID must be a number');
     }
 
-    const supportedChains = {
-      1: NetworkName.Ethereum,
-      42161: NetworkName.Arbitrum,
-      137: NetworkName.Polygon,
-      56: NetworkName.BNBChain,
-    };
+    const networkName = getRailgunNetworkName(chainId);
 
-    if (!supportedChains[chainId]) {
+    if (!networkName) {
       return createValidationResult(false, 'Unsupported chain ID', {
         provided: chainId,
-        supported: Object.keys(supportedChains).map(Number),
+        supported: getRailgunChains().map((chain) => chain.id),
       });
     }
 
     return createValidationResult(true, null, {
       chainId,
-      networkName: supportedChains[chainId],
+      networkName,
     });
 
   } catch (error) {
@@ -366,6 +363,293 @@ export const validateERC20AmountRecipients = (recipients) => {
   }
 };
 
+/**
+ * Validate an NFT token sub-ID (ERC721 token ID / ERC1155 ID)
+ * @param {string|number|BigInt} tokenSubID - Decimal or 0x-hex token ID
+ * @returns {Object} Validation result
+ */
+export const validateNFTTokenSubID = (tokenSubID) => {
+  try {
+    if (!isDefined(tokenSubID) || String(tokenSubID).trim() === '') {
+      return createValidationResult(false, 'Token ID is required');
+    }
+
+    const raw = String(tokenSubID).trim();
+    if (!/^(0x[0-9a-f]+|\d+)$/i.test(raw)) {
+      return createValidationResult(false, 'Token ID must be a non-negative integer');
+    }
+
+    const value = BigInt(raw);
+    if (value >= 2n ** 256n) {
+      return createValidationResult(false, 'Token ID exceeds uint256');
+    }
+
+    return createValidationResult(true, null, {
+      tokenSubID: value.toString(),
+      tokenSubIDHex: '0x' + value.toString(16),
+    });
+
+  } catch (error) {
+    return createValidationResult(false, `Token ID validation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Validate NFT amount recipient (shield, unshield or private transfer)
+ * @param {Object} recipient - RailgunNFTAmountRecipient object
+ * @param {number} index - Index for error reporting
+ * @param {Object} options - Validation options
+ * @param {string} options.recipientType - 'railgun' (shield/transfer) or 'ethereum' (unshield)
+ * @returns {Object} Validation result
+ */
+export const validateNFTAmountRecipient = (recipient, index = 0, options = {}) => {
+  const { recipientType = 'railgun' } = options;
+  try {
+    if (!recipient || typeof recipient !== 'object') {
+      return createValidationResult(false, `NFT ${index}: must be an object`);
+    }
+
+    const addressValidation = validateEthereumAddress(recipient.nftAddress);
+    if (!addressValidation.isValid) {
+      return createValidationResult(false, `NFT ${index}: ${addressValidation.error}`);
+    }
+
+    const nftTokenType = Number(recipient.nftTokenType);
+    if (![NFTTokenType.ERC721, NFTTokenType.ERC1155].includes(nftTokenType)) {
+      return createValidationResult(false, `NFT ${index}: token type must be ERC721 or ERC1155`);
+    }
+
+    const subIdValidation = validateNFTTokenSubID(recipient.tokenSubID);
+    if (!subIdValidation.isValid) {
+      return createValidationResult(false, `NFT ${index}: ${subIdValidation.error}`);
+    }
+
+    let amount;
+    try {
+      amount = BigInt(recipient.amount ?? 0);
+    } catch {
+      return createValidationResult(false, `NFT ${index}: amount must be an integer`);
+    }
+    if (amount <= 0n) {
+      return createValidationResult(false, `NFT ${index}: amount must be greater than 0`);
+    }
+    if (nftTokenType === NFTTokenType.ERC721 && amount !== 1n) {
+      return createValidationResult(false, `NFT ${index}: ERC721 amount must be exactly 1`);
+    }
+
+    const recipientValidation = recipientType === 'ethereum'
+      ? validateEthereumAddress(recipient.recipientAddress)
+      : validateRailgunAddressFormat(recipient.recipientAddress);
+    if (!recipientValidation.isValid) {
+      return createValidationResult(false, `NFT ${index}: ${recipientValidation.error}`);
+    }
+
+    return createValidationResult(true, null, {
+      index,
+      nftAddress: addressValidation.details.address,
+      nftTokenType,
+      // The engine parses string sub-IDs as hex, so always hand it 0x-hex
+      tokenSubID: subIdValidation.details.tokenSubIDHex,
+      amount,
+      recipientAddress: recipientType === 'ethereum'
+        ? recipientValidation.details.address
+        : recipient.recipientAddress,
+    });
+
+  } catch (error) {
+    return createValidationResult(false, `NFT ${index} validation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Validate array of NFT amount recipients
+ * @param {Array} recipients - Array of RailgunNFTAmountRecipient objects
+ * @param {Object} options - Passed through to validateNFTAmountRecipient
+ * @returns {Object} Validation result (details.recipients are normalized SDK-ready recipients)
+ */
+export const validateNFTAmountRecipients = (recipients, options = {}) => {
+  try {
+    if (!Array.isArray(recipients)) {
+      return createValidationResult(false, 'NFT recipients must be an array');
+    }
+
+    if (recipients.length === 0) {
+      return createValidationResult(false, 'At least one NFT is required');
+    }
+
+    const validatedRecipients = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (let i = 0; i < recipients.length; i++) {
+      const validation = validateNFTAmountRecipient(recipients[i], i, options);
+      if (!validation.isValid) {
+        errors.push(validation.error);
+        continue;
+      }
+      // The same token twice would make the SDK select the same note twice
+      const key = `${validation.details.nftAddress.toLowerCase()}:${BigInt(validation.details.tokenSubID)}`;
+      if (seen.has(key)) {
+        errors.push(`NFT ${i}: duplicate token`);
+        continue;
+      }
+      seen.add(key);
+      const { nftAddress, nftTokenType, tokenSubID, amount, recipientAddress } = validation.details;
+      validatedRecipients.push({ nftAddress, nftTokenType, tokenSubID, amount, recipientAddress });
+    }
+
+    if (errors.length > 0) {
+      return createValidationResult(false, `NFT validation errors: ${errors.join(', ')}`);
+    }
+
+    return createValidationResult(true, null, {
+      recipients: validatedRecipients,
+      count: validatedRecipients.length,
+    });
+
+  } catch (error) {
+    return createValidationResult(false, `NFT recipients validation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Maximum recipients in a single batch transfer proof.
+ * The transfer circuits cap outputs per proof; the relayer fee and change notes take the remaining slots.
+ */
+export const MAX_BATCH_TRANSFER_RECIPIENTS = 10;
+
+/**
+ * Validate LexieID format (3-20 chars, alphanumeric + underscore)
+ * @param {string} lexieId - LexieID to validate
+ * @returns {Object} Validation result
+ */
+export const validateLexieIdFormat = (lexieId) => {
+  if (!lexieId || typeof lexieId !== 'string') {
+    return createValidationResult(false, 'LexieID must be a non-empty string');
+  }
+
+  const normalized = lexieId.trim().toLowerCase();
+  if (!/^[a-z0-9_]{3,20}$/.test(normalized)) {
+    return createValidationResult(false, 'LexieID must be 3-20 characters (letters, numbers, underscore)');
+  }
+
+  return createValidationResult(true, null, { lexieId: normalized });
+};
+
+/**
+ * Validate batch transfer entries as entered by the user (before LexieID resolution)
+ * @param {Array} entries - [{ recipient, amount, memo }] where recipient is a 0zk address or LexieID
+ *   and amount is a human-readable decimal string
+ * @returns {Object} Validation result with per-row errors in details.rowErrors
+ */
+export const validateBatchTransferEntries = (entries) => {
+  try {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return createValidationResult(false, 'At least one recipient is required');
+    }
+
+    if (entries.length > MAX_BATCH_TRANSFER_RECIPIENTS) {
+      return createValidationResult(false, `A batch can include at most ${MAX_BATCH_TRANSFER_RECIPIENTS} recipients`, {
+        count: entries.length,
+        max: MAX_BATCH_TRANSFER_RECIPIENTS,
+      });
+    }
+
+    const rowErrors = entries.map((entry) => {
+      const recipient = (entry?.recipient || '').trim();
+      if (!recipient) return 'Recipient is required';
+
+      if (recipient.startsWith('0zk')) {
+        const addressValidation = validateRailgunAddressFormat(recipient);
+        if (!addressValidation.isValid) return addressValidation.error;
+      } else {
+        const lexieValidation = validateLexieIdFormat(recipient);
+        if (!lexieValidation.isValid) return 'Enter a Railgun address (0zk...) or LexieID';
+      }
+
+      const amount = String(entry?.amount ?? '').trim();
+      if (!/^\d*\.?\d+$/.test(amount) || Number(amount) <= 0) {
+        return 'Amount must be greater than 0';
+      }
+
+      return null;
+    });
+
+    const seen = new Map();
+    entries.forEach((entry, index) => {
+      const key = (entry?.recipient || '').trim().toLowerCase();
+      if (!key || rowErrors[index]) return;
+      if (seen.has(key)) {
+        rowErrors[index] = `Duplicate of recipient ${seen.get(key) + 1}`;
+      } else {
+        seen.set(key, index);
+      }
+    });
+
+    const firstError = rowErrors.findIndex(Boolean);
+    if (firstError !== -1) {
+      return createValidationResult(false, `Recipient ${firstError + 1}: ${rowErrors[firstError]}`, { rowErrors });
+    }
+
+    return createValidationResult(true, null, { rowErrors, count: entries.length });
+
+  } catch (error) {
+    return createValidationResult(false, `Batch validation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Validate resolved recipients for a batch transfer (single token, unique 0zk addresses)
+ * @param {Array} recipients - ERC20 amount recipients ({ tokenAddress, amount, recipientAddress })
+ * @param {Object} options - Optional { senderAddress, relayerAddress } to guard against self-targeting
+ * @returns {Object} Validation result
+ */
+export const validateBatchTransferRecipients = (recipients, options = {}) => {
+  try {
+    const baseValidation = validateERC20AmountRecipients(recipients);
+    if (!baseValidation.isValid) {
+      return baseValidation;
+    }
+
+    if (recipients.length > MAX_BATCH_TRANSFER_RECIPIENTS) {
+      return createValidationResult(false, `A batch can include at most ${MAX_BATCH_TRANSFER_RECIPIENTS} recipients`);
+    }
+
+    const tokenAddresses = new Set(recipients.map((r) => (r.tokenAddress || '').toLowerCase()));
+    if (tokenAddresses.size > 1) {
+      return createValidationResult(false, 'All batch recipients must receive the same token');
+    }
+
+    const seen = new Set();
+    for (let i = 0; i < recipients.length; i++) {
+      const address = recipients[i].recipientAddress;
+      if (seen.has(address)) {
+        return createValidationResult(false, `Recipient ${i}: duplicate recipient address`);
+      }
+      seen.add(address);
+
+      if (options.senderAddress && address === options.senderAddress) {
+        return createValidationResult(false, `Recipient ${i}: cannot send to your own vault`);
+      }
+      if (options.relayerAddress && address === options.relayerAddress) {
+        return createValidationResult(false, `Recipient ${i}: cannot send to the relayer address`);
+      }
+    }
+
+    const totalAmount = baseValidation.details.recipients.reduce((sum, r) => sum + r.amount, 0n);
+
+    return createValidationResult(true, null, {
+      recipients: baseValidation.details.recipients,
+      count: recipients.length,
+      tokenAddress: recipients[0].tokenAddress,
+      totalAmount,
+    });
+
+  } catch (error) {
+    return createValidationResult(false, `Batch recipients validation failed: ${error.message}`);
+  }
+};
+
 /**
  * Validate wallet ID
  * @param {string} walletID - Wallet ID to validate
@@ -514,6 +798,12 @@ export default {
   validateEVMGasType,
   validateERC20AmountRecipient,
   validateERC20AmountRecipients,
+  validateNFTTokenSubID,
+  validateNFTAmountRecipient,
+  validateNFTAmountRecipients,
+  validateLexieIdFormat,
+  validateBatchTransferEntries,
+  validateBatchTransferRecipients,
   validateWalletID,
   validateEncryptionKey,
   validateShieldTransactionParams,
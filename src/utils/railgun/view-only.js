@@ -0,0 +1,177 @@
+/**
+ * View-Only Vaults
+ * Lets a vault owner share read access with an auditor, and lets the auditor open it.
+ *
+ * - The owner exports a share code: the wallet's shareable viewing key plus its
+ *   creation block numbers (so the auditor's scan starts where the vault began)
+ * - The auditor loads it as a view-only Railgun wallet under a throwaway encryption key;
+ *   nothing is persisted to the backend, and the wallet is unloaded on close
+ * - View-only wallets can decrypt balances and history but cannot sign; spend paths
+ *   call assertSpendableWallet so they fail early with a clear message
+ */
+
+import { getRandomBytes, refreshBalances } from '@railgun-community/wallet';
+import { NETWORK_CONFIG } from '@railgun-community/shared-models';
+import { initializeRailgun } from './engine.js';
+import { loadViewOnlyWallet, generateShareableViewingKey, unloadWallet } from './wallet.js';
+
+const SHARE_CODE_PREFIX = 'lexie-vk1:';
+const SHARE_CODE_VERSION = 1;
+
+// Wallet IDs loaded through openViewOnlyVault in this session
+const viewOnlyWalletIDs = new Set();
+
+const toBase64Url = (text) => btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+/**
+ * Build a share code for the owner's vault
+ * @param {Object} params
+ * @param {string} params.walletID - Owner's loaded Railgun wallet ID
+ * @param {Object} [params.creationBlockNumbers] - Map of network name -> creation block
+ * @param {string} [params.railgunAddress] - Owner's 0zk address, shown to the auditor for cross-checking
+ * @returns {Promise<string>} `lexie-vk1:` share code
+ */
+export const createViewOnlyShareCode = async ({ walletID, creationBlockNumbers = null, railgunAddress = null }) => {
+  if (!walletID) {
+    throw new Error('Vault must be unlocked to share a viewing key');
+  }
+  const svk = await generateShareableViewingKey(walletID);
+  const payload = {
+    v: SHARE_CODE_VERSION,
+    svk,
+    creationBlockNumbers: creationBlockNumbers || undefined,
+    railgunAddress: railgunAddress || undefined,
+  };
+  return `${SHARE_CODE_PREFIX}${toBase64Url(JSON.stringify(payload))}`;
+};
+
+/**
+ * Parse a pasted share code (or a bare shareable viewing key)
+ * @param {string} input - Share code or raw viewing key
+ * @returns {{ svk: string, creationBlockNumbers: Object|null, railgunAddress: string|null }}
+ */
+export const parseViewOnlyShareCode = (input) => {
+  const trimmed = String(input || '').trim();
+  if (!trimmed) {
+    throw new Error('Paste a viewing key to continue');
+  }
+
+  if (!trimmed.startsWith(SHARE_CODE_PREFIX)) {
+    // Bare SDK viewing key: no block hints, so the scan starts from genesis
+    if (!/^(0x)?[0-9a-f]+$/i.test(trimmed)) {
+      throw new Error('Unrecognized viewing key format');
+    }
+    return { svk: trimmed, creationBlockNumbers: null, railgunAddress: null };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(trimmed.slice(SHARE_CODE_PREFIX.length)));
+  } catch {
+    throw new Error('Viewing key is corrupted or incomplete');
+  }
+  if (payload?.v !== SHARE_CODE_VERSION) {
+    throw new Error(`Unsupported viewing key version: ${payload?.v}`);
+  }
+  if (typeof payload.svk !== 'string' || !payload.svk) {
+    throw new Error('Viewing key is missing its key material');
+  }
+
+  return {
+    svk: payload.svk,
+    creationBlockNumbers: payload.creationBlockNumbers && typeof payload.creationBlockNumbers === 'object'
+      ? payload.creationBlockNumbers
+      : null,
+    railgunAddress: typeof payload.railgunAddress === 'string' ? payload.railgunAddress : null,
+  };
+};
+
+/**
+ * Load a view-only wallet from a share code
+ * @param {string} input - Share code or raw viewing key
+ * @returns {Promise<{ walletID: string, railgunAddress: string, expectedRailgunAddress: string|null }>}
+ */
+export const openViewOnlyVault = async (input) => {
+  const { svk, creationBlockNumbers, railgunAddress } = parseViewOnlyShareCode(input);
+
+  await initializeRailgun();
+
+  // The wallet only lives for this session, so its storage key never needs to be re-derived
+  const encryptionKey = getRandomBytes(32);
+  const wallet = await loadViewOnlyWallet(svk, creationBlockNumbers || undefined, encryptionKey);
+  viewOnlyWalletIDs.add(wallet.id);
+
+  if (railgunAddress && railgunAddress !== wallet.railgunAddress) {
+    console.warn('[ViewOnly] Loaded address does not match the share code:', {
+      expected: railgunAddress.slice(0, 10) + '...',
+      loaded: wallet.railgunAddress.slice(0, 10) + '...',
+    });
+  }
+
+  console.log('[ViewOnly] View-only vault opened:', { walletID: wallet.id.slice(0, 8) + '...' });
+  return {
+    walletID: wallet.id,
+    railgunAddress: wallet.railgunAddress,
+    expectedRailgunAddress: railgunAddress,
+  };
+};
+
+/**
+ * Scan a view-only wallet on one chain; balances arrive via `railgun-balance-update` events
+ * @param {string} walletID - View-only wallet ID
+ * @param {number} chainId - Chain ID
+ */
+export const scanViewOnlyVault = async (walletID, chainId) => {
+  const chain = Object.values(NETWORK_CONFIG).find((c) => c.chain.id === Number(chainId))?.chain;
+  if (!chain) {
+    throw new Error(`No network config for chain ${chainId}`);
+  }
+  await initializeRailgun();
+  await refreshBalances(chain, [walletID]);
+};
+
+/**
+ * Unload a view-only wallet
+ * @param {string} walletID - View-only wallet ID
+ */
+export const closeViewOnlyVault = async (walletID) => {
+  if (!walletID || !viewOnlyWalletIDs.has(walletID)) return;
+  viewOnlyWalletIDs.delete(walletID);
+  try {
+    await unloadWallet(walletID);
+  } catch (error) {
+    console.warn('[ViewOnly] Failed to unload view-only vault:', error?.message);
+  }
+};
+
+/**
+ * Whether a wallet ID was loaded as view-only in this session
+ * @param {string} walletID - Wallet ID
+ * @returns {boolean}
+ */
+export const isViewOnlyWallet = (walletID) => viewOnlyWalletIDs.has(walletID);
+
+/**
+ * Throw if a wallet cannot sign transactions
+ * @param {string} walletID - Wallet ID about to spend
+ */
+export const assertSpendableWallet = (walletID) => {
+  if (isViewOnlyWallet(walletID)) {
+    throw new Error('This vault is view-only. Shielding, unshielding and transfers are disabled.');
+  }
+};
+
+export default {
+  createViewOnlyShareCode,
+  parseViewOnlyShareCode,
+  openViewOnlyVault,
+  scanViewOnlyVault,
+  closeViewOnlyVault,
+  isViewOnlyWallet,
+  assertSpendableWallet,
+};
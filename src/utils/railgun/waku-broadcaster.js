@@ -0,0 +1,266 @@
+/**
+ * Public Broadcaster Fallback (Waku)
+ * When the Lexie relayer (relayer-client.js) fails its health check, transactions can go
+ * through a public RAILGUN broadcaster found on the Waku network instead of being self-signed.
+ *
+ * discover (Waku fee gossip) → quote (feePerUnitGas × max gas) → validateBroadcasterSelection
+ * (fee caps vs amount and vs the Lexie quote) → prove with that broadcaster's fee → submit over Waku.
+ * The broadcaster fee is baked into the proof, so the broadcaster must be chosen before proving.
+ */
+
+import { POIRequired, calculateBroadcasterFeeERC20Amount } from '@railgun-community/wallet';
+import {
+  BroadcasterConnectionStatus,
+  NETWORK_CONFIG,
+  TXIDVersion,
+} from '@railgun-community/shared-models';
+import { validateBroadcasterSelection } from './tx-gas-broadcaster-fee-estimator.js';
+import { getRailgunNetworkName } from '../../config/chains.js';
+import { BROADCASTER_CONFIG } from '../../config/environment.js';
+
+const STATUS_POLL_MS = 500;
+
+// The Waku client pulls in libp2p; only load it when the fallback is actually needed
+let wakuModulePromise = null;
+const loadWakuClient = () => {
+  if (!wakuModulePromise) {
+    wakuModulePromise = import('@railgun-community/waku-relayer-client-web').catch((error) => {
+      wakuModulePromise = null;
+      throw error;
+    });
+  }
+  return wakuModulePromise;
+};
+
+let currentChainId = null;
+let connectionStatus = BroadcasterConnectionStatus.Disconnected;
+
+const getChainForId = (chainId) => {
+  const networkName = getRailgunNetworkName(chainId);
+  if (!networkName) {
+    throw new Error(`Unsupported chain ID: ${chainId}`);
+  }
+  return { networkName, chain: NETWORK_CONFIG[networkName].chain };
+};
+
+const waitForBroadcasterFees = async (timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (connectionStatus === BroadcasterConnectionStatus.Connected) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, STATUS_POLL_MS));
+  }
+  return connectionStatus === BroadcasterConnectionStatus.Connected;
+};
+
+export const isPublicBroadcasterFallbackEnabled = () => BROADCASTER_CONFIG.publicFallback;
+
+export const getBroadcasterDiscoveryStatus = () => ({
+  chainId: currentChainId,
+  status: connectionStatus,
+});
+
+/**
+ * Join the Waku network for a chain (or switch chains if already started)
+ * @param {number} chainId - Chain ID
+ */
+export const startBroadcasterDiscovery = async (chainId) => {
+  const { WakuRelayerClient, WAKU_RAILGUN_DEFAULT_PEERS_WEB } = await loadWakuClient();
+  const { networkName, chain } = getChainForId(chainId);
+
+  if (WakuRelayerClient.isStarted()) {
+    if (currentChainId !== chainId) {
+      connectionStatus = BroadcasterConnectionStatus.Searching;
+      currentChainId = chainId;
+      await WakuRelayerClient.setChain(chain);
+    }
+    return;
+  }
+
+  let poiActiveListKeys = [];
+  try {
+    poiActiveListKeys = await POIRequired.getRequiredListKeys(networkName);
+  } catch (error) {
+    console.warn('[WakuBroadcaster] Could not load POI list keys:', error.message);
+  }
+
+  currentChainId = chainId;
+  connectionStatus = BroadcasterConnectionStatus.Searching;
+  console.log('[WakuBroadcaster] Starting broadcaster discovery:', { networkName });
+
+  await WakuRelayerClient.start(
+    chain,
+    {
+      poiActiveListKeys,
+      additionalDirectPeers: [...(WAKU_RAILGUN_DEFAULT_PEERS_WEB || []), ...BROADCASTER_CONFIG.additionalPeers],
+      peerDiscoveryTimeout: BROADCASTER_CONFIG.discoveryTimeoutMs,
+    },
+    (statusChain, status) => {
+      if (statusChain.id === chain.id) {
+        connectionStatus = status;
+      }
+    },
+    {
+      log: (message) => console.log('[WakuBroadcaster]', message),
+      error: (error) => console.warn('[WakuBroadcaster]', error.message),
+    },
+  );
+};
+
+export const stopBroadcasterDiscovery = async () => {
+  if (!wakuModulePromise) return;
+  const { WakuRelayerClient } = await loadWakuClient();
+  if (WakuRelayerClient.isStarted()) {
+    await WakuRelayerClient.stop();
+  }
+  currentChainId = null;
+  connectionStatus = BroadcasterConnectionStatus.Disconnected;
+};
+
+/**
+ * Public broadcasters accepting a fee token, cheapest first
+ * @param {Object} params
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenAddress - Fee token
+ * @param {boolean} [params.useRelayAdapt=true] - Whether the transaction goes through Relay Adapt
+ * @returns {Promise<Array<SelectedBroadcaster>>} Empty when none were found in time
+ */
+export const findPublicBroadcasters = async ({ chainId, tokenAddress, useRelayAdapt = true }) => {
+  try {
+    await startBroadcasterDiscovery(chainId);
+  } catch (error) {
+    console.warn('[WakuBroadcaster] Discovery failed to start:', error.message);
+    return [];
+  }
+
+  if (!(await waitForBroadcasterFees(BROADCASTER_CONFIG.discoveryTimeoutMs))) {
+    console.warn('[WakuBroadcaster] No broadcaster fees received:', { status: connectionStatus });
+    return [];
+  }
+
+  const { WakuRelayerClient } = await loadWakuClient();
+  const { chain } = getChainForId(chainId);
+  const broadcasters = WakuRelayerClient.findRelayersForToken(chain, tokenAddress, useRelayAdapt) || [];
+
+  return broadcasters
+    .filter(broadcaster => broadcaster.tokenFee.expiration > Date.now())
+    .sort((a, b) => {
+      const feeA = BigInt(a.tokenFee.feePerUnitGas);
+      const feeB = BigInt(b.tokenFee.feePerUnitGas);
+      return feeA < feeB ? -1 : feeA > feeB ? 1 : 0;
+    });
+};
+
+/**
+ * Fee a broadcaster charges for a transaction, in its fee token
+ * @param {SelectedBroadcaster} broadcaster - Broadcaster from findPublicBroadcasters
+ * @param {Object} gasDetails - Broadcaster (Type 0/1) gas details
+ * @returns {BigInt}
+ */
+export const quoteBroadcasterFee = (broadcaster, gasDetails) => {
+  return calculateBroadcasterFeeERC20Amount(
+    { tokenAddress: broadcaster.tokenAddress, feePerUnitGas: BigInt(broadcaster.tokenFee.feePerUnitGas) },
+    gasDetails,
+  ).amount;
+};
+
+/**
+ * Pick the cheapest broadcaster that passes the fee caps
+ * @param {Object} params
+ * @param {number} params.chainId - Chain ID
+ * @param {Array<SelectedBroadcaster>} params.broadcasters - From findPublicBroadcasters
+ * @param {Object} params.gasDetails - Gas details the fee is quoted against
+ * @param {BigInt} params.amount - Amount being sent (fee token units)
+ * @param {BigInt} [params.referenceFeeAmount] - Lexie relayer fee for the same transaction
+ * @returns {{ broadcaster: SelectedBroadcaster, feeAmount: BigInt, quotes: Array<Object> }|null}
+ */
+export const selectPublicBroadcaster = ({ chainId, broadcasters, gasDetails, amount, referenceFeeAmount }) => {
+  const { networkName } = getChainForId(chainId);
+
+  const quotes = broadcasters.map((broadcaster) => {
+    const feeAmount = quoteBroadcasterFee(broadcaster, gasDetails);
+    const accepted = validateBroadcasterSelection(broadcaster, networkName, {
+      feeAmount,
+      amount,
+      referenceFeeAmount,
+    });
+    return { broadcaster, feeAmount, accepted };
+  });
+
+  console.log('[WakuBroadcaster] Broadcaster quotes vs Lexie relayer:', {
+    referenceFeeAmount: referenceFeeAmount?.toString(),
+    quotes: quotes.map(q => ({
+      railgunAddress: q.broadcaster.railgunAddress.slice(0, 12) + '...',
+      feeAmount: q.feeAmount.toString(),
+      accepted: q.accepted,
+    })),
+  });
+
+  const best = quotes
+    .filter(q => q.accepted)
+    .reduce((cheapest, q) => (!cheapest || q.feeAmount < cheapest.feeAmount ? q : cheapest), null);
+
+  return best ? { broadcaster: best.broadcaster, feeAmount: best.feeAmount, quotes } : null;
+};
+
+/**
+ * Send a proved, populated transaction through a public broadcaster
+ * @param {Object} params
+ * @param {number} params.chainId - Chain ID
+ * @param {SelectedBroadcaster} params.broadcaster - Broadcaster the proof pays
+ * @param {Object} params.populatedTransaction - { transaction, nullifiers, preTransactionPOIsPerTxidLeafPerList }
+ * @param {BigInt} params.overallBatchMinGasPrice - Min gas price baked into the proof
+ * @param {boolean} [params.useRelayAdapt=true] - Whether the transaction goes through Relay Adapt
+ * @returns {Promise<string>} Transaction hash
+ */
+export const submitViaPublicBroadcaster = async ({
+  chainId,
+  broadcaster,
+  populatedTransaction,
+  overallBatchMinGasPrice,
+  useRelayAdapt = true,
+}) => {
+  const { RelayerTransaction } = await loadWakuClient();
+  const { chain } = getChainForId(chainId);
+  const { transaction, nullifiers, preTransactionPOIsPerTxidLeafPerList } = populatedTransaction;
+
+  if (!transaction?.to || !transaction?.data) {
+    throw new Error('No transaction found in populated response');
+  }
+  if (broadcaster.tokenFee.expiration <= Date.now()) {
+    throw new Error('Broadcaster fee quote expired before submission');
+  }
+
+  console.log('[WakuBroadcaster] Submitting through public broadcaster:', {
+    railgunAddress: broadcaster.railgunAddress.slice(0, 12) + '...',
+    feesID: broadcaster.tokenFee.feesID,
+  });
+
+  const broadcasterTransaction = await RelayerTransaction.create(
+    TXIDVersion.V2_PoseidonMerkle,
+    transaction.to,
+    transaction.data,
+    broadcaster.railgunAddress,
+    broadcaster.tokenFee.feesID,
+    chain,
+    nullifiers,
+    overallBatchMinGasPrice,
+    useRelayAdapt,
+    preTransactionPOIsPerTxidLeafPerList,
+  );
+  const transactionHash = await broadcasterTransaction.send();
+  console.log('[WakuBroadcaster] ✅ Broadcaster accepted transaction:', { transactionHash });
+  return transactionHash;
+};
+
+export default {
+  isPublicBroadcasterFallbackEnabled,
+  getBroadcasterDiscoveryStatus,
+  startBroadcasterDiscovery,
+  stopBroadcasterDiscovery,
+  findPublicBroadcasters,
+  quoteBroadcasterFee,
+  selectPublicBroadcaster,
+  submitViaPublicBroadcaster,
+};
@@ -12,7 +12,7 @@
 import {
   createRailgunWallet,
   loadWalletByID,
-  unloadRailgunWallet,
+  unloadWalletByID,
   RailgunWallet,
   validateRailgunAddress,
   getWalletMnemonic,
@@ -169,7 +169,15 @@ export const deriveEncryptionKey = async (secret, saltHex = null, iterations = 1
   }
 };
 
-export const createWallet = async (encryptionKey, mnemonic, creationBlockNumber) => {
+/**
+ * Create a RAILGUN wallet from a mnemonic
+ * @param {string} encryptionKey - 32-byte hex encryption key
+ * @param {string} mnemonic - BIP39 mnemonic
+ * @param {Object} creationBlockNumber - Map of network name -> creation block
+ * @param {number} derivationIndex - Wallet index under the mnemonic (0 = primary vault, 1+ = sub-vaults)
+ * @returns {Promise<Object>} RailgunWalletInfo
+ */
+export const createWallet = async (encryptionKey, mnemonic, creationBlockNumber, derivationIndex = 0) => {
   try {
     console.log('[RailgunWallet] 🏗️ Creating wallet with encryption key...');
 
@@ -186,8 +194,10 @@ export const createWallet = async (encryptionKey, mnemonic, creationBlockNumber)
     const result = await createRailgunWallet(
       normalizedKey,  // Use normalized key
       mnemonic,
-      creationBlockNumber
+      creationBlockNumber,
+      derivationIndex
     );
+    activeWallets.set(result.id, { id: result.id, railgunAddress: result.railgunAddress, derivationIndex });
 
     console.log('[RailgunWallet] ✅ Wallet created successfully!');
     console.log('[RailgunWallet] 🆔 Wallet ID:', result.id.slice(0, 8));
@@ -220,6 +230,7 @@ export const loadWallet = async (encryptionKey, walletID, isViewOnlyWallet) => {
       walletID,
       isViewOnlyWallet
     );
+    activeWallets.set(result.id, { id: result.id, railgunAddress: result.railgunAddress });
 
     console.log('[RailgunWallet] ✅ Wallet loaded successfully!');
     console.log('[RailgunWallet] 🆔 Loaded wallet ID:', result.id.slice(0, 8));
@@ -302,7 +313,7 @@ export const generateViewingKey = async (walletID) => {
  */
 export const unloadWallet = async (walletID) => {
   try {
-    await unloadRailgunWallet(walletID);
+    unloadWalletByID(walletID);
     activeWallets.delete(walletID);
     
     if (currentWalletID === walletID) {
@@ -470,6 +481,11 @@ export const getWalletBackup = async (walletID, encryptionKey) => {
  */
 export const clearAllWallets = async () => {
   try {
+    // Offline snapshots hold private balances and history: they go with the wallets,
+    // even if unloading fails below
+    const { clearOfflineSnapshots } = await import('../pwa/offline-snapshot.js');
+    await clearOfflineSnapshots();
+
     // Unload all wallets
     for (const walletID of activeWallets.keys()) {
       await unloadWallet(walletID);
@@ -190,13 +190,67 @@ export const initializeRailgunWallet = async ({
     return;
   }
 
+  // 🔑 PASSKEY: A registered passkey is the unlock factor - the stored signature is not
+  // used on its own. If the passkey fails, the EOA has to sign the vault message again.
+  const { hasPasskey, unlockWithPasskey, isPasskeyCancelled } = await import(
+    "./passkey.js"
+  );
+  const passkeyRegistered =
+    !!existingWalletID && hasPasskey(address, existingWalletID);
+  let passkeyEncryptionKey = null;
+
+  if (passkeyRegistered && existingRailgunAddress) {
+    try {
+      passkeyEncryptionKey = await unlockWithPasskey({
+        address,
+        walletId: existingWalletID,
+      });
+    } catch (passkeyError) {
+      if (isPasskeyCancelled(passkeyError)) {
+        console.log("[Railgun Init] ❌ User cancelled passkey unlock");
+        setRailgunError("Passkey unlock cancelled");
+        setIsInitializing(false);
+        return;
+      }
+      console.warn(
+        "🔑 Passkey unlock failed, requesting a fresh vault signature:",
+        passkeyError.message
+      );
+    }
+
+    if (!passkeyEncryptionKey) {
+      try {
+        window.dispatchEvent(
+          new CustomEvent("railgun-signature-requested", {
+            detail: { address },
+          })
+        );
+      } catch (_any) {}
+      const freshSignature = await signMessageAsync({
+        message: `LexieVault Creation\nAddress: ${address}\n\nSign this message to create your LexieVault.`,
+      });
+      if (
+        existingSignature &&
+        freshSignature.toLowerCase() !== existingSignature.toLowerCase()
+      ) {
+        throw new Error("Signature does not match this vault");
+      }
+      existingSignature = freshSignature;
+    }
+  }
+
   // 🎯 REDIS FAST PATH: If we have complete data from Redis, try to load directly
-  if (existingSignature && existingWalletID && existingRailgunAddress) {
+  if (
+    (existingSignature || passkeyEncryptionKey) &&
+    existingWalletID &&
+    existingRailgunAddress
+  ) {
     try {
       console.log(
         "💨 Fast path: Found wallet data in Redis, will load after engine init...",
         {
           hasSignature: !!existingSignature,
+          hasPasskey: passkeyRegistered,
           hasWalletID: !!existingWalletID,
           hasRailgunAddress: !!existingRailgunAddress,
           hasMnemonic: !!existingMnemonic,
@@ -239,12 +293,16 @@ export const initializeRailgunWallet = async ({
         console.log("hasEngine not available, will attempt engine start");
       }
 
-      // Derive encryption key from existing signature
-      const addressBytes = address.toLowerCase().replace("0x", "");
-      const signatureBytes = existingSignature.replace("0x", "");
-      const combined = signatureBytes + addressBytes;
-      const hash = CryptoJS.SHA256(combined);
-      const encryptionKey = hash.toString(CryptoJS.enc.Hex).slice(0, 64);
+      // Passkey-unwrapped key, or derived from the signature when no passkey is registered
+      let encryptionKey = passkeyEncryptionKey;
+      if (!encryptionKey) {
+        // Derive encryption key from existing signature
+        const addressBytes = address.toLowerCase().replace("0x", "");
+        const signatureBytes = existingSignature.replace("0x", "");
+        const combined = signatureBytes + addressBytes;
+        const hash = CryptoJS.SHA256(combined);
+        encryptionKey = hash.toString(CryptoJS.enc.Hex).slice(0, 64);
+      }
 
       // Ensure engine is started (minimal setup for fast path)
       if (!engineExists) {
@@ -786,6 +844,9 @@ export const initializeRailgunWallet = async ({
       : "Fast path failed",
   });
 
+  // Mnemonic the user chose to import in the creation modal (null = generate a new one)
+  let importedMnemonic = null;
+
   // 🚀 Request signature ASAP to avoid UI delay (before engine/provider loading)
   try {
     if (!existingSignature) {
@@ -796,6 +857,7 @@ export const initializeRailgunWallet = async ({
       if (!confirmed) {
         throw new Error("Early signature request cancelled by user");
       }
+      importedMnemonic = confirmed.importedMnemonic || null;
 
       try {
         window.dispatchEvent(
@@ -1079,12 +1141,14 @@ export const initializeRailgunWallet = async ({
       console.log("✅ Using existing signature from Redis:", address);
     }
 
-    // Derive encryption key from stored signature (always same for same EOA)
+    // Derive encryption key from stored signature (always same for same EOA),
+    // unless the passkey already unwrapped it
     const addressBytes = address.toLowerCase().replace("0x", "");
     const signatureBytes = signature.replace("0x", "");
     const combined = signatureBytes + addressBytes;
     const hash = CryptoJS.SHA256(combined);
-    const encryptionKey = hash.toString(CryptoJS.enc.Hex).slice(0, 64);
+    const encryptionKey =
+      passkeyEncryptionKey || hash.toString(CryptoJS.enc.Hex).slice(0, 64);
 
     // User-specific storage (Redis-only approach)
     const savedWalletID = existingWalletID;
@@ -1303,6 +1367,15 @@ export const initializeRailgunWallet = async ({
         }
       }
 
+      if (!mnemonic && importedMnemonic) {
+        // 📥 Restore an existing Railgun wallet from the phrase entered at creation
+        if (!bip39.validateMnemonic(importedMnemonic)) {
+          throw new Error("Imported recovery phrase failed validation");
+        }
+        mnemonic = importedMnemonic;
+        console.log("✅ Using imported recovery phrase for vault creation");
+      }
+
       if (!mnemonic) {
         // 🆕 Generate fresh secure mnemonic for Redis storage
         console.log(
@@ -1336,11 +1409,14 @@ export const initializeRailgunWallet = async ({
         bnb: creationBlockNumberMap[NetworkName.BNBChain],
       });
 
+      // An imported wallet may predate today's blocks, so it must be scanned from the start
+      const walletCreationBlocks = importedMnemonic ? undefined : creationBlockNumberMap;
+
       try {
         railgunWalletInfo = await createRailgunWallet(
           encryptionKey,
           mnemonic,
-          creationBlockNumberMap
+          walletCreationBlocks
         );
 
         // 🚀 REDIS-ONLY: Store COMPLETE wallet data for true cross-device persistence
@@ -1360,7 +1436,7 @@ export const initializeRailgunWallet = async ({
             railgunWalletInfo.railgunAddress,
             signature,
             encryptedMnemonic,
-            creationBlockNumberMap
+            walletCreationBlocks || null
           );
 
           if (storeSuccess) {
@@ -0,0 +1,103 @@
+/**
+ * ERC-4626 Vault Recipes
+ * Deposit into / redeem from a tokenized vault (savings, staking and lending vaults all
+ * share the interface). Shares are non-rebasing, so they can sit in the vault as notes
+ * while yield accrues to the share price.
+ */
+
+import { Interface } from 'ethers';
+import { ethCall } from '../../web3/rpc.js';
+
+// Previews are exact at the quoted block; leave room for a block of accrued yield
+const PREVIEW_TOLERANCE_BPS = 10n;
+
+const vaultInterface = new Interface([
+  'function previewDeposit(uint256 assets) view returns (uint256 shares)',
+  'function previewRedeem(uint256 shares) view returns (uint256 assets)',
+  'function maxDeposit(address receiver) view returns (uint256 maxAssets)',
+  'function deposit(uint256 assets, address receiver) returns (uint256 shares)',
+  'function redeem(uint256 shares, address receiver, address owner) returns (uint256 assets)',
+]);
+const erc20Interface = new Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+]);
+
+const callVault = async (chainId, vault, method, args) => {
+  const result = await ethCall(chainId, vault, vaultInterface.encodeFunctionData(method, args));
+  return vaultInterface.decodeFunctionResult(method, result)[0];
+};
+
+const withTolerance = (amount) => (amount * (10000n - PREVIEW_TOLERANCE_BPS)) / 10000n;
+
+/**
+ * Deposit + redeem recipes for one vault
+ * @param {number} chainId - Chain the vault lives on
+ * @param {Object} vault - Registry entry ({ address, name, symbol, decimals, category, asset })
+ * @returns {Array<Object>} Recipes
+ */
+export const createERC4626Recipes = (chainId, vault) => {
+  const shareToken = { address: vault.address, symbol: vault.symbol, decimals: vault.decimals };
+  const supportsChain = (id) => Number(id) === Number(chainId);
+
+  const deposit = {
+    id: `erc4626-deposit:${chainId}:${vault.address.toLowerCase()}`,
+    name: `Deposit into ${vault.name}`,
+    description: `${vault.asset.symbol} → ${vault.symbol}, earns the vault's yield while held privately`,
+    category: vault.category || 'staking',
+    supportsChain,
+    getTokens: () => ({ input: vault.asset, output: shareToken }),
+
+    async quote({ amount }) {
+      const [expectedOutput, maxDeposit] = await Promise.all([
+        callVault(chainId, vault.address, 'previewDeposit', [amount]),
+        callVault(chainId, vault.address, 'maxDeposit', [vault.address]).catch(() => null),
+      ]);
+      if (maxDeposit !== null && amount > maxDeposit) {
+        throw new Error(`${vault.name} is not accepting deposits of this size`);
+      }
+      return { expectedOutput, minOutput: withTolerance(expectedOutput) };
+    },
+
+    async buildCalls({ amount, relayAdaptAddress }) {
+      return [
+        {
+          to: vault.asset.address,
+          data: erc20Interface.encodeFunctionData('approve', [vault.address, amount]),
+          value: 0n,
+        },
+        {
+          to: vault.address,
+          data: vaultInterface.encodeFunctionData('deposit', [amount, relayAdaptAddress]),
+          value: 0n,
+        },
+      ];
+    },
+  };
+
+  const redeem = {
+    id: `erc4626-redeem:${chainId}:${vault.address.toLowerCase()}`,
+    name: `Withdraw from ${vault.name}`,
+    description: `${vault.symbol} → ${vault.asset.symbol}, redeems shares at the current share price`,
+    category: vault.category || 'staking',
+    supportsChain,
+    getTokens: () => ({ input: shareToken, output: vault.asset }),
+
+    async quote({ amount }) {
+      const expectedOutput = await callVault(chainId, vault.address, 'previewRedeem', [amount]);
+      return { expectedOutput, minOutput: withTolerance(expectedOutput) };
+    },
+
+    // Relay Adapt owns the unshielded shares, so no allowance is needed to redeem
+    async buildCalls({ amount, relayAdaptAddress }) {
+      return [{
+        to: vault.address,
+        data: vaultInterface.encodeFunctionData('redeem', [amount, relayAdaptAddress, relayAdaptAddress]),
+        value: 0n,
+      }];
+    },
+  };
+
+  return [deposit, redeem];
+};
+
+export default createERC4626Recipes;
@@ -0,0 +1,104 @@
+/**
+ * Lido wstETH Recipes
+ * Wrap stETH into non-rebasing wstETH and back. wstETH is the form worth holding
+ * privately: stETH rebases, and rebase rewards on shielded stETH accrue to the Railgun
+ * contract rather than to the note.
+ */
+
+import { Interface } from 'ethers';
+import { ethCall } from '../../web3/rpc.js';
+
+// stETH transfers can deliver 1-2 wei less than requested (share rounding), so the wrap
+// leaves that much behind in Relay Adapt rather than reverting
+const STETH_ROUNDING_WEI = 2n;
+
+const wstETHInterface = new Interface([
+  'function getWstETHByStETH(uint256 stETHAmount) view returns (uint256)',
+  'function getStETHByWstETH(uint256 wstETHAmount) view returns (uint256)',
+  'function wrap(uint256 stETHAmount) returns (uint256)',
+  'function unwrap(uint256 wstETHAmount) returns (uint256)',
+]);
+const erc20Interface = new Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+]);
+
+const callWstETH = async (chainId, wstETH, method, args) => {
+  const result = await ethCall(chainId, wstETH, wstETHInterface.encodeFunctionData(method, args));
+  return wstETHInterface.decodeFunctionResult(method, result)[0];
+};
+
+/**
+ * Wrap + unwrap recipes for a chain's Lido deployment
+ * @param {number} chainId - Chain ID
+ * @param {Object} lido - Registry entry ({ stETH, wstETH } token descriptors)
+ * @returns {Array<Object>} Recipes
+ */
+export const createLidoRecipes = (chainId, lido) => {
+  const supportsChain = (id) => Number(id) === Number(chainId);
+  const { stETH, wstETH } = lido;
+
+  const wrap = {
+    id: `lido-wrap:${chainId}`,
+    name: 'Wrap stETH',
+    description: 'stETH → wstETH, keeps staking rewards in the share price',
+    category: 'wrap',
+    supportsChain,
+    getTokens: () => ({ input: stETH, output: wstETH }),
+
+    validate({ amount }) {
+      return amount > STETH_ROUNDING_WEI ? null : 'Amount too small to wrap';
+    },
+
+    async quote({ amount }) {
+      const wrapAmount = amount - STETH_ROUNDING_WEI;
+      const expectedOutput = await callWstETH(chainId, wstETH.address, 'getWstETHByStETH', [wrapAmount]);
+      return { expectedOutput, minOutput: expectedOutput - 1n };
+    },
+
+    async buildCalls({ amount }) {
+      const wrapAmount = amount - STETH_ROUNDING_WEI;
+      return [
+        {
+          to: stETH.address,
+          data: erc20Interface.encodeFunctionData('approve', [wstETH.address, wrapAmount]),
+          value: 0n,
+        },
+        {
+          to: wstETH.address,
+          data: wstETHInterface.encodeFunctionData('wrap', [wrapAmount]),
+          value: 0n,
+        },
+      ];
+    },
+  };
+
+  const unwrap = {
+    id: `lido-unwrap:${chainId}`,
+    name: 'Unwrap wstETH',
+    description: 'wstETH → stETH (rebasing; rewards on shielded stETH are not credited to you)',
+    category: 'wrap',
+    supportsChain,
+    getTokens: () => ({ input: wstETH, output: stETH }),
+
+    async quote({ amount }) {
+      const expectedOutput = await callWstETH(chainId, wstETH.address, 'getStETHByWstETH', [amount]);
+      return {
+        expectedOutput,
+        minOutput: expectedOutput > STETH_ROUNDING_WEI ? expectedOutput - STETH_ROUNDING_WEI : 0n,
+        notes: ['stETH rebases: rewards earned while it is shielded accrue to the Railgun contract, not your balance.'],
+      };
+    },
+
+    async buildCalls({ amount }) {
+      return [{
+        to: wstETH.address,
+        data: wstETHInterface.encodeFunctionData('unwrap', [amount]),
+        value: 0n,
+      }];
+    },
+  };
+
+  return [wrap, unwrap];
+};
+
+export default createLidoRecipes;
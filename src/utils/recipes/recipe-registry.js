@@ -0,0 +1,95 @@
+/**
+ * Recipe Registry
+ * Private DeFi "recipes": cross-contract call bundles run from the Relay Adapt contract
+ * between an unshield and a reshield (see railgun/tx-recipe.js for the runner).
+ *
+ * Recipes implement:
+ *   { id, name, description, category ('wrap' | 'staking' | 'lending' | ...),
+ *     supportsChain(chainId),
+ *     getTokens(chainId) -> { input, output }            // { address, symbol, decimals } each
+ *     quote({ chainId, amount }) -> { expectedOutput, minOutput?, notes? }
+ *     buildCalls({ chainId, amount, quote, relayAdaptAddress }) -> [{ to, data, value }]
+ *     validate?({ chainId, amount }) -> error string | null
+ *     validateResult?({ chainId, plan, receipt, shieldedAmount }) -> error string | null }
+ * `amount` is what reaches Relay Adapt, i.e. after the Railgun unshield fee. Whatever
+ * output token balance Relay Adapt holds after the calls is shielded back to the vault.
+ *
+ * Built-in recipes come from the chain registry (Lido wstETH, ERC-4626 vaults); new
+ * integrations ship as recipe modules passed to registerRecipe().
+ */
+
+import { CHAIN_LIST } from '../../config/chains.js';
+import { createLidoRecipes } from './builtin/lido-wsteth.js';
+import { createERC4626Recipes } from './builtin/erc4626-vault.js';
+
+export const RECIPES_CHANGED_EVENT = 'recipes-changed';
+
+export const RECIPE_CATEGORIES = {
+  wrap: 'Wrap / unwrap',
+  staking: 'Staking & savings',
+  lending: 'Lending',
+};
+
+const REQUIRED_METHODS = ['supportsChain', 'getTokens', 'quote', 'buildCalls'];
+
+const BUILT_IN_RECIPES = CHAIN_LIST.flatMap((chain) => [
+  ...(chain.recipes?.lido ? createLidoRecipes(chain.id, chain.recipes.lido) : []),
+  ...(chain.recipes?.erc4626Vaults || []).flatMap(vault => createERC4626Recipes(chain.id, vault)),
+]);
+
+let recipes = [...BUILT_IN_RECIPES];
+
+const notifyChanged = () => {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(RECIPES_CHANGED_EVENT, { detail: { ids: recipes.map(r => r.id) } }));
+  }
+};
+
+/**
+ * Register a recipe (replaces any recipe with the same id)
+ * @param {Object} recipe - Recipe module
+ */
+export const registerRecipe = (recipe) => {
+  if (!recipe?.id || !recipe.name) {
+    throw new Error('Recipe must have an id and a name');
+  }
+  const missing = REQUIRED_METHODS.filter(method => typeof recipe[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Recipe ${recipe.id} is missing ${missing.join(', ')}`);
+  }
+  recipes = [...recipes.filter(r => r.id !== recipe.id), recipe];
+  console.log('[RecipeRegistry] Recipe registered:', recipe.id);
+  notifyChanged();
+};
+
+export const unregisterRecipe = (id) => {
+  recipes = recipes.filter(r => r.id !== id);
+  notifyChanged();
+};
+
+/**
+ * Recipes available on a chain
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>}
+ */
+export const getRecipes = (chainId) => {
+  return recipes.filter((recipe) => {
+    try {
+      return recipe.supportsChain(chainId);
+    } catch (error) {
+      console.warn(`[RecipeRegistry] ${recipe.id} supportsChain failed:`, error.message);
+      return false;
+    }
+  });
+};
+
+export const getRecipe = (id) => recipes.find(r => r.id === id) || null;
+
+export default {
+  RECIPES_CHANGED_EVENT,
+  RECIPE_CATEGORIES,
+  registerRecipe,
+  unregisterRecipe,
+  getRecipes,
+  getRecipe,
+};
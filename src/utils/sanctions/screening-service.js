@@ -0,0 +1,347 @@
+/**
+ * Sanctions Screening Service
+ * Multi-source address screening with a configurable failure policy
+ *
+ * Sources:
+ * - Local denylist file (offline, covers 0x and 0zk addresses)
+ * - Chainalysis on-chain oracle (0x addresses only)
+ *
+ * Policy:
+ * - fail-closed (default): if a source cannot be queried, the operation is blocked
+ * - fail-open: source errors are logged and the operation proceeds
+ *
+ * Every check produces a structured result ({ allowed, source, checkedAt, reason, ... })
+ * that callers can surface in the UI and attach to timeline events.
+ */
+
+import { isAddressSanctioned, getOracleAddress } from './chainalysis-oracle.js';
+import { SANCTIONS_CONFIG } from '../../config/environment.js';
+
+export const ScreeningPolicy = {
+  FAIL_CLOSED: 'fail-closed',
+  FAIL_OPEN: 'fail-open',
+};
+
+export const ScreeningSource = {
+  DENYLIST: 'local-denylist',
+  ORACLE: 'chainalysis-oracle',
+  POLICY: 'policy',
+};
+
+// Active configuration (defaults from environment, overridable at runtime)
+let screeningConfig = {
+  policy: SANCTIONS_CONFIG.failMode === ScreeningPolicy.FAIL_OPEN
+    ? ScreeningPolicy.FAIL_OPEN
+    : ScreeningPolicy.FAIL_CLOSED,
+  cacheTtlMs: SANCTIONS_CONFIG.cacheTtlMs,
+  denylistUrl: SANCTIONS_CONFIG.denylistUrl,
+  logToTimeline: true,
+};
+
+// Result cache: `${chainId}:${address}` -> { result, expiresAt }
+const screeningCache = new Map();
+
+// Denylist state: address -> entry
+let denylist = null;
+let denylistMeta = null;
+let denylistPromise = null;
+
+/**
+ * Override screening configuration
+ * @param {Object} overrides - Partial config ({ policy, cacheTtlMs, denylistUrl, logToTimeline })
+ * @returns {Object} Active configuration
+ */
+export const configureScreening = (overrides = {}) => {
+  screeningConfig = { ...screeningConfig, ...overrides };
+  if ('denylistUrl' in overrides) {
+    denylist = null;
+    denylistMeta = null;
+    denylistPromise = null;
+  }
+  screeningCache.clear();
+  return { ...screeningConfig };
+};
+
+export const getScreeningConfig = () => ({ ...screeningConfig });
+
+/**
+ * Clear cached screening results
+ */
+export const clearScreeningCache = () => {
+  screeningCache.clear();
+};
+
+const normalizeAddress = (address) => String(address || '').trim().toLowerCase();
+
+const isEvmAddress = (address) => /^0x[0-9a-f]{40}$/.test(address);
+
+/**
+ * Load the local denylist file
+ * Format: { version, updatedAt, entries: [{ address, reason?, chainIds? }] }
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Reload even if already loaded
+ * @returns {Promise<Map>} address -> entry
+ */
+export const loadDenylist = async ({ force = false } = {}) => {
+  if (denylist && !force) return denylist;
+  if (denylistPromise && !force) return denylistPromise;
+
+  const url = screeningConfig.denylistUrl;
+  if (!url) {
+    denylist = new Map();
+    return denylist;
+  }
+
+  denylistPromise = (async () => {
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Denylist fetch failed: ${response.status}`);
+      }
+      const data = await response.json();
+      if (!data || !Array.isArray(data.entries)) {
+        throw new Error('Denylist file is missing an entries array');
+      }
+
+      const entries = new Map();
+      for (const entry of data.entries) {
+        const address = normalizeAddress(entry?.address);
+        if (!address) continue;
+        entries.set(address, {
+          reason: entry.reason || 'Listed on local denylist',
+          chainIds: Array.isArray(entry.chainIds) ? entry.chainIds.map(Number) : null,
+        });
+      }
+
+      denylist = entries;
+      denylistMeta = { version: data.version ?? null, updatedAt: data.updatedAt ?? null };
+      console.log('[Sanctions] Denylist loaded:', { entries: entries.size, ...denylistMeta });
+      return denylist;
+    } finally {
+      denylistPromise = null;
+    }
+  })();
+
+  return denylistPromise;
+};
+
+const buildResult = (chainId, address, fields) => ({
+  address,
+  chainId: Number(chainId),
+  allowed: true,
+  sanctioned: false,
+  source: null,
+  reason: null,
+  policy: screeningConfig.policy,
+  checkedAt: new Date().toISOString(),
+  fromCache: false,
+  errors: [],
+  ...fields,
+});
+
+/**
+ * Screen a single address against all configured sources
+ * @param {number} chainId - Chain ID
+ * @param {string} address - 0x or 0zk address
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - ethers provider for the oracle call
+ * @param {string} [options.walletId] - Railgun wallet ID, used to log blocked results to the timeline
+ * @param {string} [options.context] - Label for logs/timeline (e.g. 'unshield-recipient')
+ * @param {boolean} [options.skipCache] - Bypass the result cache
+ * @returns {Promise<Object>} Screening result
+ */
+export const screenAddress = async (chainId, address, options = {}) => {
+  const { provider, walletId, context = 'address', skipCache = false } = options;
+  const normalized = normalizeAddress(address);
+  const cacheKey = `${Number(chainId)}:${normalized}`;
+
+  if (!normalized) {
+    return buildResult(chainId, normalized, {
+      allowed: false,
+      source: ScreeningSource.POLICY,
+      reason: 'No address provided for screening',
+    });
+  }
+
+  if (!skipCache) {
+    const cached = screeningCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, fromCache: true };
+    }
+  }
+
+  const errors = [];
+  let result = null;
+
+  // Source 1: local denylist
+  try {
+    const list = await loadDenylist();
+    const entry = list.get(normalized);
+    if (entry && (!entry.chainIds || entry.chainIds.includes(Number(chainId)))) {
+      result = buildResult(chainId, normalized, {
+        allowed: false,
+        sanctioned: true,
+        source: ScreeningSource.DENYLIST,
+        reason: entry.reason,
+      });
+    }
+  } catch (error) {
+    console.warn('[Sanctions] Denylist unavailable:', error.message);
+    errors.push({ source: ScreeningSource.DENYLIST, message: error.message });
+  }
+
+  // Source 2: Chainalysis oracle (EVM addresses on chains with an oracle)
+  if (!result && isEvmAddress(normalized) && getOracleAddress(chainId)) {
+    try {
+      const sanctioned = await isAddressSanctioned(chainId, normalized, provider);
+      if (sanctioned) {
+        result = buildResult(chainId, normalized, {
+          allowed: false,
+          sanctioned: true,
+          source: ScreeningSource.ORACLE,
+          reason: 'Address appears on the Chainalysis sanctions oracle',
+        });
+      }
+    } catch (error) {
+      console.warn('[Sanctions] Oracle query failed:', error.message);
+      errors.push({ source: ScreeningSource.ORACLE, message: error.message });
+    }
+  }
+
+  if (!result && errors.length > 0) {
+    const failClosed = screeningConfig.policy === ScreeningPolicy.FAIL_CLOSED;
+    result = buildResult(chainId, normalized, {
+      allowed: !failClosed,
+      source: ScreeningSource.POLICY,
+      reason: failClosed
+        ? 'Sanctions screening is temporarily unavailable. Please try again shortly.'
+        : 'Sanctions screening unavailable; proceeding under fail-open policy',
+      errors,
+    });
+  }
+
+  if (!result) {
+    result = buildResult(chainId, normalized, {
+      source: isEvmAddress(normalized) && getOracleAddress(chainId)
+        ? ScreeningSource.ORACLE
+        : ScreeningSource.DENYLIST,
+      reason: 'Not listed',
+    });
+  }
+
+  // Only cache definitive answers; degraded results must be retried
+  if (result.errors.length === 0) {
+    screeningCache.set(cacheKey, { result, expiresAt: Date.now() + screeningConfig.cacheTtlMs });
+  }
+
+  console.log('[Sanctions] Screening result:', {
+    context,
+    chainId,
+    address: normalized.slice(0, 12) + '...',
+    allowed: result.allowed,
+    source: result.source,
+  });
+
+  if (walletId && (!result.allowed || result.errors.length > 0)) {
+    logScreeningToTimeline(walletId, result, context);
+  }
+
+  return result;
+};
+
+/**
+ * Screen several addresses; returns results in input order
+ * @param {number} chainId - Chain ID
+ * @param {Array<string>} addresses - Addresses to screen
+ * @param {Object} [options] - Same as screenAddress
+ * @returns {Promise<Array<Object>>}
+ */
+export const screenAddresses = async (chainId, addresses, options = {}) => {
+  return Promise.all(addresses.map((address) => screenAddress(chainId, address, options)));
+};
+
+/**
+ * Screen an address and throw if the operation must be blocked
+ * The thrown error carries the structured result on `error.screening`.
+ * @param {number} chainId - Chain ID
+ * @param {string} address - 0x or 0zk address
+ * @param {Object} [options] - Same as screenAddress
+ * @returns {Promise<Object>} Screening result when allowed
+ */
+export const assertScreeningPassed = async (chainId, address, options = {}) => {
+  const result = await screenAddress(chainId, address, options);
+  if (!result.allowed) {
+    const message = result.sanctioned
+      ? `Operation blocked: address appears on sanctions list (${result.source})`
+      : `Operation blocked: ${result.reason}`;
+    const error = new Error(message);
+    error.screening = result;
+    throw error;
+  }
+  return result;
+};
+
+/**
+ * Compact form of a result for timeline events and history items
+ * @param {Object} result - Screening result
+ * @returns {Object|null}
+ */
+export const summarizeScreening = (result) => {
+  if (!result) return null;
+  return {
+    allowed: result.allowed,
+    source: result.source,
+    checkedAt: result.checkedAt,
+    reason: result.reason,
+    policy: result.policy,
+  };
+};
+
+/**
+ * Append a screening event to the wallet timeline (non-critical)
+ */
+const logScreeningToTimeline = async (walletId, result, context) => {
+  if (!screeningConfig.logToTimeline) return;
+  try {
+    const event = {
+      traceId: `screening-${Date.now()}-${result.address.slice(-8)}`,
+      type: 'sanctions_screening',
+      status: result.allowed ? 'degraded' : 'blocked',
+      context,
+      screenedAddress: result.address,
+      chainId: result.chainId,
+      timestamp: Math.floor(Date.now() / 1000),
+      screening: summarizeScreening(result),
+    };
+    await fetch('/api/wallet-metadata?action=timeline-append', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ walletId, event }),
+    });
+  } catch (error) {
+    console.warn('[Sanctions] Failed to log screening result to timeline (non-critical):', error?.message);
+  }
+};
+
+/**
+ * Denylist metadata for status displays
+ * @returns {{ version: any, updatedAt: any, entries: number }|null}
+ */
+export const getDenylistInfo = () => {
+  if (!denylist) return null;
+  return { ...denylistMeta, entries: denylist.size };
+};
+
+export default {
+  ScreeningPolicy,
+  ScreeningSource,
+  configureScreening,
+  getScreeningConfig,
+  clearScreeningCache,
+  loadDenylist,
+  screenAddress,
+  screenAddresses,
+  assertScreeningPassed,
+  summarizeScreening,
+  getDenylistInfo,
+};
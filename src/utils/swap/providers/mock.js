@@ -0,0 +1,87 @@
+/**
+ * Mock Swap Quote Provider
+ * Local provider for exercising the swap flow without a live DEX quote. Rates come
+ * from the price service (1:1 when a token is unpriced), with a flat 0.3% pool fee and
+ * a size-based synthetic price impact. Execution targets SWAP_CONFIG.mockRouter, a
+ * SwapRouter02-compatible contract (e.g. on a local fork); without one, quotes are
+ * preview-only.
+ */
+
+import { Interface, parseUnits, formatUnits, solidityPacked } from 'ethers';
+import { SWAP_CONFIG } from '../../../config/environment.js';
+import { getTokenPrices } from '../../pricing/price-service.js';
+import { normalizePriceTokenAddress } from '../../pricing/price-cache.js';
+
+const MOCK_FEE_TIER = 3000;
+// 1 bps of impact per $1k traded, capped at 10%
+const IMPACT_BPS_PER_1K_USD = 1;
+const MAX_IMPACT_BPS = 1000;
+const RATE_PRECISION = 18;
+
+const routerInterface = new Interface([
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+]);
+
+export const mockSwapProvider = {
+  id: 'mock',
+  name: 'Mock (local testing)',
+
+  supportsChain() {
+    return true;
+  },
+
+  async getQuote({ chainId, sellToken, buyToken, sellAmount }) {
+    let prices = {};
+    try {
+      prices = await getTokenPrices(chainId, [sellToken.address, buyToken.address]);
+    } catch (error) {
+      console.warn('[MockSwap] Price lookup failed, using 1:1:', error.message);
+    }
+    const sellPrice = prices[normalizePriceTokenAddress(sellToken.address)];
+    const buyPrice = prices[normalizePriceTokenAddress(buyToken.address)];
+    const rate = sellPrice && buyPrice ? sellPrice / buyPrice : 1;
+
+    const sellUnits = Number(formatUnits(sellAmount, sellToken.decimals));
+    const usdValue = sellPrice ? sellUnits * sellPrice : sellUnits;
+    const priceImpactBps = Math.min(MAX_IMPACT_BPS, Math.floor((usdValue / 1000) * IMPACT_BPS_PER_1K_USD));
+    const dexFeeBps = MOCK_FEE_TIER / 100;
+
+    // Work in fixed point so large amounts keep their precision
+    const rateScaled = parseUnits(rate.toFixed(RATE_PRECISION), RATE_PRECISION);
+    const grossBuy = (sellAmount * rateScaled * 10n ** BigInt(buyToken.decimals))
+      / (10n ** BigInt(RATE_PRECISION) * 10n ** BigInt(sellToken.decimals));
+    const buyAmount = (grossBuy * BigInt(10000 - dexFeeBps - priceImpactBps)) / 10000n;
+
+    return {
+      buyAmount,
+      priceImpactBps,
+      dexFeeBps,
+      route: sellPrice && buyPrice ? 'mock (spot prices)' : 'mock (1:1)',
+      data: {
+        path: solidityPacked(['address', 'uint24', 'address'], [sellToken.address, MOCK_FEE_TIER, buyToken.address]),
+      },
+    };
+  },
+
+  async buildSwapCalls({ quote, swapAmount, minBuyAmount, recipient }) {
+    const router = SWAP_CONFIG.mockRouter;
+    if (!router) {
+      throw new Error('Mock swap provider has no router configured (VITE_SWAP_MOCK_ROUTER); quotes are preview-only');
+    }
+    return {
+      spender: router,
+      calls: [{
+        to: router,
+        data: routerInterface.encodeFunctionData('exactInput', [{
+          path: quote.data.path,
+          recipient,
+          amountIn: swapAmount,
+          amountOutMinimum: minBuyAmount,
+        }]),
+        value: 0n,
+      }],
+    };
+  },
+};
+
+export default mockSwapProvider;
@@ -0,0 +1,131 @@
+/**
+ * Uniswap v3 Swap Quote Provider
+ * Quotes through QuoterV2 (eth_call via the /api/rpc proxy) across fee tiers, either
+ * direct or routed through the chain's wrapped base token, and executes through
+ * SwapRouter02 exactInput. No API key needed.
+ */
+
+import { Interface, solidityPacked } from 'ethers';
+import { getSwapConfig, getWrappedTokenAddress } from '../../../config/chains.js';
+import { ethCall } from '../../web3/rpc.js';
+
+const DIRECT_FEE_TIERS = [100, 500, 3000, 10000];
+const HOP_FEE_TIERS = [500, 3000];
+// Price impact is measured against a quote this many times smaller than the trade
+const IMPACT_PROBE_DIVISOR = 1000n;
+
+const quoterInterface = new Interface([
+  'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+]);
+const routerInterface = new Interface([
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+]);
+
+const encodePath = (tokens, fees) => {
+  const types = [];
+  const values = [];
+  tokens.forEach((token, index) => {
+    types.push('address');
+    values.push(token);
+    if (index < fees.length) {
+      types.push('uint24');
+      values.push(fees[index]);
+    }
+  });
+  return solidityPacked(types, values);
+};
+
+// Candidate routes: every direct fee tier, plus two-hop routes through the wrapped token
+const getCandidateRoutes = (chainId, sellToken, buyToken) => {
+  const routes = DIRECT_FEE_TIERS.map(fee => ({ tokens: [sellToken, buyToken], fees: [fee] }));
+  const wrapped = getWrappedTokenAddress(chainId)?.toLowerCase();
+  if (wrapped && wrapped !== sellToken && wrapped !== buyToken) {
+    for (const feeIn of HOP_FEE_TIERS) {
+      for (const feeOut of HOP_FEE_TIERS) {
+        routes.push({ tokens: [sellToken, wrapped, buyToken], fees: [feeIn, feeOut] });
+      }
+    }
+  }
+  return routes;
+};
+
+const quotePath = async (chainId, quoter, path, amountIn) => {
+  const result = await ethCall(chainId, quoter, quoterInterface.encodeFunctionData('quoteExactInput', [path, amountIn]));
+  const [amountOut, , , gasEstimate] = quoterInterface.decodeFunctionResult('quoteExactInput', result);
+  return { amountOut, gasEstimate };
+};
+
+export const uniswapV3SwapProvider = {
+  id: 'uniswap-v3',
+  name: 'Uniswap v3',
+
+  supportsChain(chainId) {
+    const config = getSwapConfig(chainId);
+    return !!(config?.uniswapV3QuoterV2 && config?.uniswapV3SwapRouter);
+  },
+
+  async getQuote({ chainId, sellToken, buyToken, sellAmount }) {
+    const { uniswapV3QuoterV2: quoter } = getSwapConfig(chainId);
+    const routes = getCandidateRoutes(chainId, sellToken.address.toLowerCase(), buyToken.address.toLowerCase());
+
+    // A missing pool makes QuoterV2 revert, so failed routes are simply skipped
+    const results = await Promise.allSettled(
+      routes.map(route => quotePath(chainId, quoter, encodePath(route.tokens, route.fees), sellAmount))
+    );
+
+    let best = null;
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled' || result.value.amountOut <= 0n) return;
+      if (!best || result.value.amountOut > best.amountOut) {
+        best = { ...routes[index], ...result.value };
+      }
+    });
+    if (!best) return null;
+
+    const path = encodePath(best.tokens, best.fees);
+
+    // Probe quote for the marginal rate: impact = 1 - (trade rate / probe rate)
+    let priceImpactBps = null;
+    const probeAmount = sellAmount / IMPACT_PROBE_DIVISOR;
+    if (probeAmount > 0n) {
+      try {
+        const probe = await quotePath(chainId, quoter, path, probeAmount);
+        if (probe.amountOut > 0n) {
+          const impact = 10000n - (best.amountOut * probeAmount * 10000n) / (probe.amountOut * sellAmount);
+          priceImpactBps = Number(impact > 0n ? impact : 0n);
+        }
+      } catch (error) {
+        console.warn('[UniswapV3Swap] Impact probe failed:', error.message);
+      }
+    }
+
+    return {
+      buyAmount: best.amountOut,
+      priceImpactBps,
+      // Pool fee tiers are in hundredths of a basis point
+      dexFeeBps: best.fees.reduce((total, fee) => total + fee / 100, 0),
+      route: best.tokens.length === 2 ? 'direct' : 'via wrapped base token',
+      gasEstimate: best.gasEstimate,
+      data: { path },
+    };
+  },
+
+  async buildSwapCalls({ chainId, quote, swapAmount, minBuyAmount, recipient }) {
+    const { uniswapV3SwapRouter: router } = getSwapConfig(chainId);
+    return {
+      spender: router,
+      calls: [{
+        to: router,
+        data: routerInterface.encodeFunctionData('exactInput', [{
+          path: quote.data.path,
+          recipient,
+          amountIn: swapAmount,
+          amountOutMinimum: minBuyAmount,
+        }]),
+        value: 0n,
+      }],
+    };
+  },
+};
+
+export default uniswapV3SwapProvider;
@@ -0,0 +1,181 @@
+/**
+ * Swap Service
+ * Quotes for private swaps with pluggable quote providers.
+ *
+ * A private swap unshields the sell token into the Relay Adapt contract, runs the DEX
+ * calls from there, and reshields the output to the vault in one transaction. Railgun
+ * charges its protocol fee on both legs, so the amount actually swapped is the sell
+ * amount minus the unshield fee and the vault receives the output minus the shield fee.
+ *
+ * Providers implement:
+ *   { id, name, supportsChain(chainId),
+ *     getQuote({ chainId, sellToken, buyToken, sellAmount }) -> { buyAmount, priceImpactBps, dexFeeBps, route, data } | null,
+ *     buildSwapCalls({ chainId, quote, swapAmount, minBuyAmount, recipient }) -> { spender, calls } }
+ * and are tried in order until one returns a quote.
+ * Default order comes from SWAP_CONFIG.providers (uniswap-v3; "mock" for local testing).
+ */
+
+import { Interface } from 'ethers';
+import { SWAP_CONFIG } from '../../config/environment.js';
+import { uniswapV3SwapProvider } from './providers/uniswap-v3.js';
+import { mockSwapProvider } from './providers/mock.js';
+
+// Railgun protocol fee, charged on unshield into Relay Adapt and again on reshield
+export const RAILGUN_FEE_BPS = 25n;
+
+const erc20Interface = new Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+]);
+
+const BUILT_IN_PROVIDERS = {
+  [uniswapV3SwapProvider.id]: uniswapV3SwapProvider,
+  [mockSwapProvider.id]: mockSwapProvider,
+};
+
+let providers = SWAP_CONFIG.providers
+  .map(id => BUILT_IN_PROVIDERS[id])
+  .filter(Boolean);
+
+/**
+ * Register a swap quote provider
+ * @param {Object} provider - Provider adapter
+ * @param {Object} [options]
+ * @param {number} [options.index] - Position in the provider order (default: last)
+ */
+export const registerSwapQuoteProvider = (provider, { index } = {}) => {
+  if (!provider?.id || typeof provider.getQuote !== 'function' || typeof provider.buildSwapCalls !== 'function') {
+    throw new Error('Swap provider must have an id, getQuote() and buildSwapCalls()');
+  }
+  const remaining = providers.filter(p => p.id !== provider.id);
+  remaining.splice(index ?? remaining.length, 0, provider);
+  providers = remaining;
+  console.log('[SwapService] Provider registered:', providers.map(p => p.id));
+};
+
+export const unregisterSwapQuoteProvider = (id) => {
+  providers = providers.filter(p => p.id !== id);
+};
+
+export const getSwapQuoteProviders = () => providers.map(p => ({ id: p.id, name: p.name || p.id }));
+
+const applyBps = (amount, bps) => (amount * (10000n - BigInt(bps))) / 10000n;
+
+/**
+ * Quote a private swap
+ * @param {Object} params
+ * @param {number} params.chainId - Chain ID
+ * @param {Object} params.sellToken - { address, decimals, symbol }
+ * @param {Object} params.buyToken - { address, decimals, symbol }
+ * @param {BigInt} params.sellAmount - Amount unshielded from the vault (base units)
+ * @param {number} [params.slippageBps] - Allowed slippage on the DEX output
+ * @param {string} [params.providerId] - Only ask this provider
+ * @returns {Promise<Object>} Quote with fee breakdown, min-out and expiry
+ */
+export const getSwapQuote = async ({
+  chainId,
+  sellToken,
+  buyToken,
+  sellAmount,
+  slippageBps = SWAP_CONFIG.defaultSlippageBps,
+  providerId = null,
+}) => {
+  if (sellToken.address.toLowerCase() === buyToken.address.toLowerCase()) {
+    throw new Error('Sell and buy tokens must differ');
+  }
+  if (!(slippageBps >= 0 && slippageBps <= SWAP_CONFIG.maxSlippageBps)) {
+    throw new Error(`Slippage must be between 0 and ${SWAP_CONFIG.maxSlippageBps / 100}%`);
+  }
+
+  const unshieldFee = (sellAmount * RAILGUN_FEE_BPS) / 10000n;
+  const swapAmount = sellAmount - unshieldFee;
+  if (swapAmount <= 0n) {
+    throw new Error('Amount too small to swap');
+  }
+
+  const candidates = providers.filter(p => (!providerId || p.id === providerId) && p.supportsChain(chainId));
+  if (candidates.length === 0) {
+    throw new Error('No swap provider available for this network');
+  }
+
+  for (const provider of candidates) {
+    try {
+      const quote = await provider.getQuote({ chainId, sellToken, buyToken, sellAmount: swapAmount });
+      if (!quote || quote.buyAmount <= 0n) continue;
+
+      const minBuyAmount = applyBps(quote.buyAmount, slippageBps);
+      const shieldFee = (quote.buyAmount * RAILGUN_FEE_BPS) / 10000n;
+      const quotedAt = Date.now();
+
+      return {
+        providerId: provider.id,
+        providerName: provider.name || provider.id,
+        chainId,
+        sellToken,
+        buyToken,
+        sellAmount,
+        unshieldFee,
+        swapAmount,
+        buyAmount: quote.buyAmount,
+        minBuyAmount,
+        shieldFee,
+        expectedReceived: quote.buyAmount - shieldFee,
+        minReceived: minBuyAmount - (minBuyAmount * RAILGUN_FEE_BPS) / 10000n,
+        slippageBps,
+        priceImpactBps: quote.priceImpactBps ?? null,
+        dexFeeBps: quote.dexFeeBps ?? null,
+        railgunFeeBps: Number(RAILGUN_FEE_BPS),
+        route: quote.route || null,
+        quotedAt,
+        expiresAt: quotedAt + SWAP_CONFIG.quoteTtlMs,
+        providerQuote: quote,
+      };
+    } catch (error) {
+      console.warn(`[SwapService] ${provider.id} quote failed:`, error.message);
+    }
+  }
+
+  throw new Error('No route found for this pair');
+};
+
+export const isSwapQuoteExpired = (quote, now = Date.now()) => !quote || now >= quote.expiresAt;
+
+/**
+ * Relay Adapt call list for a quote: approve the router for the swap amount, then swap.
+ * Output lands in the Relay Adapt contract and is reshielded by the same transaction.
+ * @param {Object} quote - Result of getSwapQuote
+ * @param {string} relayAdaptAddress - Relay Adapt contract for the network
+ * @returns {Promise<Array<{ to: string, data: string, value: BigInt }>>}
+ */
+export const buildSwapCrossContractCalls = async (quote, relayAdaptAddress) => {
+  const provider = providers.find(p => p.id === quote.providerId) || BUILT_IN_PROVIDERS[quote.providerId];
+  if (!provider) {
+    throw new Error(`Swap provider ${quote.providerId} is no longer registered`);
+  }
+
+  const { spender, calls } = await provider.buildSwapCalls({
+    chainId: quote.chainId,
+    quote: quote.providerQuote,
+    swapAmount: quote.swapAmount,
+    minBuyAmount: quote.minBuyAmount,
+    recipient: relayAdaptAddress,
+  });
+
+  return [
+    {
+      to: quote.sellToken.address,
+      data: erc20Interface.encodeFunctionData('approve', [spender, quote.swapAmount]),
+      value: 0n,
+    },
+    ...calls,
+  ];
+};
+
+export default {
+  RAILGUN_FEE_BPS,
+  registerSwapQuoteProvider,
+  unregisterSwapQuoteProvider,
+  getSwapQuoteProviders,
+  getSwapQuote,
+  isSwapQuoteExpired,
+  buildSwapCrossContractCalls,
+};
@@ -0,0 +1,227 @@
+/**
+ * IDB Wallet Backup File - Offline, password-encrypted LevelDB snapshots
+ * Local counterpart of backup.js: the snapshot from exportWalletSnapshot is written to a
+ * file the user keeps, and can be restored on a fresh browser without the backup API.
+ *
+ * File format (JSON, version 1):
+ * - header: wallet ID, EOA, Railgun address, record count, created-at (readable without the password)
+ * - kdf: PBKDF2-SHA256 parameters and salt
+ * - cipher: AES-256-GCM IV; the header is bound to the ciphertext as additional data,
+ *   so editing it makes decryption fail
+ * - checksum: SHA-256 of the plaintext NDJSON, verified after decryption
+ */
+
+import { exportWalletSnapshot } from './exporter.js';
+import { writeBackupToIDB } from './hydration.js';
+
+export const BACKUP_FILE_FORMAT = 'lexie-vault-backup';
+export const BACKUP_FILE_VERSION = 1;
+export const BACKUP_FILE_EXTENSION = '.lexiebackup';
+export const MIN_BACKUP_PASSWORD_LENGTH = 10;
+
+const PBKDF2_ITERATIONS = 310000;
+// Iterations are read from the (untrusted) file: fewer than we write is brute-forceable,
+// far more would hang the tab
+const MAX_PBKDF2_ITERATIONS = 5000000;
+const ENGINE_DB_NAME = 'level-js-railgun-engine-db';
+const ENGINE_STORE_NAME = 'railgun-engine-db';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Chunked to stay under the argument limit of String.fromCharCode on large snapshots
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const sha256Hex = async (data) => {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const deriveKey = async (password, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey('raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Key order is fixed so the additional data is stable across serialization
+const encodeHeader = (header) => textEncoder.encode(JSON.stringify({
+  walletId: header.walletId,
+  eoa: header.eoa,
+  railgunAddress: header.railgunAddress,
+  recordCount: header.recordCount,
+  snapshotTimestamp: header.snapshotTimestamp,
+  createdAt: header.createdAt,
+}));
+
+// level-js creates its object store on first open; a fresh browser has no engine DB yet
+const ensureEngineStore = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(ENGINE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(ENGINE_STORE_NAME)) {
+        request.result.createObjectStore(ENGINE_STORE_NAME);
+      }
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Export the local wallet snapshot as an encrypted backup file
+ * @param {Object} params
+ * @param {string} params.walletId - Railgun wallet ID
+ * @param {string} params.eoa - EOA address
+ * @param {string} params.railgunAddress - 0zk address (header only, for identification)
+ * @param {string} params.password - Backup password
+ * @returns {Promise<{ blob: Blob, filename: string, header: Object }>}
+ */
+export const createBackupFile = async ({ walletId, eoa, railgunAddress, password }) => {
+  if (!password || password.length < MIN_BACKUP_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_BACKUP_PASSWORD_LENGTH} characters`);
+  }
+
+  const snapshot = await exportWalletSnapshot(walletId);
+  if (!snapshot) {
+    throw new Error('No local vault data to back up yet - wait for the first sync to finish');
+  }
+
+  const plaintext = textEncoder.encode(snapshot.ndjsonData);
+  const header = {
+    walletId,
+    eoa: eoa?.toLowerCase() || null,
+    railgunAddress: railgunAddress || null,
+    recordCount: snapshot.recordCount,
+    snapshotTimestamp: snapshot.timestamp,
+    createdAt: new Date().toISOString(),
+  };
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encodeHeader(header) },
+    key,
+    plaintext
+  );
+
+  const file = {
+    format: BACKUP_FILE_FORMAT,
+    version: BACKUP_FILE_VERSION,
+    header,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    checksum: { algorithm: 'SHA-256', value: await sha256Hex(plaintext) },
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+  };
+
+  console.log('[Wallet-Backup-File] 📦 Encrypted backup file created:', {
+    walletId: walletId?.slice(0, 8) + '...',
+    recordCount: snapshot.recordCount,
+    totalBytes: snapshot.totalBytes,
+  });
+
+  const date = header.createdAt.split('T')[0];
+  return {
+    blob: new Blob([JSON.stringify(file)], { type: 'application/json' }),
+    filename: `lexie-vault-${walletId.slice(0, 8)}-${date}${BACKUP_FILE_EXTENSION}`,
+    header,
+  };
+};
+
+/**
+ * Read the unencrypted header of a backup file
+ * @param {string} fileText - Backup file contents
+ * @returns {Object} Parsed file ({ format, version, header, ... })
+ */
+export const parseBackupFile = (fileText) => {
+  let file;
+  try {
+    file = JSON.parse(fileText);
+  } catch {
+    throw new Error('Not a Lexie vault backup file');
+  }
+  if (file?.format !== BACKUP_FILE_FORMAT) {
+    throw new Error('Not a Lexie vault backup file');
+  }
+  if (file.version !== BACKUP_FILE_VERSION) {
+    throw new Error(`Unsupported backup version ${file.version} - update Lexie and try again`);
+  }
+  if (!file.header?.walletId || !file.kdf?.salt || !file.cipher?.iv || !file.checksum?.value || !file.ciphertext) {
+    throw new Error('Backup file is incomplete');
+  }
+  const { name, hash, iterations } = file.kdf;
+  if (name !== 'PBKDF2' || hash !== 'SHA-256') {
+    throw new Error('Unsupported backup key derivation');
+  }
+  if (!Number.isInteger(iterations) || iterations < PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error('Backup key derivation parameters are out of range');
+  }
+  return file;
+};
+
+/**
+ * Decrypt a backup file and write its snapshot into the local engine database
+ * Only touches IndexedDB; no backend calls are made.
+ * @param {Object} params
+ * @param {string} params.fileText - Backup file contents
+ * @param {string} params.password - Backup password
+ * @returns {Promise<Object>} The file header
+ */
+export const restoreBackupFile = async ({ fileText, password }) => {
+  const file = parseBackupFile(fileText);
+
+  let plaintext;
+  try {
+    const key = await deriveKey(password, base64ToBytes(file.kdf.salt), file.kdf.iterations);
+    plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv), additionalData: encodeHeader(file.header) },
+      key,
+      base64ToBytes(file.ciphertext)
+    ));
+  } catch {
+    throw new Error('Wrong password or the backup file has been modified');
+  }
+
+  if (await sha256Hex(plaintext) !== file.checksum.value) {
+    throw new Error('Backup checksum mismatch - the file is corrupted');
+  }
+
+  const ndjsonData = textDecoder.decode(plaintext);
+  const lineCount = ndjsonData.trim().split('\n').length;
+  if (lineCount !== file.header.recordCount) {
+    throw new Error(`Backup is incomplete: expected ${file.header.recordCount} records, found ${lineCount}`);
+  }
+
+  await ensureEngineStore();
+  await writeBackupToIDB(ndjsonData);
+
+  console.log('[Wallet-Backup-File] ✅ Backup file restored to IndexedDB:', {
+    walletId: file.header.walletId.slice(0, 8) + '...',
+    recordCount: file.header.recordCount,
+  });
+  return file.header;
+};
+
+export default {
+  createBackupFile,
+  parseBackupFile,
+  restoreBackupFile,
+};
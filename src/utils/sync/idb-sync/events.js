@@ -176,11 +176,25 @@ export const initializeIDBSync = () => {
     }
   }, 30000);
 
-  // Clean up on page unload
+  // Replay queued work as soon as connectivity returns
+  const handleOnline = async () => {
+    console.log('[IDB-Sync-Events] Back online, processing queue');
+    try {
+      const { processQueue } = await import('./queue.js');
+      await processQueue();
+    } catch (error) {
+      console.error('[IDB-Sync-Events] Queue processing failed:', error);
+    }
+  };
+
   if (typeof window !== 'undefined') {
+    window.addEventListener('online', handleOnline);
+
+    // Clean up on page unload
     window.addEventListener('beforeunload', () => {
       cleanupEventListeners();
       clearInterval(queueInterval);
+      window.removeEventListener('online', handleOnline);
     });
   }
 
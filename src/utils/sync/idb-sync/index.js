@@ -86,6 +86,16 @@ export const initializeSyncSystem = async (walletId) => {
   }
 };
 
+/**
+ * Point sync state and backups at another vault (sub-vault switch) without re-initializing
+ * @param {string} walletId - Wallet ID of the now-active vault
+ */
+export const setSyncWalletId = (walletId) => {
+  if (!walletId || typeof window === 'undefined') return;
+  window.__LEXIE_WALLET_ID_FOR_SYNC = walletId;
+  console.log(`[IDB-Sync] Wallet ID switched: ${walletId.slice(0, 8)}...`);
+};
+
 // Public API (with dynamic imports to avoid circular dependencies)
 export const getQueueStats = async () => {
   const queueMod = await getQueueModule();
@@ -1,6 +1,10 @@
 /**
  * IDB Sync Queue
  * Handles offline sync with retry logic and backpressure management
+ *
+ * Besides IDB chunks, the queue holds non-sensitive API writes (timeline entries, fee records)
+ * made while offline; they are replayed when connectivity returns. Anything carrying keys or
+ * signatures must never be queued.
  */
 
 
@@ -10,6 +14,10 @@ const QUEUE_STORE_NAME = 'chunks';
 const MAX_QUEUE_SIZE = 200 * 1024 * 1024; // 200MB hard cap
 const MAX_RETRIES = 3;
 const RETRY_BACKOFF_MS = 1000; // 1s base, exponential
+const BACKGROUND_SYNC_TAG = 'lexie-sync-queue';
+
+// /api/wallet-metadata actions that are safe to replay later
+const QUEUEABLE_ACTIONS = ['timeline-append', 'store-fee-data'];
 
 /**
  * Open IndexedDB for queue storage
@@ -70,10 +78,95 @@ export const enqueueChunk = async (chunk) => {
   }
 };
 
+/**
+ * Ask the service worker to wake us for the queue when connectivity returns
+ */
+const requestBackgroundSync = async () => {
+  try {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (registration?.sync) {
+      await registration.sync.register(BACKGROUND_SYNC_TAG);
+    }
+  } catch (error) {
+    console.debug('[IDB-Sync-Queue] Background sync unavailable:', error.message);
+  }
+};
+
+const isQueueableRequest = (url) => {
+  const parsed = new URL(url, window.location.origin);
+  return parsed.origin === window.location.origin &&
+    parsed.pathname === '/api/wallet-metadata' &&
+    QUEUEABLE_ACTIONS.includes(parsed.searchParams.get('action'));
+};
+
+/**
+ * Add a non-sensitive API write to the sync queue
+ * @param {string} url - Same-origin /api/wallet-metadata URL with a queueable action
+ * @param {Object} options - { method, body } (body as a JSON string)
+ */
+export const enqueueRequest = async (url, { method = 'POST', body } = {}) => {
+  if (!isQueueableRequest(url)) {
+    throw new Error(`Request is not queueable: ${url}`);
+  }
+
+  const db = await openQueueDB();
+  const transaction = db.transaction([QUEUE_STORE_NAME], 'readwrite');
+  const store = transaction.objectStore(QUEUE_STORE_NAME);
+
+  const queueItem = {
+    id: `request-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type: 'request',
+    url,
+    method,
+    body,
+    status: 'pending',
+    timestamp: Date.now(),
+    retryCount: 0,
+    lastError: null
+  };
+
+  await new Promise((resolve, reject) => {
+    const request = store.add(queueItem);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+
+  console.log(`[IDB-Sync-Queue] Enqueued ${method} ${url} for when connectivity returns`);
+  await enforceQueueLimits(db);
+  await requestBackgroundSync();
+};
+
+/**
+ * Send a non-sensitive API write now, or queue it when offline / the network fails
+ * @param {string} url - Same-origin /api/wallet-metadata URL with a queueable action
+ * @param {Object} options - fetch options ({ method, headers, body })
+ * @returns {Promise<Response|null>} The response, or null when the request was queued
+ */
+export const sendOrEnqueue = async (url, options = {}) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    await enqueueRequest(url, options);
+    return null;
+  }
+
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    // fetch only rejects on network failure
+    console.warn('[IDB-Sync-Queue] Network error, queueing request:', error.message);
+    await enqueueRequest(url, options);
+    return null;
+  }
+};
+
 /**
  * Process queued chunks (retry failed uploads)
  */
 export const processQueue = async () => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return;
+  }
+
   try {
     const db = await openQueueDB();
     const transaction = db.transaction([QUEUE_STORE_NAME], 'readonly');
@@ -105,8 +198,12 @@ export const processQueue = async () => {
           continue; // Not ready for retry yet
         }
 
-        // Attempt to sync this chunk
-        await syncQueuedChunk(chunk);
+        // Attempt to sync this chunk (or replay the queued request)
+        if (chunk.type === 'request') {
+          await syncQueuedRequest(chunk);
+        } else {
+          await syncQueuedChunk(chunk);
+        }
 
         // Success - remove from queue
         await removeFromQueue(chunk.id);
@@ -140,7 +237,7 @@ const syncQueuedChunk = async (chunk) => {
   // Use appropriate action based on chunk type
   const action = chunk.type === 'snapshot' ? 'snapshot-chunk' : 'sync-chunk';
 
-  await makeSyncRequest(`/api/artifacts?action=${action}`, {
+  await makeSyncRequest(action, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({
@@ -156,6 +253,21 @@ const syncQueuedChunk = async (chunk) => {
   });
 };
 
+/**
+ * Replay a queued API request (called by processQueue)
+ */
+const syncQueuedRequest = async (item) => {
+  const response = await fetch(item.url, {
+    method: item.method,
+    headers: { 'Content-Type': 'application/json' },
+    body: item.body
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+};
+
 /**
  * Update queue item status
  */
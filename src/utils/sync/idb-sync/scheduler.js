@@ -4,6 +4,8 @@
  */
 
 // Master wallet configuration - 4 separate masters, one per chain
+// Only Railgun-enabled chains have a master; public-only chains in the registry
+// (Optimism, Base) get one once Railgun is deployed there and a master has scanned it.
 export const MASTER_WALLETS = {
   1: '27015fd6707c3c353cd905b03a8686ed75ec70143ba15ba4f9cb7f1770d63ffc', // Ethereum
   42161: 'e460d3c273d303a898632b3bd36254279eba677f09714592a723b937cdc1df09', // Arbitrum
@@ -12,6 +12,15 @@ const SYNC_CURSORS_KEY = STORAGE_PREFIX + 'cursors';
 const SYNC_HASHES_KEY = STORAGE_PREFIX + 'hashes';
 const SNAPSHOT_CURSORS_KEY = STORAGE_PREFIX + 'snapshot-cursors';
 
+/**
+ * Scope a state key to the active vault, so sub-vaults under one EOA keep separate
+ * dirty flags, cursors and hashes. Without a wallet ID the legacy global key is used.
+ */
+const vaultKey = (key) => {
+  const walletId = typeof window !== 'undefined' ? window.__LEXIE_WALLET_ID_FOR_SYNC : null;
+  return walletId ? `${key}:${walletId}` : key;
+};
+
 /**
  * IDB stores to sync (matching Railgun's IndexedDB structure)
  */
@@ -29,7 +38,7 @@ export const SYNC_STORES = [
  */
 export const getDirtyFlags = () => {
   try {
-    const stored = localStorage.getItem(DIRTY_FLAGS_KEY);
+    const stored = localStorage.getItem(vaultKey(DIRTY_FLAGS_KEY));
     return stored ? JSON.parse(stored) : {};
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to load dirty flags:', error);
@@ -44,7 +53,7 @@ export const setDirtyFlag = (storeName, isDirty = true) => {
   try {
     const flags = getDirtyFlags();
     flags[storeName] = isDirty;
-    localStorage.setItem(DIRTY_FLAGS_KEY, JSON.stringify(flags));
+    localStorage.setItem(vaultKey(DIRTY_FLAGS_KEY), JSON.stringify(flags));
     console.debug(`[IDB-Sync-State] Set dirty flag for ${storeName}: ${isDirty}`);
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to set dirty flag:', error);
@@ -71,7 +80,7 @@ export const hasDirtyFlags = () => {
  */
 export const getSyncCursors = () => {
   try {
-    const stored = localStorage.getItem(SYNC_CURSORS_KEY);
+    const stored = localStorage.getItem(vaultKey(SYNC_CURSORS_KEY));
     return stored ? JSON.parse(stored) : {};
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to load sync cursors:', error);
@@ -86,7 +95,7 @@ export const setSyncCursor = (storeName, cursor) => {
   try {
     const cursors = getSyncCursors();
     cursors[storeName] = cursor;
-    localStorage.setItem(SYNC_CURSORS_KEY, JSON.stringify(cursors));
+    localStorage.setItem(vaultKey(SYNC_CURSORS_KEY), JSON.stringify(cursors));
     console.debug(`[IDB-Sync-State] Set cursor for ${storeName}: ${cursor}`);
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to set sync cursor:', error);
@@ -106,7 +115,7 @@ export const getSyncCursor = (storeName) => {
  */
 export const getSyncHashes = () => {
   try {
-    const stored = localStorage.getItem(SYNC_HASHES_KEY);
+    const stored = localStorage.getItem(vaultKey(SYNC_HASHES_KEY));
     return stored ? JSON.parse(stored) : {};
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to load sync hashes:', error);
@@ -121,7 +130,7 @@ export const setSyncHash = (storeName, hash) => {
   try {
     const hashes = getSyncHashes();
     hashes[storeName] = hash;
-    localStorage.setItem(SYNC_HASHES_KEY, JSON.stringify(hashes));
+    localStorage.setItem(vaultKey(SYNC_HASHES_KEY), JSON.stringify(hashes));
     console.debug(`[IDB-Sync-State] Set hash for ${storeName}: ${hash}`);
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to set sync hash:', error);
@@ -141,9 +150,9 @@ export const getSyncHash = (storeName) => {
  */
 export const resetSyncState = () => {
   try {
-    localStorage.removeItem(DIRTY_FLAGS_KEY);
-    localStorage.removeItem(SYNC_CURSORS_KEY);
-    localStorage.removeItem(SYNC_HASHES_KEY);
+    localStorage.removeItem(vaultKey(DIRTY_FLAGS_KEY));
+    localStorage.removeItem(vaultKey(SYNC_CURSORS_KEY));
+    localStorage.removeItem(vaultKey(SYNC_HASHES_KEY));
     console.log('[IDB-Sync-State] Reset all sync state');
   } catch (error) {
     console.error('[IDB-Sync-State] Failed to reset sync state:', error);
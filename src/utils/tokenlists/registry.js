@@ -0,0 +1,242 @@
+/**
+ * Token List Registry
+ * Merges the configured token lists (tokenlists.org schema) into a per-chain index.
+ *
+ * - Sources come from TOKEN_LIST_CONFIG.sources, highest precedence first: when the
+ *   same address appears in several lists, the entry from the earlier list wins
+ * - Bundled lists are available synchronously at startup; remote lists are fetched,
+ *   validated and cached in localStorage, so the last good copy is used offline
+ * - Only tokens on chains in the chain registry are indexed
+ * - A `token-lists-updated` window event fires when the index changes
+ */
+
+import { TOKEN_LIST_CONFIG } from '../../config/environment.js';
+import { isSupportedChain } from '../../config/chains.js';
+import { validateTokenList } from './schema.js';
+import lexieDefaultList from '../../config/tokenlists/lexie-default.tokenlist.json';
+
+export const TOKEN_LISTS_UPDATED_EVENT = 'token-lists-updated';
+
+const BUNDLED_PREFIX = 'bundled:';
+const CACHE_PREFIX = 'lexie:tokenlist:';
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+
+const BUNDLED_LISTS = {
+  'lexie-default': lexieDefaultList,
+};
+
+let sources = [...TOKEN_LIST_CONFIG.sources];
+
+// source -> { list, fetchedAt, error }
+const listState = new Map();
+
+// chainId -> Map(lowercase address -> token)
+let tokenIndex = new Map();
+
+let refreshPromise = null;
+
+/**
+ * Resolve ipfs:// and ipns:// URIs to an HTTP gateway (used for list URLs and logos)
+ * @param {string} uri - URI from a token list
+ * @returns {string|null}
+ */
+export const resolveTokenListUri = (uri) => {
+  if (!uri || typeof uri !== 'string') return null;
+  if (uri.startsWith('ipfs://')) return `${IPFS_GATEWAY}${uri.slice('ipfs://'.length)}`;
+  if (uri.startsWith('ipns://')) return `https://ipfs.io/ipns/${uri.slice('ipns://'.length)}`;
+  return uri;
+};
+
+const readCachedList = (source) => {
+  try {
+    const stored = localStorage.getItem(`${CACHE_PREFIX}${source}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeCachedList = (source, entry) => {
+  try {
+    localStorage.setItem(`${CACHE_PREFIX}${source}`, JSON.stringify(entry));
+  } catch (error) {
+    // Large lists can exceed the localStorage quota; the in-memory copy still works
+    console.warn('[TokenLists] Failed to cache list:', { source, error: error?.message });
+  }
+};
+
+const rebuildIndex = () => {
+  const next = new Map();
+
+  for (const source of sources) {
+    const list = listState.get(source)?.list;
+    if (!list) continue;
+
+    for (const token of list.tokens) {
+      if (!isSupportedChain(token.chainId)) continue;
+      if (!next.has(token.chainId)) next.set(token.chainId, new Map());
+
+      const chainTokens = next.get(token.chainId);
+      const key = token.address.toLowerCase();
+      if (chainTokens.has(key)) continue; // Earlier list takes precedence
+
+      chainTokens.set(key, {
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        chainId: token.chainId,
+        logoURI: resolveTokenListUri(token.logoURI) || undefined,
+        tags: token.tags,
+        listName: list.name,
+      });
+    }
+  }
+
+  tokenIndex = next;
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(TOKEN_LISTS_UPDATED_EVENT));
+  }
+};
+
+const loadFromBundleAndCache = () => {
+  listState.clear();
+  for (const source of sources) {
+    if (source.startsWith(BUNDLED_PREFIX)) {
+      const list = BUNDLED_LISTS[source.slice(BUNDLED_PREFIX.length)];
+      if (!list) {
+        console.warn('[TokenLists] Unknown bundled list:', source);
+        continue;
+      }
+      const { valid, errors } = validateTokenList(list);
+      if (!valid) {
+        console.error('[TokenLists] Bundled list failed validation:', { source, errors });
+        continue;
+      }
+      listState.set(source, { list, fetchedAt: null, error: null });
+      continue;
+    }
+
+    const cached = readCachedList(source);
+    if (cached?.list) {
+      listState.set(source, { list: cached.list, fetchedAt: cached.fetchedAt, error: null });
+    }
+  }
+  rebuildIndex();
+};
+
+const fetchRemoteList = async (source) => {
+  const response = await fetch(resolveTokenListUri(source), { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Token list fetch failed: ${response.status}`);
+  }
+  const list = await response.json();
+  const { valid, errors } = validateTokenList(list);
+  if (!valid) {
+    console.warn('[TokenLists] Schema validation failed:', { source, errors });
+    throw new Error(`Invalid token list: ${errors[0]}`);
+  }
+  return list;
+};
+
+/**
+ * Fetch remote lists whose cached copy is missing or stale
+ * Failed sources keep their last good copy.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore the cache TTL
+ * @returns {Promise<Array<Object>>} Status per source (see getTokenListStatus)
+ */
+export const refreshTokenLists = async ({ force = false } = {}) => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    let changed = false;
+
+    for (const source of sources) {
+      if (source.startsWith(BUNDLED_PREFIX)) continue;
+
+      const current = listState.get(source);
+      const isFresh = current?.fetchedAt && Date.now() - current.fetchedAt < TOKEN_LIST_CONFIG.cacheTtlMs;
+      if (isFresh && !force) continue;
+
+      try {
+        const list = await fetchRemoteList(source);
+        const entry = { list, fetchedAt: Date.now(), error: null };
+        listState.set(source, entry);
+        writeCachedList(source, { list, fetchedAt: entry.fetchedAt });
+        changed = true;
+        console.log('[TokenLists] Loaded list:', { source, name: list.name, tokens: list.tokens.length });
+      } catch (error) {
+        console.warn('[TokenLists] Failed to load list:', { source, error: error.message });
+        listState.set(source, { ...(current || { list: null, fetchedAt: null }), error: error.message });
+      }
+    }
+
+    if (changed) rebuildIndex();
+    return getTokenListStatus();
+  })();
+
+  try {
+    return await refreshPromise;
+  } finally {
+    refreshPromise = null;
+  }
+};
+
+/**
+ * Replace the configured sources (highest precedence first)
+ * @param {Array<string>} nextSources - URLs or bundled:<id> entries
+ */
+export const configureTokenLists = (nextSources) => {
+  sources = [...nextSources];
+  loadFromBundleAndCache();
+};
+
+/**
+ * All tokens for a chain, merged across lists
+ * @param {number} chainId - Chain ID
+ * @returns {Array<Object>} [{ address, symbol, name, decimals, chainId, logoURI, tags, listName }]
+ */
+export const getTokenListTokens = (chainId) => {
+  return Array.from(tokenIndex.get(Number(chainId))?.values() || []);
+};
+
+/**
+ * Look up a token by address
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Token address
+ * @returns {Object|null}
+ */
+export const getTokenListToken = (chainId, address) => {
+  if (!address) return null;
+  return tokenIndex.get(Number(chainId))?.get(String(address).toLowerCase()) || null;
+};
+
+/**
+ * Per-source load status, in precedence order
+ * @returns {Array<{ source: string, name: string|null, tokenCount: number, fetchedAt: number|null, error: string|null }>}
+ */
+export const getTokenListStatus = () => {
+  return sources.map(source => {
+    const state = listState.get(source);
+    return {
+      source,
+      name: state?.list?.name || null,
+      tokenCount: state?.list?.tokens?.length || 0,
+      fetchedAt: state?.fetchedAt || null,
+      error: state?.error || null,
+    };
+  });
+};
+
+loadFromBundleAndCache();
+
+export default {
+  TOKEN_LISTS_UPDATED_EVENT,
+  resolveTokenListUri,
+  refreshTokenLists,
+  configureTokenLists,
+  getTokenListTokens,
+  getTokenListToken,
+  getTokenListStatus,
+};
@@ -0,0 +1,114 @@
+/**
+ * Token List Schema Validation
+ * Validates documents against the tokenlists.org schema (https://uniswap.org/tokenlist.schema.json).
+ * Hand-rolled to avoid pulling a JSON Schema engine into the bundle; covers the
+ * required fields and the constraints that matter for display and balances.
+ */
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const TAG_ID_PATTERN = /^[\w]+$/;
+const MAX_TOKENS = 10000;
+const MAX_ERRORS = 20;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isString = (value) => typeof value === 'string';
+
+const isValidUri = (value) => {
+  if (!isString(value) || value.length === 0) return false;
+  try {
+    // ipfs:// and ens:// URIs are allowed by the schema
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateVersion = (version, errors) => {
+  if (!version || typeof version !== 'object') {
+    errors.push('version: required object { major, minor, patch }');
+    return;
+  }
+  for (const key of ['major', 'minor', 'patch']) {
+    if (!isNonNegativeInteger(version[key])) {
+      errors.push(`version.${key}: must be a non-negative integer`);
+    }
+  }
+};
+
+const validateToken = (token, index, errors) => {
+  const path = `tokens[${index}]`;
+  if (!token || typeof token !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (!Number.isInteger(token.chainId) || token.chainId < 1) {
+    errors.push(`${path}.chainId: must be a positive integer`);
+  }
+  if (!isString(token.address) || !ADDRESS_PATTERN.test(token.address)) {
+    errors.push(`${path}.address: must be a 0x-prefixed 20-byte hex address`);
+  }
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255) {
+    errors.push(`${path}.decimals: must be an integer between 0 and 255`);
+  }
+  if (!isString(token.name) || token.name.length > 60) {
+    errors.push(`${path}.name: must be a string of at most 60 characters`);
+  }
+  if (!isString(token.symbol) || token.symbol.length > 20) {
+    errors.push(`${path}.symbol: must be a string of at most 20 characters`);
+  }
+  if (token.logoURI !== undefined && !isValidUri(token.logoURI)) {
+    errors.push(`${path}.logoURI: must be a URI`);
+  }
+  if (token.tags !== undefined &&
+    (!Array.isArray(token.tags) || token.tags.length > 10 || !token.tags.every(tag => isString(tag) && TAG_ID_PATTERN.test(tag)))) {
+    errors.push(`${path}.tags: must be an array of at most 10 tag identifiers`);
+  }
+};
+
+/**
+ * Validate a token list document
+ * @param {Object} list - Parsed token list JSON
+ * @returns {{ valid: boolean, errors: Array<string> }} Up to 20 error messages
+ */
+export const validateTokenList = (list) => {
+  const errors = [];
+
+  if (!list || typeof list !== 'object' || Array.isArray(list)) {
+    return { valid: false, errors: ['Token list must be a JSON object'] };
+  }
+  if (!isString(list.name) || list.name.length === 0 || list.name.length > 30) {
+    errors.push('name: required string of 1-30 characters');
+  }
+  if (!isString(list.timestamp) || Number.isNaN(Date.parse(list.timestamp))) {
+    errors.push('timestamp: required ISO 8601 date-time');
+  }
+  validateVersion(list.version, errors);
+  if (list.logoURI !== undefined && !isValidUri(list.logoURI)) {
+    errors.push('logoURI: must be a URI');
+  }
+
+  if (!Array.isArray(list.tokens) || list.tokens.length === 0) {
+    errors.push('tokens: required non-empty array');
+  } else if (list.tokens.length > MAX_TOKENS) {
+    errors.push(`tokens: at most ${MAX_TOKENS} tokens are allowed`);
+  } else {
+    // Duplicate chainId/address pairs are rejected by the schema's uniqueness rule
+    const seen = new Set();
+    list.tokens.forEach((token, index) => {
+      if (errors.length >= MAX_ERRORS) return;
+      validateToken(token, index, errors);
+      const key = `${token?.chainId}:${String(token?.address).toLowerCase()}`;
+      if (seen.has(key)) {
+        errors.push(`tokens[${index}]: duplicate token ${key}`);
+      }
+      seen.add(key);
+    });
+  }
+
+  return { valid: errors.length === 0, errors: errors.slice(0, MAX_ERRORS) };
+};
+
+export default {
+  validateTokenList,
+};
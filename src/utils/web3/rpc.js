@@ -0,0 +1,45 @@
+/**
+ * JSON-RPC helpers routed through the /api/rpc proxy (keeps provider keys server-side)
+ */
+
+let rpcRequestId = 1;
+
+/**
+ * Send a JSON-RPC request for a chain
+ * @param {number} chainId - Chain ID
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - Method params
+ * @returns {Promise<any>} result field
+ */
+export const rpcCall = async (chainId, method, params = []) => {
+  const response = await fetch(`/api/rpc?chainId=${chainId}&provider=auto`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: rpcRequestId++, method, params }),
+  });
+  if (!response.ok) {
+    throw new Error(`RPC proxy error: ${response.status}`);
+  }
+  const payload = await response.json();
+  if (payload.error) {
+    throw new Error(payload.error.message || `${method} failed`);
+  }
+  return payload.result;
+};
+
+/**
+ * eth_call against a contract
+ * @param {number} chainId - Chain ID
+ * @param {string} to - Contract address
+ * @param {string} data - ABI-encoded call data
+ * @param {string} [blockTag] - Block tag or hex block number (default: latest)
+ * @returns {Promise<string>} Return data
+ */
+export const ethCall = (chainId, to, data, blockTag = 'latest') => {
+  return rpcCall(chainId, 'eth_call', [{ to, data }, blockTag]);
+};
+
+export default {
+  rpcCall,
+  ethCall,
+};
@@ -1,8 +1,29 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
 import { nodePolyfills } from 'vite-plugin-node-polyfills';
 
+// Emits src/utils/pwa/service-worker.js as /sw.js with this build's assets to precache
+const serviceWorker = () => ({
+  name: 'lexie-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const assets = Object.keys(bundle)
+      .filter(fileName => /\.(js|css|wasm)$/.test(fileName))
+      .sort();
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+    const template = readFileSync(resolve(__dirname, 'src/utils/pwa/service-worker.js'), 'utf8');
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: template.replace('self.__PRECACHE_MANIFEST', JSON.stringify({ version, assets })),
+    });
+  },
+});
+
 export default defineConfig({
   plugins: [
     react(),
@@ -16,6 +37,7 @@ export default defineConfig({
       // Whether to polyfill Node.js built-in modules.
       protocolImports: true,
     }),
+    serviceWorker(),
   ],
   server: {
     port: 3001,
@@ -42,6 +64,19 @@ export default defineConfig({
       transformMixedEsModules: true,
     },
   },
+  worker: {
+    // proof.worker.js is loaded as a module worker and imports snarkjs
+    format: 'es',
+    plugins: () => [
+      nodePolyfills({
+        globals: {
+          Buffer: true,
+          global: true,
+          process: true,
+        },
+      }),
+    ],
+  },
   optimizeDeps: {
     include: [
       '@railgun-community/wallet',